@@ -1,3 +1,88 @@
+import { EventNormalizer } from "./normalize.js";
+import { PriceParser } from "./price.js";
+import { Occurrences } from "./occurrence.js";
+import { Geo } from "./geo.js";
+import { SearchIndex } from "./search.js";
+import { Facets } from "./facets.js";
+import { QueryParser } from "./query.js";
+import { FeedCache, LocalEventStore, } from "./store.js";
+import { Offline } from "./offline.js";
+// User preferences moved to their own module; re-exported for existing imports
+export { UserPreferencesApi } from "./preferences.js";
+const DEFAULT_TIMEOUT_MS = 15 * 1000;
+const DEFAULT_RETRIES = 2;
+// Retries wait a random time up to RETRY_DELAY_MS, doubling each time, so
+// clients that failed together don't all come back at once
+const RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 8 * 1000;
+// Sending these twice does no more than sending them once
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+// Statuses worth another try: timeouts, rate limits and server trouble
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+// Set to "api" in localStorage to log requests on every page
+const DEBUG_KEY = "venuu-debug";
+/**
+ * Base of every error ApiService throws
+ */
+export class ApiError extends Error {
+    constructor(message, method, url) {
+        super(message);
+        this.name = "ApiError";
+        this.method = method;
+        this.url = url;
+    }
+}
+/**
+ * The server couldn't be reached: offline, DNS or CORS trouble
+ */
+export class NetworkError extends ApiError {
+    constructor(method, url, cause) {
+        super(`${method} ${url} failed: no connection`, method, url);
+        this.name = "NetworkError";
+        this.cause = cause;
+    }
+}
+/**
+ * No complete response within the request's timeout
+ */
+export class TimeoutError extends ApiError {
+    constructor(method, url, timeout) {
+        super(`${method} ${url} timed out after ${timeout} ms`, method, url);
+        this.name = "TimeoutError";
+        this.timeout = timeout;
+    }
+}
+/**
+ * Aborted through the request's signal or by a newer request with the
+ * same `cancelKey`. Nothing went wrong, so it isn't logged.
+ */
+export class CanceledError extends ApiError {
+    constructor(method, url) {
+        super(`${method} ${url} was canceled`, method, url);
+        this.name = "CanceledError";
+    }
+}
+/**
+ * A response with a non-2xx status
+ */
+export class HttpError extends ApiError {
+    constructor(method, url, status, body) {
+        super(`${method} ${url} failed with status ${status}`, method, url);
+        this.name = "HttpError";
+        this.status = status;
+        this.body = body;
+    }
+}
+/**
+ * A JSON response that couldn't be parsed
+ */
+export class ParseError extends ApiError {
+    constructor(method, url) {
+        super(`${method} ${url} returned invalid JSON`, method, url);
+        this.name = "ParseError";
+    }
+}
+// Base API service
 export class ApiService {
     constructor(baseUrl = "") {
         this.baseUrl = baseUrl;
@@ -6,45 +91,100 @@ export class ApiService {
         };
     }
     /**
-     * Make HTTP request
+     * Run `interceptor` before every request; returns a function that
+     * removes it again
+     */
+    static addRequestInterceptor(interceptor) {
+        ApiService.requestInterceptors.push(interceptor);
+        return () => {
+            ApiService.requestInterceptors = ApiService.requestInterceptors.filter((other) => other !== interceptor);
+        };
+    }
+    /**
+     * Run `interceptor` on every response; returns a function that removes
+     * it again
+     */
+    static addResponseInterceptor(interceptor) {
+        ApiService.responseInterceptors.push(interceptor);
+        return () => {
+            ApiService.responseInterceptors = ApiService.responseInterceptors.filter((other) => other !== interceptor);
+        };
+    }
+    /**
+     * Log every response and retry at the "verbose" console level, e.g.
+     * while debugging a page; returns a function that stops it again
+     */
+    static enableLogging() {
+        ApiService.logging = true;
+        return () => {
+            ApiService.logging = false;
+        };
+    }
+    /**
+     * Make HTTP request. Failures reject with an ApiError subclass; a 304
+     * answer to a conditional request resolves to null.
      */
     async request(endpoint, options = {}) {
         const url = `${this.baseUrl}${endpoint}`;
-        const config = {
-            headers: { ...this.defaultHeaders, ...options.headers },
-            ...options,
-        };
+        const method = (options.method || "GET").toUpperCase();
+        const { cancelKey, signal } = options;
+        // Aborted by the caller's signal or a newer request with the same key
+        const canceler = new AbortController();
+        const cancel = () => canceler.abort();
+        if (cancelKey) {
+            ApiService.inFlight.get(cancelKey)?.abort();
+            ApiService.inFlight.set(cancelKey, canceler);
+        }
+        if (signal?.aborted)
+            cancel();
+        signal?.addEventListener("abort", cancel);
         try {
-            const response = await fetch(url, config);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const contentType = response.headers.get("content-type");
-            if (contentType && contentType.includes("application/json")) {
-                return await response.json();
+            const retries = IDEMPOTENT_METHODS.includes(method)
+                ? (options.retries ?? DEFAULT_RETRIES)
+                : 0;
+            for (let attempt = 0;; attempt++) {
+                try {
+                    return await this.send(url, options, canceler.signal);
+                }
+                catch (error) {
+                    if (attempt >= retries || !ApiService.isRetryable(error))
+                        throw error;
+                    const delay = ApiService.retryDelay(attempt);
+                    ApiService.log(`Retrying ${method} ${url} in ${delay} ms:`, error);
+                    await ApiService.wait(delay, canceler.signal, method, url);
+                }
             }
-            return (await response.text());
         }
         catch (error) {
-            console.error("API request failed:", error);
+            if (!(error instanceof CanceledError)) {
+                console.error("API request failed:", error);
+            }
             throw error;
         }
+        finally {
+            signal?.removeEventListener("abort", cancel);
+            if (cancelKey && ApiService.inFlight.get(cancelKey) === canceler) {
+                ApiService.inFlight.delete(cancelKey);
+            }
+        }
     }
     /**
      * GET request
      */
-    async get(endpoint, params = {}) {
+    async get(endpoint, params = {}, options = {}) {
         const queryString = new URLSearchParams(params).toString();
         const url = queryString ? `${endpoint}?${queryString}` : endpoint;
         return this.request(url, {
+            ...options,
             method: "GET",
         });
     }
     /**
      * POST request
      */
-    async post(endpoint, data = {}) {
+    async post(endpoint, data = {}, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: "POST",
             body: JSON.stringify(data),
         });
@@ -52,8 +192,9 @@ export class ApiService {
     /**
      * PUT request
      */
-    async put(endpoint, data = {}) {
+    async put(endpoint, data = {}, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: "PUT",
             body: JSON.stringify(data),
         });
@@ -61,168 +202,484 @@ export class ApiService {
     /**
      * DELETE request
      */
-    async delete(endpoint) {
+    async delete(endpoint, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: "DELETE",
         });
     }
+    /**
+     * Send a request once; a response interceptor may have it sent once
+     * more
+     */
+    async send(url, options, signal, resent = false) {
+        const { auth = true, headers, onResponse, timeout = DEFAULT_TIMEOUT_MS, retries, cancelKey, signal: callerSignal, ...init } = options;
+        const request = {
+            url,
+            method: (init.method || "GET").toUpperCase(),
+            headers: ApiService.mergeHeaders(this.defaultHeaders, headers),
+            auth,
+            resent,
+            startedAt: performance.now(),
+        };
+        for (const intercept of ApiService.requestInterceptors) {
+            await intercept(request);
+        }
+        const { response, text } = await ApiService.exchange(request, init, signal, timeout);
+        onResponse?.(response);
+        const ms = Math.round(performance.now() - request.startedAt);
+        ApiService.log(`${request.method} ${url} → ${response.status} (${ms} ms)`);
+        let resend = false;
+        for (const intercept of ApiService.responseInterceptors) {
+            if ((await intercept(response, request)) === true)
+                resend = true;
+        }
+        if (resend && !resent)
+            return this.send(url, options, signal, true);
+        const contentType = response.headers.get("content-type");
+        const json = !!contentType && contentType.includes("application/json");
+        if (response.status === 304)
+            return null;
+        if (!response.ok) {
+            throw new HttpError(request.method, url, response.status, json ? ApiService.parseBody(text) : text);
+        }
+        if (!json)
+            return text;
+        try {
+            return JSON.parse(text);
+        }
+        catch {
+            throw new ParseError(request.method, url);
+        }
+    }
+    /**
+     * Fetch a request and read its body, within `timeout` ms
+     */
+    static async exchange(request, init, signal, timeout) {
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        if (signal.aborted)
+            abort();
+        signal.addEventListener("abort", abort);
+        try {
+            const response = await fetch(request.url, {
+                ...init,
+                method: request.method,
+                headers: request.headers,
+                signal: controller.signal,
+            });
+            return { response, text: await response.text() };
+        }
+        catch (error) {
+            if (timedOut)
+                throw new TimeoutError(request.method, request.url, timeout);
+            if (controller.signal.aborted) {
+                throw new CanceledError(request.method, request.url);
+            }
+            throw new NetworkError(request.method, request.url, error);
+        }
+        finally {
+            clearTimeout(timer);
+            signal.removeEventListener("abort", abort);
+        }
+    }
+    /**
+     * Default headers with the request's own on top; `headers` may be a
+     * Headers instance, an array of pairs or a plain object
+     */
+    static mergeHeaders(defaults, headers = {}) {
+        const merged = new Headers(defaults);
+        new Headers(headers).forEach((value, name) => merged.set(name, value));
+        return merged;
+    }
+    /**
+     * An error body as JSON, or as text when it isn't valid JSON
+     */
+    static parseBody(text) {
+        try {
+            return JSON.parse(text);
+        }
+        catch {
+            return text;
+        }
+    }
+    static log(message, ...details) {
+        if (ApiService.logging)
+            console.debug(message, ...details);
+    }
+    /**
+     * Whether a failed attempt may work when sent again. Nothing is retried
+     * while the device is offline.
+     */
+    static isRetryable(error) {
+        if (!Offline.isOnline())
+            return false;
+        if (error instanceof HttpError)
+            return RETRY_STATUSES.includes(error.status);
+        return error instanceof NetworkError || error instanceof TimeoutError;
+    }
+    /**
+     * Exponential backoff with full jitter
+     */
+    static retryDelay(attempt) {
+        const cap = Math.min(MAX_RETRY_DELAY_MS, RETRY_DELAY_MS * 2 ** attempt);
+        return Math.round(Math.random() * cap);
+    }
+    static wait(ms, signal, method, url) {
+        return new Promise((resolve, reject) => {
+            const cancel = () => {
+                clearTimeout(timer);
+                reject(new CanceledError(method, url));
+            };
+            const timer = setTimeout(() => {
+                signal.removeEventListener("abort", cancel);
+                resolve();
+            }, ms);
+            if (signal.aborted)
+                cancel();
+            else
+                signal.addEventListener("abort", cancel, { once: true });
+        });
+    }
 }
+ApiService.requestInterceptors = [];
+ApiService.responseInterceptors = [];
+ApiService.inFlight = new Map();
+// Whether responses and retries are logged, see enableLogging
+ApiService.logging = false;
+try {
+    if (localStorage.getItem(DEBUG_KEY) === "api")
+        ApiService.enableLogging();
+}
+catch {
+    // No storage, e.g. outside a browser or with storage blocked
+}
+// Events per page: four rows of three cards
+export const PAGE_SIZE = 12;
+// Where the feed is fetched from, in order of preference
+const FEED_URLS = [
+    ["network", "/api/events"],
+    ["fallback", "./api-data.json"],
+];
+// A feed older than this is revalidated in the background
+const REVALIDATE_AFTER_MS = 5 * 60 * 1000;
+const FEED_CHANGE_EVENT = "venuu:feedchange";
 // Events API service
 export class EventsApi extends ApiService {
     constructor() {
         super();
         this.eventsCache = null;
-        this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
-        this.lastFetch = 0;
+        this.cachedRecords = null;
+        this.cachedLocalVersion = 0;
+        this.normalizationIssues = [];
+        this.searchIndex = null;
+        this.indexedEvents = null;
+        this.localEvents = new LocalEventStore();
+        // Events added through another EventsApi instance must show up here too
+        if (!EventsApi.watchingLocal) {
+            EventsApi.watchingLocal = true;
+            LocalEventStore.onChange(() => EventsApi.localVersion++);
+        }
     }
     /**
-     * Get all events with caching
+     * Get all events. The first call on a page answers from the copy kept
+     * in IndexedDB when there is one and revalidates it in the background;
+     * listen with onChange for the update.
      */
     async getEvents() {
-        const now = Date.now();
-        // Return cached data if still valid
-        if (this.eventsCache && now - this.lastFetch < this.cacheExpiry) {
+        const { records } = await EventsApi.loadFeed();
+        // Return cached data if neither the feed nor the local events changed
+        if (this.eventsCache &&
+            this.cachedRecords === records &&
+            this.cachedLocalVersion === EventsApi.localVersion) {
             return this.eventsCache;
         }
-        try {
-            // Try to fetch from API first
-            const events = await this.get("/api/events");
-            this.eventsCache = events;
-            this.lastFetch = now;
-            return events;
-        }
-        catch (error) {
-            console.warn("API fetch failed, trying local data:", error);
-            // Fallback to local JSON file
-            try {
-                const response = await fetch("./api-data.json");
-                const events = await response.json();
-                this.eventsCache = events;
-                this.lastFetch = now;
-                return events;
-            }
-            catch (localError) {
-                console.error("Failed to load events from local file:", localError);
-                throw new Error("Unable to load events data");
-            }
+        const localVersion = EventsApi.localVersion;
+        const events = this.normalize([
+            ...records,
+            ...(await this.getLocalEvents(records)),
+        ]);
+        this.eventsCache = events;
+        this.cachedRecords = records;
+        this.cachedLocalVersion = localVersion;
+        return events;
+    }
+    /**
+     * Where the last loaded events came from and when they were fetched;
+     * null before the first load
+     */
+    getDataStatus() {
+        return EventsApi.dataStatus;
+    }
+    /**
+     * Drop cached events so the next call rebuilds them
+     */
+    clearCache() {
+        this.eventsCache = null;
+        this.cachedRecords = null;
+    }
+    /**
+     * Drop the feed from this page and from the copies kept on the device.
+     * A signed-in user's feed has their own unpublished events, which
+     * whoever signs in next mustn't see; the next call fetches it again.
+     */
+    static async forgetFeed() {
+        EventsApi.feed = null;
+        await Promise.all([
+            EventsApi.feedCache.clear(),
+            Offline.clearCachedData(),
+        ]).catch((error) => {
+            console.warn("Could not clear the cached events:", error);
+        });
+    }
+    /**
+     * Fetch the feed again, conditionally when there is a copy, and apply
+     * what changed. Concurrent calls share one request.
+     */
+    static revalidate() {
+        if (!EventsApi.revalidating) {
+            EventsApi.revalidating = EventsApi.refreshFeed().finally(() => {
+                EventsApi.revalidating = null;
+            });
         }
+        return EventsApi.revalidating;
+    }
+    /**
+     * Run a callback when revalidating changed the feed
+     */
+    static onChange(listener) {
+        window.addEventListener(FEED_CHANGE_EVENT, (e) => listener(e.detail));
+    }
+    /**
+     * Records from the last load that could not be normalized
+     */
+    getNormalizationIssues() {
+        return [...this.normalizationIssues];
     }
     /**
      * Get event by ID
      */
     async getEventById(eventId) {
         const events = await this.getEvents();
-        return events.find((event) => event.id === eventId);
+        return events.find((event) => event.id === String(eventId));
     }
     /**
-     * Search events
+     * Full-text index over the current events, rebuilt when they change
+     */
+    async getSearchIndex() {
+        const events = await this.getEvents();
+        if (!this.searchIndex || this.indexedEvents !== events) {
+            this.searchIndex = new SearchIndex(events);
+            this.indexedEvents = events;
+        }
+        return this.searchIndex;
+    }
+    /**
+     * Search events. With a query and no explicit sort, results are ranked
+     * by relevance.
      */
     async searchEvents(searchParams = {}) {
         const events = await this.getEvents();
-        return events.filter((event) => {
-            // Get title from various possible locations
-            const title = event.title ||
-                event.title_en ||
-                (event.language && event.language.en && event.language.en.title) ||
-                "";
-            // Get location from various possible locations
-            const location = event.location ||
-                event.formatted_address ||
-                event.city ||
-                (event.language && event.language.en && event.language.en.place) ||
-                "";
-            // Get category - handle both array and string
-            const categories = Array.isArray(event.category)
-                ? event.category
-                : [event.category || event.event_category || ""];
+        const query = (searchParams.query || "").trim();
+        let relevance = null;
+        if (query) {
+            const index = await this.getSearchIndex();
+            relevance = new Map(index.search(query).map((hit) => [hit.event.id, hit.score]));
+        }
+        const results = events.filter((event) => {
             // Text search
-            if (searchParams.query) {
-                const query = searchParams.query.toLowerCase();
-                const matchesText = title.toLowerCase().includes(query) ||
-                    (event.description &&
-                        event.description.toLowerCase().includes(query)) ||
-                    location.toLowerCase().includes(query) ||
-                    categories.some((cat) => cat.toLowerCase().includes(query));
-                if (!matchesText)
-                    return false;
+            if (relevance && !relevance.has(event.id)) {
+                return false;
             }
             // Category filter
-            if (searchParams.category) {
-                if (!categories.includes(searchParams.category)) {
-                    return false;
-                }
+            if (searchParams.category &&
+                !EventsApi.matchesCategory(event, searchParams.category)) {
+                return false;
             }
             // Location filter
-            if (searchParams.location && location !== searchParams.location) {
+            if (searchParams.location &&
+                !EventsApi.matchesLocation(event, searchParams.location)) {
+                return false;
+            }
+            // Date range filter: any occurrence inside the range counts
+            if ((searchParams.startDate || searchParams.endDate) &&
+                !Occurrences.occursBetween(event, searchParams.startDate, searchParams.endDate)) {
+                return false;
+            }
+            // Price filters
+            if (searchParams.freeOnly && !event.price.isFree) {
+                return false;
+            }
+            if (!PriceParser.inRange(event.price, searchParams.minPrice, searchParams.maxPrice)) {
+                return false;
+            }
+            if (searchParams.queryFilters?.length &&
+                !QueryParser.matches(event, searchParams.queryFilters)) {
                 return false;
             }
-            // Date range filter
-            if (searchParams.startDate || searchParams.endDate) {
-                const eventDate = new Date(event.start || event.date || "");
-                if (searchParams.startDate &&
-                    eventDate < new Date(searchParams.startDate)) {
+            // Facets: any selected value within a facet, every facet
+            if (searchParams.facets && !Facets.matches(event, searchParams.facets)) {
+                return false;
+            }
+            // Geo filters: events without coordinates never match
+            if (searchParams.bounds || searchParams.near) {
+                if (!event.coordinates)
+                    return false;
+                if (searchParams.bounds &&
+                    !Geo.inBounds(event.coordinates, searchParams.bounds)) {
                     return false;
                 }
-                if (searchParams.endDate &&
-                    eventDate > new Date(searchParams.endDate)) {
+                if (searchParams.near &&
+                    typeof searchParams.radiusKm === "number" &&
+                    !Geo.withinRadius(event.coordinates, searchParams.near, searchParams.radiusKm)) {
                     return false;
                 }
             }
             return true;
         });
+        if (searchParams.sort) {
+            return EventsApi.sortEvents(results, searchParams.sort, searchParams.near);
+        }
+        if (relevance) {
+            const scores = relevance;
+            return results.sort((a, b) => (scores.get(b.id) || 0) - (scores.get(a.id) || 0));
+        }
+        return results;
     }
     /**
-     * Get unique categories
+     * Facet counts for a search. Each facet is counted without its own
+     * selection, so the counts show what picking another value would give.
+     */
+    async getFacets(searchParams = {}) {
+        const { facets, sort, ...filters } = searchParams;
+        const events = await this.searchEvents(filters);
+        return Facets.count(events, facets);
+    }
+    /**
+     * One page of a search; pass each page's `nextCursor` to get the next.
+     * When the events come from the server and it can run the search, it
+     * is asked for the page and its X-Next-Cursor followed. Otherwise the
+     * page is taken from `results`, a page's own results for the search,
+     * or from searchEvents.
+     */
+    async getPage(searchParams = {}, page = {}, results) {
+        const query = EventsApi.serverQuery(searchParams);
+        if (query && (await this.pagesOnServer())) {
+            try {
+                return await this.fetchPage(query, page);
+            }
+            catch (error) {
+                // E.g. offline, or a cursor from a page taken here
+                console.warn("Could not load the page from the server:", error);
+            }
+        }
+        return EventsApi.page(results || (await this.searchEvents(searchParams)), page);
+    }
+    /**
+     * One page of a list of results, for pages that filter the events
+     * themselves. The cursor is the offset of the page. A cursor past the
+     * end, e.g. after the list shrank between loads, or one that isn't an
+     * offset gives an empty last page rather than the first page again.
+     */
+    static page(events, { cursor = null, limit = PAGE_SIZE } = {}) {
+        const start = cursor === null || cursor === "" ? 0 : Number(cursor);
+        if (!Number.isInteger(start) || start < 0 || start >= events.length) {
+            return { events: [], nextCursor: null, total: events.length };
+        }
+        const end = start + Math.max(1, limit);
+        return {
+            events: events.slice(start, end),
+            nextCursor: end < events.length ? String(end) : null,
+            total: events.length,
+        };
+    }
+    /**
+     * Sort a copy of the given events. Date sorting uses each event's next
+     * upcoming occurrence; distance sorting needs an `origin`.
+     */
+    static sortEvents(events, sort, origin) {
+        const [field, order] = sort.split("-");
+        const direction = order === "desc" ? -1 : 1;
+        return [...events].sort((a, b) => {
+            switch (field) {
+                case "distance":
+                    return EventsApi.compareDistance(a, b, origin, order);
+                case "price":
+                    return PriceParser.compare(a.price, b.price, order);
+                case "title":
+                    return (direction *
+                        EventNormalizer.localize(a.title).localeCompare(EventNormalizer.localize(b.title)));
+                case "date":
+                default:
+                    return Occurrences.compare(a, b, order);
+            }
+        });
+    }
+    /**
+     * Get unique categories (English names)
      */
     async getCategories() {
         const events = await this.getEvents();
         const categoriesSet = new Set();
         events.forEach((event) => {
-            if (Array.isArray(event.category)) {
-                event.category.forEach((cat) => categoriesSet.add(cat));
-            }
-            else if (event.category) {
-                categoriesSet.add(event.category);
-            }
-            else if (event.event_category) {
-                categoriesSet.add(event.event_category);
-            }
+            event.categories.forEach((cat) => categoriesSet.add(EventNormalizer.termName(cat)));
         });
         return Array.from(categoriesSet).sort();
     }
     /**
-     * Get unique locations
+     * Get unique locations as "postal city" labels
      */
     async getLocations() {
         const events = await this.getEvents();
         const locationsSet = new Set();
         events.forEach((event) => {
-            const location = event.location ||
-                event.formatted_address ||
-                event.city ||
-                (event.language && event.language.en && event.language.en.place);
+            const location = EventNormalizer.locationLabel(event);
             if (location) {
                 locationsSet.add(location);
             }
         });
         return Array.from(locationsSet).sort();
     }
+    /**
+     * Postal codes with the average position of their events, used as a
+     * fallback origin when the browser cannot tell us where the user is
+     */
+    async getPostalCentroids() {
+        const events = await this.getEvents();
+        const byPostal = new Map();
+        events.forEach((event) => {
+            if (!event.postal || !event.coordinates)
+                return;
+            const entry = byPostal.get(event.postal) || {
+                label: EventNormalizer.locationLabel(event),
+                points: [],
+            };
+            entry.points.push(event.coordinates);
+            byPostal.set(event.postal, entry);
+        });
+        return Array.from(byPostal.entries())
+            .map(([postal, entry]) => ({
+            postal,
+            label: entry.label,
+            center: Geo.centroid(entry.points),
+        }))
+            .sort((a, b) => a.postal.localeCompare(b.postal));
+    }
     /**
      * Get featured events
      */
     async getFeaturedEvents(limit = 6) {
         const events = await this.getEvents();
-        // Sort by date and return upcoming events
+        // Sort by next occurrence and return upcoming events
+        const now = new Date();
         const upcomingEvents = events
-            .filter((event) => {
-            const eventDate = new Date(event.start || event.date || "");
-            return eventDate >= new Date();
-        })
-            .sort((a, b) => {
-            const dateA = new Date(a.start || a.date || "");
-            const dateB = new Date(b.start || b.date || "");
-            return dateA.getTime() - dateB.getTime();
-        });
+            .filter((event) => Occurrences.nextOccurrence(event, now) !== null)
+            .sort((a, b) => Occurrences.compare(a, b, "asc", now));
         return upcomingEvents.slice(0, limit);
     }
     /**
@@ -230,127 +687,294 @@ export class EventsApi extends ApiService {
      */
     async getEventsByCategory(category) {
         const events = await this.getEvents();
-        return events.filter((event) => {
-            if (Array.isArray(event.category)) {
-                return event.category.includes(category);
-            }
-            return event.category === category || event.event_category === category;
-        });
+        return events.filter((event) => EventsApi.matchesCategory(event, category));
     }
     /**
      * Get events by location
      */
     async getEventsByLocation(location) {
         const events = await this.getEvents();
-        return events.filter((event) => {
-            const eventLocation = event.location ||
-                event.formatted_address ||
-                event.city ||
-                (event.language && event.language.en && event.language.en.place);
-            return eventLocation === location;
-        });
+        return events.filter((event) => EventsApi.matchesLocation(event, location));
     }
-}
-// User preferences API (local storage based)
-export class UserPreferencesApi {
-    constructor() {
-        this.storageKey = "venuu-preferences";
+    /**
+     * A category matches on its Icelandic name, English name or tag
+     */
+    static matchesCategory(event, category) {
+        const wanted = category.toLowerCase();
+        return event.categories.some((cat) => cat.name.toLowerCase() === wanted ||
+            cat.nameEn.toLowerCase() === wanted ||
+            cat.tag.toLowerCase() === wanted);
     }
     /**
-     * Get user preferences
+     * Distance from an event to a point in km, or null without coordinates
      */
-    getPreferences() {
-        const defaultPrefs = {
-            favorites: [],
-            theme: "light",
-            language: "en",
-            notifications: true,
-            searchHistory: [],
-        };
-        try {
-            const stored = localStorage.getItem(this.storageKey);
-            return stored ? { ...defaultPrefs, ...JSON.parse(stored) } : defaultPrefs;
-        }
-        catch (error) {
-            console.error("Error loading preferences:", error);
-            return defaultPrefs;
-        }
+    static distanceTo(event, point) {
+        return event.coordinates ? Geo.distanceKm(event.coordinates, point) : null;
     }
     /**
-     * Save user preferences
+     * Compare two events by distance from `origin`; events without
+     * coordinates always sort last
      */
-    savePreferences(preferences) {
-        try {
-            const currentPrefs = this.getPreferences();
-            const updatedPrefs = { ...currentPrefs, ...preferences };
-            localStorage.setItem(this.storageKey, JSON.stringify(updatedPrefs));
+    static compareDistance(a, b, origin, order = "asc") {
+        if (!origin)
+            return 0;
+        const distanceA = EventsApi.distanceTo(a, origin);
+        const distanceB = EventsApi.distanceTo(b, origin);
+        if (distanceA === null && distanceB === null)
+            return 0;
+        if (distanceA === null)
+            return 1;
+        if (distanceB === null)
+            return -1;
+        return order === "asc" ? distanceA - distanceB : distanceB - distanceA;
+    }
+    /**
+     * A location matches on postal code, city or the "postal city" label
+     */
+    static matchesLocation(event, location) {
+        return (event.postal === location ||
+            event.city === location ||
+            EventNormalizer.locationLabel(event) === location);
+    }
+    /**
+     * The shared feed: from memory, else the IndexedDB copy, else the
+     * network. A copy older than REVALIDATE_AFTER_MS is revalidated in the
+     * background.
+     */
+    static loadFeed() {
+        const feed = EventsApi.feed;
+        if (feed) {
+            if (Date.now() - Date.parse(feed.fetchedAt) > REVALIDATE_AFTER_MS) {
+                EventsApi.revalidate();
+            }
+            return Promise.resolve(feed);
         }
-        catch (error) {
-            console.error("Error saving preferences:", error);
+        if (!EventsApi.loading) {
+            EventsApi.loading = EventsApi.openFeed().finally(() => {
+                EventsApi.loading = null;
+            });
         }
+        return EventsApi.loading;
     }
     /**
-     * Add event to favorites
+     * First load on a page: show the kept copy right away and revalidate it,
+     * or wait for the network when there is none
      */
-    addToFavorites(eventId) {
-        const prefs = this.getPreferences();
-        if (!prefs.favorites.includes(eventId)) {
-            prefs.favorites.push(eventId);
-            this.savePreferences(prefs);
+    static async openFeed() {
+        const cached = await EventsApi.feedCache.read().catch((error) => {
+            console.warn("Could not read the cached events:", error);
+            return null;
+        });
+        if (cached) {
+            EventsApi.setFeed(cached, {
+                source: "cache",
+                updatedAt: new Date(cached.fetchedAt),
+            });
+            EventsApi.revalidate();
+            return cached;
         }
+        await EventsApi.revalidate();
+        if (!EventsApi.feed)
+            throw new Error("Unable to load events data");
+        return EventsApi.feed;
+    }
+    static async refreshFeed() {
+        const previous = EventsApi.feed;
+        for (const [source, url] of FEED_URLS) {
+            let status = { source, updatedAt: new Date() };
+            let etag = null;
+            let lastModified = null;
+            try {
+                const records = await EventsApi.client.request(url, {
+                    method: "GET",
+                    auth: source === "network",
+                    // Validators only match the copy they came with
+                    headers: previous?.source === source ? EventsApi.validators(previous) : {},
+                    onResponse: (response) => {
+                        status = Offline.statusOf(response, source);
+                        etag = response.headers.get("ETag");
+                        lastModified = response.headers.get("Last-Modified");
+                    },
+                });
+                const fetchedAt = new Date().toISOString();
+                if (records === null && previous) {
+                    // 304: the copy we have is current
+                    const confirmed = { ...previous, fetchedAt };
+                    EventsApi.setFeed(confirmed, status);
+                    await EventsApi.feedCache.touch(confirmed).catch((error) => {
+                        console.warn("Could not update the cached events:", error);
+                    });
+                    return;
+                }
+                if (!Array.isArray(records)) {
+                    throw new Error(`Unexpected ${url} response`);
+                }
+                await EventsApi.applyFeed({ records, source, etag, lastModified, fetchedAt }, status);
+                return;
+            }
+            catch (error) {
+                console.warn(`Could not load events from ${url}:`, error);
+            }
+        }
+        // Nothing answered; a copy we already have stays in use
+        if (!previous)
+            console.error("Failed to load events from any source");
     }
     /**
-     * Remove event from favorites
+     * Keep a newly fetched feed, writing what changed to IndexedDB, and tell
+     * listeners when it differs from the previous copy
      */
-    removeFromFavorites(eventId) {
-        const prefs = this.getPreferences();
-        prefs.favorites = prefs.favorites.filter((id) => id !== eventId);
-        this.savePreferences(prefs);
+    static async applyFeed(next, status) {
+        const previous = EventsApi.feed;
+        const changes = await EventsApi.feedCache
+            .write(next, previous?.records)
+            .catch((error) => {
+            console.warn("Could not cache events:", error);
+            return FeedCache.diff(previous?.records || [], next.records);
+        });
+        const changed = changes.added + changes.updated + changes.removed > 0;
+        // Unchanged records keep their identity, so nothing is rebuilt
+        EventsApi.setFeed(previous && !changed ? { ...next, records: previous.records } : next, status);
+        if (previous && changed) {
+            window.dispatchEvent(new CustomEvent(FEED_CHANGE_EVENT, {
+                detail: {
+                    added: changes.added,
+                    updated: changes.updated,
+                    removed: changes.removed,
+                },
+            }));
+        }
+    }
+    static setFeed(feed, status) {
+        EventsApi.feed = feed;
+        EventsApi.dataStatus = status;
+        Offline.setDataStatus(status);
     }
     /**
-     * Check if event is favorited
+     * Conditional request headers for revalidating `feed`
      */
-    isFavorited(eventId) {
-        const prefs = this.getPreferences();
-        return prefs.favorites.includes(eventId);
+    static validators(feed) {
+        const headers = {};
+        if (feed.etag)
+            headers["If-None-Match"] = feed.etag;
+        if (feed.lastModified)
+            headers["If-Modified-Since"] = feed.lastModified;
+        return headers;
     }
     /**
-     * Get favorite events
+     * Whether the events come from the server, which is reachable and has
+     * every event shown; those created in this browser may not be sent yet
      */
-    getFavorites() {
-        const prefs = this.getPreferences();
-        return prefs.favorites;
+    async pagesOnServer() {
+        if (!Offline.isOnline())
+            return false;
+        try {
+            const { records, source } = await EventsApi.loadFeed();
+            return (source === "network" &&
+                (await this.getLocalEvents(records)).length === 0);
+        }
+        catch {
+            return false;
+        }
     }
     /**
-     * Add search to history
+     * Ask /api/events for one page of a search
      */
-    addSearchToHistory(query) {
-        if (!query.trim())
-            return;
-        const prefs = this.getPreferences();
-        const history = prefs.searchHistory.filter((item) => item !== query);
-        history.unshift(query);
-        prefs.searchHistory = history.slice(0, 10); // Keep only last 10 searches
-        this.savePreferences(prefs);
+    async fetchPage(query, { cursor = null, limit = PAGE_SIZE }) {
+        query.set("limit", String(Math.max(1, limit)));
+        if (cursor)
+            query.set("cursor", cursor);
+        let nextCursor = null;
+        let total = 0;
+        const records = await this.get("/api/events", Object.fromEntries(query), {
+            onResponse: (response) => {
+                nextCursor = response.headers.get("X-Next-Cursor");
+                total = Number(response.headers.get("X-Total-Count")) || 0;
+            },
+        });
+        if (!Array.isArray(records)) {
+            throw new Error("Unexpected /api/events response");
+        }
+        return {
+            events: EventNormalizer.normalizeAll(records).events,
+            nextCursor,
+            total,
+        };
     }
     /**
-     * Get search history
+     * The /api/events query for a search, or null when the server can't run
+     * it like searchEvents does: it has no ranked text search, facets, map
+     * area or location labels, and without a sort it orders by date rather
+     * than keeping the feed's order
      */
-    getSearchHistory() {
-        const prefs = this.getPreferences();
-        return prefs.searchHistory;
+    static serverQuery(searchParams) {
+        const { category, startDate, endDate, minPrice, maxPrice, freeOnly } = searchParams;
+        const { near, radiusKm, sort } = searchParams;
+        if (searchParams.query?.trim() ||
+            searchParams.location ||
+            searchParams.bounds ||
+            searchParams.queryFilters?.length ||
+            (searchParams.facets && !Facets.isEmpty(searchParams.facets)) ||
+            !sort ||
+            (sort.startsWith("distance") && !near)) {
+            return null;
+        }
+        const query = new URLSearchParams({ sort });
+        if (category)
+            query.set("category", category);
+        if (startDate)
+            query.set("from", startDate);
+        if (endDate)
+            query.set("to", endDate);
+        if (minPrice !== undefined)
+            query.set("minPrice", String(minPrice));
+        if (maxPrice !== undefined)
+            query.set("maxPrice", String(maxPrice));
+        if (freeOnly)
+            query.set("free", "1");
+        if (near) {
+            query.set("near", `${near.lat},${near.lng}`);
+            if (typeof radiusKm === "number")
+                query.set("radius", String(radiusKm));
+        }
+        return query;
     }
     /**
-     * Clear search history
+     * Events created in this browser that the feed doesn't have yet. Once
+     * the feed has an event with the same id, the feed's copy wins.
      */
-    clearSearchHistory() {
-        const prefs = this.getPreferences();
-        prefs.searchHistory = [];
-        this.savePreferences(prefs);
+    async getLocalEvents(feed) {
+        const feedIds = new Set(feed.map((raw) => String(raw.id)));
+        try {
+            return (await this.localEvents.getAll()).filter((raw) => !feedIds.has(String(raw.id)));
+        }
+        catch (error) {
+            console.error("Failed to load locally created events:", error);
+            return [];
+        }
+    }
+    normalize(rawEvents) {
+        const { events, issues } = EventNormalizer.normalizeAll(rawEvents);
+        this.normalizationIssues = issues;
+        if (issues.length > 0) {
+            console.warn(`Skipped ${issues.length} event record(s) that could not be normalized:`, issues);
+        }
+        return events;
     }
 }
+// The feed is shared by every EventsApi on the page, so it is loaded
+// and revalidated once whichever instance asks first
+EventsApi.feed = null;
+EventsApi.loading = null;
+EventsApi.revalidating = null;
+EventsApi.dataStatus = null;
+EventsApi.feedCache = new FeedCache();
+EventsApi.client = new ApiService();
+// Counts changes to the events created in this browser; one listener
+// serves every instance
+EventsApi.localVersion = 0;
+EventsApi.watchingLocal = false;
 if (typeof window !== "undefined") {
     window.EventsApi = EventsApi;
-    window.UserPreferencesApi = UserPreferencesApi;
 }
 //# sourceMappingURL=api.js.map
\ No newline at end of file
@@ -0,0 +1,252 @@
+// Authentication for Venuu app
+import { ApiService, EventsApi, HttpError } from "./api.js";
+import { I18n } from "./i18n.js";
+import { Utils } from "./utils.js";
+const SESSION_KEY = "venuu-session";
+const CHANGE_EVENT = "venuu:authchange";
+// Refresh a little early so a token never expires mid-request
+const REFRESH_MARGIN_MS = 30 * 1000;
+/**
+ * Message keys for the statuses /api/auth/* answers with
+ */
+const ERROR_KEYS = {
+    400: "auth.error.invalid",
+    401: "auth.error.credentials",
+    409: "auth.error.exists",
+};
+export class AuthError extends Error {
+    constructor(message, status = 0) {
+        super(message);
+        this.name = "AuthError";
+        this.status = status;
+    }
+}
+/**
+ * Login, registration and password reset against /api/auth/*. The session
+ * token is attached to every ApiService request and refreshed before it
+ * expires.
+ */
+export class Auth {
+    static getSession() {
+        return Utils.storage.get(SESSION_KEY);
+    }
+    static getUser() {
+        return Auth.getSession()?.user || null;
+    }
+    static isSignedIn() {
+        return Auth.getSession() !== null;
+    }
+    static async login(email, password) {
+        const session = await Auth.call("/api/auth/login", {
+            email,
+            password,
+        });
+        return Auth.save(session).user;
+    }
+    static async register(name, email, password) {
+        const session = await Auth.call("/api/auth/register", {
+            name,
+            email,
+            password,
+        });
+        return Auth.save(session).user;
+    }
+    /**
+     * End the session here, and on the server when it can be reached
+     */
+    static async logout() {
+        const session = Auth.getSession();
+        if (!session)
+            return;
+        Auth.clear();
+        try {
+            await Auth.call("/api/auth/logout", {
+                refreshToken: session.refreshToken,
+            });
+        }
+        catch (error) {
+            console.warn("Could not end the session on the server:", error);
+        }
+    }
+    /**
+     * Ask for a password reset link to be sent to an address
+     */
+    static async requestPasswordReset(email) {
+        await Auth.call("/api/auth/password-reset", { email });
+    }
+    /**
+     * Set a new password with the token from a reset link
+     */
+    static async resetPassword(token, password) {
+        await Auth.call("/api/auth/password-reset/confirm", { token, password }, { 400: "auth.error.resetToken" });
+    }
+    /**
+     * Access token for a request, refreshed first when it is about to expire
+     */
+    static async getToken() {
+        const session = Auth.getSession();
+        if (!session)
+            return null;
+        if (session.expiresAt - REFRESH_MARGIN_MS > Date.now()) {
+            return session.token;
+        }
+        return (await Auth.refresh())?.token || null;
+    }
+    /**
+     * Exchange the refresh token for a new session. Concurrent callers share
+     * one request; a rejected refresh token ends the session.
+     */
+    static refresh() {
+        if (!Auth.refreshing) {
+            Auth.refreshing = Auth.renew().finally(() => {
+                Auth.refreshing = null;
+            });
+        }
+        return Auth.refreshing;
+    }
+    /**
+     * Guard for actions that need an account: true when signed in, otherwise
+     * sends the user to the login page, which brings them back afterwards
+     */
+    static requireUser() {
+        if (Auth.isSignedIn())
+            return true;
+        window.location.assign(Auth.loginUrl());
+        return false;
+    }
+    /**
+     * Login page URL that returns to `next` (by default the current page)
+     */
+    static loginUrl(next = Auth.currentPage()) {
+        return `login.html?next=${encodeURIComponent(next)}`;
+    }
+    /**
+     * Where to go after logging in: the `next` parameter when it is one of
+     * our pages, otherwise the homepage
+     */
+    static nextUrl() {
+        const next = Utils.getQueryParams().next || "";
+        return /^[\w-]+\.html(?:[?#].*)?$/.test(next) ? next : "index.html";
+    }
+    /**
+     * Run a callback when the user signs in or out, in this tab or another
+     */
+    static onChange(listener) {
+        window.addEventListener(CHANGE_EVENT, () => listener(Auth.getUser()));
+    }
+    /**
+     * Show the signed-in user on the header's login links
+     */
+    static renderNav(root = document) {
+        const user = Auth.getUser();
+        root.querySelectorAll("[data-auth-link]").forEach((link) => {
+            const label = link.querySelector("[data-auth-label]");
+            if (!label)
+                return;
+            if (user) {
+                const name = user.name || user.email;
+                label.removeAttribute("data-i18n");
+                label.textContent = name;
+                link.title = I18n.t("auth.signedInAs", { name });
+            }
+            else {
+                label.setAttribute("data-i18n", "nav.login");
+                label.textContent = I18n.t("nav.login");
+                link.removeAttribute("title");
+            }
+        });
+    }
+    static init() {
+        ApiService.addRequestInterceptor(async (request) => {
+            const token = request.auth ? await Auth.getToken() : null;
+            if (token)
+                request.headers.set("Authorization", `Bearer ${token}`);
+        });
+        // The token was revoked or expired early: refresh it and try once more
+        ApiService.addResponseInterceptor(async (response, request) => response.status === 401 &&
+            request.headers.has("Authorization") &&
+            !request.resent &&
+            (await Auth.refresh()) !== null);
+        // Sessions are shared by all tabs through localStorage
+        window.addEventListener("storage", (e) => {
+            if (e.key === SESSION_KEY)
+                Auth.notify();
+        });
+        Auth.onChange(() => Auth.renderNav());
+        I18n.onChange(() => Auth.renderNav());
+        if (document.readyState === "loading") {
+            document.addEventListener("DOMContentLoaded", () => Auth.renderNav());
+        }
+        else {
+            Auth.renderNav();
+        }
+    }
+    static async renew() {
+        const session = Auth.getSession();
+        if (!session)
+            return null;
+        try {
+            return Auth.save(await Auth.call("/api/auth/refresh", {
+                refreshToken: session.refreshToken,
+            }));
+        }
+        catch (error) {
+            // Another tab may have used the refresh token first
+            const current = Auth.getSession();
+            if (current && current.refreshToken !== session.refreshToken) {
+                return current;
+            }
+            // Offline or server trouble keeps the session for a later try
+            if (error instanceof AuthError && error.status === 401)
+                Auth.clear();
+            return null;
+        }
+    }
+    static async call(endpoint, body, errorKeys = {}) {
+        try {
+            return await Auth.api.request(endpoint, {
+                method: "POST",
+                body: JSON.stringify(body),
+                auth: false,
+            });
+        }
+        catch (error) {
+            const status = error instanceof HttpError ? error.status : 0;
+            const key = errorKeys[status] || ERROR_KEYS[status] || "auth.error.unavailable";
+            throw new AuthError(I18n.t(key), status);
+        }
+    }
+    static save(response) {
+        if (!response || !response.token || !response.user) {
+            throw new AuthError(I18n.t("auth.error.unavailable"));
+        }
+        const session = {
+            token: response.token,
+            refreshToken: response.refreshToken,
+            expiresAt: Date.now() + response.expiresIn * 1000,
+            user: response.user,
+        };
+        Utils.storage.set(SESSION_KEY, session);
+        Auth.notify();
+        return session;
+    }
+    static clear() {
+        Utils.storage.remove(SESSION_KEY);
+        EventsApi.forgetFeed();
+        Auth.notify();
+    }
+    static notify() {
+        window.dispatchEvent(new CustomEvent(CHANGE_EVENT));
+    }
+    static currentPage() {
+        const page = window.location.pathname.split("/").pop() || "index.html";
+        return page + window.location.search + window.location.hash;
+    }
+}
+Auth.api = new ApiService();
+Auth.refreshing = null;
+if (typeof window !== "undefined") {
+    window.Auth = Auth;
+    Auth.init();
+}
+//# sourceMappingURL=auth.js.map
\ No newline at end of file
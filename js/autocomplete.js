@@ -0,0 +1,421 @@
+import { EventNormalizer } from "./normalize.js";
+import { SearchIndex } from "./search.js";
+import { I18n } from "./i18n.js";
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const GROUP_ORDER = [
+    "recent",
+    "event",
+    "venue",
+    "city",
+    "category",
+];
+/**
+ * Builds suggestion entries from events and matches them against what
+ * the user has typed so far, tolerating small typos
+ */
+export class AutocompleteProvider {
+    constructor(events = [], language = I18n.getLanguage()) {
+        this.entries = [];
+        this.vocabulary = new Map();
+        this.events = [];
+        this.language = language;
+        this.setEvents(events);
+    }
+    /**
+     * Show event titles and category names in another language
+     */
+    setLanguage(language) {
+        this.language = language;
+        this.setEvents(this.events);
+    }
+    /**
+     * Rebuild the suggestion entries
+     */
+    setEvents(events) {
+        this.events = events;
+        const byKey = new Map();
+        const add = (type, label, aliases = [], source = {}) => {
+            const clean = (label || "").trim();
+            if (!clean)
+                return;
+            const folded = SearchIndex.fold(clean);
+            const key = source.event
+                ? `event:${source.event.id}`
+                : `${type}:${folded}`;
+            const existing = byKey.get(key);
+            if (existing) {
+                existing.count += 1;
+                return;
+            }
+            byKey.set(key, {
+                type,
+                label: clean,
+                value: clean,
+                event: source.event,
+                term: source.term,
+                words: AutocompleteProvider.words([clean, ...aliases].join(" ")),
+                folded,
+                count: 1,
+            });
+        };
+        events.forEach((event) => {
+            const title = EventNormalizer.localize(event.title, this.language);
+            // Events can also be found by where they take place
+            add("event", title, [event.title.is, event.title.en, event.place.is, event.place.en], { event });
+            add("venue", event.place.is, [event.place.en]);
+            if (event.place.en && event.place.en !== event.place.is) {
+                add("venue", event.place.en, [event.place.is]);
+            }
+            add("venue", event.address);
+            add("city", event.city);
+            [...event.categories, ...event.types].forEach((term) => {
+                add("category", EventNormalizer.termName(term, this.language), [term.name, term.nameEn], { term });
+            });
+        });
+        this.entries = Array.from(byKey.values());
+        // Every distinct word points at the entries containing it, so typo
+        // matching runs once per word instead of once per entry
+        this.vocabulary = new Map();
+        this.entries.forEach((entry, index) => {
+            new Set(entry.words).forEach((word) => {
+                const list = this.vocabulary.get(word) || [];
+                list.push(index);
+                this.vocabulary.set(word, list);
+            });
+        });
+    }
+    /**
+     * Number of suggestion entries available
+     */
+    get size() {
+        return this.entries.length;
+    }
+    /**
+     * Suggestions for a query, grouped by type in a fixed order
+     */
+    suggest(query, limit = 5) {
+        const queryWords = AutocompleteProvider.words(query);
+        if (queryWords.length === 0)
+            return [];
+        const foldedQuery = SearchIndex.fold(query.trim());
+        const groups = new Map();
+        let scores = null;
+        // Every typed word has to match some word of the entry
+        for (const queryWord of queryWords) {
+            const next = new Map();
+            this.vocabulary.forEach((indexes, word) => {
+                const wordScore = AutocompleteProvider.matchWord(queryWord, word);
+                if (wordScore === 0)
+                    return;
+                indexes.forEach((index) => {
+                    const previous = scores ? scores.get(index) : 0;
+                    if (previous === undefined)
+                        return;
+                    next.set(index, Math.max(next.get(index) || 0, previous + wordScore));
+                });
+            });
+            scores = next;
+            if (scores.size === 0)
+                return [];
+        }
+        scores.forEach((matchScore, index) => {
+            const entry = this.entries[index];
+            let score = matchScore;
+            // Prefer entries that start with the whole query, then popular ones
+            if (entry.folded.startsWith(foldedQuery))
+                score += 1;
+            score += Math.min(entry.count, 50) / 100;
+            const list = groups.get(entry.type) || [];
+            list.push({
+                type: entry.type,
+                label: entry.label,
+                value: entry.value,
+                event: entry.event,
+                term: entry.term,
+                score,
+            });
+            groups.set(entry.type, list);
+        });
+        return GROUP_ORDER.filter((type) => groups.has(type)).map((type) => {
+            // Series share a title; suggest it once
+            const seen = new Set();
+            const items = groups.get(type)
+                .sort((a, b) => b.score - a.score || a.label.localeCompare(b.label))
+                .filter((item) => {
+                if (seen.has(item.label))
+                    return false;
+                seen.add(item.label);
+                return true;
+            });
+            return {
+                type,
+                label: I18n.t(`autocomplete.${type}`),
+                items: items.slice(0, limit),
+            };
+        });
+    }
+    /**
+     * Recent searches as a suggestion group
+     */
+    static recentGroup(searches, limit = 5) {
+        return {
+            type: "recent",
+            label: I18n.t("autocomplete.recent"),
+            items: searches.slice(0, limit).map((search) => ({
+                type: "recent",
+                label: search,
+                value: search,
+                score: 0,
+            })),
+        };
+    }
+    /**
+     * Optimal string alignment distance: insertions, deletions,
+     * substitutions and swapped neighbours each cost 1
+     */
+    static editDistance(a, b) {
+        const rows = a.length + 1;
+        const cols = b.length + 1;
+        const d = Array.from({ length: rows }, (_, i) => Array.from({ length: cols }, (_, j) => (i === 0 ? j : j === 0 ? i : 0)));
+        for (let i = 1; i < rows; i++) {
+            for (let j = 1; j < cols; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return d[a.length][b.length];
+    }
+    static words(text) {
+        return SearchIndex.fold(text || "").match(WORD_PATTERN) || [];
+    }
+    /**
+     * How well a typed word matches a word of an entry. The last word is
+     * usually still being typed, so prefixes count as matches.
+     */
+    static matchWord(word, candidate) {
+        if (candidate === word)
+            return 1.2;
+        if (candidate.startsWith(word))
+            return 1;
+        if (word.length >= 3 && candidate.includes(word))
+            return 0.6;
+        const allowedTypos = word.length <= 3 ? 0 : word.length <= 6 ? 1 : 2;
+        if (allowedTypos === 0 || candidate.length < word.length - allowedTypos) {
+            return 0;
+        }
+        // Compare against the candidate's prefix of similar length so a
+        // half-typed word with a typo still matches
+        const distance = Math.min(AutocompleteProvider.editDistance(word, candidate), AutocompleteProvider.editDistance(word, candidate.slice(0, word.length)), AutocompleteProvider.editDistance(word, candidate.slice(0, word.length + 1)));
+        return distance <= allowedTypos ? 0.5 - distance * 0.1 : 0;
+    }
+}
+let instanceCount = 0;
+/**
+ * Combobox behaviour for a search input: renders grouped suggestions and
+ * handles arrow keys, Enter and Escape
+ */
+export class Autocomplete {
+    constructor(input, options) {
+        this.suggestions = [];
+        this.activeIndex = -1;
+        this.input = input;
+        this.options = options;
+        this.idPrefix = `autocomplete-${++instanceCount}`;
+        const container = options.container;
+        if (!container.id)
+            container.id = `${this.idPrefix}-list`;
+        container.setAttribute("role", "listbox");
+        container.classList.add("autocomplete-list");
+        input.setAttribute("role", "combobox");
+        input.setAttribute("aria-autocomplete", "list");
+        input.setAttribute("aria-controls", container.id);
+        input.setAttribute("aria-expanded", "false");
+        input.setAttribute("autocomplete", "off");
+        this.bindEvents();
+    }
+    /**
+     * Re-render suggestions for the current input value
+     */
+    update() {
+        const value = this.input.value.trim();
+        const query = this.options.query ? this.options.query(value).trim() : value;
+        const { provider, recent, limit } = this.options;
+        let groups;
+        if (!value) {
+            const searches = recent ? recent() : [];
+            groups =
+                searches.length > 0
+                    ? [AutocompleteProvider.recentGroup(searches, limit)]
+                    : [];
+            if (groups.length === 0) {
+                this.close();
+                return;
+            }
+        }
+        else if (!query) {
+            this.close();
+            return;
+        }
+        else if (provider.size === 0) {
+            this.renderMessage(I18n.t("autocomplete.loading"));
+            return;
+        }
+        else {
+            groups = provider.suggest(query, limit);
+            if (groups.length === 0) {
+                this.renderMessage(I18n.t("autocomplete.noResults"));
+                return;
+            }
+        }
+        this.render(groups, query);
+    }
+    /**
+     * Hide the suggestion list
+     */
+    close() {
+        const container = this.options.container;
+        container.classList.add("hidden");
+        container.style.display = "none";
+        this.input.setAttribute("aria-expanded", "false");
+        this.input.removeAttribute("aria-activedescendant");
+        this.activeIndex = -1;
+    }
+    open() {
+        const container = this.options.container;
+        container.classList.remove("hidden");
+        container.style.display = "block";
+        this.input.setAttribute("aria-expanded", "true");
+    }
+    renderMessage(message) {
+        this.suggestions = [];
+        this.activeIndex = -1;
+        this.options.container.innerHTML = `<div class="search-no-results" role="presentation">${message}</div>`;
+        this.input.removeAttribute("aria-activedescendant");
+        this.open();
+    }
+    render(groups, query) {
+        const renderItem = this.options.renderItem ||
+            ((suggestion, text) => SearchIndex.highlight(suggestion.label, text));
+        this.suggestions = [];
+        this.activeIndex = -1;
+        this.options.container.innerHTML = groups
+            .map((group) => {
+            const labelId = `${this.idPrefix}-${group.type}`;
+            const options = group.items
+                .map((suggestion) => {
+                const index = this.suggestions.push(suggestion) - 1;
+                return `<div class="autocomplete-option autocomplete-option-${suggestion.type}" role="option" id="${this.idPrefix}-option-${index}" data-index="${index}" aria-selected="false">${renderItem(suggestion, query)}</div>`;
+            })
+                .join("");
+            return `<div class="autocomplete-group" role="group" aria-labelledby="${labelId}">
+            <div class="autocomplete-group-label" id="${labelId}" role="presentation">${group.label}</div>
+            ${options}
+          </div>`;
+        })
+            .join("");
+        this.input.removeAttribute("aria-activedescendant");
+        this.open();
+    }
+    setActive(index) {
+        const container = this.options.container;
+        const previous = container.querySelector('[aria-selected="true"]');
+        if (previous)
+            previous.setAttribute("aria-selected", "false");
+        this.activeIndex = index;
+        if (index < 0) {
+            this.input.removeAttribute("aria-activedescendant");
+            return;
+        }
+        const option = container.querySelector(`#${this.idPrefix}-option-${index}`);
+        if (!option)
+            return;
+        option.setAttribute("aria-selected", "true");
+        option.scrollIntoView?.({ block: "nearest" });
+        this.input.setAttribute("aria-activedescendant", option.id);
+    }
+    select(index) {
+        const suggestion = this.suggestions[index];
+        if (!suggestion)
+            return;
+        this.close();
+        this.options.onSelect(suggestion);
+    }
+    isOpen() {
+        return this.input.getAttribute("aria-expanded") === "true";
+    }
+    bindEvents() {
+        const container = this.options.container;
+        this.input.addEventListener("input", () => this.update());
+        this.input.addEventListener("focus", () => this.update());
+        this.input.addEventListener("keydown", (e) => {
+            const count = this.suggestions.length;
+            switch (e.key) {
+                case "ArrowDown":
+                    e.preventDefault();
+                    if (!this.isOpen()) {
+                        this.update();
+                        return;
+                    }
+                    if (count > 0)
+                        this.setActive((this.activeIndex + 1) % count);
+                    break;
+                case "ArrowUp":
+                    e.preventDefault();
+                    if (count > 0) {
+                        this.setActive(this.activeIndex <= 0 ? count - 1 : this.activeIndex - 1);
+                    }
+                    break;
+                case "Enter":
+                    if (this.isOpen() && this.activeIndex >= 0) {
+                        e.preventDefault();
+                        e.stopImmediatePropagation();
+                        this.select(this.activeIndex);
+                    }
+                    else {
+                        this.close();
+                    }
+                    break;
+                case "Escape":
+                    if (this.isOpen()) {
+                        e.preventDefault();
+                        this.close();
+                    }
+                    break;
+                case "Tab":
+                    this.close();
+                    break;
+            }
+        });
+        // Keep focus in the input while clicking an option
+        container.addEventListener("mousedown", (e) => e.preventDefault());
+        container.addEventListener("click", (e) => {
+            const option = e.target.closest(".autocomplete-option");
+            if (!option)
+                return;
+            e.preventDefault();
+            this.select(Number(option.dataset.index));
+        });
+        container.addEventListener("mousemove", (e) => {
+            const option = e.target.closest(".autocomplete-option");
+            if (option && Number(option.dataset.index) !== this.activeIndex) {
+                this.setActive(Number(option.dataset.index));
+            }
+        });
+        // composedPath() still holds the clicked option after a selection has
+        // re-rendered the list
+        document.addEventListener("click", (e) => {
+            const path = e.composedPath();
+            if (!path.includes(this.input) && !path.includes(container)) {
+                this.close();
+            }
+        });
+    }
+}
+if (typeof window !== "undefined") {
+    window.Autocomplete = Autocomplete;
+    window.AutocompleteProvider = AutocompleteProvider;
+}
+//# sourceMappingURL=autocomplete.js.map
\ No newline at end of file
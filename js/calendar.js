@@ -0,0 +1,259 @@
+import { EventNormalizer } from "./normalize.js";
+import { SearchIndex } from "./search.js";
+const TIME_ZONE = "Atlantic/Reykjavik";
+const PRODUCT_ID = "-//Venuu//Venuu Events//EN";
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Content lines are folded at 75 octets (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75;
+/**
+ * Iceland has stayed on UTC+0 without daylight saving time since April
+ * 1968, so one STANDARD rule covers every event in the feed
+ */
+const VTIMEZONE = [
+    "BEGIN:VTIMEZONE",
+    `TZID:${TIME_ZONE}`,
+    `X-LIC-LOCATION:${TIME_ZONE}`,
+    "BEGIN:STANDARD",
+    "DTSTART:19680407T010000",
+    "TZOFFSETFROM:-0100",
+    "TZOFFSETTO:+0000",
+    "TZNAME:GMT",
+    "END:STANDARD",
+    "END:VTIMEZONE",
+];
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?/;
+export class CalendarExport {
+    /**
+     * A complete VCALENDAR with one VEVENT per event
+     */
+    static toICS(events, options = {}) {
+        const lines = [
+            "BEGIN:VCALENDAR",
+            "VERSION:2.0",
+            `PRODID:${PRODUCT_ID}`,
+            "CALSCALE:GREGORIAN",
+            "METHOD:PUBLISH",
+            ...(options.name
+                ? [`X-WR-CALNAME:${CalendarExport.escape(options.name)}`]
+                : []),
+            `X-WR-TIMEZONE:${TIME_ZONE}`,
+            ...VTIMEZONE,
+            ...events.flatMap((event) => CalendarExport.eventLines(event, options)),
+            "END:VCALENDAR",
+        ];
+        return lines.map((line) => CalendarExport.fold(line)).join("\r\n") + "\r\n";
+    }
+    /**
+     * Unfolded VEVENT lines for one event. Recurring events become a single
+     * VEVENT with an RRULE when the dates follow a daily or weekly pattern,
+     * otherwise with RDATEs.
+     */
+    static eventLines(event, options = {}) {
+        const language = options.language || "en";
+        const occurrences = CalendarExport.occurrences(event);
+        if (occurrences.length === 0)
+            return [];
+        const first = occurrences[0];
+        const text = (value) => CalendarExport.escape(value);
+        const url = event.media.website || event.media.tickets || "";
+        const place = EventNormalizer.localize(event.place, language);
+        const address = event.address || EventNormalizer.locationLabel(event);
+        const location = [place, address]
+            .filter((part, index, parts) => part && parts.indexOf(part) === index)
+            .join(", ");
+        const description = [
+            EventNormalizer.localize(event.text, language),
+            EventNormalizer.localize(event.details, language),
+        ]
+            .map((part) => CalendarExport.plainText(part))
+            .filter(Boolean)
+            .join("\n\n");
+        const categories = [...event.categories, ...event.types].map((term) => text(EventNormalizer.termName(term, language)));
+        const lines = [
+            "BEGIN:VEVENT",
+            `UID:${event.uuid || event.id}@venuu.is`,
+            `DTSTAMP:${CalendarExport.utc(options.now || new Date())}`,
+            `DTSTART;TZID=${TIME_ZONE}:${CalendarExport.local(first.start)}`,
+        ];
+        // DTEND has to be after DTSTART; events without an end time are
+        // left as points in time
+        if (CalendarExport.time(first.end) > CalendarExport.time(first.start)) {
+            lines.push(`DTEND;TZID=${TIME_ZONE}:${CalendarExport.local(first.end)}`);
+        }
+        lines.push(...CalendarExport.recurrence(occurrences));
+        lines.push(`SUMMARY:${text(EventNormalizer.localize(event.title, language))}`);
+        if (description)
+            lines.push(`DESCRIPTION:${text(description)}`);
+        if (location)
+            lines.push(`LOCATION:${text(location)}`);
+        if (event.coordinates) {
+            lines.push(`GEO:${event.coordinates.lat};${event.coordinates.lng}`);
+        }
+        if (url)
+            lines.push(`URL:${url}`);
+        if (categories.length > 0) {
+            lines.push(`CATEGORIES:${Array.from(new Set(categories)).join(",")}`);
+        }
+        lines.push("END:VEVENT");
+        return lines;
+    }
+    /**
+     * Save an .ics file with the events through the browser
+     */
+    static download(events, fileName, options = {}) {
+        const blob = new Blob([CalendarExport.toICS(events, options)], {
+            type: "text/calendar;charset=utf-8",
+        });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = CalendarExport.fileName(fileName);
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+    /**
+     * ASCII file name ending in .ics, e.g. "reykjavikurmarathon-2025.ics"
+     */
+    static fileName(name) {
+        const slug = SearchIndex.fold(name.replace(/\.ics$/i, ""))
+            .replace(/[^a-z0-9]+/g, "-")
+            .replace(/^-+|-+$/g, "")
+            .slice(0, 60);
+        return `${slug || "venuu-events"}.ics`;
+    }
+    /**
+     * Escape a TEXT value: backslashes, semicolons, commas and newlines
+     */
+    static escape(value) {
+        return (value || "")
+            .replace(/\\/g, "\\\\")
+            .replace(/;/g, "\\;")
+            .replace(/,/g, "\\,")
+            .replace(/\r?\n/g, "\\n");
+    }
+    /**
+     * Fold a content line into chunks of at most 75 octets, without
+     * splitting multi-byte characters
+     */
+    static fold(line) {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        let chunk = "";
+        let octets = 0;
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            // Continuation lines start with a space, which counts too
+            const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+            if (octets + size > limit) {
+                chunks.push(chunk);
+                chunk = "";
+                octets = 0;
+            }
+            chunk += char;
+            octets += size;
+        }
+        chunks.push(chunk);
+        return chunks.join("\r\n ");
+    }
+    /**
+     * RRULE for three or more dates repeating at a fixed daily or weekly
+     * interval with the same length, RDATE (or RDATE periods) otherwise
+     */
+    static recurrence(occurrences) {
+        if (occurrences.length < 2)
+            return [];
+        const starts = occurrences.map((occurrence) => CalendarExport.time(occurrence.start));
+        const durations = occurrences.map((occurrence, index) => CalendarExport.time(occurrence.end) - starts[index]);
+        const sameLength = durations.every((duration) => duration === durations[0]);
+        const step = starts[1] - starts[0];
+        const regular = occurrences.length > 2 &&
+            step > 0 &&
+            step % DAY_MS === 0 &&
+            starts.every((start, index) => start === starts[0] + index * step);
+        if (sameLength && regular) {
+            const days = step / DAY_MS;
+            const rule = days % 7 === 0
+                ? ["FREQ=WEEKLY", days > 7 ? `INTERVAL=${days / 7}` : ""]
+                : ["FREQ=DAILY", days > 1 ? `INTERVAL=${days}` : ""];
+            return [
+                `RRULE:${[...rule, `COUNT=${occurrences.length}`]
+                    .filter(Boolean)
+                    .join(";")}`,
+            ];
+        }
+        const rest = occurrences.slice(1);
+        if (sameLength) {
+            return [
+                `RDATE;TZID=${TIME_ZONE}:${rest
+                    .map((occurrence) => CalendarExport.local(occurrence.start))
+                    .join(",")}`,
+            ];
+        }
+        return [
+            `RDATE;VALUE=PERIOD;TZID=${TIME_ZONE}:${rest
+                .map((occurrence) => `${CalendarExport.local(occurrence.start)}/${CalendarExport.local(occurrence.end)}`)
+                .join(",")}`,
+        ];
+    }
+    static occurrences(event) {
+        const list = event.occurrences && event.occurrences.length > 0
+            ? event.occurrences
+            : [{ start: event.start, end: event.end || event.start }];
+        return list
+            .filter((occurrence) => LOCAL_DATE_TIME.test(occurrence.start))
+            .map((occurrence) => ({
+            start: occurrence.start,
+            end: LOCAL_DATE_TIME.test(occurrence.end)
+                ? occurrence.end
+                : occurrence.start,
+        }))
+            .sort((a, b) => CalendarExport.time(a.start) - CalendarExport.time(b.start));
+    }
+    /**
+     * Feed times are Reykjavik wall-clock time, "YYYY-MM-DDTHH:mm", which
+     * becomes "YYYYMMDDTHHmmss" for use with TZID
+     */
+    static local(value) {
+        const [, year, month, day, hour, minute, second = "00"] = LOCAL_DATE_TIME.exec(value);
+        return `${year}${month}${day}T${hour}${minute}${second}`;
+    }
+    /**
+     * Milliseconds for a feed time, read as UTC so the browser's own time
+     * zone and its daylight saving changes play no part
+     */
+    static time(value) {
+        const match = LOCAL_DATE_TIME.exec(value);
+        if (!match)
+            return NaN;
+        const [, year, month, day, hour, minute, second = "0"] = match;
+        return Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+    }
+    static utc(date) {
+        return date
+            .toISOString()
+            .replace(/[-:]/g, "")
+            .replace(/\.\d{3}/, "");
+    }
+    /**
+     * Descriptions sometimes contain HTML; calendars want plain text
+     */
+    static plainText(value) {
+        return (value || "")
+            .replace(/<br\s*\/?>|<\/p>/gi, "\n")
+            .replace(/<[^>]+>/g, "")
+            .replace(/&nbsp;/g, " ")
+            .replace(/&amp;/g, "&")
+            .replace(/&lt;/g, "<")
+            .replace(/&gt;/g, ">")
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/\n{3,}/g, "\n\n")
+            .trim();
+    }
+}
+if (typeof window !== "undefined") {
+    window.CalendarExport = CalendarExport;
+}
+//# sourceMappingURL=calendar.js.map
\ No newline at end of file
@@ -0,0 +1,360 @@
+import { EventRefusedError, EventRepository } from "./repository.js";
+import { EventImport } from "./import.js";
+import { EventNormalizer } from "./normalize.js";
+import { PriceParser } from "./price.js";
+import { ImageResizer } from "./image.js";
+import { I18n } from "./i18n.js";
+import { Utils } from "./utils.js";
+import { Rules, Validator, } from "./validation.js";
+const TITLE_MAX_LENGTH = 120;
+const DESCRIPTION_MAX_LENGTH = 2000;
+const IMAGE_MAX_MB = 10;
+const text = (value) => typeof value === "string" ? value.trim() : "";
+const isDate = (value) => EventImport.parseDateTime(text(value)) !== "";
+const isTime = (value) => EventImport.parseDateTime("2000-01-01", text(value)) !== "";
+/**
+ * Start in the feed's local "YYYY-MM-DDTHH:mm" format, or "" when the date
+ * or time can't be read
+ */
+const startOf = (values) => EventImport.parseDateTime(text(values.date), text(values.time));
+/**
+ * End from the optional end date and time, each defaulting to the start's.
+ * "" when neither is filled in or they can't be read.
+ */
+const endOf = (values) => {
+    const date = text(values.endDate);
+    const time = text(values.endTime);
+    if (!date && !time)
+        return "";
+    return EventImport.parseDateTime(date || text(values.date), time || text(values.time));
+};
+/**
+ * What a new event needs before it can be saved, by form field name
+ */
+export const EVENT_FORM_SCHEMA = {
+    title: [Rules.required(), Rules.maxLength(TITLE_MAX_LENGTH)],
+    titleEn: [Rules.required(), Rules.maxLength(TITLE_MAX_LENGTH)],
+    date: [
+        Rules.required(),
+        Rules.test(isDate, "validation.date"),
+        // With no readable time yet, any time later today still counts
+        Rules.test((value, values) => (startOf(values) || EventImport.parseDateTime(text(value), "23:59")) >
+            EventNormalizer.formatLocalDate(new Date()), "validation.future"),
+    ],
+    time: [Rules.required(), Rules.test(isTime, "validation.time")],
+    endDate: [Rules.test(isDate, "validation.date")],
+    endTime: [
+        Rules.test(isTime, "validation.time"),
+        // Checked on the end time even when only the end date is filled in
+        {
+            check: (_, values) => {
+                const start = startOf(values);
+                const end = endOf(values);
+                return start && end && end <= start
+                    ? { key: "validation.endAfterStart" }
+                    : null;
+            },
+        },
+    ],
+    location: [Rules.required()],
+    fee: [
+        Rules.test((value) => PriceParser.parse(text(value)).min !== null, "validation.price"),
+    ],
+    image: [
+        Rules.test((value) => value instanceof File && value.type.startsWith("image/"), "validation.imageType"),
+        Rules.test((value) => value instanceof File && value.size <= IMAGE_MAX_MB * 1e6, "validation.imageSize", { max: IMAGE_MAX_MB }),
+    ],
+    description: [Rules.required(), Rules.maxLength(DESCRIPTION_MAX_LENGTH)],
+};
+/**
+ * Validates the create-event form as it is filled in, shows a live
+ * preview and saves the new event through the event repository
+ */
+export class EventForm {
+    constructor(form, options = {}) {
+        this.errors = {};
+        this.touched = new Set();
+        this.images = Promise.resolve(null);
+        this.resized = null;
+        this.imageError = null;
+        this.preview = null;
+        this.previewEvent = null;
+        this.updatePreview = Utils.debounce(() => this.renderPreview(), 150);
+        this.form = form;
+        this.repository = options.repository || new EventRepository();
+        this.onSaved = options.onSaved || (() => { });
+        this.options = options;
+        // Errors are shown inline instead of the browser's bubbles
+        form.noValidate = true;
+        this.summary = document.createElement("p");
+        this.summary.className = "event-form-summary";
+        this.summary.setAttribute("role", "alert");
+        this.summary.hidden = true;
+        form.prepend(this.summary);
+        if (options.renderCard)
+            this.createPreview();
+        this.bindEvents();
+        I18n.onChange(() => {
+            this.render();
+            this.renderPreview();
+        });
+    }
+    /**
+     * Validate the whole form, then save the event and report the outcome
+     */
+    async submit() {
+        const images = await this.images;
+        Object.keys(EVENT_FORM_SCHEMA).forEach((field) => this.touched.add(field));
+        this.validate();
+        const invalid = Object.keys(this.errors);
+        if (invalid.length > 0) {
+            this.summary.textContent = I18n.t("validation.summary", {
+                count: invalid.length,
+            });
+            this.summary.hidden = false;
+            this.field(invalid[0])?.focus();
+            return;
+        }
+        const record = EventForm.toRawEvent(Validator.values(this.form), I18n.getLanguage(), images);
+        if (!record)
+            return;
+        const button = this.form.querySelector('[type="submit"]');
+        if (button)
+            button.disabled = true;
+        let saved;
+        try {
+            saved = await this.repository.create(record);
+        }
+        catch (error) {
+            console.error("Failed to save event:", error);
+            alert(error instanceof EventRefusedError
+                ? I18n.t("create.refused", { reason: error.message })
+                : I18n.t("create.failed"));
+            return;
+        }
+        finally {
+            if (button)
+                button.disabled = false;
+        }
+        alert(I18n.t("create.success"));
+        this.onSaved(saved);
+    }
+    /**
+     * Raw feed record for the form's values, or null when the start can't
+     * be read. Titles go in under both languages, the description under
+     * the language the form was filled in.
+     */
+    static toRawEvent(values, language = I18n.getLanguage(), images = null) {
+        const start = startOf(values);
+        if (!start)
+            return null;
+        const place = text(values.location);
+        const description = text(values.description);
+        const content = (title, lang) => ({
+            title,
+            text: lang === language ? description : "",
+            place,
+        });
+        const fee = text(values.fee);
+        return {
+            language: {
+                is: content(text(values.title), "is"),
+                en: content(text(values.titleEn), "en"),
+            },
+            start,
+            end: endOf(values) || start,
+            formatted_address: place,
+            price: /^\d+$/.test(fee) ? `${fee} kr` : fee,
+            event_image: images ? images.cover : "",
+            event_thumbnail: images ? images.thumbnail : "",
+            media: {},
+        };
+    }
+    bindEvents() {
+        this.form.addEventListener("submit", (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+        // Fields are checked once they have been left, and again on every
+        // change after that since e.g. the end depends on the start
+        this.form.addEventListener("focusout", (e) => {
+            const name = e.target.name;
+            if (!name || !(name in EVENT_FORM_SCHEMA) || this.touched.has(name)) {
+                return;
+            }
+            this.touched.add(name);
+            this.validate();
+        });
+        this.form.addEventListener("input", () => {
+            if (this.touched.size > 0)
+                this.validate();
+            this.updatePreview();
+        });
+        this.form.addEventListener("change", (e) => {
+            if (e.target.name === "image") {
+                this.touched.add("image");
+                this.loadImages();
+                this.validate();
+            }
+        });
+        // Values are cleared after the reset event has been handled
+        this.form.addEventListener("reset", () => setTimeout(() => this.clear()));
+    }
+    /**
+     * Resize a newly chosen image to the card and cover sizes
+     */
+    loadImages() {
+        const input = this.field("image");
+        const file = input?.files?.[0];
+        this.resized = null;
+        this.imageError = null;
+        const invalid = !file ||
+            Validator.validateField(EVENT_FORM_SCHEMA, "image", { image: file });
+        if (invalid) {
+            this.images = Promise.resolve(null);
+            this.updatePreview();
+            return;
+        }
+        const images = ImageResizer.eventImages(file).then((result) => {
+            if (this.images === images)
+                this.resized = result;
+            this.updatePreview();
+            return result;
+        }, (error) => {
+            console.warn("Could not resize image:", error);
+            if (this.images === images) {
+                this.imageError = { key: "validation.imageUnreadable" };
+                this.validate();
+            }
+            return null;
+        });
+        this.images = images;
+    }
+    /**
+     * Check the fields that have been visited
+     */
+    validate() {
+        const values = Validator.values(this.form);
+        this.errors = {};
+        Object.keys(EVENT_FORM_SCHEMA).forEach((field) => {
+            if (!this.touched.has(field))
+                return;
+            const error = Validator.validateField(EVENT_FORM_SCHEMA, field, values) ||
+                (field === "image" ? this.imageError : null);
+            if (error)
+                this.errors[field] = error;
+        });
+        if (Object.keys(this.errors).length === 0)
+            this.summary.hidden = true;
+        this.render();
+    }
+    /**
+     * Show each field's error below it and link it to the field for
+     * screen readers
+     */
+    render() {
+        Object.keys(EVENT_FORM_SCHEMA).forEach((name) => {
+            const field = this.field(name);
+            if (!field)
+                return;
+            const error = this.errors[name];
+            const id = `${field.id || name}-error`;
+            let message = document.getElementById(id);
+            if (!error) {
+                message?.remove();
+                field.removeAttribute("aria-invalid");
+                field.removeAttribute("aria-describedby");
+                return;
+            }
+            if (!message) {
+                message = document.createElement("p");
+                message.id = id;
+                message.className = "event-form-error";
+                this.fieldContainer(field).appendChild(message);
+            }
+            message.textContent = I18n.t(error.key, error.params);
+            field.setAttribute("aria-invalid", "true");
+            field.setAttribute("aria-describedby", id);
+        });
+        if (!this.summary.hidden) {
+            this.summary.textContent = I18n.t("validation.summary", {
+                count: Object.keys(this.errors).length,
+            });
+        }
+    }
+    clear() {
+        this.errors = {};
+        this.touched.clear();
+        this.images = Promise.resolve(null);
+        this.resized = null;
+        this.imageError = null;
+        this.summary.hidden = true;
+        this.render();
+        this.renderPreview();
+    }
+    createPreview() {
+        const preview = document.createElement("section");
+        preview.className = "event-form-preview";
+        preview.innerHTML = `
+      <h3 class="event-form-preview-heading" data-i18n="create.preview"></h3>
+      <p class="event-form-preview-hint" data-i18n="create.previewHint"></p>
+      <div class="event-form-preview-card" inert></div>
+      <button type="button" class="event-form-preview-details" data-i18n="create.previewDetails" hidden></button>
+    `;
+        I18n.apply(preview);
+        preview
+            .querySelector(".event-form-preview-details")
+            ?.addEventListener("click", () => {
+            if (this.previewEvent && this.options.showDetails) {
+                this.options.showDetails(this.previewEvent);
+            }
+        });
+        const submit = this.form.querySelector('[type="submit"]');
+        if (submit) {
+            this.form.insertBefore(preview, this.fieldContainer(submit));
+        }
+        else {
+            this.form.appendChild(preview);
+        }
+        this.preview = preview;
+    }
+    /**
+     * Render the event as the page's card, once it has a readable start
+     */
+    renderPreview() {
+        const renderCard = this.options.renderCard;
+        if (!this.preview || !renderCard)
+            return;
+        const record = EventForm.toRawEvent(Validator.values(this.form), I18n.getLanguage(), this.resized);
+        this.previewEvent = record
+            ? EventNormalizer.normalize({
+                ...record,
+                id: "preview",
+                accepted: false,
+                active: true,
+            })
+            : null;
+        const card = this.preview.querySelector(".event-form-preview-card");
+        card.innerHTML = this.previewEvent ? renderCard(this.previewEvent) : "";
+        this.preview.querySelector(".event-form-preview-hint").hidden = this.previewEvent !== null;
+        this.preview.querySelector(".event-form-preview-details").hidden = !this.previewEvent || !this.options.showDetails;
+    }
+    field(name) {
+        const field = this.form.elements.namedItem(name);
+        return field instanceof HTMLElement ? field : null;
+    }
+    /**
+     * The field's wrapper directly inside the form
+     */
+    fieldContainer(element) {
+        let container = element;
+        while (container.parentElement && container.parentElement !== this.form) {
+            container = container.parentElement;
+        }
+        return container;
+    }
+}
+if (typeof window !== "undefined") {
+    window.EventForm = EventForm;
+}
+//# sourceMappingURL=event-form.js.map
\ No newline at end of file
@@ -0,0 +1,155 @@
+import { EventNormalizer } from "./normalize.js";
+import { UserPreferencesApi } from "./preferences.js";
+import { MESSAGES } from "./messages.js";
+export const LANGUAGES = ["is", "en"];
+const LOCALES = {
+    is: "is-IS",
+    en: "en-US",
+};
+const CHANGE_EVENT = "venuu:languagechange";
+/**
+ * Attributes that hold a message key, and what the message is written to
+ */
+const ATTRIBUTE_TARGETS = [
+    ["data-i18n-placeholder", "placeholder"],
+    ["data-i18n-aria-label", "aria-label"],
+    ["data-i18n-title", "title"],
+    ["data-i18n-alt", "alt"],
+];
+const preferences = new UserPreferencesApi();
+let current = null;
+/**
+ * UI strings, event content and date/number formatting in the user's
+ * language. Methods don't use `this`, so pages can destructure them.
+ */
+export class I18n {
+    /**
+     * The language the UI is shown in, as saved in the user preferences
+     */
+    static getLanguage() {
+        if (!current) {
+            const saved = preferences.getPreferences().language;
+            current = LANGUAGES.includes(saved) ? saved : "en";
+        }
+        return current;
+    }
+    /**
+     * Switch language, save it and re-translate the page. Listeners added
+     * with onChange re-render whatever they built from data.
+     */
+    static setLanguage(language) {
+        if (!LANGUAGES.includes(language) || language === I18n.getLanguage()) {
+            return;
+        }
+        current = language;
+        preferences.savePreferences({ language });
+        I18n.apply();
+        window.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: { language } }));
+    }
+    /**
+     * Run a callback whenever the language is switched
+     */
+    static onChange(listener) {
+        window.addEventListener(CHANGE_EVENT, (e) => listener(e.detail.language));
+    }
+    /**
+     * Message for a key with "{name}" parameters filled in. Falls back to
+     * English, then to the key itself.
+     */
+    static t(key, params = {}) {
+        const message = MESSAGES[I18n.getLanguage()][key] ?? MESSAGES.en[key];
+        if (message === undefined) {
+            console.warn(`Missing message: ${key}`);
+            return key;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => name in params ? String(params[name]) : match);
+    }
+    /**
+     * Translate elements marked with data-i18n (text content, with JSON
+     * parameters in data-i18n-params) and data-i18n-placeholder /
+     * -aria-label / -title / -alt (attributes)
+     */
+    static apply(root = document) {
+        document.documentElement.lang = I18n.getLanguage();
+        root.querySelectorAll("[data-i18n]").forEach((element) => {
+            const { i18n, i18nParams } = element.dataset;
+            element.textContent = I18n.t(i18n, i18nParams ? JSON.parse(i18nParams) : {});
+        });
+        ATTRIBUTE_TARGETS.forEach(([source, target]) => {
+            root.querySelectorAll(`[${source}]`).forEach((element) => {
+                element.setAttribute(target, I18n.t(element.getAttribute(source)));
+            });
+        });
+        document
+            .querySelectorAll("[data-language]")
+            .forEach((button) => {
+            button.setAttribute("aria-pressed", String(button.dataset.language === I18n.getLanguage()));
+        });
+    }
+    /**
+     * BCP 47 locale for Intl formatting
+     */
+    static locale() {
+        return LOCALES[I18n.getLanguage()];
+    }
+    /**
+     * Event text in the current language, falling back to the other one
+     */
+    static localize(text) {
+        return EventNormalizer.localize(text, I18n.getLanguage());
+    }
+    /**
+     * Category or type name in the current language
+     */
+    static termName(term) {
+        return EventNormalizer.termName(term, I18n.getLanguage());
+    }
+    /**
+     * Date in the current locale; short month, day and year by default
+     */
+    static formatDate(date, options = {
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+    }) {
+        return new Date(date).toLocaleDateString(I18n.locale(), options);
+    }
+    /**
+     * Number in the current locale, e.g. "12.400" or "12,400"
+     */
+    static formatNumber(value, options = {}) {
+        return value.toLocaleString(I18n.locale(), options);
+    }
+    /**
+     * Capitalized weekday name, 0 being Sunday
+     */
+    static weekdayName(day) {
+        // 7 January 2024 was a Sunday
+        const name = I18n.formatDate(new Date(2024, 0, 7 + day), {
+            weekday: "long",
+        });
+        return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+    /**
+     * Wire up the header language switcher buttons
+     */
+    static bindSwitchers() {
+        document
+            .querySelectorAll("[data-language]")
+            .forEach((button) => {
+            button.addEventListener("click", () => I18n.setLanguage(button.dataset.language));
+        });
+    }
+    /**
+     * Translate the page and bind the switcher once the DOM is ready
+     */
+    static init() {
+        I18n.bindSwitchers();
+        I18n.apply();
+    }
+}
+if (typeof window !== "undefined") {
+    window.I18n = I18n;
+    document.addEventListener("DOMContentLoaded", () => I18n.init());
+}
+//# sourceMappingURL=i18n.js.map
\ No newline at end of file
@@ -0,0 +1,124 @@
+// Bundled vector outline of Iceland for the offline events map
+/**
+ * Simplified coastline as [lng, lat] rings, mainland first. Accurate to a
+ * few kilometres, which is plenty as a backdrop for event markers.
+ */
+export const ICELAND_OUTLINE = [
+    [
+        // Capital area and Hvalfjörður
+        [-21.94, 64.15],
+        [-21.87, 64.17],
+        [-21.78, 64.21],
+        [-21.73, 64.27],
+        [-21.55, 64.34],
+        [-21.45, 64.38],
+        [-21.7, 64.38],
+        [-21.98, 64.34],
+        [-22.08, 64.32],
+        [-21.97, 64.42],
+        // Borgarfjörður
+        [-21.92, 64.54],
+        [-22.05, 64.6],
+        [-22.33, 64.63],
+        [-22.55, 64.72],
+        // Snæfellsnes
+        [-23.05, 64.8],
+        [-23.38, 64.82],
+        [-23.62, 64.76],
+        [-23.85, 64.73],
+        [-24.05, 64.89],
+        [-23.72, 64.95],
+        [-23.28, 64.96],
+        [-22.73, 65.07],
+        // Breiðafjörður
+        [-22.35, 65.05],
+        [-21.77, 65.11],
+        [-21.95, 65.32],
+        [-22.4, 65.45],
+        [-23.05, 65.42],
+        // Westfjords
+        [-23.8, 65.43],
+        [-24.53, 65.5],
+        [-24.1, 65.6],
+        [-23.99, 65.6],
+        [-23.95, 65.72],
+        [-23.8, 65.83],
+        [-23.66, 65.96],
+        [-23.45, 66.03],
+        [-23.13, 66.07],
+        [-23.3, 66.2],
+        [-23.1, 66.43],
+        [-22.4, 66.46],
+        [-21.95, 66.3],
+        [-21.6, 66.05],
+        [-21.68, 65.7],
+        [-21.2, 65.45],
+        // Húnaflói and Skagi
+        [-20.9, 65.6],
+        [-20.45, 65.68],
+        [-20.3, 65.85],
+        [-20.1, 66.12],
+        [-19.85, 65.95],
+        [-19.64, 65.75],
+        [-19.35, 65.9],
+        [-18.91, 66.15],
+        // Eyjafjörður and Tjörnes
+        [-18.55, 66.07],
+        [-18.09, 65.68],
+        [-18.0, 66.0],
+        [-17.75, 66.05],
+        [-17.34, 66.05],
+        [-17.2, 66.18],
+        [-16.75, 66.1],
+        // Melrakkaslétta and Langanes
+        [-16.45, 66.2],
+        [-16.19, 66.54],
+        [-15.95, 66.45],
+        [-15.33, 66.2],
+        [-14.53, 66.38],
+        [-14.9, 66.05],
+        [-14.83, 65.76],
+        // East fjords
+        [-14.3, 65.6],
+        [-13.9, 65.5],
+        [-13.57, 65.27],
+        [-13.7, 65.15],
+        [-13.85, 65.03],
+        [-14.0, 64.93],
+        [-14.28, 64.66],
+        [-14.6, 64.45],
+        [-14.97, 64.24],
+        [-15.2, 64.25],
+        // South coast
+        [-15.6, 64.12],
+        [-16.18, 64.05],
+        [-16.64, 63.8],
+        [-17.3, 63.78],
+        [-18.0, 63.6],
+        [-18.5, 63.45],
+        [-19.0, 63.4],
+        [-19.13, 63.42],
+        [-19.6, 63.5],
+        [-20.1, 63.55],
+        [-20.7, 63.75],
+        [-21.38, 63.85],
+        [-21.65, 63.82],
+        // Reykjanes
+        [-22.43, 63.84],
+        [-22.7, 63.81],
+        [-22.72, 63.95],
+        [-22.69, 64.08],
+        [-22.55, 64.0],
+        [-22.38, 63.98],
+        [-22.1, 64.04],
+        [-21.96, 64.07],
+    ],
+    [
+        // Heimaey, Vestmannaeyjar
+        [-20.3, 63.45],
+        [-20.24, 63.45],
+        [-20.24, 63.41],
+        [-20.3, 63.42],
+    ],
+];
+//# sourceMappingURL=iceland.js.map
\ No newline at end of file
@@ -0,0 +1,300 @@
+import { EventsApi } from "./api.js";
+import { EventRefusedError, EventRepository } from "./repository.js";
+import { I18n } from "./i18n.js";
+import { Utils } from "./utils.js";
+import { EventImport, IMPORT_FIELDS, ImportError, } from "./import.js";
+/**
+ * File upload, column mapping, a validated preview and a one-step commit
+ * of the valid rows into the local event store
+ */
+export class ImportPanel {
+    constructor(container, api = new EventsApi()) {
+        this.table = null;
+        this.mapping = {};
+        this.rows = [];
+        this.terms = [];
+        this.status = null;
+        this.container = container;
+        this.api = api;
+        this.repository = new EventRepository(api);
+        container.classList.add("event-import");
+        container.innerHTML = `
+      <details class="event-import-details">
+        <summary class="event-import-summary" data-i18n="import.heading"></summary>
+        <p class="event-import-hint" data-i18n="import.hint"></p>
+        <label class="event-import-file">
+          <span data-i18n="import.file"></span>
+          <input type="file" accept=".ics,.csv,text/calendar,text/csv" />
+        </label>
+        <p class="event-import-status" role="status" aria-live="polite"></p>
+        <fieldset class="event-import-mapping" hidden>
+          <legend data-i18n="import.mapping"></legend>
+          <div class="event-import-fields"></div>
+        </fieldset>
+        <div class="event-import-preview" hidden></div>
+        <div class="event-import-actions" hidden>
+          <button type="button" class="event-import-commit"></button>
+          <button type="button" class="event-import-clear" data-i18n="import.clear"></button>
+        </div>
+      </details>
+    `;
+        I18n.apply(container);
+        this.bindEvents();
+        I18n.onChange(() => {
+            this.validate();
+            this.renderMapping();
+            this.render();
+        });
+    }
+    /**
+     * Read an uploaded file and show its columns and rows
+     */
+    async load(file) {
+        this.reset();
+        this.setStatus("import.reading", { name: file.name });
+        try {
+            this.table = EventImport.parse(await file.text(), file.name);
+        }
+        catch (error) {
+            this.table = null;
+            this.render();
+            if (error instanceof ImportError) {
+                this.setStatus("import.failed", { reason: error.message });
+                return;
+            }
+            throw error;
+        }
+        this.terms = await this.loadTerms();
+        this.mapping = EventImport.guessMapping(this.table);
+        this.validate();
+        this.renderMapping();
+        this.render();
+    }
+    /**
+     * Save the valid rows as new (pending) events and reset the panel
+     */
+    async commit() {
+        const valid = this.rows.filter((row) => row.raw);
+        const records = valid.map((row) => row.raw);
+        if (records.length === 0)
+            return;
+        const commit = this.element(".event-import-commit");
+        commit.disabled = true;
+        this.setStatus("import.saving", { count: records.length });
+        try {
+            await this.repository.createAll(records);
+        }
+        catch (error) {
+            commit.disabled = false;
+            if (error instanceof EventRefusedError && error.saved.length > 0) {
+                // Leave out the rows already saved, so importing again doesn't
+                // add them twice
+                this.dropLines(valid.slice(0, error.saved.length).map((row) => row.line));
+                this.setStatus("import.partial", {
+                    count: error.saved.length,
+                    reason: error.message,
+                });
+                return;
+            }
+            this.setStatus("import.failed", {
+                reason: error instanceof Error ? error.message : String(error),
+            });
+            return;
+        }
+        this.reset();
+        this.setStatus("import.done", { count: records.length });
+    }
+    /**
+     * Forget the current file
+     */
+    reset() {
+        this.table = null;
+        this.mapping = {};
+        this.rows = [];
+        this.status = null;
+        this.fileInput().value = "";
+        this.render();
+    }
+    bindEvents() {
+        this.fileInput().addEventListener("change", () => {
+            const file = this.fileInput().files?.[0];
+            if (file)
+                this.load(file);
+        });
+        this.element(".event-import-fields").addEventListener("change", (e) => {
+            const select = e.target;
+            const field = select.dataset.field;
+            if (select.value === "") {
+                delete this.mapping[field];
+            }
+            else {
+                this.mapping[field] = Number(select.value);
+            }
+            this.validate();
+            this.render();
+        });
+        this.element(".event-import-commit").addEventListener("click", () => this.commit());
+        this.element(".event-import-clear").addEventListener("click", () => this.reset());
+    }
+    /**
+     * Categories already in the feed, so imported names can reuse them
+     */
+    async loadTerms() {
+        try {
+            const byTag = new Map();
+            (await this.api.getEvents()).forEach((event) => event.categories.forEach((term) => byTag.set(term.tag, term)));
+            return Array.from(byTag.values());
+        }
+        catch (error) {
+            console.warn("Could not load categories for import:", error);
+            return [];
+        }
+    }
+    validate() {
+        this.rows = this.table
+            ? EventImport.toRows(this.table, this.mapping, { terms: this.terms })
+            : [];
+    }
+    /**
+     * Remove rows from the file, by line number
+     */
+    dropLines(lines) {
+        const table = this.table;
+        if (!table)
+            return;
+        const dropped = new Set(lines);
+        const kept = table.lines
+            .map((line, index) => ({ line, row: table.rows[index] }))
+            .filter(({ line }) => !dropped.has(line));
+        this.table = {
+            ...table,
+            rows: kept.map(({ row }) => row),
+            lines: kept.map(({ line }) => line),
+        };
+        this.validate();
+        this.render();
+    }
+    setStatus(key, params = {}) {
+        this.status = [key, params];
+        this.element(".event-import-status").textContent = I18n.t(key, params);
+    }
+    /**
+     * One select per field listing the file's columns
+     */
+    renderMapping() {
+        const table = this.table;
+        if (!table)
+            return;
+        this.element(".event-import-fields").innerHTML = IMPORT_FIELDS.map((field) => {
+            const id = `${this.inputId()}-${field}`;
+            const options = table.columns
+                .map((column, index) => `<option value="${index}"${this.mapping[field] === index ? " selected" : ""}>${Utils.sanitizeHTML(column)}</option>`)
+                .join("");
+            return `<div class="event-import-field">
+            <label for="${id}">${I18n.t(`import.field.${field}`)}</label>
+            <select id="${id}" data-field="${field}">
+              <option value="">${I18n.t("import.notMapped")}</option>
+              ${options}
+            </select>
+          </div>`;
+        }).join("");
+    }
+    render() {
+        const hasTable = this.table !== null;
+        const valid = this.rows.filter((row) => row.raw).length;
+        this.element(".event-import-mapping").hidden = !hasTable;
+        this.element(".event-import-preview").hidden = !hasTable;
+        this.element(".event-import-actions").hidden = !hasTable;
+        if (hasTable) {
+            this.setStatus("import.summary", { valid, total: this.rows.length });
+        }
+        else if (this.status) {
+            this.setStatus(...this.status);
+        }
+        else {
+            this.element(".event-import-status").textContent = "";
+        }
+        const commit = this.element(".event-import-commit");
+        commit.textContent = I18n.t("import.commit", { count: valid });
+        commit.disabled = valid === 0;
+        this.renderPreview();
+    }
+    /**
+     * Every row with its parsed values, or what is wrong with it
+     */
+    renderPreview() {
+        const preview = this.element(".event-import-preview");
+        if (!this.table) {
+            preview.innerHTML = "";
+            return;
+        }
+        const fieldLabel = (field) => field ? `${I18n.t(`import.field.${field}`)}: ` : "";
+        const cell = (cells, field) => {
+            const column = this.mapping[field];
+            return column === undefined ? "" : cells[column] || "";
+        };
+        const body = this.rows
+            .map((row, index) => {
+            const cells = this.table.rows[index];
+            const event = row.event;
+            const title = event
+                ? I18n.localize(event.title)
+                : cell(cells, "titleIs") || cell(cells, "titleEn");
+            const start = event
+                ? I18n.formatDate(event.start, {
+                    year: "numeric",
+                    month: "short",
+                    day: "numeric",
+                    hour: "2-digit",
+                    minute: "2-digit",
+                })
+                : cell(cells, "start");
+            const venue = event
+                ? I18n.localize(event.place) || event.address
+                : cell(cells, "place") || cell(cells, "address");
+            const price = cell(cells, "price");
+            const status = row.raw
+                ? `<span class="event-import-ok">${I18n.t("import.ok")}</span>`
+                : `<ul class="event-import-issues">${row.issues
+                    .map((issue) => `<li>${Utils.sanitizeHTML(fieldLabel(issue.field) + issue.message)}</li>`)
+                    .join("")}</ul>`;
+            return `<tr class="${row.raw ? "" : "event-import-invalid"}">
+            <td>${row.line}</td>
+            <td>${Utils.sanitizeHTML(title)}</td>
+            <td>${Utils.sanitizeHTML(start)}</td>
+            <td>${Utils.sanitizeHTML(venue)}</td>
+            <td>${Utils.sanitizeHTML(price)}</td>
+            <td>${status}</td>
+          </tr>`;
+        })
+            .join("");
+        preview.innerHTML = `<table class="event-import-table">
+        <thead>
+          <tr>
+            <th scope="col">${I18n.t(this.table.format === "ics" ? "import.event" : "import.line")}</th>
+            <th scope="col">${I18n.t("import.title")}</th>
+            <th scope="col">${I18n.t("import.field.start")}</th>
+            <th scope="col">${I18n.t("import.field.place")}</th>
+            <th scope="col">${I18n.t("import.field.price")}</th>
+            <th scope="col">${I18n.t("import.status")}</th>
+          </tr>
+        </thead>
+        <tbody>${body}</tbody>
+      </table>`;
+    }
+    fileInput() {
+        return this.element('input[type="file"]');
+    }
+    inputId() {
+        if (!this.container.id)
+            this.container.id = Utils.generateId("import");
+        return this.container.id;
+    }
+    element(selector) {
+        return this.container.querySelector(selector);
+    }
+}
+if (typeof window !== "undefined") {
+    window.ImportPanel = ImportPanel;
+}
+//# sourceMappingURL=import-panel.js.map
\ No newline at end of file
@@ -0,0 +1,601 @@
+import { EventNormalizer, NormalizationError } from "./normalize.js";
+import { PriceParser } from "./price.js";
+import { SearchIndex } from "./search.js";
+import { I18n } from "./i18n.js";
+import { Utils } from "./utils.js";
+export const IMPORT_FIELDS = [
+    "titleIs",
+    "titleEn",
+    "descriptionIs",
+    "descriptionEn",
+    "start",
+    "startTime",
+    "end",
+    "endTime",
+    "dates",
+    "place",
+    "address",
+    "postal",
+    "city",
+    "latitude",
+    "longitude",
+    "price",
+    "categories",
+    "website",
+    "tickets",
+];
+/**
+ * Raised when a file cannot be read as a table at all
+ */
+export class ImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "ImportError";
+    }
+}
+/**
+ * Header names recognised for each field, folded (see SearchIndex.fold)
+ */
+const FIELD_ALIASES = {
+    titleIs: ["title is", "titill", "heiti", "nafn", "titill is"],
+    titleEn: ["title en", "title", "english title", "name", "summary"],
+    descriptionIs: ["description is", "lysing", "texti"],
+    descriptionEn: ["description en", "description", "details", "text"],
+    start: ["start", "starts", "start date", "date", "dtstart", "from"],
+    startTime: ["start time", "time", "timi", "klukkan", "kl"],
+    end: ["end", "ends", "end date", "dtend", "to", "until"],
+    endTime: ["end time", "lokatimi"],
+    dates: ["dates", "more dates", "additional dates", "dagsetningar"],
+    place: ["venue", "place", "stadur", "salur", "location name"],
+    address: ["address", "location", "heimilisfang", "stadsetning"],
+    postal: ["postal", "postal code", "postcode", "zip", "postnumer", "pnr"],
+    city: ["city", "town", "baer", "sveitarfelag"],
+    latitude: ["lat", "latitude", "breiddargrada"],
+    longitude: ["lng", "lon", "long", "longitude", "lengdargrada"],
+    price: ["price", "fee", "cost", "admission", "verd", "midaverd"],
+    categories: ["categories", "category", "flokkur", "flokkar"],
+    website: ["website", "url", "link", "web", "vefsida", "slod"],
+    tickets: ["tickets", "ticket url", "ticket link", "midasala", "midar"],
+};
+const DELIMITERS = [",", ";", "\t"];
+// Columns of the table built from an .ics file
+const ICS_COLUMNS = [
+    "SUMMARY",
+    "DESCRIPTION",
+    "DTSTART",
+    "DTEND",
+    "DATES",
+    "LOCATION",
+    "LATITUDE",
+    "LONGITUDE",
+    "CATEGORIES",
+    "URL",
+];
+// Recurrences are expanded into dates, up to this many per event
+const MAX_RECURRENCES = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UTC_ZONES = ["atlantic/reykjavik", "utc", "gmt", "etc/utc", "etc/gmt"];
+export class EventImport {
+    /**
+     * Read an uploaded file's text as CSV or iCalendar, going by the file
+     * name and falling back to the content
+     */
+    static parse(text, fileName = "") {
+        const content = text.replace(/^\uFEFF/, "");
+        if (!content.trim()) {
+            throw new ImportError(I18n.t("import.error.empty"));
+        }
+        const isCalendar = /\.ics$/i.test(fileName) || /^\s*BEGIN:VCALENDAR/i.test(content);
+        return isCalendar
+            ? EventImport.parseICS(content)
+            : EventImport.parseCSV(content);
+    }
+    /**
+     * CSV (RFC 4180) with a header row. Comma, semicolon and tab
+     * separated files are all accepted.
+     */
+    static parseCSV(text) {
+        const delimiter = EventImport.detectDelimiter(text);
+        const records = [];
+        const lines = [];
+        let record = [];
+        let cell = "";
+        let quoted = false;
+        let line = 1;
+        let recordLine = 1;
+        const endCell = () => {
+            record.push(cell.trim());
+            cell = "";
+        };
+        const endRecord = () => {
+            endCell();
+            if (record.some(Boolean)) {
+                records.push(record);
+                lines.push(recordLine);
+            }
+            record = [];
+            recordLine = line;
+        };
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                }
+                else if (char === '"') {
+                    quoted = false;
+                }
+                else {
+                    if (char === "\n")
+                        line++;
+                    cell += char;
+                }
+            }
+            else if (char === '"') {
+                quoted = true;
+            }
+            else if (char === delimiter) {
+                endCell();
+            }
+            else if (char === "\n" || char === "\r") {
+                if (char === "\r" && text[i + 1] === "\n")
+                    i++;
+                line++;
+                endRecord();
+            }
+            else {
+                cell += char;
+            }
+        }
+        endRecord();
+        if (records.length < 2) {
+            throw new ImportError(I18n.t("import.error.noRows"));
+        }
+        const [columns, ...rows] = records;
+        return {
+            format: "csv",
+            columns: columns.map((column, index) => column || `#${index + 1}`),
+            rows,
+            lines: lines.slice(1),
+        };
+    }
+    /**
+     * iCalendar (RFC 5545): one row per VEVENT. Times are converted to
+     * Reykjavik time, and RRULE/RDATE recurrences become extra dates.
+     */
+    static parseICS(text) {
+        const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+        const rows = [];
+        const positions = [];
+        let properties = null;
+        lines.forEach((line) => {
+            const property = EventImport.parseProperty(line);
+            if (!property)
+                return;
+            const [name, , value] = property;
+            if (name === "BEGIN" && value.toUpperCase() === "VEVENT") {
+                properties = [];
+            }
+            else if (name === "END" && value.toUpperCase() === "VEVENT") {
+                if (properties) {
+                    rows.push(EventImport.eventRow(properties));
+                    positions.push(rows.length);
+                }
+                properties = null;
+            }
+            else if (properties) {
+                properties.push(property);
+            }
+        });
+        if (rows.length === 0) {
+            throw new ImportError(I18n.t("import.error.noEvents"));
+        }
+        return { format: "ics", columns: [...ICS_COLUMNS], rows, lines: positions };
+    }
+    /**
+     * Map columns onto fields by their header names
+     */
+    static guessMapping(table) {
+        const mapping = {};
+        const headers = table.columns.map((column) => SearchIndex.fold(column)
+            .replace(/[^a-z0-9]+/g, " ")
+            .trim());
+        IMPORT_FIELDS.forEach((field) => {
+            const index = headers.findIndex((header, column) => FIELD_ALIASES[field].includes(header) &&
+                !Object.values(mapping).includes(column));
+            if (index !== -1)
+                mapping[field] = index;
+        });
+        return mapping;
+    }
+    /**
+     * Validate every row and build a raw feed record for the valid ones
+     */
+    static toRows(table, mapping, options = {}) {
+        const batch = options.batch || Date.now().toString(36);
+        return table.rows.map((cells, index) => {
+            const value = (field) => {
+                const column = mapping[field];
+                return column === undefined ? "" : (cells[column] || "").trim();
+            };
+            const row = {
+                line: table.lines[index],
+                raw: null,
+                event: null,
+                issues: [],
+            };
+            const issue = (field, key, params = {}) => {
+                row.issues.push({ field, message: I18n.t(key, params) });
+            };
+            if (!value("titleIs") && !value("titleEn")) {
+                issue(null, "import.error.title");
+            }
+            const start = EventImport.parseDateTime(value("start"), value("startTime"));
+            if (!value("start")) {
+                issue("start", "import.error.startMissing");
+            }
+            else if (!start) {
+                issue("start", "import.error.dateInvalid", { value: value("start") });
+            }
+            let end = "";
+            if (value("end") || value("endTime")) {
+                end = EventImport.parseDateTime(value("end") || value("start"), value("endTime"), "23:59");
+                if (!end) {
+                    issue("end", "import.error.dateInvalid", {
+                        value: value("end") || value("endTime"),
+                    });
+                }
+                else if (start && end < start) {
+                    issue("end", "import.error.endBeforeStart");
+                }
+            }
+            const dates = EventImport.splitList(value("dates")).map((entry) => {
+                const [from, to] = entry.split(/\/(?=\d{4}-)/);
+                const date = {
+                    start: EventImport.parseDateTime(from),
+                    end: to ? EventImport.parseDateTime(to) : "",
+                };
+                if (!date.start || (to && !date.end)) {
+                    issue("dates", "import.error.dateInvalid", { value: entry });
+                }
+                return date;
+            });
+            const price = value("price");
+            if (price && PriceParser.parse(price).min === null) {
+                issue("price", "import.error.price", { value: price });
+            }
+            const coordinates = EventImport.parseCoordinates(value("latitude"), value("longitude"));
+            if ((value("latitude") || value("longitude")) && !coordinates) {
+                issue("latitude", "import.error.coordinates");
+            }
+            ["website", "tickets"].forEach((field) => {
+                if (value(field) && !/^https?:\/\/\S+$/i.test(value(field))) {
+                    issue(field, "import.error.url", { value: value(field) });
+                }
+            });
+            if (row.issues.length > 0)
+                return row;
+            const postal = value("postal");
+            const city = value("city");
+            const address = value("address");
+            const locality = [postal, city].filter(Boolean).join(" ");
+            const raw = {
+                id: `import-${batch}-${index + 1}`,
+                event_id: Utils.uuid(),
+                language: {
+                    is: {
+                        title: value("titleIs"),
+                        text: value("descriptionIs"),
+                        place: value("place"),
+                    },
+                    en: {
+                        title: value("titleEn"),
+                        text: value("descriptionEn"),
+                        place: value("place"),
+                    },
+                },
+                start,
+                end: end || start,
+                occurrence: dates.length > 0 ? "multiple" : "single",
+                dates: dates.map((date) => (date.end ? date : date.start)),
+                location: coordinates,
+                formatted_address: address && locality && !address.includes(locality)
+                    ? `${address}, ${locality}`
+                    : address || locality,
+                street: address,
+                postal,
+                city,
+                categories: EventImport.matchTerms(EventImport.splitList(value("categories")), options.terms || []),
+                types: [],
+                tags: [],
+                price,
+                media: {
+                    ...(value("website") ? { website: value("website") } : {}),
+                    ...(value("tickets") ? { tickets: value("tickets") } : {}),
+                },
+            };
+            try {
+                row.event = EventNormalizer.normalize(raw);
+                row.raw = raw;
+            }
+            catch (error) {
+                if (!(error instanceof NormalizationError))
+                    throw error;
+                issue(null, "import.error.invalid", { reason: error.message });
+            }
+            return row;
+        });
+    }
+    /**
+     * Combine a date cell and an optional time cell into the feed's
+     * "YYYY-MM-DDTHH:mm". Accepts ISO dates, "28.3.2026", "28/03/2026" and
+     * iCalendar "20260328T200000"; an empty string means unreadable.
+     */
+    static parseDateTime(date, time = "", defaultTime = "00:00") {
+        const value = date.trim();
+        let match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2})[:.](\d{2}))?/.exec(value) ||
+            /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2}))?/.exec(value);
+        let year, month, day;
+        let hour, minute;
+        if (match) {
+            [, year, month, day, hour, minute] = match;
+        }
+        else {
+            match =
+                /^(\d{1,2})[./](\d{1,2})[./](\d{4})(?:,?\s+(?:kl\.?\s*)?(\d{1,2})[:.](\d{2}))?/i.exec(value);
+            if (!match)
+                return "";
+            [, day, month, year, hour, minute] = match;
+        }
+        if (time.trim()) {
+            const clock = EventImport.parseTime(time);
+            if (!clock)
+                return "";
+            [hour, minute] = clock;
+        }
+        else if (hour === undefined) {
+            [hour, minute] = defaultTime.split(":");
+        }
+        const parts = [+year, +month - 1, +day, +hour, +minute];
+        const check = new Date(Date.UTC(parts[0], parts[1], parts[2], parts[3], parts[4]));
+        if (check.getUTCFullYear() !== parts[0] ||
+            check.getUTCMonth() !== parts[1] ||
+            check.getUTCDate() !== parts[2] ||
+            parts[3] > 23 ||
+            parts[4] > 59) {
+            return "";
+        }
+        return check.toISOString().slice(0, 16);
+    }
+    /**
+     * Hours and minutes from "20:00", "20.30", "kl. 20" or "8:30 PM"
+     */
+    static parseTime(value) {
+        const match = /^(?:kl\.?\s*)?(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/i.exec(value.trim());
+        if (!match)
+            return null;
+        let hour = +match[1];
+        const meridiem = (match[3] || "").toLowerCase();
+        if (meridiem === "pm" && hour < 12)
+            hour += 12;
+        if (meridiem === "am" && hour === 12)
+            hour = 0;
+        if (hour > 23)
+            return null;
+        return [String(hour), match[2] || "00"];
+    }
+    static parseCoordinates(latitude, longitude) {
+        const lat = parseFloat(latitude.replace(",", "."));
+        const lng = parseFloat(longitude.replace(",", "."));
+        if (!Number.isFinite(lat) || !Number.isFinite(lng))
+            return null;
+        if (Math.abs(lat) > 90 || Math.abs(lng) > 180)
+            return null;
+        return [lat, lng];
+    }
+    /**
+     * Reuse the feed's category when the name matches in either language,
+     * otherwise create one from the name
+     */
+    static matchTerms(names, terms) {
+        return names.map((name) => {
+            const folded = SearchIndex.fold(name);
+            const term = terms.find((candidate) => [candidate.name, candidate.nameEn, candidate.tag].some((label) => label && SearchIndex.fold(label) === folded));
+            return term
+                ? { name: term.name, name_en: term.nameEn, tag: term.tag }
+                : {
+                    name,
+                    name_en: name,
+                    tag: folded.replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, ""),
+                };
+        });
+    }
+    static splitList(value) {
+        return value
+            .split(/[,;|\n]/)
+            .map((item) => item.trim())
+            .filter(Boolean);
+    }
+    static detectDelimiter(text) {
+        const header = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, "");
+        return DELIMITERS.reduce((best, delimiter) => header.split(delimiter).length > header.split(best).length
+            ? delimiter
+            : best);
+    }
+    /**
+     * Split "DTSTART;TZID=Europe/London:20260328T200000" into name,
+     * parameters and value
+     */
+    static parseProperty(line) {
+        const match = /^([A-Za-z0-9-]+)((?:;[^:;"]+=(?:"[^"]*"|[^:;]*))*):(.*)$/.exec(line);
+        if (!match)
+            return null;
+        const params = {};
+        match[2]
+            .split(";")
+            .filter(Boolean)
+            .forEach((param) => {
+            const [key, ...rest] = param.split("=");
+            params[key.toUpperCase()] = rest.join("=").replace(/^"|"$/g, "");
+        });
+        return [match[1].toUpperCase(), params, match[3]];
+    }
+    /**
+     * Cells in ICS_COLUMNS order for one VEVENT
+     */
+    static eventRow(properties) {
+        const find = (name) => properties.find((property) => property[0] === name);
+        const text = (name) => {
+            const property = find(name);
+            return property ? EventImport.unescape(property[2]) : "";
+        };
+        const startProperty = find("DTSTART");
+        const endProperty = find("DTEND");
+        const start = startProperty
+            ? EventImport.icsDateTime(startProperty[2], startProperty[1])
+            : "";
+        let end = endProperty
+            ? EventImport.icsDateTime(endProperty[2], endProperty[1])
+            : "";
+        // An all-day DTEND is the (exclusive) next day
+        if (endProperty && /^\d{8}$/.test(endProperty[2]) && end) {
+            end = EventImport.shift(end, -DAY_MS).replace(/T00:00$/, "T23:59");
+        }
+        const dates = start ? EventImport.recurrences(properties, start) : [];
+        const geo = text("GEO").split(/[;,]/);
+        return [
+            text("SUMMARY"),
+            text("DESCRIPTION"),
+            start || (startProperty ? startProperty[2] : ""),
+            end,
+            dates.join(", "),
+            text("LOCATION"),
+            geo.length === 2 ? geo[0] : "",
+            geo.length === 2 ? geo[1] : "",
+            properties
+                .filter((property) => property[0] === "CATEGORIES")
+                .map((property) => EventImport.unescape(property[2]))
+                .join(", "),
+            text("URL"),
+        ];
+    }
+    /**
+     * Additional dates from RRULE (DAILY/WEEKLY/MONTHLY/YEARLY with COUNT,
+     * UNTIL and INTERVAL) and RDATE, minus EXDATE
+     */
+    static recurrences(properties, start) {
+        const values = (name) => properties
+            .filter((property) => property[0] === name)
+            .flatMap(([, params, value]) => value
+            .split(",")
+            .map((item) => {
+            const [from, to] = item.split("/");
+            const date = EventImport.icsDateTime(from, params);
+            // Periods ("start/end") keep their own end time
+            return to && !to.startsWith("P")
+                ? `${date}/${EventImport.icsDateTime(to, params)}`
+                : date;
+        })
+            .filter(Boolean));
+        const rule = properties.find((property) => property[0] === "RRULE");
+        const excluded = new Set(values("EXDATE"));
+        const dates = [
+            ...EventImport.expandRule(rule ? rule[2] : "", start),
+            ...values("RDATE"),
+        ];
+        return Array.from(new Set(dates)).filter((date) => date.split("/")[0] !== start && !excluded.has(date));
+    }
+    /**
+     * Start times after the first one for a simple RRULE; rules without
+     * COUNT or UNTIL are not expanded
+     */
+    static expandRule(rule, start) {
+        if (!rule)
+            return [];
+        const parts = {};
+        rule.split(";").forEach((part) => {
+            const [key, value] = part.split("=");
+            parts[key.toUpperCase()] = value || "";
+        });
+        const interval = Math.max(parseInt(parts.INTERVAL, 10) || 1, 1);
+        const count = Math.min(parseInt(parts.COUNT, 10) || MAX_RECURRENCES, MAX_RECURRENCES);
+        const until = parts.UNTIL
+            ? EventImport.icsDateTime(parts.UNTIL, {}).replace(/T00:00$/, "T23:59")
+            : "";
+        if (!parts.COUNT && !until)
+            return [];
+        const origin = new Date(`${start}:00Z`);
+        const dates = [];
+        for (let i = 1; i < count; i++) {
+            const next = new Date(origin);
+            if (parts.FREQ === "DAILY") {
+                next.setUTCDate(origin.getUTCDate() + i * interval);
+            }
+            else if (parts.FREQ === "WEEKLY") {
+                next.setUTCDate(origin.getUTCDate() + i * interval * 7);
+            }
+            else if (parts.FREQ === "MONTHLY") {
+                next.setUTCMonth(origin.getUTCMonth() + i * interval);
+            }
+            else if (parts.FREQ === "YEARLY") {
+                next.setUTCFullYear(origin.getUTCFullYear() + i * interval);
+            }
+            else {
+                return [];
+            }
+            const date = next.toISOString().slice(0, 16);
+            if (until && date > until)
+                break;
+            dates.push(date);
+        }
+        return dates;
+    }
+    /**
+     * An iCalendar DATE or DATE-TIME as Reykjavik "YYYY-MM-DDTHH:mm".
+     * Iceland is on UTC all year, so UTC ("Z") and floating times are used
+     * as they are; other TZIDs are converted with Intl.
+     */
+    static icsDateTime(value, params) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+        if (!match)
+            return "";
+        const [, year, month, day, hour = "00", minute = "00"] = match;
+        const local = `${year}-${month}-${day}T${hour}:${minute}`;
+        const zone = (params.TZID || "").toLowerCase();
+        if (match[7] || !zone || UTC_ZONES.includes(zone))
+            return local;
+        try {
+            const guess = new Date(`${local}:00Z`);
+            const parts = new Intl.DateTimeFormat("en-US", {
+                timeZone: params.TZID,
+                hourCycle: "h23",
+                year: "numeric",
+                month: "2-digit",
+                day: "2-digit",
+                hour: "2-digit",
+                minute: "2-digit",
+            }).formatToParts(guess);
+            const get = (type) => +parts.find((part) => part.type === type)
+                .value;
+            const shown = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"));
+            return EventImport.shift(local, guess.getTime() - shown);
+        }
+        catch (error) {
+            // Unknown time zone; keep the wall-clock time
+            return local;
+        }
+    }
+    static shift(local, ms) {
+        return new Date(new Date(`${local}:00Z`).getTime() + ms)
+            .toISOString()
+            .slice(0, 16);
+    }
+    static unescape(value) {
+        return value.replace(/\\([\\;,nN])/g, (_, char) => char === "n" || char === "N" ? "\n" : char);
+    }
+}
+if (typeof window !== "undefined") {
+    window.EventImport = EventImport;
+}
+//# sourceMappingURL=import.js.map
\ No newline at end of file
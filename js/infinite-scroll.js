@@ -0,0 +1,195 @@
+// Infinite scrolling, "back to top" and scroll restoration for Venuu app
+import { Utils } from "./utils.js";
+/**
+ * Loads the next page of a list when its end scrolls into view, or when
+ * the "Load more" button is pressed. One page loads at a time.
+ */
+export class InfiniteScroll {
+    constructor(options) {
+        this.observer = null;
+        this.loading = null;
+        this.hasMore = false;
+        this.options = options;
+        if (typeof IntersectionObserver !== "undefined") {
+            this.observer = new IntersectionObserver((entries) => {
+                if (entries.some((entry) => entry.isIntersecting))
+                    this.load();
+            }, { rootMargin: options.rootMargin || "0px 0px 600px 0px" });
+            this.observer.observe(options.sentinel);
+        }
+        options.button?.addEventListener("click", () => this.load());
+        this.render();
+    }
+    /**
+     * Say whether more pages remain, e.g. after the list was filtered
+     * again; false also stops loading while the list is hidden
+     */
+    update(hasMore) {
+        this.hasMore = hasMore;
+        this.render();
+        this.recheck();
+    }
+    /**
+     * Load the next page unless one is loading or none remain
+     */
+    load() {
+        if (this.loading)
+            return this.loading;
+        if (!this.hasMore)
+            return Promise.resolve();
+        this.setBusy(true);
+        this.loading = (async () => {
+            try {
+                this.hasMore = await this.options.loadMore();
+            }
+            catch (error) {
+                // The button stays, so the user can try again
+                console.error("Could not load more events:", error);
+            }
+            finally {
+                this.loading = null;
+                this.setBusy(false);
+                this.render();
+            }
+            this.recheck();
+        })();
+        return this.loading;
+    }
+    disconnect() {
+        this.observer?.disconnect();
+        this.observer = null;
+    }
+    render() {
+        const { sentinel, button } = this.options;
+        const container = this.options.container || button;
+        sentinel.hidden = !this.hasMore;
+        if (container)
+            container.style.display = this.hasMore ? "" : "none";
+        if (button)
+            button.disabled = !this.hasMore;
+    }
+    setBusy(busy) {
+        const button = this.options.button;
+        if (!button)
+            return;
+        button.classList.toggle("loading", busy);
+        button.setAttribute("aria-busy", String(busy));
+    }
+    /**
+     * The observer only reports changes, so a sentinel still in view after a
+     * short page would never load the next one. Observing it again reports
+     * where it is now.
+     */
+    recheck() {
+        if (!this.observer)
+            return;
+        this.observer.unobserve(this.options.sentinel);
+        if (this.hasMore)
+            this.observer.observe(this.options.sentinel);
+    }
+}
+/**
+ * A button that appears once the page is scrolled down and takes the user
+ * back to the top, moving focus to `focusTarget` for keyboard users
+ */
+export class BackToTop {
+    /**
+     * @param threshold scroll distance in px after which the button shows;
+     *   defaults to one and a half screens
+     */
+    constructor(button, focusTarget = null, threshold = 0) {
+        this.button = button;
+        this.focusTarget = focusTarget;
+        this.threshold = threshold;
+        button.addEventListener("click", () => this.scrollToTop());
+        window.addEventListener("scroll", Utils.throttle(() => this.render(), 100), { passive: true });
+        this.render();
+    }
+    scrollToTop() {
+        const reduceMotion = window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+        window.scrollTo({ top: 0, behavior: reduceMotion ? "auto" : "smooth" });
+        this.focusTarget?.focus({ preventScroll: true });
+    }
+    render() {
+        const threshold = this.threshold || window.innerHeight * 1.5;
+        this.button.hidden = window.scrollY < threshold;
+    }
+}
+// Saved positions by URL, for this tab's session
+const SCROLL_KEY = "venuu-scroll";
+const MAX_SCROLL_ENTRIES = 20;
+/**
+ * Remembers how far each URL of a page was scrolled, so coming back to a
+ * list (from an event's details, another page or a reload) shows the same
+ * spot once its pages are loaded again. The browser's own restoration
+ * runs before the list is rendered, so it is turned off.
+ */
+export class ScrollPosition {
+    /**
+     * Start saving the scroll position of the current URL
+     * @param ignoredParams query parameters that don't change the list, such
+     *   as the open event, so its URL shares the list's position
+     */
+    static remember(ignoredParams = []) {
+        ScrollPosition.ignoredParams = ignoredParams;
+        if (ScrollPosition.watching)
+            return;
+        ScrollPosition.watching = true;
+        if ("scrollRestoration" in history)
+            history.scrollRestoration = "manual";
+        window.addEventListener("scroll", Utils.debounce(() => ScrollPosition.save(), 150), { passive: true });
+        window.addEventListener("pagehide", () => ScrollPosition.save());
+    }
+    /**
+     * Scroll to the position saved for the current URL once the list
+     * rendered in this frame is on screen; false when none was saved
+     */
+    static restore() {
+        const top = ScrollPosition.read()[ScrollPosition.key()];
+        if (typeof top !== "number")
+            return false;
+        requestAnimationFrame(() => window.scrollTo({ top, behavior: "auto" }));
+        return true;
+    }
+    static save() {
+        const positions = ScrollPosition.read();
+        const key = ScrollPosition.key();
+        delete positions[key];
+        positions[key] = Math.round(window.scrollY);
+        // Keep the latest entries; keys stay in insertion order
+        const keys = Object.keys(positions);
+        keys
+            .slice(0, Math.max(0, keys.length - MAX_SCROLL_ENTRIES))
+            .forEach((old) => delete positions[old]);
+        ScrollPosition.write(positions);
+    }
+    static key() {
+        const url = new URL(window.location.href);
+        ScrollPosition.ignoredParams.forEach((name) => url.searchParams.delete(name));
+        return url.pathname + url.search;
+    }
+    static read() {
+        try {
+            return JSON.parse(sessionStorage.getItem(SCROLL_KEY) || "{}");
+        }
+        catch {
+            return {};
+        }
+    }
+    static write(positions) {
+        try {
+            sessionStorage.setItem(SCROLL_KEY, JSON.stringify(positions));
+        }
+        catch (error) {
+            console.warn("Could not save the scroll position:", error);
+        }
+    }
+}
+ScrollPosition.watching = false;
+ScrollPosition.ignoredParams = [];
+if (typeof window !== "undefined") {
+    window.InfiniteScroll = InfiniteScroll;
+    window.BackToTop = BackToTop;
+    window.ScrollPosition = ScrollPosition;
+}
+//# sourceMappingURL=infinite-scroll.js.map
\ No newline at end of file
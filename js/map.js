@@ -0,0 +1,456 @@
+import { I18n } from "./i18n.js";
+import { ICELAND_OUTLINE } from "./iceland.js";
+const SVG_NS = "http://www.w3.org/2000/svg";
+// Longitude is scaled by cos(latitude) around the middle of Iceland so the
+// country keeps its shape without a full Mercator projection
+const REFERENCE_LAT = 64.9;
+const LNG_SCALE = Math.cos((REFERENCE_LAT * Math.PI) / 180);
+const MIN_SCALE = 40; // whole country with margin
+const MAX_SCALE = 120000; // a few streets
+const CLUSTER_CELL = 56; // px
+const DRAG_THRESHOLD = 4; // px before a press counts as a pan
+const FALLBACK_SIZE = { width: 800, height: 480 };
+export class EventMap {
+    constructor(container, options) {
+        this.events = [];
+        this.scale = MIN_SCALE;
+        this.renderQueued = false;
+        this.pointers = new Map();
+        this.dragDistance = 0;
+        this.pinchDistance = 0;
+        this.resizeObserver = null;
+        this.container = container;
+        this.options = options;
+        this.center = EventMap.project({ lat: 64.9, lng: -19 });
+        this.container.classList.add("event-map");
+        this.container.tabIndex = 0;
+        this.container.setAttribute("role", "application");
+        // Re-translated by I18n.apply when the language changes
+        this.container.setAttribute("aria-label", I18n.t("map.label"));
+        this.container.dataset.i18nAriaLabel = "map.label";
+        this.svg = document.createElementNS(SVG_NS, "svg");
+        this.svg.setAttribute("class", "event-map-svg");
+        this.land = document.createElementNS(SVG_NS, "g");
+        this.land.setAttribute("class", "event-map-land");
+        const outline = document.createElementNS(SVG_NS, "path");
+        outline.setAttribute("d", EventMap.outlinePath());
+        outline.setAttribute("vector-effect", "non-scaling-stroke");
+        this.land.appendChild(outline);
+        this.markers = document.createElementNS(SVG_NS, "g");
+        this.markers.setAttribute("class", "event-map-markers");
+        this.svg.append(this.land, this.markers);
+        this.popup = document.createElement("div");
+        this.popup.className = "event-map-popup";
+        this.popup.hidden = true;
+        this.container.append(this.svg, this.createControls(), this.popup);
+        this.bindEvents();
+        this.fitToIceland();
+    }
+    /**
+     * Replace the plotted events. The view is kept unless `fit` is set.
+     */
+    setEvents(events, fit = false) {
+        this.events = events.filter((event) => event.coordinates);
+        this.closePopup();
+        if (fit) {
+            this.fitToEvents();
+        }
+        else {
+            this.requestRender();
+        }
+    }
+    /**
+     * Number of events that have coordinates and can be plotted
+     */
+    get plottedCount() {
+        return this.events.length;
+    }
+    /**
+     * Zoom so every plotted event is visible
+     */
+    fitToEvents() {
+        if (this.events.length === 0) {
+            this.fitToIceland();
+            return;
+        }
+        this.fitPoints(this.events.map((event) => EventMap.project(event.coordinates)));
+    }
+    /**
+     * Show the whole country
+     */
+    fitToIceland() {
+        this.fitPoints(ICELAND_OUTLINE[0].map(([lng, lat]) => EventMap.project({ lat, lng })));
+    }
+    /**
+     * Zoom by a factor, keeping `anchor` (screen px) fixed
+     */
+    zoomBy(factor, anchor) {
+        const { width, height } = this.size();
+        const point = anchor || { x: width / 2, y: height / 2 };
+        const before = this.toWorld(point);
+        this.scale = EventMap.clamp(this.scale * factor, MIN_SCALE, MAX_SCALE);
+        const after = this.toWorld(point);
+        this.center = {
+            x: this.center.x + before.x - after.x,
+            y: this.center.y + before.y - after.y,
+        };
+        this.closePopup();
+        this.requestRender();
+    }
+    /**
+     * Pan by a screen offset in px
+     */
+    panBy(dx, dy) {
+        this.center = {
+            x: this.center.x - dx / this.scale,
+            y: this.center.y - dy / this.scale,
+        };
+        this.closePopup();
+        this.requestRender();
+    }
+    /**
+     * Geographic bounds of the visible area
+     */
+    getBounds() {
+        const { width, height } = this.size();
+        const topLeft = EventMap.unproject(this.toWorld({ x: 0, y: 0 }));
+        const bottomRight = EventMap.unproject(this.toWorld({ x: width, y: height }));
+        return {
+            north: topLeft.lat,
+            south: bottomRight.lat,
+            west: topLeft.lng,
+            east: bottomRight.lng,
+        };
+    }
+    /**
+     * Re-render after the container was shown or resized
+     */
+    refresh() {
+        this.requestRender();
+    }
+    /**
+     * Remove listeners and markup
+     */
+    destroy() {
+        if (this.resizeObserver)
+            this.resizeObserver.disconnect();
+        this.container.innerHTML = "";
+        this.container.classList.remove("event-map");
+    }
+    static project(point) {
+        return { x: point.lng * LNG_SCALE, y: -point.lat };
+    }
+    static unproject(point) {
+        return { lat: -point.y, lng: point.x / LNG_SCALE };
+    }
+    static outlinePath() {
+        return ICELAND_OUTLINE.map((ring) => ring
+            .map(([lng, lat], index) => {
+            const { x, y } = EventMap.project({ lat, lng });
+            return `${index === 0 ? "M" : "L"}${x.toFixed(4)},${y.toFixed(4)}`;
+        })
+            .join("") + "Z").join("");
+    }
+    static clamp(value, min, max) {
+        return Math.min(Math.max(value, min), max);
+    }
+    size() {
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        return width > 0 && height > 0 ? { width, height } : FALLBACK_SIZE;
+    }
+    toScreen(point) {
+        const { width, height } = this.size();
+        return {
+            x: (point.x - this.center.x) * this.scale + width / 2,
+            y: (point.y - this.center.y) * this.scale + height / 2,
+        };
+    }
+    toWorld(point) {
+        const { width, height } = this.size();
+        return {
+            x: (point.x - width / 2) / this.scale + this.center.x,
+            y: (point.y - height / 2) / this.scale + this.center.y,
+        };
+    }
+    fitPoints(points) {
+        const xs = points.map((point) => point.x);
+        const ys = points.map((point) => point.y);
+        const minX = Math.min(...xs);
+        const maxX = Math.max(...xs);
+        const minY = Math.min(...ys);
+        const maxY = Math.max(...ys);
+        const { width, height } = this.size();
+        this.center = { x: (minX + maxX) / 2, y: (minY + maxY) / 2 };
+        const spanX = maxX - minX;
+        const spanY = maxY - minY;
+        this.scale =
+            spanX === 0 && spanY === 0
+                ? MAX_SCALE / 4
+                : EventMap.clamp(0.85 * Math.min(width / (spanX || spanY), height / (spanY || spanX)), MIN_SCALE, MAX_SCALE);
+        this.closePopup();
+        this.requestRender();
+    }
+    requestRender() {
+        if (this.renderQueued)
+            return;
+        this.renderQueued = true;
+        requestAnimationFrame(() => {
+            this.renderQueued = false;
+            this.render();
+        });
+    }
+    render() {
+        const { width, height } = this.size();
+        const tx = -this.center.x * this.scale + width / 2;
+        const ty = -this.center.y * this.scale + height / 2;
+        this.svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+        this.land.setAttribute("transform", `matrix(${this.scale} 0 0 ${this.scale} ${tx} ${ty})`);
+        this.markers.textContent = "";
+        this.cluster().forEach((cluster) => {
+            this.markers.appendChild(cluster.events.length === 1
+                ? this.createMarker(cluster)
+                : this.createClusterMarker(cluster));
+        });
+    }
+    /**
+     * Group visible events into screen-space grid cells
+     */
+    cluster() {
+        const { width, height } = this.size();
+        const cells = new Map();
+        this.events.forEach((event) => {
+            const point = this.toScreen(EventMap.project(event.coordinates));
+            if (point.x < -CLUSTER_CELL ||
+                point.y < -CLUSTER_CELL ||
+                point.x > width + CLUSTER_CELL ||
+                point.y > height + CLUSTER_CELL) {
+                return;
+            }
+            const key = `${Math.floor(point.x / CLUSTER_CELL)}:${Math.floor(point.y / CLUSTER_CELL)}`;
+            const cell = cells.get(key);
+            if (cell) {
+                const count = cell.events.length;
+                cell.x = (cell.x * count + point.x) / (count + 1);
+                cell.y = (cell.y * count + point.y) / (count + 1);
+                cell.events.push(event);
+            }
+            else {
+                cells.set(key, { x: point.x, y: point.y, events: [event] });
+            }
+        });
+        return Array.from(cells.values());
+    }
+    createMarker(cluster) {
+        const event = cluster.events[0];
+        const title = I18n.localize(event.title) || I18n.t("event.untitled");
+        const marker = this.createMarkerGroup(cluster, "event-map-marker", title);
+        const pin = document.createElementNS(SVG_NS, "circle");
+        pin.setAttribute("r", "7");
+        marker.appendChild(pin);
+        marker.addEventListener("click", () => this.options.onSelect(event));
+        return marker;
+    }
+    createClusterMarker(cluster) {
+        const count = cluster.events.length;
+        const marker = this.createMarkerGroup(cluster, "event-map-cluster", `${count} events`);
+        const circle = document.createElementNS(SVG_NS, "circle");
+        circle.setAttribute("r", String(12 + Math.min(Math.log2(count) * 3, 14)));
+        const label = document.createElementNS(SVG_NS, "text");
+        label.setAttribute("text-anchor", "middle");
+        label.setAttribute("dy", "0.35em");
+        label.textContent = String(count);
+        marker.append(circle, label);
+        marker.addEventListener("click", () => this.openCluster(cluster));
+        return marker;
+    }
+    createMarkerGroup(cluster, className, label) {
+        const group = document.createElementNS(SVG_NS, "g");
+        group.setAttribute("class", className);
+        group.setAttribute("transform", `translate(${cluster.x.toFixed(1)} ${cluster.y.toFixed(1)})`);
+        group.setAttribute("role", "button");
+        group.setAttribute("tabindex", "0");
+        group.setAttribute("aria-label", label);
+        const title = document.createElementNS(SVG_NS, "title");
+        title.textContent = label;
+        group.appendChild(title);
+        // Markers are activated on click, so swallow presses that were pans
+        group.addEventListener("click", (e) => {
+            if (this.dragDistance > DRAG_THRESHOLD)
+                e.stopImmediatePropagation();
+        }, { capture: true });
+        group.addEventListener("keydown", (e) => {
+            if (e.key === "Enter" || e.key === " ") {
+                e.preventDefault();
+                e.stopPropagation();
+                group.dispatchEvent(new MouseEvent("click", { bubbles: true }));
+            }
+        });
+        group.addEventListener("pointerdown", (e) => {
+            e.stopPropagation();
+            this.dragDistance = 0;
+        });
+        return group;
+    }
+    /**
+     * Zoom into a cluster, or list its events when zooming cannot split it
+     * (several events at the same venue)
+     */
+    openCluster(cluster) {
+        const points = cluster.events.map((event) => EventMap.project(event.coordinates));
+        const spread = Math.max(Math.max(...points.map((p) => p.x)) - Math.min(...points.map((p) => p.x)), Math.max(...points.map((p) => p.y)) - Math.min(...points.map((p) => p.y)));
+        if (this.scale < MAX_SCALE && spread * MAX_SCALE > CLUSTER_CELL) {
+            this.fitPoints(points);
+            return;
+        }
+        this.popup.innerHTML = "";
+        const list = document.createElement("ul");
+        cluster.events.forEach((event) => {
+            const item = document.createElement("li");
+            const button = document.createElement("button");
+            button.type = "button";
+            button.textContent =
+                I18n.localize(event.title) || I18n.t("event.untitled");
+            button.addEventListener("click", () => {
+                this.closePopup();
+                this.options.onSelect(event);
+            });
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+        this.popup.appendChild(list);
+        const { width } = this.size();
+        this.popup.style.left = `${EventMap.clamp(cluster.x, 110, width - 110)}px`;
+        this.popup.style.top = `${cluster.y + 20}px`;
+        this.popup.hidden = false;
+        list.querySelector("button").focus();
+    }
+    closePopup() {
+        this.popup.hidden = true;
+    }
+    createControls() {
+        const controls = document.createElement("div");
+        controls.className = "event-map-controls";
+        const buttons = [
+            ["+", "map.zoomIn", () => this.zoomBy(2)],
+            ["−", "map.zoomOut", () => this.zoomBy(0.5)],
+            ["⤢", "map.showAll", () => this.fitToEvents()],
+        ];
+        buttons.forEach(([text, key, action]) => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = "event-map-control";
+            button.textContent = text;
+            button.setAttribute("aria-label", I18n.t(key));
+            button.title = I18n.t(key);
+            button.dataset.i18nAriaLabel = key;
+            button.dataset.i18nTitle = key;
+            button.addEventListener("click", action);
+            controls.appendChild(button);
+        });
+        return controls;
+    }
+    localPoint(e) {
+        const rect = this.container.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+    bindEvents() {
+        this.svg.addEventListener("pointerdown", (e) => {
+            this.svg.setPointerCapture?.(e.pointerId);
+            this.pointers.set(e.pointerId, this.localPoint(e));
+            this.dragDistance = 0;
+            this.pinchDistance = this.currentPinchDistance();
+        });
+        this.svg.addEventListener("pointermove", (e) => {
+            const previous = this.pointers.get(e.pointerId);
+            if (!previous)
+                return;
+            const point = this.localPoint(e);
+            this.pointers.set(e.pointerId, point);
+            if (this.pointers.size >= 2) {
+                // Pinch zoom around the midpoint of the first two pointers
+                const distance = this.currentPinchDistance();
+                if (this.pinchDistance > 0 && distance > 0) {
+                    const [a, b] = Array.from(this.pointers.values());
+                    this.zoomBy(distance / this.pinchDistance, {
+                        x: (a.x + b.x) / 2,
+                        y: (a.y + b.y) / 2,
+                    });
+                }
+                this.pinchDistance = distance;
+                this.dragDistance = Infinity;
+                return;
+            }
+            const dx = point.x - previous.x;
+            const dy = point.y - previous.y;
+            this.dragDistance += Math.abs(dx) + Math.abs(dy);
+            if (this.dragDistance > DRAG_THRESHOLD) {
+                this.container.classList.add("is-panning");
+                this.panBy(dx, dy);
+            }
+        });
+        const endPointer = (e) => {
+            this.pointers.delete(e.pointerId);
+            this.pinchDistance = this.currentPinchDistance();
+            if (this.pointers.size === 0) {
+                this.container.classList.remove("is-panning");
+            }
+        };
+        this.svg.addEventListener("pointerup", endPointer);
+        this.svg.addEventListener("pointercancel", endPointer);
+        this.svg.addEventListener("wheel", (e) => {
+            e.preventDefault();
+            this.zoomBy(Math.exp(-e.deltaY * 0.0015), this.localPoint(e));
+        }, { passive: false });
+        this.svg.addEventListener("dblclick", (e) => {
+            e.preventDefault();
+            this.zoomBy(2, this.localPoint(e));
+        });
+        this.container.addEventListener("keydown", (e) => {
+            const step = 80;
+            switch (e.key) {
+                case "ArrowLeft":
+                    this.panBy(step, 0);
+                    break;
+                case "ArrowRight":
+                    this.panBy(-step, 0);
+                    break;
+                case "ArrowUp":
+                    this.panBy(0, step);
+                    break;
+                case "ArrowDown":
+                    this.panBy(0, -step);
+                    break;
+                case "+":
+                case "=":
+                    this.zoomBy(2);
+                    break;
+                case "-":
+                    this.zoomBy(0.5);
+                    break;
+                case "Escape":
+                    if (this.popup.hidden)
+                        return;
+                    this.closePopup();
+                    break;
+                default:
+                    return;
+            }
+            e.preventDefault();
+        });
+        if (typeof ResizeObserver !== "undefined") {
+            this.resizeObserver = new ResizeObserver(() => this.requestRender());
+            this.resizeObserver.observe(this.container);
+        }
+    }
+    currentPinchDistance() {
+        if (this.pointers.size < 2)
+            return 0;
+        const [a, b] = Array.from(this.pointers.values());
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+}
+if (typeof window !== "undefined") {
+    window.EventMap = EventMap;
+}
+//# sourceMappingURL=map.js.map
\ No newline at end of file
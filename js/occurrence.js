@@ -0,0 +1,82 @@
+export class Occurrences {
+    /**
+     * Expand an event into its concrete instances, optionally limited to
+     * the ones overlapping [from, to]
+     */
+    static expand(event, range = {}) {
+        const from = Occurrences.toTime(range.from);
+        const to = Occurrences.toTime(range.to);
+        return Occurrences.list(event)
+            .map((occurrence) => ({
+            event,
+            start: new Date(occurrence.start),
+            end: new Date(occurrence.end),
+        }))
+            .filter((instance) => (from === null || instance.end.getTime() >= from) &&
+            (to === null || instance.start.getTime() <= to));
+    }
+    /**
+     * Expand many events into one chronologically sorted list of instances
+     */
+    static expandAll(events, range = {}) {
+        return events
+            .flatMap((event) => Occurrences.expand(event, range))
+            .sort((a, b) => a.start.getTime() - b.start.getTime());
+    }
+    /**
+     * The first occurrence that has not ended yet at `from`, or null when
+     * every date has passed. An occurrence in progress counts as upcoming.
+     */
+    static nextOccurrence(event, from = new Date()) {
+        const time = Occurrences.toTime(from) ?? Date.now();
+        return (Occurrences.list(event).find((occurrence) => new Date(occurrence.end).getTime() >= time) || null);
+    }
+    /**
+     * All occurrences that have not ended yet at `from`
+     */
+    static remaining(event, from = new Date()) {
+        const time = Occurrences.toTime(from) ?? Date.now();
+        return Occurrences.list(event).filter((occurrence) => new Date(occurrence.end).getTime() >= time);
+    }
+    /**
+     * The occurrence to show in listings: the next upcoming one, or the
+     * most recent one for events that are already over
+     */
+    static displayOccurrence(event, from = new Date()) {
+        const list = Occurrences.list(event);
+        return Occurrences.nextOccurrence(event, from) || list[list.length - 1];
+    }
+    /**
+     * Whether any occurrence of the event overlaps [from, to]
+     */
+    static occursBetween(event, from, to) {
+        return Occurrences.expand(event, { from, to }).length > 0;
+    }
+    /**
+     * Compare two events by their display occurrence for date sorting
+     */
+    static compare(a, b, order = "asc", from = new Date()) {
+        const diff = new Date(Occurrences.displayOccurrence(a, from).start).getTime() -
+            new Date(Occurrences.displayOccurrence(b, from).start).getTime();
+        return order === "asc" ? diff : -diff;
+    }
+    /**
+     * Occurrences of an event, falling back to start/end for events built
+     * without going through EventNormalizer
+     */
+    static list(event) {
+        return event.occurrences && event.occurrences.length > 0
+            ? event.occurrences
+            : [{ start: event.start, end: event.end || event.start }];
+    }
+    static toTime(value) {
+        if (value === undefined || value === null || value === "")
+            return null;
+        const time = new Date(value).getTime();
+        return isNaN(time) ? null : time;
+    }
+}
+if (typeof window !== "undefined") {
+    window.Occurrences = Occurrences;
+}
+//# sourceMappingURL=occurrence.js.map
\ No newline at end of file
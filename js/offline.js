@@ -0,0 +1,214 @@
+// Offline support for Venuu app
+import { I18n } from "./i18n.js";
+import { Utils } from "./utils.js";
+const QUEUE_KEY = "venuu-offline-queue";
+const CHANGE_EVENT = "venuu:offlinechange";
+const SERVICE_WORKER_URL = "sw.js";
+// Set by the service worker (sw.js) on responses answered from its cache
+const CACHED_AT_HEADER = "X-Venuu-Cached-At";
+// The service worker's cache of event data (DATA_CACHE in sw.js)
+const DATA_CACHE = "venuu-data";
+/**
+ * Connection state, the service worker and the queue of changes waiting
+ * for a connection. While offline a banner says so, how old the events
+ * shown are and how many changes are waiting.
+ */
+export class Offline {
+    static isOnline() {
+        return navigator.onLine !== false;
+    }
+    /**
+     * Whether a failed request never got an answer, so sending it again
+     * later may work. ApiService's errors are told apart by name, since
+     * api.ts imports this module.
+     */
+    static isNetworkError(error) {
+        const name = error?.name;
+        return (!Offline.isOnline() || name === "NetworkError" || name === "TimeoutError");
+    }
+    /**
+     * Where a response came from; `source` is used unless the service
+     * worker answered from its cache
+     */
+    static statusOf(response, source) {
+        const cachedAt = response.headers.get(CACHED_AT_HEADER);
+        if (cachedAt)
+            return { source: "cache", updatedAt: new Date(cachedAt) };
+        if (source === "network")
+            return { source, updatedAt: new Date() };
+        // The bundled file is as old as its last deploy
+        const modified = response.headers.get("Last-Modified");
+        return { source, updatedAt: modified ? new Date(modified) : null };
+    }
+    /**
+     * Record where the events shown were loaded from
+     */
+    static setDataStatus(status) {
+        Offline.dataStatus = status;
+        Offline.notify();
+    }
+    static getDataStatus() {
+        return Offline.dataStatus;
+    }
+    /**
+     * Delete the event data the service worker keeps
+     */
+    static async clearCachedData() {
+        if (typeof caches === "undefined")
+            return;
+        await caches.delete(DATA_CACHE);
+    }
+    /**
+     * Queue a change to send once the connection is back
+     */
+    static queue(kind, key) {
+        Offline.write([
+            ...Offline.pending().filter((change) => change.kind !== kind || change.key !== key),
+            {
+                id: Utils.generateId("change"),
+                kind,
+                key,
+                queuedAt: new Date().toISOString(),
+            },
+        ]);
+    }
+    /**
+     * Changes waiting to be sent, oldest first
+     */
+    static pending() {
+        const changes = Utils.storage.get(QUEUE_KEY);
+        return Array.isArray(changes) ? changes : [];
+    }
+    /**
+     * Send queued changes of a kind with `sender`. Changes are only sent on
+     * pages that registered a sender for them.
+     */
+    static registerSender(kind, sender) {
+        Offline.senders.set(kind, sender);
+        Offline.flush();
+    }
+    /**
+     * Send the queued changes in order, stopping at the first that fails
+     * for want of a connection
+     */
+    static flush() {
+        if (!Offline.isOnline())
+            return Promise.resolve();
+        if (!Offline.flushing) {
+            Offline.flushing = Offline.locked(() => Offline.sendQueued()).finally(() => {
+                Offline.flushing = null;
+            });
+        }
+        return Offline.flushing;
+    }
+    /**
+     * Run a callback when the connection, the queue or the data status
+     * changes
+     */
+    static onChange(listener) {
+        window.addEventListener(CHANGE_EVENT, () => listener());
+    }
+    /**
+     * Show the offline banner for the current state
+     */
+    static renderBanner() {
+        let banner = document.getElementById("offline-banner");
+        if (!banner) {
+            banner = document.createElement("div");
+            banner.id = "offline-banner";
+            banner.className = "offline-banner";
+            banner.setAttribute("role", "status");
+            document.body.appendChild(banner);
+        }
+        const updatedAt = Offline.dataStatus?.updatedAt;
+        const count = Offline.pending().length;
+        banner.hidden = Offline.isOnline();
+        banner.textContent = [
+            I18n.t("offline.banner"),
+            updatedAt
+                ? I18n.t("offline.updated", {
+                    time: I18n.formatDate(updatedAt, {
+                        day: "numeric",
+                        month: "short",
+                        hour: "2-digit",
+                        minute: "2-digit",
+                    }),
+                })
+                : "",
+            count > 0 ? I18n.t("offline.pending", { count }) : "",
+        ]
+            .filter(Boolean)
+            .join(" ");
+    }
+    static init() {
+        if ("serviceWorker" in navigator) {
+            window.addEventListener("load", () => {
+                navigator.serviceWorker
+                    .register(SERVICE_WORKER_URL)
+                    .catch((error) => console.warn("Service worker registration failed:", error));
+            });
+        }
+        window.addEventListener("online", () => {
+            Offline.notify();
+            Offline.flush();
+        });
+        window.addEventListener("offline", () => Offline.notify());
+        window.addEventListener("storage", (e) => {
+            if (e.key === QUEUE_KEY || e.key === null)
+                Offline.notify();
+        });
+        Offline.onChange(() => Offline.renderBanner());
+        I18n.onChange(() => Offline.renderBanner());
+        if (document.readyState === "loading") {
+            document.addEventListener("DOMContentLoaded", () => Offline.renderBanner());
+        }
+        else {
+            Offline.renderBanner();
+        }
+    }
+    static async sendQueued() {
+        for (const change of Offline.pending()) {
+            const sender = Offline.senders.get(change.kind);
+            if (!sender)
+                continue;
+            try {
+                await sender(change);
+            }
+            catch (error) {
+                const status = error.status;
+                if (Offline.isNetworkError(error) || (status && status >= 500)) {
+                    // Still no connection, or the server is struggling: try later
+                    return;
+                }
+                // The server refused it; sending it again won't help
+                console.warn("Dropping a queued change the server refused:", error);
+            }
+            Offline.write(Offline.pending().filter(({ id }) => id !== change.id));
+        }
+    }
+    /**
+     * Run a task while holding the queue lock, so only one tab at a time
+     * sends and no change is sent twice
+     */
+    static async locked(task) {
+        if (navigator.locks)
+            await navigator.locks.request(QUEUE_KEY, task);
+        else
+            await task();
+    }
+    static write(changes) {
+        Utils.storage.set(QUEUE_KEY, changes);
+        Offline.notify();
+    }
+    static notify() {
+        window.dispatchEvent(new CustomEvent(CHANGE_EVENT));
+    }
+}
+Offline.dataStatus = null;
+Offline.senders = new Map();
+Offline.flushing = null;
+if (typeof window !== "undefined") {
+    window.Offline = Offline;
+    Offline.init();
+}
+//# sourceMappingURL=offline.js.map
\ No newline at end of file
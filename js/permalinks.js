@@ -0,0 +1,171 @@
+// Event permalinks and URL-synced filters for Venuu app
+import { Facets } from "./facets.js";
+import { I18n } from "./i18n.js";
+import { Utils } from "./utils.js";
+export const DEFAULT_EVENTS_PAGE_STATE = {
+    query: "",
+    facets: {},
+    minPrice: "",
+    maxPrice: "",
+    freeOnly: false,
+    near: "",
+    radiusKm: "2",
+    bounds: null,
+    sort: "",
+    page: 1,
+    view: "grid",
+    event: "",
+};
+// Facet values and map bounds are joined into one parameter each
+const SEPARATOR = ",";
+const BOUNDS_PRECISION = 5;
+/**
+ * Links to single events, and the events page state read from and written
+ * to its query string, so reloads, back/forward and shared links show the
+ * same results.
+ *
+ *   events.html?q=jazz&category=Tónlist&sort=date-asc&page=2&event=656187
+ *
+ * A "Near me" origin from the device is left out: it would share the
+ * user's position and means nothing on another device.
+ */
+export class Permalinks {
+    /**
+     * Link that opens an event's details on the events page
+     */
+    static eventUrl(eventId, base = window.location.href) {
+        const url = new URL("events.html", base);
+        url.searchParams.set("event", String(eventId));
+        return url.toString();
+    }
+    /**
+     * Share an event's link with the system share sheet, or copy it
+     */
+    static async share(event) {
+        const url = Permalinks.eventUrl(event.id);
+        const title = I18n.localize(event.title);
+        if (navigator.share) {
+            try {
+                await navigator.share({ title, url });
+            }
+            catch (error) {
+                // Closing the share sheet rejects with an AbortError
+                if (error.name !== "AbortError") {
+                    console.warn("Could not share event:", error);
+                }
+            }
+            return;
+        }
+        if (await Utils.copyToClipboard(url)) {
+            alert(I18n.t("modal.linkCopied"));
+        }
+        else {
+            window.prompt(I18n.t("modal.copyPrompt"), url);
+        }
+    }
+    /**
+     * The events page state in a URL; missing or invalid values are left at
+     * their defaults
+     */
+    static readEventsPage(url = window.location.href) {
+        const params = Utils.getQueryParams(url);
+        const facets = {};
+        Facets.NAMES.forEach((facet) => {
+            const values = Permalinks.split(params[facet]);
+            if (values.length > 0)
+                facets[facet] = values;
+        });
+        const page = Number(params.page);
+        return {
+            ...DEFAULT_EVENTS_PAGE_STATE,
+            query: params.q || "",
+            facets,
+            minPrice: Permalinks.price(params.min),
+            maxPrice: Permalinks.price(params.max),
+            freeOnly: params.free === "1",
+            near: params.near || "",
+            radiusKm: params.radius || DEFAULT_EVENTS_PAGE_STATE.radiusKm,
+            bounds: Permalinks.parseBounds(params.area),
+            sort: params.sort || "",
+            page: Number.isInteger(page) && page > 1 ? page : 1,
+            view: params.view === "map" ? "map" : "grid",
+            event: params.event || "",
+        };
+    }
+    /**
+     * Put the events page state in the URL, adding a history entry unless
+     * `replace` is set
+     */
+    static writeEventsPage(state, replace = false) {
+        const params = Permalinks.toParams(state);
+        // Nothing to do when the URL already says this, so restoring a state
+        // doesn't add another entry for it
+        const url = new URL(window.location.href);
+        const changed = Object.entries(params).some(([key, value]) => (url.searchParams.get(key) || "") !== (value || ""));
+        if (changed)
+            Utils.setQueryParams(params, replace);
+    }
+    /**
+     * Whether two states show the same results, whichever event is open
+     */
+    static sameResults(a, b) {
+        const params = (state) => JSON.stringify(Permalinks.toParams({ ...state, event: "" }));
+        return params(a) === params(b);
+    }
+    /**
+     * Query parameters for a state; defaults are left out to keep links
+     * short
+     */
+    static toParams(state) {
+        const defaults = DEFAULT_EVENTS_PAGE_STATE;
+        const facets = Object.fromEntries(Facets.NAMES.map((facet) => [
+            facet,
+            (state.facets[facet] || []).join(SEPARATOR) || null,
+        ]));
+        return {
+            q: state.query.trim() || null,
+            ...facets,
+            min: state.minPrice || null,
+            max: state.maxPrice || null,
+            free: state.freeOnly ? "1" : null,
+            near: state.near || null,
+            radius: state.near && state.radiusKm !== defaults.radiusKm
+                ? state.radiusKm
+                : null,
+            area: state.bounds ? Permalinks.formatBounds(state.bounds) : null,
+            sort: state.sort || null,
+            page: state.page > 1 ? String(state.page) : null,
+            view: state.view === "map" ? "map" : null,
+            event: state.event || null,
+        };
+    }
+    static split(value) {
+        return (value || "")
+            .split(SEPARATOR)
+            .map((item) => item.trim())
+            .filter(Boolean);
+    }
+    static price(value) {
+        return value && !isNaN(Number(value)) ? value : "";
+    }
+    /**
+     * Bounds as "north,east,south,west"
+     */
+    static formatBounds(bounds) {
+        return [bounds.north, bounds.east, bounds.south, bounds.west]
+            .map((value) => value.toFixed(BOUNDS_PRECISION))
+            .join(SEPARATOR);
+    }
+    static parseBounds(value) {
+        const numbers = Permalinks.split(value).map(Number);
+        if (numbers.length !== 4 || numbers.some((n) => !Number.isFinite(n))) {
+            return null;
+        }
+        const [north, east, south, west] = numbers;
+        return north >= south ? { north, east, south, west } : null;
+    }
+}
+if (typeof window !== "undefined") {
+    window.Permalinks = Permalinks;
+}
+//# sourceMappingURL=permalinks.js.map
\ No newline at end of file
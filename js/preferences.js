@@ -0,0 +1,69 @@
+// User preferences API (local storage based)
+export class UserPreferencesApi {
+    constructor() {
+        this.storageKey = "venuu-preferences";
+    }
+    /**
+     * Get user preferences
+     */
+    getPreferences() {
+        const defaultPrefs = {
+            theme: "light",
+            language: "en",
+            notifications: true,
+            searchHistory: [],
+        };
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored ? { ...defaultPrefs, ...JSON.parse(stored) } : defaultPrefs;
+        }
+        catch (error) {
+            console.error("Error loading preferences:", error);
+            return defaultPrefs;
+        }
+    }
+    /**
+     * Save user preferences
+     */
+    savePreferences(preferences) {
+        try {
+            const currentPrefs = this.getPreferences();
+            const updatedPrefs = { ...currentPrefs, ...preferences };
+            localStorage.setItem(this.storageKey, JSON.stringify(updatedPrefs));
+        }
+        catch (error) {
+            console.error("Error saving preferences:", error);
+        }
+    }
+    /**
+     * Add search to history
+     */
+    addSearchToHistory(query) {
+        if (!query.trim())
+            return;
+        const prefs = this.getPreferences();
+        const history = prefs.searchHistory.filter((item) => item !== query);
+        history.unshift(query);
+        prefs.searchHistory = history.slice(0, 10); // Keep only last 10 searches
+        this.savePreferences(prefs);
+    }
+    /**
+     * Get search history
+     */
+    getSearchHistory() {
+        const prefs = this.getPreferences();
+        return prefs.searchHistory;
+    }
+    /**
+     * Clear search history
+     */
+    clearSearchHistory() {
+        const prefs = this.getPreferences();
+        prefs.searchHistory = [];
+        this.savePreferences(prefs);
+    }
+}
+if (typeof window !== "undefined") {
+    window.UserPreferencesApi = UserPreferencesApi;
+}
+//# sourceMappingURL=preferences.js.map
\ No newline at end of file
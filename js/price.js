@@ -0,0 +1,96 @@
+/**
+ * Words that mean "free" in the feed, in Icelandic and English
+ */
+const FREE_WORDS = ["free", "frítt", "fritt", "ókeypis", "okeypis", "frír"];
+const CURRENCY_PATTERNS = [
+    [/€|\beur\b|\bevr/i, "EUR"],
+    [/\$|\busd\b/i, "USD"],
+    [/£|\bgbp\b/i, "GBP"],
+    [/\bkr\b|\bkr\.|\bisk\b|krónur/i, "ISK"],
+];
+// "18.900", "18,900", "18 900", "2500", "12,50"
+const NUMBER_PATTERN = /\d{1,3}(?:[.,\s]\d{3})+(?![\d])|\d+(?:[.,]\d{1,2})?/g;
+export class PriceParser {
+    /**
+     * Parse a free-form price string ("18.900 kr", "Frítt", "2.500 - 4.000 kr")
+     * into a structured PriceInfo. Unknown or empty prices give min/max null.
+     */
+    static parse(value) {
+        const raw = value === null || value === undefined ? "" : String(value).trim();
+        const info = {
+            min: null,
+            max: null,
+            currency: PriceParser.detectCurrency(raw),
+            isFree: false,
+            raw,
+        };
+        if (!raw)
+            return info;
+        const lower = raw.toLowerCase();
+        const mentionsFree = FREE_WORDS.some((word) => lower.includes(word));
+        const amounts = (raw.match(NUMBER_PATTERN) || [])
+            .map((token) => PriceParser.parseAmount(token))
+            .filter((amount) => amount !== null);
+        if (mentionsFree)
+            amounts.push(0);
+        if (amounts.length === 0)
+            return info;
+        info.min = Math.min(...amounts);
+        info.max = Math.max(...amounts);
+        info.isFree = info.max === 0;
+        return info;
+    }
+    /**
+     * Compare two prices for sorting; unknown prices always sort last
+     */
+    static compare(a, b, order = "asc") {
+        if (a.min === null && b.min === null)
+            return 0;
+        if (a.min === null)
+            return 1;
+        if (b.min === null)
+            return -1;
+        return order === "asc" ? a.min - b.min : b.min - a.min;
+    }
+    /**
+     * Whether a price falls inside an optional [min, max] range. A range
+     * event matches when any of its prices is inside the range.
+     */
+    static inRange(price, min, max) {
+        const hasMin = typeof min === "number" && !isNaN(min);
+        const hasMax = typeof max === "number" && !isNaN(max);
+        if (!hasMin && !hasMax)
+            return true;
+        if (price.min === null || price.max === null)
+            return false;
+        if (hasMin && price.max < min)
+            return false;
+        if (hasMax && price.min > max)
+            return false;
+        return true;
+    }
+    static detectCurrency(raw) {
+        const match = CURRENCY_PATTERNS.find(([pattern]) => pattern.test(raw));
+        return match ? match[1] : "ISK";
+    }
+    /**
+     * Icelandic prices use "." (or a space) as thousands separator and ","
+     * for decimals. English-style "3,000" is handled too.
+     */
+    static parseAmount(token) {
+        const compact = token.replace(/\s/g, "");
+        let normalized;
+        if (/^\d{1,3}([.,]\d{3})+$/.test(compact)) {
+            normalized = compact.replace(/[.,]/g, "");
+        }
+        else {
+            normalized = compact.replace(",", ".");
+        }
+        const amount = Number(normalized);
+        return Number.isFinite(amount) ? amount : null;
+    }
+}
+if (typeof window !== "undefined") {
+    window.PriceParser = PriceParser;
+}
+//# sourceMappingURL=price.js.map
\ No newline at end of file
@@ -0,0 +1,469 @@
+import { EventNormalizer } from "./normalize.js";
+import { Occurrences } from "./occurrence.js";
+import { PriceParser } from "./price.js";
+import { SearchIndex } from "./search.js";
+import { Facets } from "./facets.js";
+import { I18n } from "./i18n.js";
+// Words joining a filter to the rest of the query ("in 101", "á laugardag")
+const CONNECTORS = ["in", "at", "on", "for", "i", "a", "um", "fyrir"];
+// Left-over words that mean nothing on their own once filters are found
+const FILLER_WORDS = [
+    "and",
+    "or",
+    "og",
+    "eda",
+    "event",
+    "events",
+    "vidburdur",
+    "vidburdir",
+    "vidburdi",
+];
+const MAX_PRICE_WORDS = [
+    ["under"],
+    ["below"],
+    ["max"],
+    ["maximum"],
+    ["up", "to"],
+    ["less", "than"],
+    ["cheaper", "than"],
+    ["<"],
+    ["undir"],
+    ["hamark"],
+    ["minna", "en"],
+    ["allt", "ad"],
+    ["odyrara", "en"],
+];
+const MIN_PRICE_WORDS = [
+    ["over"],
+    ["above"],
+    ["more", "than"],
+    [">"],
+    ["yfir"],
+    ["meira", "en"],
+    ["dyrara", "en"],
+];
+const CURRENCY_WORDS = ["kr", "isk", "kronur", "kronum", "kall"];
+const FREE_WORDS = [["free"], ["fritt"], ["frir"], ["okeypis"], ["gratis"]];
+const PAID_WORDS = [["paid"], ["ticketed"], ["greitt"], ["gegn", "gjaldi"]];
+const FAMILY_WORDS = [
+    "family",
+    "families",
+    "kids",
+    "kid",
+    "children",
+    "child",
+    "fjolskylda",
+    "fjolskyldu",
+    "fjolskyldur",
+    "fjolskyldan",
+    "fjolskylduna",
+    "born",
+    "barna",
+    "bornin",
+    "krakka",
+    "krakkar",
+];
+/**
+ * Extra words for categories and types, by their Icelandic name
+ */
+const TERM_SYNONYMS = {
+    Tónlist: ["concert", "concerts", "gig", "gigs", "tonleikar", "tonleika"],
+    Sviðslist: ["theatre", "theater", "leikhus", "leiksyning"],
+    Myndlist: ["arts"],
+    Fyrirlestur: ["talk", "talks"],
+};
+// Catch-all terms that would turn ordinary words into filters
+const GENERIC_TERMS = ["Annað"];
+/**
+ * Weekday names, Sunday first to match Date.getDay(). Icelandic names are
+ * folded stems that also match "laugardaginn", "laugardeginum" etc.
+ */
+const WEEKDAYS = [
+    { names: ["sunday"], stems: ["sunnudag", "sunnudeg"] },
+    { names: ["monday"], stems: ["manudag", "manudeg"] },
+    { names: ["tuesday"], stems: ["thridjudag", "thridjudeg"] },
+    { names: ["wednesday"], stems: ["midvikudag", "midvikudeg"] },
+    { names: ["thursday"], stems: ["fimmtudag", "fimmtudeg"] },
+    { names: ["friday"], stems: ["fostudag", "fostudeg"] },
+    { names: ["saturday"], stems: ["laugardag", "laugardeg"] },
+];
+const DATE_PHRASES = [
+    { words: ["today"], range: "today" },
+    { words: ["i", "dag"], range: "today" },
+    { words: ["tonight"], range: "tonight" },
+    { words: ["i", "kvold"], range: "tonight" },
+    { words: ["tomorrow"], range: "tomorrow" },
+    { words: ["a", "morgun"], range: "tomorrow" },
+    { words: ["next", "weekend"], range: "next-weekend" },
+    { words: ["um", "naestu", "helgi"], range: "next-weekend" },
+    { words: ["naestu", "helgi"], range: "next-weekend" },
+    { words: ["this", "weekend"], range: "weekend" },
+    { words: ["weekend"], range: "weekend" },
+    { words: ["um", "helgina"], range: "weekend" },
+    { words: ["helgina"], range: "weekend" },
+    { words: ["thessa", "helgi"], range: "weekend" },
+    { words: ["next", "week"], range: "next-week" },
+    { words: ["i", "naestu", "viku"], range: "next-week" },
+    { words: ["naestu", "viku"], range: "next-week" },
+    { words: ["this", "week"], range: "week" },
+    { words: ["i", "vikunni"], range: "week" },
+    { words: ["thessa", "viku"], range: "week" },
+    { words: ["this", "month"], range: "month" },
+    { words: ["i", "manudinum"], range: "month" },
+    { words: ["thessum", "manudi"], range: "month" },
+];
+const TOKEN_PATTERN = /[\p{L}\p{N}\u00ad]+(?:[.,]\d{3})*|[<>]/gu;
+const AMOUNT_PATTERN = /^(\d{1,3}(?:[.,]\d{3})+|\d+)(k|kr|isk)?$/;
+/**
+ * Reads categories, places, dates and prices out of a free-form search
+ * query in English or Icelandic, e.g. "music in 101 this weekend under
+ * 3000 kr" or "fjölskylda á laugardag". Text in double quotes is always
+ * searched for as-is.
+ */
+export class QueryParser {
+    constructor(events = []) {
+        this.phrases = [];
+        /** Postal code to city name */
+        this.postals = new Map();
+        this.cities = new Map();
+        this.setEvents(events);
+    }
+    /**
+     * Rebuild the category and place vocabulary from the events. Category
+     * chips are labelled in the current language.
+     */
+    setEvents(events) {
+        const terms = new Map();
+        this.postals = new Map();
+        this.cities = new Map();
+        events.forEach((event) => {
+            if (event.postal)
+                this.postals.set(event.postal, event.city);
+            if (event.city)
+                this.cities.set(SearchIndex.fold(event.city), event.city);
+            const addTerms = (kind, list) => list.forEach((term) => {
+                if (GENERIC_TERMS.includes(term.name) || terms.has(term.name))
+                    return;
+                terms.set(term.name, {
+                    kind,
+                    value: term.name,
+                    label: I18n.termName(term),
+                    names: [
+                        term.name,
+                        term.nameEn,
+                        ...(TERM_SYNONYMS[term.name] || []),
+                    ],
+                });
+            });
+            addTerms("category", event.categories);
+            addTerms("type", event.types);
+        });
+        // Longest phrases first so "exhibition talk" wins over "exhibition"
+        this.phrases = Array.from(terms.values())
+            .flatMap(({ names, ...filter }) => names
+            .filter(Boolean)
+            .map((name) => ({ words: SearchIndex.terms(name), filter })))
+            .filter((phrase) => phrase.words.length > 0)
+            .sort((a, b) => b.words.length - a.words.length);
+    }
+    /**
+     * Split a query into structured filters and remaining free text
+     */
+    parse(query, now = new Date()) {
+        const tokens = QueryParser.tokenize(query || "");
+        const filters = [];
+        for (let i = 0; i < tokens.length; i++) {
+            if (tokens[i].used || tokens[i].quoted)
+                continue;
+            const match = this.matchAt(tokens, i, now) ||
+                (CONNECTORS.includes(tokens[i].folded)
+                    ? this.matchAt(tokens, i + 1, now)
+                    : null);
+            if (!match)
+                continue;
+            const first = CONNECTORS.includes(tokens[i].folded) ? i : match.start;
+            const last = match.start + match.length - 1;
+            for (let j = first; j <= last; j++)
+                tokens[j].used = true;
+            filters.push({
+                ...match.filter,
+                source: query.slice(tokens[first].start, tokens[last].end),
+            });
+            i = last;
+        }
+        return {
+            text: tokens
+                .filter((token) => !token.used &&
+                (token.quoted ||
+                    filters.length === 0 ||
+                    !FILLER_WORDS.includes(token.folded)))
+                .map((token) => token.raw)
+                .join(" "),
+            filters,
+        };
+    }
+    /**
+     * Whether an event passes every parsed filter. Filters of the same kind
+     * are alternatives ("music and art"), different kinds must all match.
+     */
+    static matches(event, filters, now = new Date()) {
+        const byKind = new Map();
+        filters.forEach((filter) => byKind.set(filter.kind, [...(byKind.get(filter.kind) || []), filter]));
+        return Array.from(byKind.values()).every((group) => group.some((filter) => QueryParser.matchesFilter(event, filter, now)));
+    }
+    /**
+     * The query with one filter's words taken out, used when its chip is
+     * removed
+     */
+    static remove(query, filter) {
+        const index = query.indexOf(filter.source);
+        if (index === -1)
+            return query;
+        return (query.slice(0, index) + query.slice(index + filter.source.length))
+            .replace(/\s+/g, " ")
+            .trim();
+    }
+    static matchesFilter(event, filter, now) {
+        switch (filter.kind) {
+            case "category":
+                return event.categories.some((term) => term.name === filter.value);
+            case "type":
+                return event.types.some((term) => term.name === filter.value);
+            case "age":
+                return Facets.valuesOf(event, "age", now).includes(filter.value);
+            case "postal":
+                return event.postal === filter.value;
+            case "city":
+                return SearchIndex.fold(event.city) === SearchIndex.fold(filter.value);
+            case "date":
+                return Occurrences.occursBetween(event, filter.from, filter.to);
+            case "maxPrice":
+                return PriceParser.inRange(event.price, undefined, Number(filter.value));
+            case "minPrice":
+                return PriceParser.inRange(event.price, Number(filter.value));
+            case "free":
+                return event.price.isFree;
+            case "paid":
+                return !event.price.isFree && event.price.min !== null;
+        }
+    }
+    /**
+     * The filter starting at token `start`, if any
+     */
+    matchAt(tokens, start, now) {
+        if (start >= tokens.length)
+            return null;
+        const at = (offset) => {
+            const token = tokens[start + offset];
+            return token && !token.used && !token.quoted ? token : undefined;
+        };
+        const sequence = (words) => words.every((word, offset) => at(offset)?.folded === word);
+        const result = (length, filter) => ({
+            start,
+            length,
+            filter,
+        });
+        // Prices: "under 3000 kr", "yfir 5.000"
+        for (const [kind, lists] of [
+            ["maxPrice", MAX_PRICE_WORDS],
+            ["minPrice", MIN_PRICE_WORDS],
+        ]) {
+            for (const words of lists) {
+                if (!sequence(words))
+                    continue;
+                const amountToken = at(words.length);
+                const amount = amountToken
+                    ? QueryParser.amount(amountToken.folded)
+                    : null;
+                if (amount === null)
+                    continue;
+                const currency = at(words.length + 1);
+                const length = words.length +
+                    1 +
+                    (currency && CURRENCY_WORDS.includes(currency.folded) ? 1 : 0);
+                const formatted = I18n.formatNumber(amount);
+                return result(length, {
+                    kind,
+                    value: String(amount),
+                    label: I18n.t(kind === "maxPrice" ? "query.under" : "query.over", {
+                        amount: formatted,
+                    }),
+                });
+            }
+        }
+        for (const words of FREE_WORDS) {
+            if (sequence(words)) {
+                return result(words.length, {
+                    kind: "free",
+                    value: "free",
+                    label: I18n.t("query.free"),
+                });
+            }
+        }
+        for (const words of PAID_WORDS) {
+            if (sequence(words)) {
+                return result(words.length, {
+                    kind: "paid",
+                    value: "paid",
+                    label: I18n.t("query.paid"),
+                });
+            }
+        }
+        // Dates: "this weekend", "á morgun", "on saturday"
+        for (const phrase of DATE_PHRASES) {
+            if (sequence(phrase.words)) {
+                return result(phrase.words.length, {
+                    kind: "date",
+                    value: phrase.range,
+                    label: I18n.t(`query.${phrase.range}`),
+                    ...QueryParser.dateRange(phrase.range, now),
+                });
+            }
+        }
+        const next = ["next", "naesta", "naestkomandi"].includes(at(0)?.folded || "");
+        const dayToken = at(next ? 1 : 0);
+        const weekday = dayToken ? QueryParser.weekday(dayToken.folded) : -1;
+        if (weekday !== -1) {
+            const day = I18n.weekdayName(weekday);
+            return result(next ? 2 : 1, {
+                kind: "date",
+                value: WEEKDAYS[weekday].names[0],
+                label: next ? I18n.t("query.nextWeekday", { day }) : day,
+                ...QueryParser.weekdayRange(weekday, next, now),
+            });
+        }
+        const token = at(0);
+        if (!token)
+            return null;
+        // Places: "101", "postal 105", "Reykjavík", "í Garðabæ"
+        const postalWord = ["postal", "postnumer", "pnr"].includes(token.folded);
+        const postalToken = postalWord ? at(1) : token;
+        if (postalToken &&
+            /^\d{3}$/.test(postalToken.folded) &&
+            (postalWord || this.postals.has(postalToken.folded))) {
+            const city = this.postals.get(postalToken.folded);
+            return result(postalWord ? 2 : 1, {
+                kind: "postal",
+                value: postalToken.folded,
+                label: city ? `${postalToken.folded} ${city}` : postalToken.folded,
+            });
+        }
+        const city = this.matchCity(token.folded);
+        if (city) {
+            return result(1, { kind: "city", value: city, label: city });
+        }
+        // Audience: "family", "fjölskylda", "börn"
+        if (FAMILY_WORDS.includes(token.folded)) {
+            return result(1, {
+                kind: "age",
+                value: "children",
+                label: I18n.t("query.family"),
+            });
+        }
+        // Categories and types, longest name first
+        for (const phrase of this.phrases) {
+            const matched = phrase.words.every((word, offset) => {
+                const candidate = at(offset);
+                return candidate && SearchIndex.stem(candidate.folded) === word;
+            });
+            if (matched)
+                return result(phrase.words.length, phrase.filter);
+        }
+        return null;
+    }
+    /**
+     * City matching tolerates Icelandic case endings ("Garðabæ",
+     * "Reykjavíkur") but not compounds like "Reykjavíkurmaraþon"
+     */
+    matchCity(word) {
+        for (const [folded, city] of this.cities) {
+            if (word === folded ||
+                (folded.startsWith(word) && word.length >= folded.length - 2) ||
+                (word.startsWith(folded) && word.length <= folded.length + 3)) {
+                return city;
+            }
+        }
+        return null;
+    }
+    static tokenize(query) {
+        const quoted = [];
+        for (const match of query.matchAll(/"[^"]*"?/g)) {
+            const index = match.index;
+            quoted.push([index, index + match[0].length]);
+        }
+        return Array.from(query.matchAll(TOKEN_PATTERN)).map((match) => {
+            const start = match.index;
+            return {
+                raw: match[0],
+                folded: SearchIndex.fold(match[0]),
+                start,
+                end: start + match[0].length,
+                quoted: quoted.some(([from, to]) => start >= from && start < to),
+                used: false,
+            };
+        });
+    }
+    static amount(word) {
+        const match = word.match(AMOUNT_PATTERN);
+        if (!match)
+            return null;
+        const amount = Number(match[1].replace(/[.,]/g, ""));
+        return match[2] === "k" ? amount * 1000 : amount;
+    }
+    static weekday(word) {
+        return WEEKDAYS.findIndex((day) => day.names.includes(word) ||
+            day.stems.some((stem) => word.startsWith(stem)));
+    }
+    static dateRange(range, now) {
+        const day = (offset, hours = 0, minutes = 0) => {
+            const date = new Date(now);
+            date.setDate(date.getDate() + offset);
+            date.setHours(hours, minutes, 0, 0);
+            return date;
+        };
+        const endOf = (offset) => day(offset, 23, 59);
+        const later = (date) => (date > now ? date : now);
+        const weekday = now.getDay();
+        // Days until Saturday; on a Sunday this weekend started yesterday
+        const saturday = weekday === 0 ? -1 : 6 - weekday;
+        const sunday = weekday === 0 ? 0 : 7 - weekday;
+        const lastOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate() -
+            now.getDate();
+        const ranges = {
+            today: [now, endOf(0)],
+            tonight: [later(day(0, 17)), endOf(0)],
+            tomorrow: [day(1), endOf(1)],
+            weekend: [later(day(saturday)), endOf(sunday)],
+            "next-weekend": [day(saturday + 7), endOf(sunday + 7)],
+            week: [now, endOf(sunday)],
+            "next-week": [day(sunday + 1), endOf(sunday + 7)],
+            month: [now, endOf(lastOfMonth)],
+        };
+        const [from, to] = ranges[range];
+        return {
+            from: EventNormalizer.formatLocalDate(from),
+            to: EventNormalizer.formatLocalDate(to),
+        };
+    }
+    /**
+     * The coming `weekday` (today counts unless `next` is set), all day
+     */
+    static weekdayRange(weekday, next, now) {
+        let offset = (weekday - now.getDay() + 7) % 7;
+        if (next && offset === 0)
+            offset = 7;
+        const from = new Date(now);
+        from.setDate(from.getDate() + offset);
+        from.setHours(0, 0, 0, 0);
+        const to = new Date(from);
+        to.setHours(23, 59, 0, 0);
+        return {
+            from: EventNormalizer.formatLocalDate(offset === 0 ? now : from),
+            to: EventNormalizer.formatLocalDate(to),
+        };
+    }
+}
+if (typeof window !== "undefined") {
+    window.QueryParser = QueryParser;
+}
+//# sourceMappingURL=query.js.map
\ No newline at end of file
@@ -0,0 +1,342 @@
+import { Occurrences } from "./occurrence.js";
+import { SearchIndex } from "./search.js";
+import { FavoritesStore } from "./favorites.js";
+import { UserPreferencesApi } from "./preferences.js";
+import { I18n } from "./i18n.js";
+import { Utils } from "./utils.js";
+// Ids of the events whose details were opened, newest first
+const VIEWED_KEY = "venuu-viewed";
+const MAX_VIEWED = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+/**
+ * How much matching the user's taste in each feature counts. A feature
+ * scores its weight times the share of the user's events that have it.
+ */
+const FEATURE_WEIGHTS = {
+    category: 3,
+    type: 2,
+    venue: 2.5,
+    tag: 1.5,
+    price: 1,
+    day: 0.5,
+};
+// A saved event says more about the user than one they looked at
+const SAVED_WEIGHT = 3;
+const VIEWED_WEIGHT = 1;
+// Score of an event matching the latest search; older ones count less
+const SEARCH_WEIGHT = 2.5;
+// Up to this much for happening within the next day, less further out
+const SOON_WEIGHT = 0.75;
+const SOON_DAYS = 60;
+// Most picks from one venue, so a busy venue can't fill the row
+const MAX_PER_VENUE = 2;
+// Each earlier pick sharing a category or type lowers the score by this
+const REPEAT_PENALTY = 0.3;
+/**
+ * Content-based recommendations, worked out in the browser. The user's
+ * taste is read from their favorites, the events they opened and their
+ * searches: which categories, types, tags and venues they like, how much
+ * they pay and on which days they go out. Upcoming events are scored
+ * against it and picked so that no venue or category fills the row.
+ * Users with nothing to go on yet get the soonest events instead.
+ */
+export class Recommender {
+    /**
+     * Remember that the user opened an event's details
+     */
+    static recordView(eventId) {
+        const id = String(eventId);
+        const viewed = Recommender.getViewed().filter((other) => other !== id);
+        Utils.storage.set(VIEWED_KEY, [id, ...viewed].slice(0, MAX_VIEWED));
+    }
+    /**
+     * Ids of the events the user opened, newest first
+     */
+    static getViewed() {
+        const ids = Utils.storage.get(VIEWED_KEY);
+        return Array.isArray(ids) ? ids.map(String) : [];
+    }
+    static clearViewed() {
+        Utils.storage.remove(VIEWED_KEY);
+    }
+    /**
+     * Pick upcoming, published events for the user, best first. Events they
+     * already saved are left out.
+     */
+    static recommend(events, options = {}) {
+        const limit = options.limit ?? 8;
+        const now = options.now || new Date();
+        const favorites = options.favorites || FavoritesStore.getAll();
+        const viewed = options.viewed || Recommender.getViewed();
+        const searches = options.searches || new UserPreferencesApi().getSearchHistory();
+        const byId = new Map(events.map((event) => [event.id, event]));
+        const saved = new Set(favorites);
+        const profile = Recommender.profile(favorites.map((id) => byId.get(id)).filter(Recommender.isEvent), viewed
+            .filter((id) => !saved.has(id))
+            .map((id) => byId.get(id))
+            .filter(Recommender.isEvent), searches, now);
+        const candidates = events
+            .filter((event) => event.accepted &&
+            event.active &&
+            !saved.has(event.id) &&
+            Occurrences.nextOccurrence(event, now) !== null)
+            .map((event) => Recommender.score(event, profile, now));
+        return Recommender.diversify(candidates, limit);
+    }
+    /**
+     * The sentence shown with a pick, in the current language
+     */
+    static explain(reason) {
+        const topic = reason.topic ? I18n.localize(reason.topic) : "";
+        const venue = reason.venue ? I18n.localize(reason.venue) : "";
+        switch (reason.source) {
+            case "search":
+                return I18n.t("recommend.search", { query: reason.query || "" });
+            case "upcoming":
+                return I18n.t("recommend.upcoming");
+            default: {
+                const prefix = `recommend.${reason.source}`;
+                if (topic && venue) {
+                    return I18n.t(`${prefix}.topicVenue`, { topic, venue });
+                }
+                if (venue)
+                    return I18n.t(`${prefix}.venue`, { venue });
+                if (topic)
+                    return I18n.t(`${prefix}.topic`, { topic });
+                if (reason.free)
+                    return I18n.t(`${prefix}.free`);
+                return I18n.t(`${prefix}.similar`);
+            }
+        }
+    }
+    static isEvent(event) {
+        return event !== undefined;
+    }
+    static profile(saved, viewed, searches, now) {
+        const features = {};
+        Object.keys(FEATURE_WEIGHTS).forEach((feature) => {
+            features[feature] = new Map();
+        });
+        let total = 0;
+        const add = (event, source, weight) => {
+            total += weight;
+            Recommender.features(event, now).forEach(({ feature, key, label }) => {
+                const entry = features[feature].get(key) || {
+                    saved: 0,
+                    viewed: 0,
+                    label,
+                };
+                entry[source] += weight;
+                features[feature].set(key, entry);
+            });
+        };
+        saved.forEach((event) => add(event, "saved", SAVED_WEIGHT));
+        // The latest views count fully, the oldest about half
+        viewed.forEach((event, index) => add(event, "viewed", VIEWED_WEIGHT * (1 - index / (2 * MAX_VIEWED))));
+        return {
+            features,
+            total,
+            searches: searches
+                .map((query, index) => ({
+                query,
+                terms: SearchIndex.terms(query),
+                weight: SEARCH_WEIGHT / (1 + index / 2),
+            }))
+                .filter((search) => search.terms.length > 0),
+        };
+    }
+    /**
+     * What an event is, as feature values; `key` compares values and
+     * `label` names them in a reason
+     */
+    static features(event, now) {
+        const term = (feature) => (item) => ({
+            feature,
+            key: SearchIndex.fold(item.tag || item.name || item.nameEn),
+            label: { is: item.name, en: item.nameEn },
+        });
+        const result = [
+            ...event.categories.map(term("category")),
+            ...event.types.map(term("type")),
+            ...event.tags.map((tag) => ({
+                feature: "tag",
+                key: SearchIndex.fold(tag),
+                label: { is: tag, en: tag },
+            })),
+        ];
+        const venue = Recommender.venue(event);
+        if (venue)
+            result.push({ feature: "venue", ...venue });
+        const price = Recommender.priceLevel(event);
+        if (price)
+            result.push({
+                feature: "price",
+                key: price,
+                label: { is: price, en: price },
+            });
+        const start = Occurrences.displayOccurrence(event, now).start;
+        const day = new Date(start).getDay();
+        if (!isNaN(day)) {
+            result.push({
+                feature: "day",
+                key: String(day),
+                label: { is: "", en: "" },
+            });
+        }
+        return result.filter((feature) => feature.key);
+    }
+    static venue(event) {
+        const name = event.place.is || event.place.en || event.street || event.address;
+        if (!name)
+            return null;
+        return {
+            key: SearchIndex.fold(name),
+            label: {
+                is: event.place.is || name,
+                en: event.place.en || name,
+            },
+        };
+    }
+    static priceLevel(event) {
+        if (event.price.isFree)
+            return "free";
+        const min = event.price.min;
+        if (min === null)
+            return null;
+        if (min < 3000)
+            return "low";
+        return min < 10000 ? "mid" : "high";
+    }
+    static score(event, profile, now) {
+        let score = 0;
+        const contributions = [];
+        if (profile.total > 0) {
+            // Each feature counts once: by its best value, or for tags, by the
+            // values shared, up to the feature's weight
+            const best = new Map();
+            Recommender.features(event, now).forEach(({ feature, key }) => {
+                const entry = profile.features[feature].get(key);
+                if (!entry)
+                    return;
+                const share = (entry.saved + entry.viewed) / profile.total;
+                const value = FEATURE_WEIGHTS[feature] * share;
+                const sum = feature === "tag" ? (best.get(feature) || 0) + value : value;
+                best.set(feature, Math.min(FEATURE_WEIGHTS[feature], Math.max(best.get(feature) || 0, sum)));
+                contributions.push({ feature, entry, score: value });
+            });
+            best.forEach((value) => (score += value));
+        }
+        // Searches match when every word of the query is found in the event
+        let search = null;
+        if (profile.searches.length > 0) {
+            const words = Recommender.words(event);
+            for (const { query, terms, weight } of profile.searches) {
+                const matches = terms.every((term) => words.some((word) => word.startsWith(term)));
+                if (matches && (!search || weight > search.weight)) {
+                    search = { query, weight };
+                }
+            }
+        }
+        if (search)
+            score += search.weight;
+        // Sooner events edge out later ones that are otherwise as good
+        const next = Occurrences.nextOccurrence(event, now);
+        if (next) {
+            const days = Math.max(0, (new Date(next.start).getTime() - now.getTime()) / DAY_MS);
+            score += SOON_WEIGHT * Math.max(0, 1 - days / SOON_DAYS);
+        }
+        return {
+            event,
+            score,
+            reason: Recommender.reason(event, contributions, search),
+        };
+    }
+    /**
+     * Explain a pick by what counted most towards its score
+     */
+    static reason(event, contributions, search) {
+        const taste = contributions
+            .filter(({ feature }) => feature !== "day")
+            .sort((a, b) => b.score - a.score);
+        // A search the event matches is named unless one thing the user
+        // likes counts for more
+        if (search && search.weight >= (taste[0]?.score || 0)) {
+            return { source: "search", query: search.query };
+        }
+        if (taste.length === 0)
+            return { source: "upcoming" };
+        const top = taste[0];
+        const source = top.entry.saved >= top.entry.viewed ? "saved" : "viewed";
+        // Name the venue and the category or type behind the pick, when the
+        // user's events of that source have them
+        const strongest = (features) => taste.find(({ feature, entry }) => features.includes(feature) && entry[source] > 0);
+        const topic = strongest(["category", "type"]);
+        const venue = strongest(["venue"]);
+        return {
+            source,
+            topic: topic?.entry.label,
+            venue: venue?.entry.label,
+            free: top.feature === "price" && event.price.isFree,
+        };
+    }
+    /**
+     * Folded, stemmed words of what a search can find an event by
+     */
+    static words(event) {
+        return SearchIndex.terms([
+            event.title.is,
+            event.title.en,
+            event.place.is,
+            event.place.en,
+            event.city,
+            ...event.tags,
+            ...event.categories.map((term) => `${term.name} ${term.nameEn}`),
+            ...event.types.map((term) => `${term.name} ${term.nameEn}`),
+        ].join(" "));
+    }
+    /**
+     * Take the best events one at a time, at most MAX_PER_VENUE from one
+     * venue, lowering the score of events like those already taken so the
+     * row isn't all one category
+     */
+    static diversify(candidates, limit) {
+        const picks = [];
+        const venues = new Map();
+        const topics = new Map();
+        const topicsOf = (event) => [...event.categories, ...event.types].map((term) => term.tag || term.name);
+        let remaining = candidates.slice();
+        while (picks.length < limit && remaining.length > 0) {
+            let pick = null;
+            let pickScore = -Infinity;
+            for (const candidate of remaining) {
+                const repeats = topicsOf(candidate.event).reduce((sum, topic) => sum + (topics.get(topic) || 0), 0);
+                const adjusted = candidate.score - REPEAT_PENALTY * repeats;
+                if (adjusted > pickScore ||
+                    (adjusted === pickScore &&
+                        pick &&
+                        Occurrences.compare(candidate.event, pick.event) < 0)) {
+                    pick = candidate;
+                    pickScore = adjusted;
+                }
+            }
+            if (!pick)
+                break;
+            picks.push(pick);
+            topicsOf(pick.event).forEach((topic) => topics.set(topic, (topics.get(topic) || 0) + 1));
+            const venue = Recommender.venue(pick.event)?.key;
+            if (venue)
+                venues.set(venue, (venues.get(venue) || 0) + 1);
+            remaining = remaining.filter((candidate) => {
+                if (candidate === pick)
+                    return false;
+                const key = Recommender.venue(candidate.event)?.key;
+                return !key || (venues.get(key) || 0) < MAX_PER_VENUE;
+            });
+        }
+        return picks;
+    }
+}
+if (typeof window !== "undefined") {
+    window.Recommender = Recommender;
+}
+//# sourceMappingURL=recommend.js.map
\ No newline at end of file
@@ -0,0 +1,145 @@
+import { ApiService, HttpError } from "./api.js";
+import { LocalEventStore } from "./store.js";
+import { Offline } from "./offline.js";
+import { Utils } from "./utils.js";
+// Kind of the queued changes that publish events created offline
+const QUEUE_KIND = "event";
+/**
+ * The server refused an event, e.g. as invalid or because the session
+ * ended. The events before it were saved; the rest were not sent.
+ */
+export class EventRefusedError extends Error {
+    constructor(error, saved) {
+        const body = error.body;
+        super(typeof body?.error === "string" ? body.error : error.message);
+        this.name = "EventRefusedError";
+        this.status = error.status;
+        this.saved = saved;
+    }
+}
+/**
+ * Creates events submitted in the app. Every event is kept in the local
+ * store so it shows up right away; when a backend answers
+ * `POST /api/events`, the server's copy (and id) is the one kept.
+ * New events stay pending (`accepted: false`) until they are accepted.
+ * Events created without a connection are published once it is back.
+ */
+export class EventRepository {
+    constructor(api = new ApiService()) {
+        this.store = new LocalEventStore();
+        this.api = api;
+    }
+    /**
+     * Save one new event and return the stored record
+     */
+    async create(record) {
+        const [saved] = await this.createAll([record]);
+        return saved;
+    }
+    /**
+     * Save several new events, e.g. an imported season program. Events the
+     * server can't take now, without a connection or on a server error, are
+     * published later. An event the server refuses rejects with an
+     * EventRefusedError, after the ones before it were saved.
+     */
+    async createAll(records) {
+        const saved = [];
+        // Once there is no connection, or no backend at all, the rest aren't
+        // sent; they are queued or kept local respectively
+        let skip = null;
+        try {
+            for (const record of records.map(EventRepository.prepare)) {
+                if (!skip) {
+                    try {
+                        saved.push(await this.publish(record));
+                        continue;
+                    }
+                    catch (error) {
+                        if (Offline.isNetworkError(error)) {
+                            skip = "queue";
+                        }
+                        else if (error instanceof HttpError && error.status >= 500) {
+                            Offline.queue(QUEUE_KIND, String(record.id));
+                            saved.push(record);
+                            continue;
+                        }
+                        else if (EventRepository.isRefusal(error)) {
+                            throw new EventRefusedError(error, saved.slice());
+                        }
+                        else {
+                            console.warn("Saving events locally only:", error);
+                            skip = "local";
+                        }
+                    }
+                }
+                if (skip === "queue")
+                    Offline.queue(QUEUE_KIND, String(record.id));
+                saved.push(record);
+            }
+        }
+        finally {
+            await this.store.put(saved);
+        }
+        return saved;
+    }
+    /**
+     * Events created in this browser
+     */
+    getAll() {
+        return this.store.getAll();
+    }
+    /**
+     * Publish an event that was created offline and replace its local copy
+     * with the server's
+     */
+    async publishQueued(localId) {
+        const record = (await this.store.getAll()).find((item) => String(item.id) === localId);
+        if (!record)
+            return;
+        const published = await this.publish(record);
+        await this.store.remove(localId);
+        await this.store.put([published]);
+    }
+    /**
+     * A new record with its own ids, pending review
+     */
+    static prepare(record) {
+        const uuid = Utils.uuid();
+        return {
+            ...record,
+            id: `local-${uuid}`,
+            event_id: uuid,
+            accepted: false,
+            active: true,
+            created_at: new Date().toISOString(),
+        };
+    }
+    /**
+     * Whether the server answered but won't take the event. A site without
+     * the API answers 404 or 405, which only means there is no backend.
+     */
+    static isRefusal(error) {
+        return (error instanceof HttpError &&
+            error.status >= 400 &&
+            error.status < 500 &&
+            error.status !== 404 &&
+            error.status !== 405);
+    }
+    async publish(record) {
+        const response = await this.api.post("/api/events", record);
+        if (!response || typeof response !== "object" || response.id == null) {
+            throw new Error("Unexpected /api/events response");
+        }
+        return {
+            ...record,
+            ...response,
+            id: String(response.id),
+            accepted: response.accepted === true,
+        };
+    }
+}
+if (typeof window !== "undefined") {
+    window.EventRepository = EventRepository;
+    Offline.registerSender(QUEUE_KIND, (change) => new EventRepository().publishQueued(change.key));
+}
+//# sourceMappingURL=repository.js.map
\ No newline at end of file
@@ -1,6 +1,15 @@
 // Venuu - Shared TypeScript functionality
 // Main application controller
 import { Utils } from "./utils.js";
+import { EventsApi, PAGE_SIZE } from "./api.js";
+import { EventNormalizer } from "./normalize.js";
+import { Occurrences } from "./occurrence.js";
+import { SearchIndex } from "./search.js";
+import { Facets } from "./facets.js";
+import { I18n } from "./i18n.js";
+import { FavoritesStore } from "./favorites.js";
+import { BackToTop, InfiniteScroll } from "./infinite-scroll.js";
+import { VirtualGrid } from "./virtual-grid.js";
 class VenuuApp {
     constructor() {
         this.events = [];
@@ -12,6 +21,15 @@ class VenuuApp {
             dateOrder: "asc",
         };
         this.searchQuery = "";
+        this.eventsApi = new EventsApi();
+        this.searchIndex = new SearchIndex();
+        // Events of the pages shown so far, and the cursor of the next page
+        this.shownEvents = [];
+        this.nextCursor = null;
+        // Bumped when the filters change, so pages of an older search are dropped
+        this.pageRequest = 0;
+        this.infiniteScroll = null;
+        this.grid = null;
         this.init();
     }
     async init() {
@@ -19,7 +37,7 @@ class VenuuApp {
             await this.loadEvents();
             this.setupEventListeners();
             this.initializeComponents();
-            this.renderEvents();
+            await this.showFirstPage();
             console.log("App initialization complete");
         }
         catch (error) {
@@ -28,16 +46,17 @@ class VenuuApp {
     }
     async loadEvents() {
         try {
-            const response = await fetch("./api-data.json");
-            this.events = await response.json();
+            this.events = await this.eventsApi.getEvents();
             this.filteredEvents = [...this.events];
+            this.searchIndex = await this.eventsApi.getSearchIndex();
             this.populateFilters();
         }
         catch (error) {
             console.error("Error loading events:", error);
             // Fallback to sample data if API fails
-            this.events = this.getSampleEvents();
+            this.events = EventNormalizer.normalizeAll(this.getSampleEvents()).events;
             this.filteredEvents = [...this.events];
+            this.searchIndex = new SearchIndex(this.events);
         }
     }
     getSampleEvents() {
@@ -98,45 +117,36 @@ class VenuuApp {
             },
         ];
     }
-    populateFilters() {
-        const categoriesSet = new Set();
-        const locationsSet = new Set();
-        this.events.forEach((event) => {
-            // Handle category (can be array or string)
-            if (Array.isArray(event.category)) {
-                event.category.forEach((cat) => categoriesSet.add(cat));
-            }
-            else if (event.category) {
-                categoriesSet.add(event.category);
-            }
-            // Handle location from various fields
-            const location = event.location ||
-                event.formatted_address ||
-                event.city ||
-                (event.language && event.language.en && event.language.en.place);
-            if (location) {
-                locationsSet.add(location);
-            }
+    /**
+     * Fill the category and location dropdowns with counts for `events`,
+     * each counted with the other dropdown's selection applied
+     */
+    populateFilters(events = this.events) {
+        const { category, location } = this.currentFilters;
+        const counts = Facets.count(events, {
+            category: category ? [category] : [],
+            postal: location ? [location] : [],
         });
-        const categories = Array.from(categoriesSet);
-        const locations = Array.from(locationsSet);
-        this.populateSelect("category-filter", categories);
-        this.populateSelect("location-filter", locations);
+        this.populateSelect("category-filter", counts.category);
+        this.populateSelect("location-filter", counts.postal);
     }
     populateSelect(selectId, options) {
         const select = document.getElementById(selectId);
         if (!select)
             return;
+        const selected = select.value;
         // Clear existing options except the first one
         while (select.children.length > 1) {
             select.removeChild(select.lastChild);
         }
-        options.sort().forEach((option) => {
+        options.forEach((option) => {
             const optionElement = document.createElement("option");
-            optionElement.value = option;
-            optionElement.textContent = option;
+            optionElement.value = option.value;
+            optionElement.textContent = `${option.label} (${option.count})`;
+            optionElement.disabled = option.count === 0 && !option.selected;
             select.appendChild(optionElement);
         });
+        select.value = selected;
     }
     setupEventListeners() {
         // Search functionality
@@ -185,8 +195,8 @@ class VenuuApp {
                 if (textElement) {
                     textElement.textContent =
                         this.currentFilters.dateOrder === "asc"
-                            ? "Earliest First"
-                            : "Latest First";
+                            ? I18n.t("sort.earliestFirst")
+                            : I18n.t("sort.latestFirst");
                 }
                 this.applyFilters();
             });
@@ -196,13 +206,34 @@ class VenuuApp {
                 this.clearAllFilters();
             });
         }
-        // Load more functionality
-        const loadMoreBtn = document.getElementById("load-more-btn");
-        if (loadMoreBtn) {
-            loadMoreBtn.addEventListener("click", () => {
-                this.loadMoreEvents();
+        // Only the cards near the viewport are in the page
+        const eventsGrid = document.getElementById("events-grid");
+        if (eventsGrid) {
+            this.grid = new VirtualGrid(eventsGrid, {
+                key: (event) => event.id,
+                createCard: () => {
+                    const card = document.createElement("div");
+                    card.className = "event-item";
+                    return card;
+                },
+                renderCard: (card, event) => this.fillEventCard(card, event),
+            });
+        }
+        // Next pages load as the end of the grid scrolls into view; the
+        // button does the same for keyboards and older browsers
+        const sentinel = document.getElementById("events-sentinel");
+        if (sentinel) {
+            this.infiniteScroll = new InfiniteScroll({
+                sentinel,
+                button: document.getElementById("load-more-btn"),
+                container: document.getElementById("load-more-container"),
+                loadMore: () => this.loadMoreEvents(),
             });
         }
+        const backToTop = document.getElementById("back-to-top");
+        if (backToTop) {
+            new BackToTop(backToTop, document.getElementById("search-input"));
+        }
         // Mobile menu
         const mobileMenuBtn = document.getElementById("mobile-menu-btn");
         if (mobileMenuBtn) {
@@ -222,89 +253,61 @@ class VenuuApp {
                 }
             }
         });
+        // Favorites can change in another tab or from an event modal
+        FavoritesStore.onChange(() => this.renderEvents());
+        // Revalidating the cached feed found newer events
+        EventsApi.onChange(async () => {
+            await this.loadEvents();
+            this.applyFilters();
+        });
     }
     applyFilters() {
         let filtered = [...this.events];
         // Apply search filter
+        let relevance = null;
         if (this.searchQuery) {
-            filtered = filtered.filter((event) => {
-                const title = event.title ||
-                    event.title_en ||
-                    (event.language && event.language.en && event.language.en.title) ||
-                    "";
-                const location = event.location ||
-                    event.formatted_address ||
-                    event.city ||
-                    (event.language && event.language.en && event.language.en.place) ||
-                    "";
-                const categories = Array.isArray(event.category)
-                    ? event.category.join(" ")
-                    : event.category || "";
-                const description = event.description || "";
-                return (title.toLowerCase().includes(this.searchQuery) ||
-                    location.toLowerCase().includes(this.searchQuery) ||
-                    categories.toLowerCase().includes(this.searchQuery) ||
-                    description.toLowerCase().includes(this.searchQuery));
-            });
+            relevance = new Map(this.searchIndex
+                .search(this.searchQuery)
+                .map((hit) => [hit.event.id, hit.score]));
+            const matches = relevance;
+            filtered = filtered.filter((event) => matches.has(event.id));
         }
+        // Refresh the dropdown counts for the current search
+        this.populateFilters(filtered);
         // Apply category filter
         if (this.currentFilters.category) {
-            filtered = filtered.filter((event) => {
-                if (Array.isArray(event.category)) {
-                    return event.category.includes(this.currentFilters.category);
-                }
-                return event.category === this.currentFilters.category;
-            });
+            filtered = filtered.filter((event) => EventsApi.matchesCategory(event, this.currentFilters.category));
         }
         // Apply location filter
         if (this.currentFilters.location) {
-            filtered = filtered.filter((event) => {
-                const location = event.location ||
-                    event.formatted_address ||
-                    event.city ||
-                    (event.language && event.language.en && event.language.en.place);
-                return location === this.currentFilters.location;
-            });
+            filtered = filtered.filter((event) => EventsApi.matchesLocation(event, this.currentFilters.location));
         }
-        // Apply sorting
+        // Apply sorting. While searching, relevance comes first and the chosen
+        // sort only breaks ties.
         filtered.sort((a, b) => {
+            if (relevance) {
+                const diff = (relevance.get(b.id) || 0) - (relevance.get(a.id) || 0);
+                if (diff !== 0)
+                    return diff;
+            }
             switch (this.currentFilters.sort) {
                 case "name": {
-                    const titleA = a.title ||
-                        a.title_en ||
-                        (a.language && a.language.en && a.language.en.title) ||
-                        "";
-                    const titleB = b.title ||
-                        b.title_en ||
-                        (b.language && b.language.en && b.language.en.title) ||
-                        "";
+                    const titleA = I18n.localize(a.title);
+                    const titleB = I18n.localize(b.title);
                     return titleA.localeCompare(titleB);
                 }
                 case "location": {
-                    const locationA = a.location ||
-                        a.formatted_address ||
-                        a.city ||
-                        (a.language && a.language.en && a.language.en.place) ||
-                        "";
-                    const locationB = b.location ||
-                        b.formatted_address ||
-                        b.city ||
-                        (b.language && b.language.en && b.language.en.place) ||
-                        "";
+                    const locationA = a.address || EventNormalizer.locationLabel(a);
+                    const locationB = b.address || EventNormalizer.locationLabel(b);
                     return locationA.localeCompare(locationB);
                 }
                 case "date":
-                default: {
-                    const dateA = new Date(a.start || a.date || "");
-                    const dateB = new Date(b.start || b.date || "");
-                    return this.currentFilters.dateOrder === "asc"
-                        ? dateA.getTime() - dateB.getTime()
-                        : dateB.getTime() - dateA.getTime();
-                }
+                default:
+                    return Occurrences.compare(a, b, this.currentFilters.dateOrder);
             }
         });
         this.filteredEvents = filtered;
-        this.renderEvents();
+        this.showFirstPage();
     }
     clearAllFilters() {
         this.searchQuery = "";
@@ -329,39 +332,60 @@ class VenuuApp {
         if (sortFilter)
             sortFilter.value = "date";
         if (dateOrderText)
-            dateOrderText.textContent = "Earliest First";
+            dateOrderText.textContent = I18n.t("sort.earliestFirst");
         this.applyFilters();
     }
+    /**
+     * The current search and filters, for EventsApi.getPage
+     */
+    searchParams() {
+        const { category, location, sort, dateOrder } = this.currentFilters;
+        return {
+            query: this.searchQuery,
+            category: category || undefined,
+            location: location || undefined,
+            // Names and venues are sorted here, in the user's language
+            sort: sort === "date"
+                ? dateOrder === "desc"
+                    ? "date-desc"
+                    : "date-asc"
+                : undefined,
+        };
+    }
+    /**
+     * Load and render the first page of results
+     */
+    async showFirstPage() {
+        const request = ++this.pageRequest;
+        const page = await this.eventsApi.getPage(this.searchParams(), { limit: PAGE_SIZE }, this.filteredEvents);
+        if (request !== this.pageRequest)
+            return;
+        this.shownEvents = page.events;
+        this.nextCursor = page.nextCursor;
+        this.renderEvents();
+        this.infiniteScroll?.update(this.nextCursor !== null);
+    }
+    /**
+     * Render the cards of the pages shown so far, e.g. after the favorites
+     * changed
+     */
     renderEvents() {
-        const eventsGrid = document.getElementById("events-grid");
-        if (!eventsGrid)
+        if (!this.grid)
             return;
-        eventsGrid.innerHTML = "";
-        this.filteredEvents.forEach((event) => {
-            const eventElement = this.createEventElement(event);
-            eventsGrid.appendChild(eventElement);
-        });
-        // Show/hide load more button
-        const loadMoreContainer = document.getElementById("load-more-container");
-        if (loadMoreContainer) {
-            loadMoreContainer.style.display =
-                this.filteredEvents.length > 6 ? "flex" : "none";
-        }
+        this.grid.setItems(this.shownEvents, true);
         // Trigger entrance animations
         this.animateEventItems();
     }
-    createEventElement(event) {
-        const eventDiv = document.createElement("div");
-        eventDiv.className = "event-item";
+    /**
+     * Show an event in a card, new or reused from one that scrolled away
+     */
+    fillEventCard(eventDiv, event) {
         eventDiv.dataset.eventId = event.id;
-        const title = event.title ||
-            event.title_en ||
-            (event.language && event.language.en && event.language.en.title) ||
-            "Untitled";
-        const dateStr = event.start || event.date || "";
-        const formattedDate = this.formatDate(dateStr);
+        // Event text can come from anyone who creates an event
+        const title = Utils.sanitizeHTML(I18n.localize(event.title) || I18n.t("event.untitled"));
+        const formattedDate = this.formatDate(Occurrences.displayOccurrence(event).start);
         const isFavorite = this.isFavorite(event.id);
-        const image = event.image || event.event_image || event.event_thumbnail || "";
+        const image = Utils.sanitizeHTML(event.thumbnail || event.image);
         eventDiv.innerHTML = `
             <div class="event-img">
                 <img src="${image}" alt="${title}" loading="lazy" />
@@ -378,51 +402,40 @@ class VenuuApp {
                 </div>
             </div>
         `;
-        return eventDiv;
     }
     formatDate(dateString) {
         if (!dateString)
             return "";
-        const date = new Date(dateString);
-        return date.toLocaleDateString("en-US", {
+        return I18n.formatDate(dateString, {
             year: "numeric",
             month: "long",
             day: "numeric",
         });
     }
     toggleFavorite(eventId) {
-        const favorites = this.getFavorites();
-        const index = favorites.indexOf(eventId);
-        if (index > -1) {
-            favorites.splice(index, 1);
-        }
-        else {
-            favorites.push(eventId);
-        }
-        localStorage.setItem("venuu-favorites", JSON.stringify(favorites));
-        this.renderEvents(); // Re-render to update heart colors
+        // The change listener re-renders the hearts
+        FavoritesStore.toggle(eventId);
     }
     isFavorite(eventId) {
-        const favorites = this.getFavorites();
-        return favorites.includes(eventId);
+        return FavoritesStore.has(eventId);
     }
-    getFavorites() {
-        const stored = localStorage.getItem("venuu-favorites");
-        return stored ? JSON.parse(stored) : [];
-    }
-    loadMoreEvents() {
-        // This would typically load more events from an API
-        // For now, we'll just show a loading state
-        const spinner = document.getElementById("load-more-spinner");
-        const button = document.getElementById("load-more-btn");
-        if (spinner && button) {
-            spinner.classList.remove("hidden");
-            button.disabled = true;
-            setTimeout(() => {
-                spinner.classList.add("hidden");
-                button.disabled = false;
-            }, 1000);
-        }
+    /**
+     * Add the next page of cards below those shown; true while more remain
+     */
+    async loadMoreEvents() {
+        if (!this.grid || this.nextCursor === null)
+            return false;
+        const request = this.pageRequest;
+        const page = await this.eventsApi.getPage(this.searchParams(), { cursor: this.nextCursor }, this.filteredEvents);
+        // The filters changed meanwhile; showFirstPage has the new results
+        if (request !== this.pageRequest)
+            return this.nextCursor !== null;
+        this.shownEvents = [...this.shownEvents, ...page.events];
+        this.nextCursor = page.nextCursor;
+        // Cards already built are kept; new ones are built as they scroll
+        // into view
+        this.grid.setItems(this.shownEvents);
+        return this.nextCursor !== null;
     }
     toggleMobileMenu() {
         // Mobile menu toggle functionality
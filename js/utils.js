@@ -64,12 +64,20 @@ export class Utils {
         return `${Math.floor(diffInSeconds / 31536000)} years ago`;
     }
     /**
-     * Sanitize HTML string to prevent XSS
+     * Sanitize HTML string to prevent XSS; safe in element content and in
+     * quoted attributes
      */
     static sanitizeHTML(str) {
         const temp = document.createElement("div");
         temp.textContent = str;
-        return temp.innerHTML;
+        return temp.innerHTML.replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+    }
+    /**
+     * The text of an HTML fragment, without its markup. Parsed into an
+     * inert document, so nothing in it runs or loads.
+     */
+    static textFromHTML(html) {
+        return (new DOMParser().parseFromString(html, "text/html").body.textContent || "");
     }
     /**
      * Generate unique ID
@@ -77,6 +85,27 @@ export class Utils {
     static generateId(prefix = "id") {
         return `${prefix}-${Math.random().toString(36).substr(2, 9)}`;
     }
+    /**
+     * Random RFC 4122 version 4 UUID. crypto.randomUUID only exists in
+     * secure contexts, so it is built from getRandomValues otherwise.
+     */
+    static uuid() {
+        if (typeof crypto.randomUUID === "function")
+            return crypto.randomUUID();
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0"));
+        return [
+            hex.slice(0, 4),
+            hex.slice(4, 6),
+            hex.slice(6, 8),
+            hex.slice(8, 10),
+            hex.slice(10),
+        ]
+            .map((group) => group.join(""))
+            .join("-");
+    }
     /**
      * Check if element is in viewport
      */
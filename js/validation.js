@@ -0,0 +1,68 @@
+// Form validation for Venuu app
+/**
+ * Building blocks for schemas. Apart from `required`, rules pass on empty
+ * values so optional fields are only checked when filled in.
+ */
+export class Rules {
+    static required(key = "validation.required") {
+        return {
+            check: (value) => (Rules.isEmpty(value) ? { key } : null),
+        };
+    }
+    static maxLength(max) {
+        return {
+            check: (value) => typeof value === "string" && value.trim().length > max
+                ? { key: "validation.maxLength", params: { max } }
+                : null,
+        };
+    }
+    /**
+     * Custom check on a filled-in value, which may look at other fields
+     */
+    static test(test, key, params) {
+        return {
+            check: (value, values) => Rules.isEmpty(value) || test(value, values) ? null : { key, params },
+        };
+    }
+    static isEmpty(value) {
+        if (value === null)
+            return true;
+        if (typeof value === "string")
+            return value.trim() === "";
+        return value.size === 0;
+    }
+}
+export class Validator {
+    /**
+     * Check every field in the schema and return the failures by field
+     */
+    static validate(schema, values) {
+        const errors = {};
+        Object.keys(schema).forEach((field) => {
+            const error = Validator.validateField(schema, field, values);
+            if (error)
+                errors[field] = error;
+        });
+        return errors;
+    }
+    static validateField(schema, field, values) {
+        const value = values[field] ?? null;
+        for (const rule of schema[field] || []) {
+            const error = rule.check(value, values);
+            if (error)
+                return error;
+        }
+        return null;
+    }
+    /**
+     * Field values of a form, keyed by input name
+     */
+    static values(form) {
+        const values = {};
+        new FormData(form).forEach((value, name) => {
+            values[name] = value;
+        });
+        return values;
+    }
+}
+//# sourceMappingURL=validation.js.map
\ No newline at end of file
@@ -0,0 +1,175 @@
+// Windowed rendering for the events grid in Venuu app
+const DEFAULT_OVERSCAN = 2;
+const DEFAULT_ROW_HEIGHT = 354;
+/**
+ * Renders a long list into a CSS grid, creating cards only for the rows
+ * in and near the viewport. Rows above and below are stood in for by the
+ * grid's padding, so the page scrolls as if every card were there. The
+ * column count is read from the grid's computed columns, so the
+ * stylesheet's breakpoints keep working. Cards that scroll away are kept
+ * and refilled for the rows that scroll in.
+ *
+ * Rows are assumed to be equally tall; the height is measured from the
+ * rendered cards.
+ */
+export class VirtualGrid {
+    constructor(container, options) {
+        this.items = [];
+        // Cards on screen by item key, and cards waiting to be reused
+        this.cards = new Map();
+        this.pool = [];
+        this.frame = null;
+        // Set while rendering again after a measurement, so rows of uneven
+        // height can't keep rendering
+        this.adjusting = false;
+        this.resizeObserver = null;
+        this.onScroll = () => this.schedule();
+        this.container = container;
+        this.options = options;
+        this.rowHeight = options.estimatedRowHeight || DEFAULT_ROW_HEIGHT;
+        window.addEventListener("scroll", this.onScroll, { passive: true });
+        window.addEventListener("resize", this.onScroll);
+        // Also catches the grid being shown again, e.g. after the map view
+        if (typeof ResizeObserver !== "undefined") {
+            this.resizeObserver = new ResizeObserver(() => this.schedule());
+            this.resizeObserver.observe(container);
+        }
+    }
+    /**
+     * Show a new list. Cards already showing an item keep their content
+     * unless `rerender` is set, e.g. when the language or the search term
+     * highlighted in them changed.
+     */
+    setItems(items, rerender = false) {
+        this.items = items;
+        if (rerender) {
+            // Reused in the same order, so refilled cards stay in place
+            this.pool.push(...Array.from(this.cards.values()).reverse());
+            this.cards.clear();
+        }
+        this.render();
+    }
+    /**
+     * Fill every card on screen again
+     */
+    refresh() {
+        this.setItems(this.items, true);
+    }
+    /**
+     * Stop following scrolling and resizing
+     */
+    destroy() {
+        window.removeEventListener("scroll", this.onScroll);
+        window.removeEventListener("resize", this.onScroll);
+        this.resizeObserver?.disconnect();
+        if (this.frame !== null)
+            cancelAnimationFrame(this.frame);
+    }
+    schedule() {
+        if (this.frame !== null)
+            return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.render();
+        });
+    }
+    render() {
+        const { key, renderCard, empty } = this.options;
+        const container = this.container;
+        if (this.items.length === 0) {
+            this.release(new Set());
+            container.style.paddingTop = "";
+            container.style.paddingBottom = "";
+            container.innerHTML = empty ? empty() : "";
+            return;
+        }
+        const columns = this.columnCount();
+        const rows = Math.ceil(this.items.length / columns);
+        const overscan = this.options.overscan ?? DEFAULT_OVERSCAN;
+        const top = container.getBoundingClientRect().top;
+        const first = Math.min(rows, Math.max(0, Math.floor(-top / this.rowHeight) - overscan));
+        const last = Math.max(first, Math.min(rows, Math.ceil((window.innerHeight - top) / this.rowHeight) + overscan));
+        const shown = this.items.slice(first * columns, last * columns);
+        const keys = shown.map((item) => key(item));
+        this.release(new Set(keys));
+        const cards = shown.map((item, index) => {
+            let card = this.cards.get(keys[index]);
+            if (!card) {
+                card = this.pool.pop() || this.createCard();
+                renderCard(card, item);
+                this.cards.set(keys[index], card);
+            }
+            return card;
+        });
+        // Put the cards in order, moving only those out of place, and drop
+        // anything else, such as the empty message
+        let next = container.firstElementChild;
+        cards.forEach((card) => {
+            if (card === next)
+                next = next.nextElementSibling;
+            else
+                container.insertBefore(card, next);
+        });
+        while (next) {
+            const stray = next;
+            next = next.nextElementSibling;
+            stray.remove();
+        }
+        container.style.paddingTop = `${first * this.rowHeight}px`;
+        container.style.paddingBottom = `${(rows - last) * this.rowHeight}px`;
+        // Render again if the rows turned out taller or shorter than thought
+        const measured = this.measure(cards, columns);
+        if (measured > 0 && Math.abs(measured - this.rowHeight) >= 1) {
+            this.rowHeight = measured;
+            if (!this.adjusting) {
+                this.adjusting = true;
+                this.schedule();
+                return;
+            }
+        }
+        this.adjusting = false;
+    }
+    /**
+     * Move the cards of items no longer shown to the pool
+     */
+    release(keep) {
+        this.cards.forEach((card, key) => {
+            if (keep.has(key))
+                return;
+            card.remove();
+            this.pool.push(card);
+            this.cards.delete(key);
+        });
+    }
+    createCard() {
+        return this.options.createCard
+            ? this.options.createCard()
+            : document.createElement("div");
+    }
+    /**
+     * Columns of the grid as laid out now; the computed value lists one
+     * size per column
+     */
+    columnCount() {
+        const columns = getComputedStyle(this.container)
+            .gridTemplateColumns.split(" ")
+            .filter((size) => size && size !== "none").length;
+        return Math.max(1, columns);
+    }
+    /**
+     * Height of one row plus the gap below it; 0 while the grid is hidden
+     */
+    measure(cards, columns) {
+        if (cards.length > columns) {
+            return cards[columns].offsetTop - cards[0].offsetTop;
+        }
+        if (cards.length === 0 || cards[0].offsetHeight === 0)
+            return 0;
+        const gap = parseFloat(getComputedStyle(this.container).rowGap) || 0;
+        return cards[0].offsetHeight + gap;
+    }
+}
+if (typeof window !== "undefined") {
+    window.VirtualGrid = VirtualGrid;
+}
+//# sourceMappingURL=virtual-grid.js.map
\ No newline at end of file
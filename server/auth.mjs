@@ -0,0 +1,288 @@
+// Mock /api/auth/* endpoints for the Venuu mock server
+import {
+  randomBytes,
+  randomUUID,
+  scryptSync,
+  timingSafeEqual,
+} from "node:crypto";
+import { HttpError, bearerToken, readJson, sendJson } from "./http.mjs";
+
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const RESET_TTL_SECONDS = 60 * 60;
+
+/**
+ * Account that always exists, so the flow can be tried straight away
+ */
+export const DEMO_USER = {
+  name: "Demo",
+  email: "demo@venuu.is",
+  password: "venuu1234",
+};
+
+/**
+ * @typedef {{ id: string, name: string, email: string, salt: string, hash: string }} User
+ * @typedef {{ userId: string, expiresAt: number }} Grant
+ * @typedef {{ userId: string, expiresAt: number, accessToken: string }} RefreshGrant
+ */
+
+/**
+ * Accounts and sessions kept in memory: registered users are gone when the
+ * server restarts. Access tokens are short-lived (`tokenTtl` seconds) and
+ * refresh tokens are single use, like the real backend's.
+ */
+export class MockAuth {
+  /**
+   * @param {{ tokenTtl?: number, refreshTtl?: number }} [options]
+   */
+  constructor({ tokenTtl = 15 * 60, refreshTtl = 30 * 24 * 60 * 60 } = {}) {
+    this.tokenTtl = tokenTtl;
+    this.refreshTtl = refreshTtl;
+    /** @type {Map<string, User>} users by lowercased email */
+    this.users = new Map();
+    /** @type {Map<string, Grant>} */
+    this.accessTokens = new Map();
+    /** @type {Map<string, RefreshGrant>} */
+    this.refreshTokens = new Map();
+    /** @type {Map<string, Grant>} */
+    this.resetTokens = new Map();
+
+    this.addUser(DEMO_USER.name, DEMO_USER.email, DEMO_USER.password);
+  }
+
+  /**
+   * Answer an /api/auth/* request; false when the path isn't ours
+   * @param {import("node:http").IncomingMessage} req
+   * @param {import("node:http").ServerResponse} res
+   * @param {URL} url
+   * @returns {Promise<boolean>}
+   */
+  async handle(req, res, url) {
+    const route = `${req.method} ${url.pathname}`;
+    switch (route) {
+      case "POST /api/auth/register":
+        sendJson(res, 201, this.register(await readJson(req)));
+        return true;
+      case "POST /api/auth/login":
+        sendJson(res, 200, this.login(await readJson(req)));
+        return true;
+      case "POST /api/auth/refresh":
+        sendJson(res, 200, this.refresh(await readJson(req)));
+        return true;
+      case "POST /api/auth/logout":
+        this.logout(await readJson(req));
+        sendJson(res, 204);
+        return true;
+      case "POST /api/auth/password-reset":
+        this.requestReset(await readJson(req), req.headers.host);
+        sendJson(res, 202, { ok: true });
+        return true;
+      case "POST /api/auth/password-reset/confirm":
+        this.confirmReset(await readJson(req));
+        sendJson(res, 204);
+        return true;
+      case "GET /api/auth/me": {
+        const user = this.userFor(req);
+        if (!user) throw new HttpError(401, "Not signed in");
+        sendJson(res, 200, this.publicUser(user));
+        return true;
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * The user a request's bearer token belongs to, or null
+   * @param {import("node:http").IncomingMessage} req
+   * @returns {User | null}
+   */
+  userFor(req) {
+    const token = bearerToken(req);
+    const grant = token ? this.accessTokens.get(token) : undefined;
+    if (!grant || grant.expiresAt < Date.now()) return null;
+    return this.findUser(grant.userId);
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} email
+   * @param {string} password
+   * @returns {User}
+   */
+  addUser(name, email, password) {
+    const salt = randomBytes(16).toString("hex");
+    const user = {
+      id: randomUUID(),
+      name,
+      email,
+      salt,
+      hash: this.hash(password, salt),
+    };
+    this.users.set(email.toLowerCase(), user);
+    return user;
+  }
+
+  register({ name, email, password } = {}) {
+    if (
+      typeof name !== "string" ||
+      !name.trim() ||
+      typeof email !== "string" ||
+      !EMAIL_PATTERN.test(email.trim()) ||
+      !this.isValidPassword(password)
+    ) {
+      throw new HttpError(
+        400,
+        "Name, a valid email and a password are required"
+      );
+    }
+    if (this.users.has(email.trim().toLowerCase())) {
+      throw new HttpError(409, "An account with this email already exists");
+    }
+
+    return this.createSession(
+      this.addUser(name.trim(), email.trim(), password)
+    );
+  }
+
+  login({ email, password } = {}) {
+    const user =
+      typeof email === "string"
+        ? this.users.get(email.trim().toLowerCase())
+        : undefined;
+    if (
+      !user ||
+      typeof password !== "string" ||
+      !timingSafeEqual(
+        Buffer.from(this.hash(password, user.salt), "hex"),
+        Buffer.from(user.hash, "hex")
+      )
+    ) {
+      throw new HttpError(401, "Wrong email or password");
+    }
+
+    return this.createSession(user);
+  }
+
+  refresh({ refreshToken } = {}) {
+    const grant = this.refreshTokens.get(refreshToken);
+    const user = grant && this.findUser(grant.userId);
+    if (!grant || !user || grant.expiresAt < Date.now()) {
+      throw new HttpError(401, "Invalid refresh token");
+    }
+
+    this.revoke(refreshToken);
+    return this.createSession(user);
+  }
+
+  logout({ refreshToken } = {}) {
+    this.revoke(refreshToken);
+  }
+
+  /**
+   * There is no mail in the mock, so the reset link is logged instead.
+   * Unknown addresses get the same answer so accounts can't be probed.
+   */
+  requestReset({ email } = {}, host = "localhost") {
+    const user =
+      typeof email === "string"
+        ? this.users.get(email.trim().toLowerCase())
+        : undefined;
+    if (!user) return;
+
+    const token = randomBytes(24).toString("hex");
+    this.resetTokens.set(token, {
+      userId: user.id,
+      expiresAt: Date.now() + RESET_TTL_SECONDS * 1000,
+    });
+    console.log(
+      `Password reset link for ${user.email}: http://${host}/login.html?reset=${token}`
+    );
+  }
+
+  confirmReset({ token, password } = {}) {
+    const grant = this.resetTokens.get(token);
+    const user = grant && this.findUser(grant.userId);
+    if (
+      !grant ||
+      !user ||
+      grant.expiresAt < Date.now() ||
+      !this.isValidPassword(password)
+    ) {
+      throw new HttpError(400, "Invalid or expired reset token");
+    }
+
+    this.resetTokens.delete(token);
+    user.salt = randomBytes(16).toString("hex");
+    user.hash = this.hash(password, user.salt);
+
+    // A new password signs the account out everywhere
+    for (const [refreshToken, session] of this.refreshTokens) {
+      if (session.userId === user.id) this.revoke(refreshToken);
+    }
+  }
+
+  /**
+   * @param {User} user
+   */
+  createSession(user) {
+    const token = randomBytes(24).toString("hex");
+    const refreshToken = randomBytes(32).toString("hex");
+    const now = Date.now();
+    this.accessTokens.set(token, {
+      userId: user.id,
+      expiresAt: now + this.tokenTtl * 1000,
+    });
+    this.refreshTokens.set(refreshToken, {
+      userId: user.id,
+      expiresAt: now + this.refreshTtl * 1000,
+      accessToken: token,
+    });
+
+    return {
+      token,
+      refreshToken,
+      expiresIn: this.tokenTtl,
+      user: this.publicUser(user),
+    };
+  }
+
+  /**
+   * End a refresh token and the access token issued with it
+   * @param {unknown} refreshToken
+   */
+  revoke(refreshToken) {
+    const grant = this.refreshTokens.get(refreshToken);
+    if (!grant) return;
+    this.accessTokens.delete(grant.accessToken);
+    this.refreshTokens.delete(refreshToken);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {User | null}
+   */
+  findUser(id) {
+    for (const user of this.users.values()) {
+      if (user.id === id) return user;
+    }
+    return null;
+  }
+
+  /**
+   * @param {User} user
+   */
+  publicUser(user) {
+    return { id: user.id, name: user.name, email: user.email };
+  }
+
+  isValidPassword(password) {
+    return (
+      typeof password === "string" && password.length >= MIN_PASSWORD_LENGTH
+    );
+  }
+
+  hash(password, salt) {
+    return scryptSync(password, salt, 32).toString("hex");
+  }
+}
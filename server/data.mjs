@@ -0,0 +1,67 @@
+// Persistent data for the Venuu mock server
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+
+/**
+ * @typedef {{ owner: string, record: Record<string, any> }} StoredEvent
+ *   An event created through the API; `owner` is the creator's email, as
+ *   mock accounts get new ids on every start
+ * @typedef {{ events: StoredEvent[], favorites: Record<string, string[]> }} MockData
+ *   `favorites` holds event ids by lowercased email
+ */
+
+/**
+ * Events and favorites written through the mock API, kept in a JSON file
+ * so they survive restarts. Accounts and sessions are not kept.
+ */
+export class DataFile {
+  /**
+   * @param {string} path
+   */
+  constructor(path) {
+    this.path = path;
+    /** @type {MockData} */
+    this.data = { events: [], favorites: {} };
+    /** @type {Promise<void>} */
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Read the file; a missing file starts empty
+   * @returns {Promise<MockData>}
+   */
+  async load() {
+    try {
+      const stored = JSON.parse(await readFile(this.path, "utf8"));
+      this.data = {
+        events: Array.isArray(stored.events) ? stored.events : [],
+        favorites:
+          stored.favorites && typeof stored.favorites === "object"
+            ? stored.favorites
+            : {},
+      };
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`Could not read ${this.path}, starting empty:`, error);
+      }
+    }
+    return this.data;
+  }
+
+  /**
+   * Write the data. Saves run one at a time, and each writes a temporary
+   * file first so a crash never leaves half a file.
+   * @returns {Promise<void>}
+   */
+  save() {
+    this.saving = this.saving
+      .then(async () => {
+        const temporary = `${this.path}.tmp`;
+        await mkdir(dirname(this.path), { recursive: true });
+        await writeFile(temporary, JSON.stringify(this.data, null, 2));
+        await rename(temporary, this.path);
+      })
+      .catch((error) => console.error("Could not save mock data:", error));
+    return this.saving;
+  }
+}
@@ -0,0 +1,648 @@
+// Mock /api/events endpoints for the Venuu mock server
+import { createHash, randomUUID } from "node:crypto";
+import { HttpError, decodePath, readJson, sendJson } from "./http.mjs";
+import { fold as foldText } from "../js/fold.js";
+import { Geo } from "../js/geo.js";
+import { PriceParser } from "../js/price.js";
+
+// Without `limit` or `cursor` the whole feed is answered, like the static
+// api-data.json
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const SORTS = [
+  "date-asc",
+  "date-desc",
+  "title-asc",
+  "title-desc",
+  "price-asc",
+  "price-desc",
+  "distance-asc",
+  "distance-desc",
+];
+
+/**
+ * @typedef {Record<string, any>} RawEvent
+ * @typedef {import("./auth.mjs").User} User
+ * @typedef {{
+ *   text: string,
+ *   categories: string[],
+ *   postals: string[],
+ *   from: string,
+ *   to: string,
+ *   minPrice: number | null,
+ *   maxPrice: number | null,
+ *   free: boolean,
+ *   near: { lat: number, lng: number } | null,
+ *   radius: number | null,
+ *   sort: string,
+ *   limit: number | null,
+ *   cursor: { sort: string, key: string | number | null, id: string } | null,
+ * }} EventQuery
+ * @typedef {{ id: string, records: RawEvent[], key: string | number | null }} Match
+ *   An event with its records that matched, and its sort key
+ */
+
+/**
+ * The event feed from api-data.json plus events created through the API.
+ * The feed lists an event once per occurrence, so filters pick records
+ * and paging counts events.
+ *
+ *   GET    /api/events?q=&category=&postal=&from=&to=&minPrice=&maxPrice=
+ *                     &free=1&near=lat,lng&radius=&sort=&limit=&cursor=
+ *   POST   /api/events
+ *   GET    /api/events/:id
+ *   PUT    /api/events/:id
+ *   DELETE /api/events/:id
+ *
+ * Signed-in users can create events, and change or delete their own.
+ */
+export class MockEvents {
+  /**
+   * @param {import("./auth.mjs").MockAuth} auth
+   * @param {import("./data.mjs").DataFile} file
+   * @param {RawEvent[]} feed records from api-data.json
+   */
+  constructor(auth, file, feed) {
+    this.auth = auth;
+    this.file = file;
+    this.feed = feed;
+    // Bumped on every write; part of the list's ETag
+    this.version = 1;
+    this.modifiedAt = new Date();
+    this.nextId =
+      Math.max(
+        0,
+        ...[...feed, ...file.data.events.map(({ record }) => record)]
+          .map((record) => Number(record.id))
+          .filter(Number.isFinite)
+      ) + 1;
+  }
+
+  /**
+   * Answer an /api/events request; false when the path isn't ours
+   * @param {import("node:http").IncomingMessage} req
+   * @param {import("node:http").ServerResponse} res
+   * @param {URL} url
+   * @returns {Promise<boolean>}
+   */
+  async handle(req, res, url) {
+    if (url.pathname === "/api/events") {
+      switch (req.method) {
+        case "GET":
+          this.list(req, res, url);
+          return true;
+        case "POST":
+          sendJson(
+            res,
+            201,
+            await this.create(this.signedIn(req), await readJson(req))
+          );
+          return true;
+        default:
+          throw new HttpError(405, "Method not allowed");
+      }
+    }
+
+    const match = /^\/api\/events\/([^/]+)$/.exec(url.pathname);
+    if (!match) return false;
+
+    const id = decodePath(match[1]);
+    switch (req.method) {
+      case "GET": {
+        const [record] = this.records(this.auth.userFor(req)).filter(
+          (raw) => String(raw.id) === id
+        );
+        if (!record) throw new HttpError(404, "No such event");
+        sendJson(res, 200, record);
+        return true;
+      }
+      case "PUT":
+        sendJson(
+          res,
+          200,
+          await this.update(this.signedIn(req), id, await readJson(req))
+        );
+        return true;
+      case "DELETE":
+        await this.remove(this.signedIn(req), id);
+        sendJson(res, 204);
+        return true;
+      default:
+        throw new HttpError(405, "Method not allowed");
+    }
+  }
+
+  /**
+   * Matching records, one page of events at a time when `limit` or
+   * `cursor` is given. The next page's cursor is in the X-Next-Cursor and
+   * Link headers, the number of matching events in X-Total-Count.
+   * @param {import("node:http").IncomingMessage} req
+   * @param {import("node:http").ServerResponse} res
+   * @param {URL} url
+   */
+  list(req, res, url) {
+    const user = this.auth.userFor(req);
+    // Each user also sees their own events waiting for review
+    const viewer = user ? ownerOf(user) : "";
+    const validators = {
+      ETag: `W/"events-${this.version}-${hash(`${viewer} ${url.search}`)}"`,
+      "Last-Modified": this.modifiedAt.toUTCString(),
+    };
+    if (this.isFresh(req, validators.ETag)) {
+      res.writeHead(304, validators).end();
+      return;
+    }
+
+    const query = parseQuery(url.searchParams);
+    const matches = this.search(query, user);
+    let page = matches;
+    let next = null;
+
+    if (query.limit !== null) {
+      const start = query.cursor
+        ? matches.findIndex((match) => compare(match, query.cursor, query) > 0)
+        : 0;
+      page = start === -1 ? [] : matches.slice(start, start + query.limit);
+      const last = page[page.length - 1];
+      if (last && last !== matches[matches.length - 1]) {
+        next = encodeCursor({ sort: query.sort, key: last.key, id: last.id });
+      }
+    }
+
+    const headers = {
+      ...validators,
+      "X-Total-Count": String(matches.length),
+    };
+    if (next) {
+      const nextUrl = new URL(url);
+      nextUrl.searchParams.set("cursor", next);
+      headers["X-Next-Cursor"] = next;
+      headers.Link = `<${nextUrl.pathname}${nextUrl.search}>; rel="next"`;
+    }
+
+    res.writeHead(200, {
+      ...headers,
+      "Content-Type": "application/json; charset=utf-8",
+    });
+    res.end(JSON.stringify(page.flatMap((match) => match.records)));
+  }
+
+  /**
+   * Events with at least one record matching the query, sorted
+   * @param {EventQuery} query
+   * @param {User | null} user
+   * @returns {Match[]}
+   */
+  search(query, user) {
+    /** @type {Map<string, RawEvent[]>} */
+    const byId = new Map();
+    this.records(user)
+      .filter((record) => matches(record, query))
+      .forEach((record) => {
+        const id = String(record.id);
+        const group = byId.get(id);
+        if (group) group.push(record);
+        else byId.set(id, [record]);
+      });
+
+    return [...byId]
+      .map(([id, records]) => ({ id, records, key: sortKey(records, query) }))
+      .sort((a, b) => compare(a, b, query));
+  }
+
+  /**
+   * @param {User} user
+   * @param {unknown} body
+   */
+  async create(user, body) {
+    const fields = validate(body);
+    const now = new Date().toISOString();
+    const record = {
+      ...fields,
+      id: this.nextId++,
+      event_id: randomUUID(),
+      // New events wait for review, like on the real backend
+      accepted: false,
+      active: true,
+      created_at: now,
+      updated_at: now,
+    };
+
+    this.file.data.events.push({ owner: ownerOf(user), record });
+    await this.saved();
+    return record;
+  }
+
+  /**
+   * Replace an event the user created
+   * @param {User} user
+   * @param {string} id
+   * @param {unknown} body
+   */
+  async update(user, id, body) {
+    const stored = this.ownedBy(user, id);
+    const fields = validate(body);
+    stored.record = {
+      ...fields,
+      id: stored.record.id,
+      event_id: stored.record.event_id,
+      accepted: stored.record.accepted,
+      active: stored.record.active,
+      created_at: stored.record.created_at,
+      updated_at: new Date().toISOString(),
+    };
+
+    await this.saved();
+    return stored.record;
+  }
+
+  /**
+   * Delete an event the user created
+   * @param {User} user
+   * @param {string} id
+   */
+  async remove(user, id) {
+    const stored = this.ownedBy(user, id);
+    this.file.data.events = this.file.data.events.filter(
+      (other) => other !== stored
+    );
+    await this.saved();
+  }
+
+  /**
+   * The feed followed by the events created through the API that `user`
+   * may see: accepted ones and their own. Unreviewed events stay out of
+   * everyone else's listings.
+   * @param {User | null} user
+   * @returns {RawEvent[]}
+   */
+  records(user) {
+    const viewer = user ? ownerOf(user) : null;
+    return [
+      ...this.feed,
+      ...this.file.data.events
+        .filter(({ owner, record }) => record.accepted || owner === viewer)
+        .map(({ record }) => record),
+    ];
+  }
+
+  /**
+   * @param {import("node:http").IncomingMessage} req
+   * @returns {User}
+   */
+  signedIn(req) {
+    const user = this.auth.userFor(req);
+    if (!user) throw new HttpError(401, "Not signed in");
+    return user;
+  }
+
+  /**
+   * A stored event the user may change
+   * @param {User} user
+   * @param {string} id
+   */
+  ownedBy(user, id) {
+    const stored = this.file.data.events.find(
+      ({ record }) => String(record.id) === id
+    );
+    if (!stored) {
+      if (this.feed.some((record) => String(record.id) === id)) {
+        throw new HttpError(403, "Feed events can't be changed");
+      }
+      throw new HttpError(404, "No such event");
+    }
+    if (stored.owner !== ownerOf(user)) {
+      throw new HttpError(403, "Only the event's creator can change it");
+    }
+    return stored;
+  }
+
+  /**
+   * Whether the client's copy of the list is current
+   * @param {import("node:http").IncomingMessage} req
+   * @param {string} etag
+   */
+  isFresh(req, etag) {
+    const noneMatch = req.headers["if-none-match"];
+    if (noneMatch) return noneMatch === etag;
+
+    const since = Date.parse(req.headers["if-modified-since"] || "");
+    return since >= Math.floor(this.modifiedAt.getTime() / 1000) * 1000;
+  }
+
+  async saved() {
+    this.version++;
+    this.modifiedAt = new Date();
+    await this.file.save();
+  }
+}
+
+/**
+ * @param {URLSearchParams} params
+ * @returns {EventQuery}
+ */
+function parseQuery(params) {
+  const list = (name) =>
+    (params.get(name) || "")
+      .split(",")
+      .map((value) => value.trim())
+      .filter(Boolean);
+  const number = (name) => {
+    const value = params.get(name);
+    if (value === null || value === "") return null;
+    if (!Number.isFinite(Number(value))) {
+      throw new HttpError(400, `${name} must be a number`);
+    }
+    return Number(value);
+  };
+  const date = (name) => {
+    const value = params.get(name) || "";
+    if (value && Number.isNaN(Date.parse(value))) {
+      throw new HttpError(400, `${name} must be a date`);
+    }
+    return value;
+  };
+
+  const sort = params.get("sort") || "date-asc";
+  if (!SORTS.includes(sort)) {
+    throw new HttpError(400, `sort must be one of ${SORTS.join(", ")}`);
+  }
+
+  let near = null;
+  if (params.get("near")) {
+    const [lat, lng] = list("near").map(Number);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+      throw new HttpError(400, "near must be lat,lng");
+    }
+    near = { lat, lng };
+  }
+  if (sort.startsWith("distance") && !near) {
+    throw new HttpError(400, "Sorting by distance needs near");
+  }
+
+  const cursor = params.get("cursor")
+    ? decodeCursor(params.get("cursor"))
+    : null;
+  if (cursor && cursor.sort !== sort) {
+    throw new HttpError(400, "The cursor belongs to another sort order");
+  }
+
+  const limit = number("limit");
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+    throw new HttpError(400, "limit must be a positive whole number");
+  }
+
+  return {
+    text: fold(params.get("q") || ""),
+    categories: list("category").map(fold),
+    postals: list("postal"),
+    from: date("from"),
+    to: date("to"),
+    minPrice: number("minPrice"),
+    maxPrice: number("maxPrice"),
+    free: params.get("free") === "1",
+    near,
+    radius: number("radius"),
+    sort,
+    limit:
+      limit !== null || cursor
+        ? Math.min(limit ?? DEFAULT_LIMIT, MAX_LIMIT)
+        : null,
+    cursor,
+  };
+}
+
+/**
+ * Whether one record (occurrence) matches every filter of the query
+ * @param {RawEvent} record
+ * @param {EventQuery} query
+ */
+function matches(record, query) {
+  if (query.text && !fold(searchText(record)).includes(query.text)) {
+    return false;
+  }
+
+  if (
+    query.categories.length > 0 &&
+    !(record.categories || []).some((term) =>
+      [term.name, term.name_en, term.tag]
+        .filter(Boolean)
+        .some((name) => query.categories.includes(fold(name)))
+    )
+  ) {
+    return false;
+  }
+
+  if (
+    query.postals.length > 0 &&
+    !query.postals.includes(String(record.postal || ""))
+  ) {
+    return false;
+  }
+
+  // Dates compare as "YYYY-MM-DDTHH:MM" strings, like the feed's; a date
+  // without a time in `to` includes that whole day
+  const start = String(record.start || record.date || "");
+  const end = String(record.end || start);
+  if (query.from && end < query.from) return false;
+  if (
+    query.to &&
+    start > (query.to.length === 10 ? `${query.to}T23:59` : query.to)
+  ) {
+    return false;
+  }
+
+  if (query.free || query.minPrice !== null || query.maxPrice !== null) {
+    const price = PriceParser.parse(record.price);
+    if (query.free && price.max !== 0) return false;
+    if (
+      query.minPrice !== null &&
+      (price.max === null || price.max < query.minPrice)
+    ) {
+      return false;
+    }
+    if (
+      query.maxPrice !== null &&
+      (price.min === null || price.min > query.maxPrice)
+    ) {
+      return false;
+    }
+  }
+
+  if (query.near && query.radius !== null) {
+    const distance = distanceTo(record, query.near);
+    if (distance === null || distance > query.radius) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Sort key of an event for the query's sort field; null sorts last
+ * @param {RawEvent[]} records
+ * @param {EventQuery} query
+ * @returns {string | number | null}
+ */
+function sortKey(records, query) {
+  const [field] = query.sort.split("-");
+  const [first] = records;
+
+  switch (field) {
+    case "title":
+      return (first.language?.is?.title || first.title || "").toLocaleLowerCase(
+        "is"
+      );
+    case "price": {
+      const prices = records
+        .map((record) => PriceParser.parse(record.price).min)
+        .filter((price) => price !== null);
+      return prices.length > 0 ? Math.min(...prices) : null;
+    }
+    case "distance":
+      return distanceTo(first, query.near);
+    case "date":
+    default: {
+      const starts = records
+        .map((record) => String(record.start || record.date || ""))
+        .filter(Boolean)
+        .sort();
+      return starts[0] || null;
+    }
+  }
+}
+
+/**
+ * Order two events (or an event and a cursor) by sort key, then id. Ties
+ * are broken by id in both directions, so every event has one place.
+ * @param {{ key: string | number | null, id: string }} a
+ * @param {{ key: string | number | null, id: string }} b
+ * @param {EventQuery} query
+ */
+function compare(a, b, query) {
+  const direction = query.sort.endsWith("-desc") ? -1 : 1;
+  if (a.key !== b.key) {
+    if (a.key === null) return 1;
+    if (b.key === null) return -1;
+    if (typeof a.key === "string") {
+      return direction * a.key.localeCompare(String(b.key), "is");
+    }
+    return direction * (a.key - Number(b.key));
+  }
+  return a.id.localeCompare(b.id, "en", { numeric: true });
+}
+
+/**
+ * @param {{ sort: string, key: string | number | null, id: string }} position
+ */
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString("base64url");
+}
+
+/**
+ * @param {string} cursor
+ */
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (typeof position.sort === "string" && typeof position.id === "string") {
+      return position;
+    }
+  } catch {
+    // Answered below
+  }
+  throw new HttpError(400, "Invalid cursor");
+}
+
+/**
+ * Event fields from a request body, without the ones the server sets
+ * @param {unknown} body
+ * @returns {RawEvent}
+ */
+function validate(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new HttpError(400, "The event must be a JSON object");
+  }
+
+  const {
+    id,
+    event_id,
+    accepted,
+    active,
+    created_at,
+    updated_at,
+    owner,
+    ...fields
+  } = /** @type {RawEvent} */ (body);
+  const title = fields.language?.is?.title || fields.title;
+  if (typeof title !== "string" || !title.trim()) {
+    throw new HttpError(400, "The event needs a title");
+  }
+  const start = fields.start || fields.date;
+  if (typeof start !== "string" || Number.isNaN(Date.parse(start))) {
+    throw new HttpError(400, "The event needs a start date");
+  }
+  return fields;
+}
+
+/**
+ * Text a search looks in: titles, descriptions, place and categories
+ * @param {RawEvent} record
+ */
+function searchText(record) {
+  const { is = {}, en = {} } = record.language || {};
+  return [
+    record.title,
+    record.title_en,
+    is.title,
+    en.title,
+    is.text,
+    en.text,
+    is.place,
+    en.place,
+    record.formatted_address,
+    record.city,
+    ...(record.categories || []).flatMap((term) => [term.name, term.name_en]),
+    ...(record.tags || []),
+  ]
+    .filter((value) => typeof value === "string")
+    .join(" ");
+}
+
+/**
+ * Lowercase without accents and with Icelandic letters spelled out, as
+ * the app's search does, so "kaffi" finds "Kaffí" and "marathon" finds
+ * "maraþon"
+ * @param {string} text
+ */
+function fold(text) {
+  return foldText(text).trim();
+}
+
+/**
+ * Great-circle distance in km from a record's location, or null without one
+ * @param {RawEvent} record
+ * @param {{ lat: number, lng: number }} point
+ */
+function distanceTo(record, point) {
+  if (!Array.isArray(record.location) || record.location.length !== 2) {
+    return null;
+  }
+  const [lat, lng] = record.location.map(Number);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  return Geo.distanceKm({ lat, lng }, point);
+}
+
+/**
+ * @param {User} user
+ */
+function ownerOf(user) {
+  return user.email.toLowerCase();
+}
+
+/**
+ * @param {string} text
+ */
+function hash(text) {
+  return createHash("sha1").update(text).digest("base64url").slice(0, 16);
+}
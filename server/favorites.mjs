@@ -0,0 +1,86 @@
+// Mock /api/favorites endpoints for the Venuu mock server
+import { HttpError, decodePath, readJson, sendJson } from "./http.mjs";
+
+/**
+ * Each signed-in user's favorite event ids, kept in the data file by
+ * email so they survive restarts
+ *
+ *   GET    /api/favorites
+ *   PUT    /api/favorites      { ids }   replace the list
+ *   POST   /api/favorites      { id }    add one event
+ *   DELETE /api/favorites/:id            remove one event
+ */
+export class MockFavorites {
+  /**
+   * @param {import("./auth.mjs").MockAuth} auth
+   * @param {import("./data.mjs").DataFile} file
+   */
+  constructor(auth, file) {
+    this.auth = auth;
+    this.file = file;
+  }
+
+  /**
+   * Answer an /api/favorites request; false when the path isn't ours
+   * @param {import("node:http").IncomingMessage} req
+   * @param {import("node:http").ServerResponse} res
+   * @param {URL} url
+   * @returns {Promise<boolean>}
+   */
+  async handle(req, res, url) {
+    const match = /^\/api\/favorites(?:\/([^/]+))?$/.exec(url.pathname);
+    if (!match) return false;
+
+    const user = this.auth.userFor(req);
+    if (!user) throw new HttpError(401, "Not signed in");
+
+    const key = user.email.toLowerCase();
+    const ids = this.file.data.favorites[key] || [];
+    const route = `${req.method} ${match[1] === undefined ? "list" : "item"}`;
+
+    switch (route) {
+      case "GET list":
+        sendJson(res, 200, { ids });
+        return true;
+      case "PUT list": {
+        const { ids: next } = await readJson(req);
+        if (!Array.isArray(next) || next.some((id) => typeof id !== "string")) {
+          throw new HttpError(400, "ids must be a list of event ids");
+        }
+        sendJson(res, 200, { ids: await this.save(key, next) });
+        return true;
+      }
+      case "POST list": {
+        const { id } = await readJson(req);
+        if (typeof id !== "string" || !id) {
+          throw new HttpError(400, "id must be an event id");
+        }
+        sendJson(res, 200, { ids: await this.save(key, [...ids, id]) });
+        return true;
+      }
+      case "DELETE item": {
+        const id = decodePath(match[1]);
+        sendJson(res, 200, {
+          ids: await this.save(
+            key,
+            ids.filter((other) => other !== id)
+          ),
+        });
+        return true;
+      }
+      default:
+        throw new HttpError(405, "Method not allowed");
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {string[]} ids
+   * @returns {Promise<string[]>} the ids as saved, without duplicates
+   */
+  async save(key, ids) {
+    this.file.data.favorites[key] = [...new Set(ids)];
+    await this.file.save();
+    return this.file.data.favorites[key];
+  }
+}
@@ -0,0 +1,89 @@
+// HTTP helpers for the Venuu mock server
+
+// Request bodies larger than this are refused
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * An error answered with its status and message as JSON
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status
+   * @param {string} message
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+/**
+ * Parse a JSON request body; every endpoint takes an object, so anything
+ * else (`null`, a list, a string) is refused
+ * @param {import("node:http").IncomingMessage} req
+ * @returns {Promise<Record<string, any>>}
+ */
+export async function readJson(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new HttpError(413, "Request body too large");
+    }
+    chunks.push(chunk);
+  }
+
+  if (size === 0) return {};
+  let body;
+  try {
+    body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch {
+    throw new HttpError(400, "Invalid JSON body");
+  }
+  if (typeof body !== "object" || body === null || Array.isArray(body)) {
+    throw new HttpError(400, "The body must be a JSON object");
+  }
+  return body;
+}
+
+/**
+ * Decode a percent-encoded path or part of one; malformed escapes such as
+ * "%E0%A4" are refused
+ * @param {string} value
+ * @returns {string}
+ */
+export function decodePath(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw new HttpError(400, "Malformed path");
+  }
+}
+
+/**
+ * Answer with a JSON body, or no body for 204
+ * @param {import("node:http").ServerResponse} res
+ * @param {number} status
+ * @param {unknown} [body]
+ */
+export function sendJson(res, status, body) {
+  if (status === 204 || body === undefined) {
+    res.writeHead(status).end();
+    return;
+  }
+  res
+    .writeHead(status, { "Content-Type": "application/json; charset=utf-8" })
+    .end(JSON.stringify(body));
+}
+
+/**
+ * Token from an `Authorization: Bearer <token>` header
+ * @param {import("node:http").IncomingMessage} req
+ * @returns {string | null}
+ */
+export function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "");
+  return match ? match[1] : null;
+}
@@ -0,0 +1,149 @@
+// Local mock backend for Venuu app. Serves the site and the /api/auth/*,
+// /api/events and /api/favorites endpoints, so the app can be developed
+// without the real backend.
+//
+//   npm run mock-server
+//
+// PORT sets the port (default 8080) and AUTH_TOKEN_TTL the access token
+// lifetime in seconds, e.g. 60 to watch tokens being refreshed. Events and
+// favorites written through the API are kept in DATA_FILE (default
+// server/mock-data.json); delete it to start over.
+import { createServer } from "node:http";
+import { readFile, stat } from "node:fs/promises";
+import { extname, join, normalize, relative, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+import { DEMO_USER, MockAuth } from "./auth.mjs";
+import { DataFile } from "./data.mjs";
+import { MockEvents } from "./events.mjs";
+import { MockFavorites } from "./favorites.mjs";
+import { HttpError, decodePath, sendJson } from "./http.mjs";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const PORT = Number(process.env.PORT) || 8080;
+const DATA_FILE =
+  process.env.DATA_FILE || join(ROOT, "server", "mock-data.json");
+
+// The public site; nothing else in the project is served
+const PUBLIC_DIRS = ["css", "js", "Images"];
+const PUBLIC_FILES = ["api-data.json", "sw.js"];
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".map": "application/json; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".webp": "image/webp",
+  ".gif": "image/gif",
+  ".ico": "image/x-icon",
+  ".woff2": "font/woff2",
+};
+
+const auth = new MockAuth({
+  tokenTtl: Number(process.env.AUTH_TOKEN_TTL) || undefined,
+});
+const file = new DataFile(DATA_FILE);
+await file.load();
+const events = new MockEvents(
+  auth,
+  file,
+  JSON.parse(await readFile(join(ROOT, "api-data.json"), "utf8"))
+);
+const favorites = new MockFavorites(auth, file);
+
+/**
+ * Serve a file from the project root, answering 304 when the client's
+ * copy is current
+ * @param {import("node:http").IncomingMessage} req
+ * @param {import("node:http").ServerResponse} res
+ * @param {string} pathname
+ */
+async function serveFile(req, res, pathname) {
+  const decoded = decodePath(pathname === "/" ? "/index.html" : pathname);
+  const path = normalize(join(ROOT, decoded));
+  if (!isPublic(path)) throw new HttpError(404, "Not found");
+
+  const info = await stat(path).catch(() => null);
+  if (!info || !info.isFile()) throw new HttpError(404, "Not found");
+
+  const etag = `W/"${info.size.toString(16)}-${Math.floor(info.mtimeMs).toString(16)}"`;
+  const lastModified = info.mtime.toUTCString();
+  const headers = { ETag: etag, "Last-Modified": lastModified };
+
+  // If-None-Match wins over If-Modified-Since when both are sent
+  const noneMatch = req.headers["if-none-match"];
+  const modifiedSince = Date.parse(req.headers["if-modified-since"] || "");
+  if (
+    noneMatch
+      ? noneMatch === etag
+      : modifiedSince >= Math.floor(info.mtimeMs / 1000) * 1000
+  ) {
+    res.writeHead(304, headers).end();
+    return;
+  }
+
+  res.writeHead(200, {
+    ...headers,
+    "Content-Type":
+      MIME_TYPES[extname(path).toLowerCase()] || "application/octet-stream",
+  });
+  res.end(await readFile(path));
+}
+
+/**
+ * Whether a file belongs to the public site: a page, the event data, the
+ * service worker or a file under css/, js/ or Images/. Hidden files and
+ * anything outside the project never are.
+ * @param {string} path absolute, normalized path
+ * @returns {boolean}
+ */
+function isPublic(path) {
+  const parts = relative(ROOT, path).split(sep);
+  if (parts.some((part) => part === ".." || part.startsWith("."))) {
+    return false;
+  }
+  if (parts.length === 1) {
+    return parts[0].endsWith(".html") || PUBLIC_FILES.includes(parts[0]);
+  }
+  return PUBLIC_DIRS.includes(parts[0]);
+}
+
+const server = createServer(async (req, res) => {
+  const url = new URL(
+    req.url || "/",
+    `http://${req.headers.host || "localhost"}`
+  );
+
+  try {
+    if (url.pathname.startsWith("/api/")) {
+      const handled =
+        (await auth.handle(req, res, url)) ||
+        (await events.handle(req, res, url)) ||
+        (await favorites.handle(req, res, url));
+      if (!handled) {
+        throw new HttpError(404, "Not found");
+      }
+      return;
+    }
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      throw new HttpError(405, "Method not allowed");
+    }
+    await serveFile(req, res, url.pathname);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      sendJson(res, error.status, { error: error.message });
+    } else {
+      console.error(error);
+      sendJson(res, 500, { error: "Internal server error" });
+    }
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Venuu mock server running at http://localhost:${PORT}`);
+  console.log(`Demo account: ${DEMO_USER.email} / ${DEMO_USER.password}`);
+});
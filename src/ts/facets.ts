@@ -0,0 +1,343 @@
+// Faceted filtering and live facet counts for Venuu app
+import { EventTerm, VenuuEvent } from "./types.js";
+import { EventNormalizer } from "./normalize.js";
+import { Occurrences } from "./occurrence.js";
+import { I18n } from "./i18n.js";
+
+export type FacetName =
+  "category" | "type" | "postal" | "price" | "age" | "date";
+
+/**
+ * Selected values per facet. Values within a facet are OR-ed, facets are
+ * AND-ed together.
+ */
+export type FacetSelection = Partial<Record<FacetName, string[]>>;
+
+export interface FacetValue {
+  value: string;
+  label: string;
+  count: number;
+  selected: boolean;
+}
+
+export type FacetCounts = Record<FacetName, FacetValue[]>;
+
+interface Band {
+  value: string;
+  label: () => string;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const kr = (amount: number): string => I18n.formatNumber(amount);
+
+/**
+ * Price bands in ISK, matched on the cheapest ticket
+ */
+const PRICE_BANDS: Array<Band & { min: number; max: number }> = [
+  {
+    value: "under-5000",
+    label: () => I18n.t("facets.price.under", { max: kr(5000) }),
+    min: 0,
+    max: 4999,
+  },
+  {
+    value: "5000-15000",
+    label: () =>
+      I18n.t("facets.price.between", { min: kr(5000), max: kr(15000) }),
+    min: 5000,
+    max: 15000,
+  },
+  {
+    value: "15000-30000",
+    label: () =>
+      I18n.t("facets.price.between", { min: kr(15000), max: kr(30000) }),
+    min: 15001,
+    max: 30000,
+  },
+  {
+    value: "over-30000",
+    label: () => I18n.t("facets.price.over", { min: kr(30000) }),
+    min: 30001,
+    max: Infinity,
+  },
+];
+
+const FREE_BAND: Band = {
+  value: "free",
+  label: () => I18n.t("facets.price.free"),
+};
+
+const AGE_BANDS: Array<Band & { min: number; max: number }> = [
+  { value: "children", min: 0, max: 12 },
+  { value: "teens", min: 13, max: 17 },
+  { value: "adults", min: 18, max: 66 },
+  { value: "seniors", min: 67, max: Infinity },
+].map((band) => ({
+  ...band,
+  label: () => I18n.t(`facets.age.${band.value}`),
+}));
+
+const DATE_BUCKETS: Band[] = [
+  "today",
+  "tomorrow",
+  "weekend",
+  "week",
+  "month",
+  "later",
+  "past",
+].map((value) => ({
+  value,
+  label: () => I18n.t(`facets.date.${value}`),
+}));
+
+export class Facets {
+  static readonly NAMES: FacetName[] = [
+    "category",
+    "type",
+    "postal",
+    "price",
+    "age",
+    "date",
+  ];
+
+  /**
+   * Display name of a facet in the current language
+   */
+  static label(facet: FacetName): string {
+    return I18n.t(`facets.${facet}`);
+  }
+
+  /**
+   * The facet values an event belongs to. Date buckets overlap, so an
+   * event today is also in "Next 7 days".
+   */
+  static valuesOf(
+    event: VenuuEvent,
+    facet: FacetName,
+    now: Date = new Date()
+  ): string[] {
+    switch (facet) {
+      case "category":
+        return event.categories.map((term) => term.name);
+      case "type":
+        return event.types.map((term) => term.name);
+      case "postal":
+        return event.postal ? [event.postal] : [];
+      case "price":
+        return Facets.priceBands(event);
+      case "age":
+        return Facets.ageBands(event, now);
+      case "date":
+        return Facets.dateBuckets(event, now);
+    }
+  }
+
+  /**
+   * Whether an event matches every facet of the selection, optionally
+   * ignoring one facet
+   */
+  static matches(
+    event: VenuuEvent,
+    selection: FacetSelection,
+    except?: FacetName,
+    now: Date = new Date()
+  ): boolean {
+    return Facets.NAMES.every((facet) => {
+      const wanted = selection[facet];
+      if (facet === except || !wanted || wanted.length === 0) return true;
+
+      const values = Facets.valuesOf(event, facet, now);
+      return wanted.some((value) => values.includes(value));
+    });
+  }
+
+  /**
+   * Events matching the whole selection
+   */
+  static filter(
+    events: VenuuEvent[],
+    selection: FacetSelection,
+    now: Date = new Date()
+  ): VenuuEvent[] {
+    return events.filter((event) =>
+      Facets.matches(event, selection, undefined, now)
+    );
+  }
+
+  /**
+   * Counts per facet value. Each facet is counted with the other facets'
+   * selections applied but not its own, so picking "Music" still shows
+   * how many "Art" events there are. Selected values are always listed,
+   * even when their count drops to zero, so they can be unselected.
+   */
+  static count(
+    events: VenuuEvent[],
+    selection: FacetSelection = {},
+    now: Date = new Date()
+  ): FacetCounts {
+    const labels = Facets.labelsFor(events);
+    const counts = {} as FacetCounts;
+
+    Facets.NAMES.forEach((facet) => {
+      const tally = new Map<string, number>();
+      const selected = selection[facet] || [];
+
+      events.forEach((event) => {
+        if (!Facets.matches(event, selection, facet, now)) return;
+        new Set(Facets.valuesOf(event, facet, now)).forEach((value) =>
+          tally.set(value, (tally.get(value) || 0) + 1)
+        );
+      });
+
+      selected.forEach((value) => {
+        if (!tally.has(value)) tally.set(value, 0);
+      });
+
+      counts[facet] = Facets.order(
+        facet,
+        Array.from(tally.entries()).map(([value, count]) => ({
+          value,
+          label: labels[facet].get(value) || value,
+          count,
+          selected: selected.includes(value),
+        }))
+      );
+    });
+
+    return counts;
+  }
+
+  /**
+   * Whether any value is selected in any facet
+   */
+  static isEmpty(selection: FacetSelection): boolean {
+    return Facets.NAMES.every((facet) => !(selection[facet] || []).length);
+  }
+
+  private static priceBands(event: VenuuEvent): string[] {
+    if (event.price.isFree) return ["free"];
+    const min = event.price.min;
+    if (min === null) return [];
+
+    return PRICE_BANDS.filter((band) => min >= band.min && min <= band.max).map(
+      (band) => band.value
+    );
+  }
+
+  /**
+   * Age bands overlapping the event's allowed ages. Events without birth
+   * year limits are open to everyone and fall in every band.
+   */
+  private static ageBands(event: VenuuEvent, now: Date): string[] {
+    const year = now.getFullYear();
+    const youngest = event.birthYearTo ? year - event.birthYearTo : 0;
+    const oldest = event.birthYearFrom ? year - event.birthYearFrom : Infinity;
+
+    return AGE_BANDS.filter(
+      (band) => band.min <= oldest && band.max >= youngest
+    ).map((band) => band.value);
+  }
+
+  private static dateBuckets(event: VenuuEvent, now: Date): string[] {
+    if (!Occurrences.nextOccurrence(event, now)) return ["past"];
+
+    const startOfDay = (offset: number): Date => {
+      const day = new Date(now);
+      day.setHours(0, 0, 0, 0);
+      day.setDate(day.getDate() + offset);
+      return day;
+    };
+    const endOfDay = (offset: number): Date =>
+      new Date(startOfDay(offset + 1).getTime() - 1);
+
+    // Saturday and Sunday of this week; on a Sunday that is today
+    const weekday = now.getDay();
+    const saturday = weekday === 0 ? -1 : 6 - weekday;
+    const weekendStart = new Date(
+      Math.max(startOfDay(saturday).getTime(), now.getTime())
+    );
+
+    const monthEnd = new Date(now.getTime() + 30 * DAY_MS);
+    const ranges: Array<[string, Date, Date | undefined]> = [
+      ["today", now, endOfDay(0)],
+      ["tomorrow", startOfDay(1), endOfDay(1)],
+      ["weekend", weekendStart, endOfDay(saturday + 1)],
+      ["week", now, new Date(now.getTime() + 7 * DAY_MS)],
+      ["month", now, monthEnd],
+      ["later", monthEnd, undefined],
+    ];
+
+    return ranges
+      .filter(([, from, to]) => Occurrences.occursBetween(event, from, to))
+      .map(([value]) => value);
+  }
+
+  private static labelsFor(
+    events: VenuuEvent[]
+  ): Record<FacetName, Map<string, string>> {
+    const bands = (list: Band[]): Map<string, string> =>
+      new Map(list.map((band) => [band.value, band.label()]));
+    const terms = (pick: (event: VenuuEvent) => EventTerm[]) => {
+      const labels = new Map<string, string>();
+      events.forEach((event) =>
+        pick(event).forEach((term) =>
+          labels.set(term.name, I18n.termName(term))
+        )
+      );
+      return labels;
+    };
+
+    return {
+      category: terms((event) => event.categories),
+      type: terms((event) => event.types),
+      postal: new Map(
+        events.map((event) => [
+          event.postal,
+          EventNormalizer.locationLabel(event),
+        ])
+      ),
+      price: bands([FREE_BAND, ...PRICE_BANDS]),
+      age: bands(AGE_BANDS),
+      date: bands(DATE_BUCKETS),
+    };
+  }
+
+  /**
+   * Terms alphabetically, postal codes numerically and bands in their
+   * defined order
+   */
+  private static order(facet: FacetName, values: FacetValue[]): FacetValue[] {
+    const fixed: Partial<Record<FacetName, Band[]>> = {
+      price: [FREE_BAND, ...PRICE_BANDS],
+      age: AGE_BANDS,
+      date: DATE_BUCKETS,
+    };
+    const bands = fixed[facet];
+
+    if (bands) {
+      const position = (value: string): number =>
+        bands.findIndex((band) => band.value === value);
+      return values.sort((a, b) => position(a.value) - position(b.value));
+    }
+
+    if (facet === "postal") {
+      return values.sort((a, b) => a.value.localeCompare(b.value));
+    }
+
+    return values.sort((a, b) =>
+      a.label.localeCompare(b.label, I18n.locale())
+    );
+  }
+}
+
+// Make Facets available globally for non-module usage
+declare global {
+  interface Window {
+    Facets: typeof Facets;
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.Facets = Facets;
+}
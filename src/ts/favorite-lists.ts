@@ -0,0 +1,380 @@
+// Named favorite lists for Venuu app
+import { FavoritesStore } from "./favorites.js";
+import { I18n } from "./i18n.js";
+import { Utils } from "./utils.js";
+
+export interface FavoriteList {
+  id: string;
+  name: string;
+  /** Event ids in the order the user arranged them */
+  eventIds: string[];
+}
+
+/**
+ * A list opened from a share link
+ */
+export interface SharedList {
+  name: string;
+  eventIds: string[];
+}
+
+/**
+ * Lists and notes as stored in localStorage
+ */
+interface ListsState {
+  lists: FavoriteList[];
+  /** Personal notes by event id */
+  notes: Record<string, string>;
+}
+
+// Lists made while signed out; an account's are kept under
+// "venuu-favorite-lists:<user id>"
+const STORAGE_KEY = "venuu-favorite-lists";
+const CHANGE_EVENT = "venuu:favoritelistschange";
+
+export const MAX_LIST_NAME_LENGTH = 60;
+export const MAX_NOTE_LENGTH = 500;
+
+// Longer shared lists are cut, so a link can't make the page render
+// thousands of cards
+const MAX_SHARED_EVENTS = 100;
+
+export class FavoriteListError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "FavoriteListError";
+  }
+}
+
+/**
+ * Named lists of favorite events, with a personal note per event. Every
+ * event in a list is a favorite: adding one saves it, and events that are
+ * no longer favorites leave their lists.
+ */
+export class FavoriteLists {
+  /**
+   * Lists in the order the user arranged them
+   */
+  static getAll(): FavoriteList[] {
+    return FavoriteLists.read().lists;
+  }
+
+  static get(listId: string): FavoriteList | null {
+    return FavoriteLists.getAll().find((list) => list.id === listId) || null;
+  }
+
+  /**
+   * Lists an event has been added to
+   */
+  static listsWith(eventId: string): FavoriteList[] {
+    return FavoriteLists.getAll().filter((list) =>
+      list.eventIds.includes(String(eventId))
+    );
+  }
+
+  /**
+   * Create a list, optionally with events, which become favorites
+   */
+  static create(name: string, eventIds: string[] = []): FavoriteList {
+    const state = FavoriteLists.read();
+    const list: FavoriteList = {
+      id: Utils.generateId("list"),
+      name: FavoriteLists.checkName(name, state.lists),
+      eventIds: [...new Set(eventIds.map(String))],
+    };
+
+    FavoritesStore.add(...list.eventIds);
+    FavoriteLists.write({ ...state, lists: [...state.lists, list] });
+    return list;
+  }
+
+  static rename(listId: string, name: string): void {
+    FavoriteLists.update(listId, (list, lists) => ({
+      ...list,
+      name: FavoriteLists.checkName(
+        name,
+        lists.filter((other) => other.id !== listId)
+      ),
+    }));
+  }
+
+  /**
+   * Delete a list; its events stay favorites
+   */
+  static delete(listId: string): void {
+    const state = FavoriteLists.read();
+    FavoriteLists.write({
+      ...state,
+      lists: state.lists.filter((list) => list.id !== listId),
+    });
+  }
+
+  /**
+   * Move a list to another position among the lists
+   */
+  static moveList(listId: string, toIndex: number): void {
+    const state = FavoriteLists.read();
+    const from = state.lists.findIndex((list) => list.id === listId);
+    if (from === -1) return;
+
+    FavoriteLists.write({
+      ...state,
+      lists: FavoriteLists.move(state.lists, from, toIndex),
+    });
+  }
+
+  /**
+   * Add an event to the end of a list, saving it as a favorite
+   */
+  static addEvent(listId: string, eventId: string): void {
+    if (!FavoriteLists.get(listId)) return;
+
+    FavoritesStore.add(eventId);
+    FavoriteLists.update(listId, (list) =>
+      list.eventIds.includes(String(eventId))
+        ? list
+        : { ...list, eventIds: [...list.eventIds, String(eventId)] }
+    );
+  }
+
+  /**
+   * Take an event off a list; it stays a favorite
+   */
+  static removeEvent(listId: string, eventId: string): void {
+    FavoriteLists.update(listId, (list) => ({
+      ...list,
+      eventIds: list.eventIds.filter((id) => id !== String(eventId)),
+    }));
+  }
+
+  /**
+   * Move an event to another position within a list
+   */
+  static moveEvent(listId: string, eventId: string, toIndex: number): void {
+    FavoriteLists.update(listId, (list) => {
+      const from = list.eventIds.indexOf(String(eventId));
+      return from === -1
+        ? list
+        : {
+            ...list,
+            eventIds: FavoriteLists.move(list.eventIds, from, toIndex),
+          };
+    });
+  }
+
+  static getNote(eventId: string): string {
+    return FavoriteLists.read().notes[String(eventId)] || "";
+  }
+
+  /**
+   * Save the personal note for a favorite; an empty note removes it
+   */
+  static setNote(eventId: string, note: string): void {
+    const state = FavoriteLists.read();
+    const notes = { ...state.notes };
+    const text = note.trim().slice(0, MAX_NOTE_LENGTH);
+
+    if (text) notes[String(eventId)] = text;
+    else delete notes[String(eventId)];
+    FavoriteLists.write({ ...state, notes });
+  }
+
+  /**
+   * Link that opens a read-only copy of the list on the favorites page.
+   * Only the name and the event ids are shared, not the notes.
+   */
+  static shareUrl(
+    list: FavoriteList,
+    base: string = window.location.href
+  ): string {
+    const url = new URL("favorites.html", base);
+    url.searchParams.set("list", list.name);
+    url.searchParams.set("events", list.eventIds.join(","));
+    return url.toString();
+  }
+
+  /**
+   * The shared list a URL opens, or null for the user's own favorites
+   */
+  static parseShared(url: string = window.location.href): SharedList | null {
+    const params = Utils.getQueryParams(url);
+    if (params.events === undefined) return null;
+
+    const eventIds = [
+      ...new Set(
+        params.events
+          .split(",")
+          .map((id) => id.trim())
+          .filter(Boolean)
+      ),
+    ].slice(0, MAX_SHARED_EVENTS);
+    const name = (params.list || "").trim().slice(0, MAX_LIST_NAME_LENGTH);
+
+    return { name: name || I18n.t("lists.sharedDefault"), eventIds };
+  }
+
+  /**
+   * Run a callback when lists or notes change, in this tab or another
+   */
+  static onChange(listener: () => void): void {
+    window.addEventListener(CHANGE_EVENT, () => listener());
+  }
+
+  static init(): void {
+    window.addEventListener("storage", (e) => {
+      if (e.key === FavoriteLists.key() || e.key === null) {
+        FavoriteLists.notify();
+      }
+    });
+
+    // Hearts removed anywhere take the events off every list, also on
+    // pages that don't load the lists
+    FavoritesStore.onChange((ids) => FavoriteLists.prune(ids));
+    FavoriteLists.prune(FavoritesStore.getAll());
+  }
+
+  /**
+   * Drop events that are no longer favorites from the lists and notes.
+   * Only the lists of whoever the favorites belong to are pruned, so an
+   * account's lists outlast the favorites being cleared on sign-out.
+   */
+  private static prune(favoriteIds: string[]): void {
+    FavoriteLists.adopt();
+    const favorites = new Set(favoriteIds);
+    const state = FavoriteLists.read();
+    const stale = (id: string) => !favorites.has(id);
+
+    if (
+      !state.lists.some((list) => list.eventIds.some(stale)) &&
+      !Object.keys(state.notes).some(stale)
+    ) {
+      return;
+    }
+
+    FavoriteLists.write({
+      lists: state.lists.map((list) => ({
+        ...list,
+        eventIds: list.eventIds.filter((id) => !stale(id)),
+      })),
+      notes: Object.fromEntries(
+        Object.entries(state.notes).filter(([id]) => !stale(id))
+      ),
+    });
+  }
+
+  /**
+   * A trimmed list name, or an error for an empty, too long or taken one
+   */
+  private static checkName(name: string, others: FavoriteList[]): string {
+    const trimmed = name.trim();
+    if (!trimmed || trimmed.length > MAX_LIST_NAME_LENGTH) {
+      throw new FavoriteListError(
+        I18n.t("lists.error.name", { max: MAX_LIST_NAME_LENGTH })
+      );
+    }
+
+    const key = trimmed.toLocaleLowerCase();
+    if (others.some((list) => list.name.toLocaleLowerCase() === key)) {
+      throw new FavoriteListError(I18n.t("lists.error.exists"));
+    }
+    return trimmed;
+  }
+
+  private static update(
+    listId: string,
+    change: (list: FavoriteList, lists: FavoriteList[]) => FavoriteList
+  ): void {
+    const state = FavoriteLists.read();
+    if (!state.lists.some((list) => list.id === listId)) return;
+
+    FavoriteLists.write({
+      ...state,
+      lists: state.lists.map((list) =>
+        list.id === listId ? change(list, state.lists) : list
+      ),
+    });
+  }
+
+  /**
+   * Copy of `items` with the item at `from` moved to `to`, clamped to the
+   * ends
+   */
+  private static move<T>(items: T[], from: number, to: number): T[] {
+    const result = [...items];
+    const [item] = result.splice(from, 1);
+    result.splice(Math.max(0, Math.min(to, result.length)), 0, item);
+    return result;
+  }
+
+  /**
+   * Lists made while signed out go to the account signed in next, which
+   * their favorites were added to as well. Lists of the same name are
+   * joined, and the account's notes win.
+   */
+  private static adopt(): void {
+    if (
+      FavoritesStore.getOwner() === null ||
+      Utils.storage.get(STORAGE_KEY) === null
+    ) {
+      return;
+    }
+
+    const own = FavoriteLists.read();
+    const adopted = FavoriteLists.read(STORAGE_KEY);
+    const lists = [...own.lists];
+    adopted.lists.forEach((list) => {
+      const name = list.name.toLocaleLowerCase();
+      const index = lists.findIndex(
+        (other) => other.name.toLocaleLowerCase() === name
+      );
+      if (index === -1) {
+        lists.push(list);
+      } else {
+        lists[index] = {
+          ...lists[index],
+          eventIds: [...new Set([...lists[index].eventIds, ...list.eventIds])],
+        };
+      }
+    });
+
+    Utils.storage.remove(STORAGE_KEY);
+    FavoriteLists.write({ lists, notes: { ...adopted.notes, ...own.notes } });
+  }
+
+  /**
+   * Where the lists of the favorites' owner are kept
+   */
+  private static key(): string {
+    const owner = FavoritesStore.getOwner();
+    return owner === null ? STORAGE_KEY : `${STORAGE_KEY}:${owner}`;
+  }
+
+  private static read(key: string = FavoriteLists.key()): ListsState {
+    const state = Utils.storage.get<Partial<ListsState>>(key);
+    return {
+      lists: Array.isArray(state?.lists) ? state.lists : [],
+      notes: state?.notes && typeof state.notes === "object" ? state.notes : {},
+    };
+  }
+
+  private static write(state: ListsState): void {
+    Utils.storage.set(FavoriteLists.key(), state);
+    FavoriteLists.notify();
+  }
+
+  private static notify(): void {
+    window.dispatchEvent(new CustomEvent(CHANGE_EVENT));
+  }
+}
+
+// Make FavoriteLists available globally for non-module usage
+declare global {
+  interface Window {
+    FavoriteLists: typeof FavoriteLists;
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.FavoriteLists = FavoriteLists;
+  FavoriteLists.init();
+}
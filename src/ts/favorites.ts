@@ -0,0 +1,275 @@
+// Favorite events for Venuu app
+import { ApiService } from "./api.js";
+import { Auth } from "./auth.js";
+import { I18n } from "./i18n.js";
+import { Offline } from "./offline.js";
+import { Utils } from "./utils.js";
+
+const STORAGE_KEY = "venuu-favorites";
+const CHANGE_EVENT = "venuu:favoriteschange";
+const CHANNEL_NAME = "venuu-favorites";
+
+// Kind of the queued change that saves the list to the account
+const QUEUE_KIND = "favorites";
+
+// Id of the account the list was last synced with
+const OWNER_KEY = "venuu-favorites-owner";
+
+// Favorites used to be kept in the user preferences as well
+const LEGACY_PREFERENCES_KEY = "venuu-preferences";
+
+/**
+ * Body of GET and PUT /api/favorites
+ */
+interface FavoritesResponse {
+  ids: string[];
+}
+
+/**
+ * The ids of the user's favorite events. Kept in localStorage, shared
+ * with other open tabs and, for signed-in users, with their account.
+ */
+export class FavoritesStore {
+  private static api = new ApiService();
+  private static channel: BroadcastChannel | null = null;
+  // Last list listeners were told about, so each change is announced once
+  // whether it arrives by storage event, channel or both
+  private static snapshot = "";
+  private static pushing: Promise<void> = Promise.resolve();
+  private static userId: string | null = null;
+
+  /**
+   * Favorite event ids, oldest first
+   */
+  static getAll(): string[] {
+    const ids = Utils.storage.get<unknown>(STORAGE_KEY);
+    return Array.isArray(ids) ? ids.map(String) : [];
+  }
+
+  static has(eventId: string): boolean {
+    return FavoritesStore.getAll().includes(String(eventId));
+  }
+
+  /**
+   * Add one or more events, e.g. all events of a shared list
+   */
+  static add(...eventIds: string[]): void {
+    const ids = FavoritesStore.getAll();
+    const added = eventIds.map(String).filter((id) => !ids.includes(id));
+    if (added.length > 0) FavoritesStore.save([...ids, ...new Set(added)]);
+  }
+
+  /**
+   * Remove one or more events, e.g. all that are no longer available
+   */
+  static remove(...eventIds: string[]): void {
+    const removed = new Set(eventIds.map(String));
+    const ids = FavoritesStore.getAll();
+    const kept = ids.filter((id) => !removed.has(id));
+    if (kept.length !== ids.length) FavoritesStore.save(kept);
+  }
+
+  /**
+   * Add or remove an event; true when it is a favorite afterwards
+   */
+  static toggle(eventId: string): boolean {
+    if (FavoritesStore.has(eventId)) {
+      FavoritesStore.remove(eventId);
+      return false;
+    }
+    FavoritesStore.add(eventId);
+    return true;
+  }
+
+  /**
+   * Run a callback when favorites change, in this tab or another
+   */
+  static onChange(listener: (ids: string[]) => void): void {
+    window.addEventListener(CHANGE_EVENT, () =>
+      listener(FavoritesStore.getAll())
+    );
+  }
+
+  /**
+   * Show the state of every favorite button (`data-favorite-id`) under
+   * `root`
+   */
+  static renderButtons(root: ParentNode = document): void {
+    const ids = new Set(FavoritesStore.getAll());
+    root
+      .querySelectorAll<HTMLElement>("[data-favorite-id]")
+      .forEach((button) => {
+        const favorite = ids.has(button.dataset.favoriteId || "");
+        const label = I18n.t(favorite ? "favorites.remove" : "favorites.add");
+        button.setAttribute("aria-pressed", String(favorite));
+        button.setAttribute("aria-label", label);
+        button.title = label;
+      });
+  }
+
+  /**
+   * Id of the account the favorites on this device belong to, or null for
+   * favorites saved while signed out
+   */
+  static getOwner(): string | null {
+    return Utils.storage.get<string>(OWNER_KEY);
+  }
+
+  /**
+   * Bring this device and the signed-in account in line. The first sync
+   * after signing in adds the favorites saved here while signed out to the
+   * account; after that, or when the list here is another account's, the
+   * account's list wins, so removals made elsewhere stick.
+   */
+  static async sync(): Promise<void> {
+    const user = Auth.getUser();
+    if (!user) return;
+
+    try {
+      const remote = (
+        await FavoritesStore.api.request<FavoritesResponse>("/api/favorites")
+      ).ids.map(String);
+      const owner = FavoritesStore.getOwner();
+      const ids =
+        owner === null
+          ? [...new Set([...FavoritesStore.getAll(), ...remote])]
+          : remote;
+
+      Utils.storage.set(OWNER_KEY, user.id);
+      FavoritesStore.save(ids, false);
+      if (ids.length !== remote.length) FavoritesStore.push();
+    } catch (error) {
+      console.warn("Could not sync favorites:", error);
+    }
+  }
+
+  static init(): void {
+    FavoritesStore.migrate();
+    FavoritesStore.snapshot = JSON.stringify(FavoritesStore.getAll());
+
+    // Other tabs announce changes on the channel; the storage event covers
+    // browsers without BroadcastChannel
+    if (typeof BroadcastChannel !== "undefined") {
+      FavoritesStore.channel = new BroadcastChannel(CHANNEL_NAME);
+      FavoritesStore.channel.addEventListener("message", () =>
+        FavoritesStore.notify()
+      );
+    }
+    window.addEventListener("storage", (e) => {
+      if (e.key === STORAGE_KEY || e.key === null) FavoritesStore.notify();
+    });
+
+    FavoritesStore.onChange(() => FavoritesStore.renderButtons());
+    I18n.onChange(() => FavoritesStore.renderButtons());
+
+    // Auth also announces token refreshes; only a new user is synced
+    FavoritesStore.userId = Auth.getUser()?.id || null;
+    Auth.onChange((user) => {
+      const userId = user?.id || null;
+      if (userId === FavoritesStore.userId) return;
+      FavoritesStore.userId = userId;
+      if (userId) FavoritesStore.sync();
+      else FavoritesStore.forget();
+    });
+    // Also catches a sign-out while no page was open
+    if (FavoritesStore.userId) FavoritesStore.sync();
+    else FavoritesStore.forget();
+    Offline.registerSender(QUEUE_KIND, () => FavoritesStore.send());
+  }
+
+  /**
+   * After signing out, drop the account's list from this device, so it
+   * isn't shown to, or added to the account of, whoever uses it next
+   */
+  private static forget(): void {
+    if (FavoritesStore.getOwner() === null) return;
+    Utils.storage.remove(OWNER_KEY);
+    FavoritesStore.save([], false);
+  }
+
+  /**
+   * Store the list, tell this tab and the others, and save it to the
+   * account unless it just came from there
+   */
+  private static save(ids: string[], push: boolean = true): void {
+    Utils.storage.set(STORAGE_KEY, ids);
+    if (FavoritesStore.notify()) {
+      FavoritesStore.channel?.postMessage(ids);
+      if (push) FavoritesStore.push();
+    }
+  }
+
+  /**
+   * Dispatch the change event if the list differs from the last one
+   * announced; true when it did
+   */
+  private static notify(): boolean {
+    const snapshot = JSON.stringify(FavoritesStore.getAll());
+    if (snapshot === FavoritesStore.snapshot) return false;
+
+    FavoritesStore.snapshot = snapshot;
+    window.dispatchEvent(new CustomEvent(CHANGE_EVENT));
+    return true;
+  }
+
+  /**
+   * Send the current list to the account. Requests go one at a time and
+   * each sends the list as it is then, so the last one always wins.
+   */
+  private static push(): void {
+    if (!Auth.isSignedIn()) return;
+
+    FavoritesStore.pushing = FavoritesStore.pushing.then(async () => {
+      try {
+        await FavoritesStore.send();
+      } catch (error) {
+        if (Offline.isNetworkError(error)) {
+          // Sent once the connection is back; the latest list wins then
+          Offline.queue(QUEUE_KIND, "all");
+        } else {
+          console.warn("Could not save favorites to the account:", error);
+        }
+      }
+    });
+  }
+
+  /**
+   * PUT the list as it is now; also sends the list queued while offline
+   */
+  private static async send(): Promise<void> {
+    if (!Auth.isSignedIn()) return;
+    await FavoritesStore.api.put("/api/favorites", {
+      ids: FavoritesStore.getAll(),
+    });
+  }
+
+  /**
+   * Move favorites kept in the user preferences into the store
+   */
+  private static migrate(): void {
+    const preferences = Utils.storage.get<Record<string, unknown>>(
+      LEGACY_PREFERENCES_KEY
+    );
+    if (!preferences || !("favorites" in preferences)) return;
+
+    const { favorites, ...rest } = preferences;
+    if (Array.isArray(favorites)) {
+      Utils.storage.set(STORAGE_KEY, [
+        ...new Set([...FavoritesStore.getAll(), ...favorites.map(String)]),
+      ]);
+    }
+    Utils.storage.set(LEGACY_PREFERENCES_KEY, rest);
+  }
+}
+
+// Make FavoritesStore available globally for non-module usage
+declare global {
+  interface Window {
+    FavoritesStore: typeof FavoritesStore;
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.FavoritesStore = FavoritesStore;
+  FavoritesStore.init();
+}
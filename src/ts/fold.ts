@@ -0,0 +1,24 @@
+// Text folding for searches in Venuu app. Kept free of imports, so the
+// mock server (server/events.mjs) folds text the same way as the app.
+
+// Letters that have no decomposed form to strip accents from
+const FOLDED_LETTERS: Record<string, string> = {
+  þ: "th",
+  ð: "d",
+  æ: "ae",
+  ö: "o",
+  ø: "o",
+  ß: "ss",
+};
+
+/**
+ * Lower-case and fold Icelandic letters and accents to plain ASCII,
+ * so "Reykjavíkurmaraþon" and "reykjavikurmarathon" compare equal
+ */
+export function fold(text: string): string {
+  return text
+    .toLowerCase()
+    .replace(/[þðæöøß]/g, (letter) => FOLDED_LETTERS[letter])
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f\u00ad]/g, "");
+}
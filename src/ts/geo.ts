@@ -0,0 +1,105 @@
+// Geospatial helpers for Venuu app
+import { GeoBounds, GeoPoint } from "./types.js";
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees: number): number => (degrees * Math.PI) / 180;
+
+export class Geo {
+  /**
+   * Great-circle distance between two points in kilometres (haversine)
+   */
+  static distanceKm(a: GeoPoint, b: GeoPoint): number {
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h =
+      Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(a.lat)) *
+        Math.cos(toRadians(b.lat)) *
+        Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
+
+  /**
+   * Bounding box that contains every point within `radiusKm` of `center`.
+   * Cheap pre-filter before the exact distance check.
+   */
+  static boundsAround(center: GeoPoint, radiusKm: number): GeoBounds {
+    const latDelta = (radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+    const lngDelta =
+      latDelta / Math.max(Math.cos(toRadians(center.lat)), 0.01);
+
+    return {
+      north: Math.min(center.lat + latDelta, 90),
+      south: Math.max(center.lat - latDelta, -90),
+      east: center.lng + lngDelta,
+      west: center.lng - lngDelta,
+    };
+  }
+
+  /**
+   * Whether a point lies inside a bounding box (inclusive)
+   */
+  static inBounds(point: GeoPoint, bounds: GeoBounds): boolean {
+    return (
+      point.lat <= bounds.north &&
+      point.lat >= bounds.south &&
+      point.lng <= bounds.east &&
+      point.lng >= bounds.west
+    );
+  }
+
+  /**
+   * Whether a point is within `radiusKm` of `center`
+   */
+  static withinRadius(
+    point: GeoPoint,
+    center: GeoPoint,
+    radiusKm: number
+  ): boolean {
+    return (
+      Geo.inBounds(point, Geo.boundsAround(center, radiusKm)) &&
+      Geo.distanceKm(point, center) <= radiusKm
+    );
+  }
+
+  /**
+   * Average position of a set of points, or null for an empty set
+   */
+  static centroid(points: GeoPoint[]): GeoPoint | null {
+    if (points.length === 0) return null;
+
+    const sum = points.reduce(
+      (acc, point) => ({ lat: acc.lat + point.lat, lng: acc.lng + point.lng }),
+      { lat: 0, lng: 0 }
+    );
+
+    return { lat: sum.lat / points.length, lng: sum.lng / points.length };
+  }
+
+  /**
+   * Short distance label, e.g. "350 m" or "2.4 km" ("2,4 km" in is-IS)
+   */
+  static formatDistance(km: number, locale: string = "en-US"): string {
+    if (km < 1) {
+      return `${Math.max(10, Math.round((km * 1000) / 10) * 10)} m`;
+    }
+    const digits = km < 10 ? 1 : 0;
+    return `${km.toLocaleString(locale, {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    })} km`;
+  }
+}
+
+// Make Geo available globally for non-module usage
+declare global {
+  interface Window {
+    Geo: typeof Geo;
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.Geo = Geo;
+}
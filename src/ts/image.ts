@@ -0,0 +1,116 @@
+// Image resizing for Venuu app
+
+export interface ImageSize {
+  width: number;
+  height: number;
+}
+
+/**
+ * Sizes the event cards (thumbnail) and detail modal (cover) display
+ */
+export const IMAGE_SIZES = {
+  thumbnail: { width: 284, height: 332 },
+  cover: { width: 1920, height: 980 },
+};
+
+export interface EventImages {
+  thumbnail: string;
+  cover: string;
+}
+
+export class ImageError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "ImageError";
+  }
+}
+
+/**
+ * Resizes uploaded images in the browser so only the sizes the app shows
+ * are stored and sent
+ */
+export class ImageResizer {
+  /**
+   * Thumbnail and cover versions of an image file as JPEG data URLs
+   */
+  static async eventImages(file: Blob): Promise<EventImages> {
+    const image = await ImageResizer.load(file);
+    return {
+      thumbnail: ImageResizer.draw(image, IMAGE_SIZES.thumbnail),
+      cover: ImageResizer.draw(image, IMAGE_SIZES.cover),
+    };
+  }
+
+  /**
+   * One size of an image file as a JPEG data URL
+   */
+  static async resize(file: Blob, size: ImageSize): Promise<string> {
+    return ImageResizer.draw(await ImageResizer.load(file), size);
+  }
+
+  /**
+   * Scale the image to cover the whole size and crop the overflow evenly,
+   * the way `object-fit: cover` shows it
+   */
+  private static draw(
+    image: HTMLImageElement,
+    size: ImageSize,
+    quality: number = 0.85
+  ): string {
+    const canvas = document.createElement("canvas");
+    canvas.width = size.width;
+    canvas.height = size.height;
+    const context = canvas.getContext("2d");
+    if (!context) throw new ImageError("Canvas is not supported");
+
+    const sourceWidth = image.naturalWidth || image.width;
+    const sourceHeight = image.naturalHeight || image.height;
+    const scale = Math.max(
+      size.width / sourceWidth,
+      size.height / sourceHeight
+    );
+    const width = size.width / scale;
+    const height = size.height / scale;
+
+    context.imageSmoothingQuality = "high";
+    context.drawImage(
+      image,
+      (sourceWidth - width) / 2,
+      (sourceHeight - height) / 2,
+      width,
+      height,
+      0,
+      0,
+      size.width,
+      size.height
+    );
+    return canvas.toDataURL("image/jpeg", quality);
+  }
+
+  private static load(file: Blob): Promise<HTMLImageElement> {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const image = new Image();
+      image.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(image);
+      };
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new ImageError("The image could not be read"));
+      };
+      image.src = url;
+    });
+  }
+}
+
+// Make ImageResizer available globally for non-module usage
+declare global {
+  interface Window {
+    ImageResizer: typeof ImageResizer;
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.ImageResizer = ImageResizer;
+}
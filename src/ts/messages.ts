@@ -0,0 +1,721 @@
+// UI message catalogs for Venuu app
+import { Language } from "./types.js";
+
+export type Messages = Record<string, string>;
+
+/**
+ * English UI strings. Keys are dotted by page area; "{name}" marks a
+ * parameter filled in by I18n.t.
+ */
+const en: Messages = {
+  "title.home": "Venuu - Discover Amazing Events",
+  "title.favorites": "Venuu - My Favorites",
+  "title.login": "Venuu - Login",
+
+  "nav.main": "Main navigation",
+  "nav.home": "Venuu - Go to homepage",
+  "nav.events": "Events",
+  "nav.favorites": "Favorites",
+  "nav.create": "Create Events",
+  "nav.login": "Login",
+  "nav.menu": "Toggle mobile menu",
+  "language.label": "Language",
+
+  "home.discover": "DISCOVER EVENTS",
+  "home.recommended": "Recommended",
+  "home.popular": "Popular",
+  "home.music": "Music",
+  "home.family": "Family",
+
+  "recommend.saved.topicVenue": "Because you saved {topic} events at {venue}",
+  "recommend.saved.venue": "Because you saved events at {venue}",
+  "recommend.saved.topic": "Because you saved {topic} events",
+  "recommend.saved.free": "Because you often save free events",
+  "recommend.saved.similar": "Similar to events you saved",
+  "recommend.viewed.topicVenue":
+    "Because you looked at {topic} events at {venue}",
+  "recommend.viewed.venue": "Because you looked at events at {venue}",
+  "recommend.viewed.topic": "Because you looked at {topic} events",
+  "recommend.viewed.free": "Because you often look at free events",
+  "recommend.viewed.similar": "Similar to events you looked at",
+  "recommend.search": 'Matches your search for "{query}"',
+  "recommend.upcoming": "Coming up soon",
+
+  "search.placeholder": "Search for events...",
+  "search.label": "Search for events",
+  "search.example": "Search, e.g. music in 101 this weekend",
+  "search.icon": "Search",
+
+  "footer.contact": "Contact",
+  "footer.city": "Reykjavik, Iceland",
+  "footer.about": "About",
+  "footer.aboutText":
+    "Venuu connects people through Iceland's vibrant cultural events.",
+  "footer.rights": "2025 Venuu. All rights reserved.",
+
+  "event.untitled": "Untitled",
+  "event.pending": "Pending review",
+  "event.image": "Event image",
+  "event.noLocation": "Location not specified",
+  "event.noDate": "Date not specified",
+  "event.noDescription": "No description available for this event.",
+  "event.contactForPrice": "Contact for details",
+  "event.loadFailed": "Failed to load events.",
+
+  "modal.close": "Close",
+  "modal.favorite": "Heart",
+  "modal.share": "Share",
+  "modal.upcomingDates": "Upcoming dates",
+  "modal.price": "Price:",
+  "modal.tickets": "Go to TIX",
+  "modal.freeEvent": "FREE EVENT",
+  "modal.email": "Email Address",
+  "modal.emailPlaceholder": "Enter your email address",
+  "modal.register": "Register",
+  "modal.registered":
+    "Thank you for registering! You will receive a confirmation email shortly.",
+  "modal.linkCopied": "Event link copied to clipboard!",
+  "modal.copyPrompt": "Copy this link to the event:",
+
+  "calendar.add": "Add to calendar",
+  "calendar.exportAll": "Export all to calendar",
+  "calendar.favoritesName": "Venuu favorites",
+  "calendar.resultsName": "Venuu events",
+
+  "create.heading": "Create the Event",
+  "create.title": "Title (Icelandic)",
+  "create.titlePlaceholder": "Title in Icelandic",
+  "create.titleEn": "Title (English)",
+  "create.titleEnPlaceholder": "Title in English",
+  "create.date": "Date",
+  "create.datePlaceholder": "Select the Date",
+  "create.time": "Time",
+  "create.timePlaceholder": "Select the Time",
+  "create.endDate": "End date (optional)",
+  "create.endTime": "End time (optional)",
+  "create.location": "Location",
+  "create.locationPlaceholder": "Select the Location",
+  "create.fee": "Registration Fee",
+  "create.feePlaceholder": "Enter The Registration Fee",
+  "create.image": "Upload the Image",
+  "create.imagePlaceholder": "No file chosen",
+  "create.description": "Description",
+  "create.descriptionPlaceholder": "Enter the Text",
+  "create.send": "Send",
+  "create.preview": "Preview",
+  "create.previewHint":
+    "Fill in the date and time to see how your event will look.",
+  "create.previewDetails": "Preview details",
+  "create.success":
+    "Thanks! Your event has been saved and is pending until it has been reviewed.",
+  "create.failed": "Your event could not be saved. Please try again.",
+  "create.refused": "Your event was not saved: {reason}",
+
+  "validation.summary": "Please check the highlighted fields ({count}).",
+  "validation.required": "This field is required.",
+  "validation.maxLength": "Use at most {max} characters.",
+  "validation.date": "Enter a date such as 24.12.2026.",
+  "validation.time": "Enter a time such as 20:00.",
+  "validation.future": "The event must start in the future.",
+  "validation.endAfterStart": "The event must end after it starts.",
+  "validation.price": "Enter a price such as 2500, 2.500 kr or Free.",
+  "validation.imageType": "Choose an image file (JPEG, PNG, WebP…).",
+  "validation.imageSize": "The image can be at most {max} MB.",
+  "validation.imageUnreadable":
+    "The image could not be read. Please try another file.",
+
+  "import.heading": "Import events from a file",
+  "import.hint":
+    "Upload a season program as an .ics calendar or a CSV file with a header row and one event per row.",
+  "import.file": "Choose an .ics or .csv file",
+  "import.reading": "Reading {name}…",
+  "import.mapping": "Match the file's columns to event fields",
+  "import.notMapped": "— Not imported —",
+  "import.field.titleIs": "Title (Icelandic)",
+  "import.field.titleEn": "Title (English)",
+  "import.field.descriptionIs": "Description (Icelandic)",
+  "import.field.descriptionEn": "Description (English)",
+  "import.field.start": "Start date",
+  "import.field.startTime": "Start time",
+  "import.field.end": "End date",
+  "import.field.endTime": "End time",
+  "import.field.dates": "More dates",
+  "import.field.place": "Venue",
+  "import.field.address": "Address",
+  "import.field.postal": "Postal code",
+  "import.field.city": "City",
+  "import.field.latitude": "Latitude",
+  "import.field.longitude": "Longitude",
+  "import.field.price": "Price",
+  "import.field.categories": "Categories",
+  "import.field.website": "Website",
+  "import.field.tickets": "Ticket link",
+  "import.line": "Line",
+  "import.event": "Event",
+  "import.title": "Title",
+  "import.status": "Status",
+  "import.ok": "Ready",
+  "import.summary": "{valid} of {total} rows are ready to import",
+  "import.commit": "Import {count} events",
+  "import.clear": "Clear",
+  "import.saving": "Saving {count} events…",
+  "import.done":
+    "Imported {count} events. They are listed as pending until they have been reviewed.",
+  "import.failed": "Import failed: {reason}",
+  "import.partial":
+    "Imported {count} events, then the server refused the next one: {reason}",
+  "import.error.empty": "The file is empty.",
+  "import.error.noRows": "The file needs a header row and at least one event.",
+  "import.error.noEvents": "The calendar has no events.",
+  "import.error.title": "A title is needed in Icelandic or English",
+  "import.error.startMissing": "The start date is missing",
+  "import.error.dateInvalid": 'Can\'t read the date "{value}"',
+  "import.error.endBeforeStart": "The event ends before it starts",
+  "import.error.price": 'Can\'t read the price "{value}"',
+  "import.error.coordinates":
+    "Latitude and longitude must both be valid numbers",
+  "import.error.url": '"{value}" is not a web address',
+  "import.error.invalid": "The event is incomplete ({reason})",
+
+  "filters.fromSearch": "Filters from your search",
+  "filters.remove": "Remove filter {label}",
+  "filters.filterBy": "Filter by {facet}",
+  "filters.nearMe": "Near me",
+  "filters.nearMeLabel": "Show events near me",
+  "filters.chooseArea": "Choose your area",
+  "filters.radius": "Search radius",
+  "filters.within": "Within {km} km",
+  "filters.minPrice": "Min kr",
+  "filters.minPriceLabel": "Minimum price in ISK",
+  "filters.maxPrice": "Max kr",
+  "filters.maxPriceLabel": "Maximum price in ISK",
+  "filters.freeOnly": "Free only",
+  "filters.clear": "Clear All",
+  "filters.clearLabel": "Clear all filters",
+
+  "sort.label": "Sort events",
+  "sort.default": "Default",
+  "sort.dateAsc": "Date (Earliest)",
+  "sort.dateDesc": "Date (Latest)",
+  "sort.titleAsc": "Title (A-Z)",
+  "sort.titleDesc": "Title (Z-A)",
+  "sort.priceAsc": "Price (Low-High)",
+  "sort.priceDesc": "Price (High-Low)",
+  "sort.distance": "Distance (Nearest)",
+  "sort.earliestFirst": "Earliest First",
+  "sort.latestFirst": "Latest First",
+
+  "view.label": "Choose view",
+  "view.grid": "Grid",
+  "view.map": "Map",
+
+  "map.label":
+    "Map of events. Use arrow keys to pan and plus or minus to zoom.",
+  "map.zoomIn": "Zoom in",
+  "map.zoomOut": "Zoom out",
+  "map.showAll": "Show all events",
+  "map.searchArea": "Search this area",
+  "map.clearArea": "Clear map area",
+  "map.showing": "Showing {count} events on the map",
+  "map.unplotted": " ({count} without a location)",
+
+  "results.loadMore": "Load more",
+  "results.backToTop": "Back to top",
+  "results.none": "No events found",
+  "results.all": "Showing all {count} events",
+  "results.allOf": "Showing all {count} of {total} events",
+  "results.some": "Showing {shown} of {count} events",
+  "results.noMatch": "No events found matching your filters.",
+  "results.tryAdjusting": "Try adjusting your filters to see more results.",
+
+  "favorites.title": "My Favorites",
+  "favorites.empty": "No favorite events yet",
+  "favorites.emptyHint":
+    "Start exploring events and add them to your favorites!",
+  "favorites.browse": "Browse Events",
+  "favorites.none": "No favorite events",
+  "favorites.showing": "Showing {count} favorite events",
+  "favorites.add": "Save to favorites",
+  "favorites.remove": "Remove from favorites",
+  "favorites.loading": "Loading your favorites...",
+  "favorites.loadError":
+    "Your favorites could not be loaded. Please try again later.",
+  "favorites.past": "Past events",
+  "favorites.clearPast": "Remove past events",
+  "favorites.unavailable": "Saved events that are no longer available: {count}",
+  "favorites.removeUnavailable": "Remove them",
+
+  "lists.label": "Favorite lists",
+  "lists.all": "All favorites",
+  "lists.name": "List name",
+  "lists.namePlaceholder": "New list, e.g. Date night",
+  "lists.create": "Create list",
+  "lists.rename": "Save name",
+  "lists.moveBack": "Move list earlier",
+  "lists.moveForward": "Move list later",
+  "lists.share": "Share link",
+  "lists.copied": "Link copied. Anyone with it can view this list.",
+  "lists.copyPrompt": "Copy this link to share the list:",
+  "lists.delete": "Delete list",
+  "lists.confirmDelete":
+    'Delete the list "{name}"? Its events stay in your favorites.',
+  "lists.addTo": "Add to list...",
+  "lists.removeFrom": "Remove from this list",
+  "lists.moveUp": "Move up",
+  "lists.moveDown": "Move down",
+  "lists.note": "Note",
+  "lists.notePlaceholder": "Add a note, e.g. who's coming",
+  "lists.empty": "This list is empty. Add favorites to it from All favorites.",
+  "lists.showing": "Showing {count} events in this list",
+  "lists.shared": "Shared list",
+  "lists.sharedHint":
+    "You are viewing a list someone shared with you. It can't be changed here.",
+  "lists.sharedEmpty": "This list has no events to show.",
+  "lists.sharedDefault": "Shared list",
+  "lists.saveCopy": "Save to my lists",
+  "lists.saved": "Saved to your lists and favorites.",
+  "lists.backToMine": "Back to my favorites",
+  "lists.error.name": "List names must be 1 to {max} characters.",
+  "lists.error.exists": "You already have a list with that name.",
+
+  "login.title": "Login to Venuu",
+  "login.email": "Email",
+  "login.password": "Password",
+  "login.submit": "Login",
+  "login.required": "Please log in to continue.",
+  "login.forgot": "Forgot your password?",
+  "login.toRegister": "No account yet? Create one",
+  "login.toLogin": "Back to login",
+  "login.registerTitle": "Create a Venuu account",
+  "login.name": "Name",
+  "login.passwordHint": "At least 8 characters.",
+  "login.register": "Create account",
+  "login.forgotTitle": "Reset your password",
+  "login.forgotHint":
+    "Enter your email and we'll send you a link to choose a new password.",
+  "login.forgotSubmit": "Send reset link",
+  "login.forgotSent":
+    "If there is an account for {email}, a reset link is on its way.",
+  "login.resetTitle": "Choose a new password",
+  "login.newPassword": "New password",
+  "login.resetSubmit": "Save password",
+  "login.resetDone": "Your password has been changed. You can log in now.",
+  "login.accountTitle": "Your account",
+  "login.signedIn": "You are signed in as {name} ({email}).",
+  "login.logout": "Log out",
+
+  "auth.signedInAs": "Signed in as {name}",
+  "auth.error.credentials": "Wrong email or password.",
+  "auth.error.exists": "There is already an account with this email.",
+  "auth.error.invalid": "Please check the details you entered.",
+  "auth.error.resetToken": "This reset link is invalid or has expired.",
+  "auth.error.unavailable":
+    "Signing in isn't available right now. Please try again later.",
+
+  "autocomplete.recent": "Recent searches",
+  "autocomplete.event": "Events",
+  "autocomplete.venue": "Venues",
+  "autocomplete.city": "Cities",
+  "autocomplete.category": "Categories",
+  "autocomplete.loading": "Loading events...",
+  "autocomplete.noResults": "No events found",
+
+  "facets.category": "Category",
+  "facets.type": "Type",
+  "facets.postal": "Location",
+  "facets.price": "Price",
+  "facets.age": "Age",
+  "facets.date": "Date",
+  "facets.price.free": "Free",
+  "facets.price.under": "Under {max} kr",
+  "facets.price.between": "{min}–{max} kr",
+  "facets.price.over": "Over {min} kr",
+  "facets.age.children": "Children (0–12)",
+  "facets.age.teens": "Teens (13–17)",
+  "facets.age.adults": "Adults (18–66)",
+  "facets.age.seniors": "Seniors (67+)",
+  "facets.date.today": "Today",
+  "facets.date.tomorrow": "Tomorrow",
+  "facets.date.weekend": "This weekend",
+  "facets.date.week": "Next 7 days",
+  "facets.date.month": "Next 30 days",
+  "facets.date.later": "Later",
+  "facets.date.past": "Past events",
+
+  "query.today": "Today",
+  "query.tonight": "Tonight",
+  "query.tomorrow": "Tomorrow",
+  "query.weekend": "This weekend",
+  "query.next-weekend": "Next weekend",
+  "query.week": "This week",
+  "query.next-week": "Next week",
+  "query.month": "This month",
+  "query.nextWeekday": "Next {day}",
+  "query.under": "Under {amount} kr",
+  "query.over": "Over {amount} kr",
+  "query.free": "Free",
+  "query.paid": "Paid",
+  "query.family": "Family friendly",
+
+  "offline.banner": "You're offline.",
+  "offline.updated": "Events last updated {time}.",
+  "offline.pending": "Changes waiting to be sent: {count}",
+};
+
+const is: Messages = {
+  "title.home": "Venuu - Uppgötvaðu frábæra viðburði",
+  "title.favorites": "Venuu - Uppáhalds",
+  "title.login": "Venuu - Innskráning",
+
+  "nav.main": "Aðalvalmynd",
+  "nav.home": "Venuu - Fara á forsíðu",
+  "nav.events": "Viðburðir",
+  "nav.favorites": "Uppáhalds",
+  "nav.create": "Búa til viðburð",
+  "nav.login": "Innskráning",
+  "nav.menu": "Opna eða loka valmynd",
+  "language.label": "Tungumál",
+
+  "home.discover": "UPPGÖTVAÐU VIÐBURÐI",
+  "home.recommended": "Mælt með",
+  "home.popular": "Vinsælt",
+  "home.music": "Tónlist",
+  "home.family": "Fjölskyldan",
+
+  "recommend.saved.topicVenue":
+    "Þú hefur vistað viðburði í flokknum {topic} á staðnum {venue}",
+  "recommend.saved.venue": "Þú hefur vistað viðburði á staðnum {venue}",
+  "recommend.saved.topic": "Þú hefur vistað viðburði í flokknum {topic}",
+  "recommend.saved.free": "Þú vistar oft ókeypis viðburði",
+  "recommend.saved.similar": "Líkt viðburðum sem þú hefur vistað",
+  "recommend.viewed.topicVenue":
+    "Þú hefur skoðað viðburði í flokknum {topic} á staðnum {venue}",
+  "recommend.viewed.venue": "Þú hefur skoðað viðburði á staðnum {venue}",
+  "recommend.viewed.topic": "Þú hefur skoðað viðburði í flokknum {topic}",
+  "recommend.viewed.free": "Þú skoðar oft ókeypis viðburði",
+  "recommend.viewed.similar": "Líkt viðburðum sem þú hefur skoðað",
+  "recommend.search": "Passar við leitina „{query}“",
+  "recommend.upcoming": "Á næstunni",
+
+  "search.placeholder": "Leita að viðburðum...",
+  "search.label": "Leita að viðburðum",
+  "search.example": "Leita, t.d. tónlist í 101 um helgina",
+  "search.icon": "Leita",
+
+  "footer.contact": "Hafðu samband",
+  "footer.city": "Reykjavík, Ísland",
+  "footer.about": "Um okkur",
+  "footer.aboutText":
+    "Venuu tengir fólk saman í gegnum líflegt menningarlíf á Íslandi.",
+  "footer.rights": "2025 Venuu. Öll réttindi áskilin.",
+
+  "event.untitled": "Án titils",
+  "event.pending": "Í yfirferð",
+  "event.image": "Mynd af viðburði",
+  "event.noLocation": "Staðsetning ekki tilgreind",
+  "event.noDate": "Dagsetning ekki tilgreind",
+  "event.noDescription": "Engin lýsing er til fyrir þennan viðburð.",
+  "event.contactForPrice": "Hafðu samband til að fá upplýsingar",
+  "event.loadFailed": "Ekki tókst að sækja viðburði.",
+
+  "modal.close": "Loka",
+  "modal.favorite": "Hjarta",
+  "modal.share": "Deila",
+  "modal.upcomingDates": "Næstu dagsetningar",
+  "modal.price": "Verð:",
+  "modal.tickets": "Fara á TIX",
+  "modal.freeEvent": "ÓKEYPIS VIÐBURÐUR",
+  "modal.email": "Netfang",
+  "modal.emailPlaceholder": "Sláðu inn netfangið þitt",
+  "modal.register": "Skrá mig",
+  "modal.registered":
+    "Takk fyrir skráninguna! Þú færð staðfestingarpóst innan skamms.",
+  "modal.linkCopied": "Hlekkur á viðburðinn var afritaður!",
+  "modal.copyPrompt": "Afritaðu þennan hlekk á viðburðinn:",
+
+  "calendar.add": "Bæta í dagatal",
+  "calendar.exportAll": "Flytja alla í dagatal",
+  "calendar.favoritesName": "Uppáhalds á Venuu",
+  "calendar.resultsName": "Viðburðir á Venuu",
+
+  "create.heading": "Búa til viðburð",
+  "create.title": "Heiti (íslenska)",
+  "create.titlePlaceholder": "Heiti á íslensku",
+  "create.titleEn": "Heiti (enska)",
+  "create.titleEnPlaceholder": "Heiti á ensku",
+  "create.date": "Dagsetning",
+  "create.datePlaceholder": "Veldu dagsetningu",
+  "create.time": "Tími",
+  "create.timePlaceholder": "Veldu tíma",
+  "create.endDate": "Lokadagsetning (valfrjálst)",
+  "create.endTime": "Lokatími (valfrjálst)",
+  "create.location": "Staðsetning",
+  "create.locationPlaceholder": "Veldu staðsetningu",
+  "create.fee": "Skráningargjald",
+  "create.feePlaceholder": "Sláðu inn skráningargjald",
+  "create.image": "Hlaða upp mynd",
+  "create.imagePlaceholder": "Engin skrá valin",
+  "create.description": "Lýsing",
+  "create.descriptionPlaceholder": "Sláðu inn texta",
+  "create.send": "Senda",
+  "create.preview": "Forskoðun",
+  "create.previewHint":
+    "Fylltu út dagsetningu og tíma til að sjá hvernig viðburðurinn mun líta út.",
+  "create.previewDetails": "Forskoða nánari upplýsingar",
+  "create.success":
+    "Takk! Viðburðurinn var vistaður og er í bið þar til hann hefur verið yfirfarinn.",
+  "create.failed": "Ekki tókst að vista viðburðinn. Reyndu aftur.",
+  "create.refused": "Viðburðurinn var ekki vistaður: {reason}",
+
+  "validation.summary": "Athugaðu merktu reitina ({count}).",
+  "validation.required": "Þennan reit þarf að fylla út.",
+  "validation.maxLength": "Notaðu í mesta lagi {max} stafi.",
+  "validation.date": "Sláðu inn dagsetningu, t.d. 24.12.2026.",
+  "validation.time": "Sláðu inn tíma, t.d. 20:00.",
+  "validation.future": "Viðburðurinn þarf að hefjast í framtíðinni.",
+  "validation.endAfterStart": "Viðburðurinn þarf að enda eftir að hann hefst.",
+  "validation.price": "Sláðu inn verð, t.d. 2500, 2.500 kr eða Frítt.",
+  "validation.imageType": "Veldu myndaskrá (JPEG, PNG, WebP…).",
+  "validation.imageSize": "Myndin má í mesta lagi vera {max} MB.",
+  "validation.imageUnreadable":
+    "Ekki tókst að lesa myndina. Prófaðu aðra skrá.",
+
+  "import.heading": "Flytja inn viðburði úr skrá",
+  "import.hint":
+    "Hladdu upp dagskrá tímabilsins sem .ics dagatali eða CSV skrá með fyrirsagnarlínu og einum viðburði í hverri línu.",
+  "import.file": "Veldu .ics eða .csv skrá",
+  "import.reading": "Les {name}…",
+  "import.mapping": "Tengdu dálka skrárinnar við reiti viðburðar",
+  "import.notMapped": "— Ekki fluttur inn —",
+  "import.field.titleIs": "Titill (íslenska)",
+  "import.field.titleEn": "Titill (enska)",
+  "import.field.descriptionIs": "Lýsing (íslenska)",
+  "import.field.descriptionEn": "Lýsing (enska)",
+  "import.field.start": "Upphafsdagur",
+  "import.field.startTime": "Upphafstími",
+  "import.field.end": "Lokadagur",
+  "import.field.endTime": "Lokatími",
+  "import.field.dates": "Fleiri dagsetningar",
+  "import.field.place": "Staður",
+  "import.field.address": "Heimilisfang",
+  "import.field.postal": "Póstnúmer",
+  "import.field.city": "Bær",
+  "import.field.latitude": "Breiddargráða",
+  "import.field.longitude": "Lengdargráða",
+  "import.field.price": "Verð",
+  "import.field.categories": "Flokkar",
+  "import.field.website": "Vefsíða",
+  "import.field.tickets": "Miðasala",
+  "import.line": "Lína",
+  "import.event": "Viðburður",
+  "import.title": "Titill",
+  "import.status": "Staða",
+  "import.ok": "Tilbúið",
+  "import.summary": "{valid} af {total} línum eru tilbúnar til innflutnings",
+  "import.commit": "Flytja inn {count} viðburði",
+  "import.clear": "Hreinsa",
+  "import.saving": "Vista {count} viðburði…",
+  "import.done":
+    "{count} viðburðir fluttir inn. Þeir eru merktir í bið þar til þeir hafa verið yfirfarnir.",
+  "import.failed": "Innflutningur mistókst: {reason}",
+  "import.partial":
+    "{count} viðburðir fluttir inn, svo hafnaði þjónninn þeim næsta: {reason}",
+  "import.error.empty": "Skráin er tóm.",
+  "import.error.noRows": "Skráin þarf fyrirsagnarlínu og a.m.k. einn viðburð.",
+  "import.error.noEvents": "Engir viðburðir eru í dagatalinu.",
+  "import.error.title": "Titil vantar á íslensku eða ensku",
+  "import.error.startMissing": "Upphafsdag vantar",
+  "import.error.dateInvalid": "Dagsetningin „{value}“ er ólæsileg",
+  "import.error.endBeforeStart": "Viðburðurinn endar áður en hann hefst",
+  "import.error.price": "Verðið „{value}“ er ólæsilegt",
+  "import.error.coordinates":
+    "Breiddar- og lengdargráða verða báðar að vera gildar tölur",
+  "import.error.url": "„{value}“ er ekki vefslóð",
+  "import.error.invalid": "Viðburðinn vantar upplýsingar ({reason})",
+
+  "filters.fromSearch": "Síur úr leitinni",
+  "filters.remove": "Fjarlægja síuna {label}",
+  "filters.filterBy": "Sía eftir: {facet}",
+  "filters.nearMe": "Nálægt mér",
+  "filters.nearMeLabel": "Sýna viðburði nálægt mér",
+  "filters.chooseArea": "Veldu svæði",
+  "filters.radius": "Leitarradíus",
+  "filters.within": "Innan {km} km",
+  "filters.minPrice": "Lágm. kr",
+  "filters.minPriceLabel": "Lágmarksverð í krónum",
+  "filters.maxPrice": "Hám. kr",
+  "filters.maxPriceLabel": "Hámarksverð í krónum",
+  "filters.freeOnly": "Aðeins ókeypis",
+  "filters.clear": "Hreinsa allt",
+  "filters.clearLabel": "Hreinsa allar síur",
+
+  "sort.label": "Raða viðburðum",
+  "sort.default": "Sjálfgefið",
+  "sort.dateAsc": "Dagsetning (fyrst)",
+  "sort.dateDesc": "Dagsetning (síðast)",
+  "sort.titleAsc": "Heiti (A-Ö)",
+  "sort.titleDesc": "Heiti (Ö-A)",
+  "sort.priceAsc": "Verð (lægst fyrst)",
+  "sort.priceDesc": "Verð (hæst fyrst)",
+  "sort.distance": "Fjarlægð (næst fyrst)",
+  "sort.earliestFirst": "Elstu fyrst",
+  "sort.latestFirst": "Nýjustu fyrst",
+
+  "view.label": "Veldu framsetningu",
+  "view.grid": "Reitir",
+  "view.map": "Kort",
+
+  "map.label":
+    "Kort af viðburðum. Notaðu örvatakkana til að hliðra og plús eða mínus til að þysja.",
+  "map.zoomIn": "Þysja inn",
+  "map.zoomOut": "Þysja út",
+  "map.showAll": "Sýna alla viðburði",
+  "map.searchArea": "Leita á þessu svæði",
+  "map.clearArea": "Hreinsa kortasvæði",
+  "map.showing": "Sýni {count} viðburði á kortinu",
+  "map.unplotted": " ({count} án staðsetningar)",
+
+  "results.loadMore": "Sýna fleiri",
+  "results.backToTop": "Efst á síðu",
+  "results.none": "Engir viðburðir fundust",
+  "results.all": "Sýni alla {count} viðburðina",
+  "results.allOf": "Sýni alla {count} af {total} viðburðum",
+  "results.some": "Sýni {shown} af {count} viðburðum",
+  "results.noMatch": "Engir viðburðir fundust sem passa við síurnar.",
+  "results.tryAdjusting": "Prófaðu að breyta síunum til að sjá fleiri.",
+
+  "favorites.title": "Uppáhalds viðburðir",
+  "favorites.empty": "Engir uppáhalds viðburðir enn",
+  "favorites.emptyHint": "Skoðaðu viðburði og bættu þeim í uppáhalds!",
+  "favorites.browse": "Skoða viðburði",
+  "favorites.none": "Engir uppáhalds viðburðir",
+  "favorites.showing": "Sýni {count} uppáhalds viðburði",
+  "favorites.add": "Bæta í uppáhalds",
+  "favorites.remove": "Fjarlægja úr uppáhalds",
+  "favorites.loading": "Sæki uppáhalds viðburði...",
+  "favorites.loadError":
+    "Ekki tókst að sækja uppáhalds viðburði. Reyndu aftur síðar.",
+  "favorites.past": "Liðnir viðburðir",
+  "favorites.clearPast": "Fjarlægja liðna viðburði",
+  "favorites.unavailable":
+    "Vistaðir viðburðir sem eru ekki lengur í boði: {count}",
+  "favorites.removeUnavailable": "Fjarlægja þá",
+
+  "lists.label": "Uppáhaldslistar",
+  "lists.all": "Öll uppáhöld",
+  "lists.name": "Heiti lista",
+  "lists.namePlaceholder": "Nýr listi, t.d. Stefnumót",
+  "lists.create": "Búa til lista",
+  "lists.rename": "Vista heiti",
+  "lists.moveBack": "Færa lista framar",
+  "lists.moveForward": "Færa lista aftar",
+  "lists.share": "Deila hlekk",
+  "lists.copied": "Hlekkur afritaður. Allir sem hafa hann geta skoðað listann.",
+  "lists.copyPrompt": "Afritaðu þennan hlekk til að deila listanum:",
+  "lists.delete": "Eyða lista",
+  "lists.confirmDelete":
+    "Eyða listanum „{name}“? Viðburðirnir verða áfram í uppáhalds.",
+  "lists.addTo": "Bæta á lista...",
+  "lists.removeFrom": "Taka af þessum lista",
+  "lists.moveUp": "Færa upp",
+  "lists.moveDown": "Færa niður",
+  "lists.note": "Athugasemd",
+  "lists.notePlaceholder": "Skrifaðu athugasemd, t.d. hverjir koma",
+  "lists.empty":
+    "Þessi listi er tómur. Bættu viðburðum á hann úr Öll uppáhöld.",
+  "lists.showing": "Sýni {count} viðburði á þessum lista",
+  "lists.shared": "Deildur listi",
+  "lists.sharedHint":
+    "Þú ert að skoða lista sem einhver deildi með þér. Honum er ekki hægt að breyta hér.",
+  "lists.sharedEmpty": "Á þessum lista eru engir viðburðir til að sýna.",
+  "lists.sharedDefault": "Deildur listi",
+  "lists.saveCopy": "Vista á mína lista",
+  "lists.saved": "Vistað á listana þína og í uppáhalds.",
+  "lists.backToMine": "Aftur í mín uppáhöld",
+  "lists.error.name": "Heiti lista þarf að vera 1 til {max} stafir.",
+  "lists.error.exists": "Þú átt nú þegar lista með þessu heiti.",
+
+  "login.title": "Skráðu þig inn á Venuu",
+  "login.email": "Netfang",
+  "login.password": "Lykilorð",
+  "login.submit": "Skrá inn",
+  "login.required": "Skráðu þig inn til að halda áfram.",
+  "login.forgot": "Gleymdirðu lykilorðinu?",
+  "login.toRegister": "Enginn aðgangur? Stofnaðu hann",
+  "login.toLogin": "Aftur í innskráningu",
+  "login.registerTitle": "Stofna Venuu aðgang",
+  "login.name": "Nafn",
+  "login.passwordHint": "A.m.k. 8 stafir.",
+  "login.register": "Stofna aðgang",
+  "login.forgotTitle": "Endurstilla lykilorð",
+  "login.forgotHint":
+    "Sláðu inn netfangið þitt og við sendum þér hlekk til að velja nýtt lykilorð.",
+  "login.forgotSubmit": "Senda hlekk",
+  "login.forgotSent": "Ef aðgangur er til fyrir {email} er hlekkur á leiðinni.",
+  "login.resetTitle": "Veldu nýtt lykilorð",
+  "login.newPassword": "Nýtt lykilorð",
+  "login.resetSubmit": "Vista lykilorð",
+  "login.resetDone": "Lykilorðinu var breytt. Nú geturðu skráð þig inn.",
+  "login.accountTitle": "Aðgangurinn þinn",
+  "login.signedIn": "Innskráning: {name} ({email}).",
+  "login.logout": "Skrá út",
+
+  "auth.signedInAs": "Innskráning: {name}",
+  "auth.error.credentials": "Rangt netfang eða lykilorð.",
+  "auth.error.exists": "Aðgangur með þessu netfangi er þegar til.",
+  "auth.error.invalid": "Athugaðu upplýsingarnar sem þú slóst inn.",
+  "auth.error.resetToken": "Þessi hlekkur er ógildur eða útrunninn.",
+  "auth.error.unavailable":
+    "Innskráning er ekki í boði eins og er. Reyndu aftur síðar.",
+
+  "autocomplete.recent": "Nýlegar leitir",
+  "autocomplete.event": "Viðburðir",
+  "autocomplete.venue": "Staðir",
+  "autocomplete.city": "Bæir",
+  "autocomplete.category": "Flokkar",
+  "autocomplete.loading": "Sæki viðburði...",
+  "autocomplete.noResults": "Engir viðburðir fundust",
+
+  "facets.category": "Flokkur",
+  "facets.type": "Tegund",
+  "facets.postal": "Staðsetning",
+  "facets.price": "Verð",
+  "facets.age": "Aldur",
+  "facets.date": "Dagsetning",
+  "facets.price.free": "Ókeypis",
+  "facets.price.under": "Undir {max} kr",
+  "facets.price.between": "{min}–{max} kr",
+  "facets.price.over": "Yfir {min} kr",
+  "facets.age.children": "Börn (0–12)",
+  "facets.age.teens": "Unglingar (13–17)",
+  "facets.age.adults": "Fullorðnir (18–66)",
+  "facets.age.seniors": "Eldri borgarar (67+)",
+  "facets.date.today": "Í dag",
+  "facets.date.tomorrow": "Á morgun",
+  "facets.date.weekend": "Um helgina",
+  "facets.date.week": "Næstu 7 daga",
+  "facets.date.month": "Næstu 30 daga",
+  "facets.date.later": "Síðar",
+  "facets.date.past": "Liðnir viðburðir",
+
+  "query.today": "Í dag",
+  "query.tonight": "Í kvöld",
+  "query.tomorrow": "Á morgun",
+  "query.weekend": "Um helgina",
+  "query.next-weekend": "Næstu helgi",
+  "query.week": "Þessa viku",
+  "query.next-week": "Næstu viku",
+  "query.month": "Þennan mánuð",
+  "query.nextWeekday": "{day} í næstu viku",
+  "query.under": "Undir {amount} kr",
+  "query.over": "Yfir {amount} kr",
+  "query.free": "Ókeypis",
+  "query.paid": "Ekki ókeypis",
+  "query.family": "Fyrir fjölskylduna",
+
+  "offline.banner": "Engin nettenging.",
+  "offline.updated": "Viðburðir síðast uppfærðir {time}.",
+  "offline.pending": "Breytingar sem bíða sendingar: {count}",
+};
+
+export const MESSAGES: Record<Language, Messages> = { is, en };
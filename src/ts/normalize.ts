@@ -0,0 +1,322 @@
+// Event normalization for Venuu app
+import {
+  EventOccurrence,
+  EventTerm,
+  GeoPoint,
+  Language,
+  LocalizedText,
+  NormalizationResult,
+  RawEvent,
+  RawEventTerm,
+  VenuuEvent,
+} from "./types.js";
+import { PriceParser } from "./price.js";
+
+/**
+ * Raised when a raw record is missing data we cannot do without
+ */
+export class NormalizationError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "NormalizationError";
+  }
+}
+
+export class EventNormalizer {
+  /**
+   * Turn a single raw record into a canonical VenuuEvent.
+   * Throws NormalizationError if the record is unusable.
+   */
+  static normalize(raw: RawEvent): VenuuEvent {
+    if (!raw || typeof raw !== "object") {
+      throw new NormalizationError("Record is not an object");
+    }
+
+    const id = EventNormalizer.normalizeId(raw.id);
+    if (!id) {
+      throw new NormalizationError("Missing id");
+    }
+
+    const title = EventNormalizer.text(
+      raw.language?.is?.title || raw.title,
+      raw.language?.en?.title || raw.title_en
+    );
+    if (!title.is && !title.en) {
+      throw new NormalizationError("Missing title");
+    }
+
+    const start = EventNormalizer.normalizeDate(raw.start || raw.date);
+    if (!start) {
+      throw new NormalizationError("Missing or invalid start date");
+    }
+    const end = EventNormalizer.normalizeDate(raw.end) || start;
+
+    const legacyLocation =
+      typeof raw.location === "string" ? raw.location : "";
+    const occurrences = EventNormalizer.normalizeOccurrences(
+      { start, end },
+      raw.dates
+    );
+
+    return {
+      id,
+      uuid: raw.event_id || "",
+      title,
+      text: EventNormalizer.text(
+        raw.language?.is?.text,
+        raw.language?.en?.text || raw.description
+      ),
+      details: EventNormalizer.text(
+        raw.detailed_description || raw.language?.is?.details,
+        raw.detailed_description_en || raw.language?.en?.details
+      ),
+      place: EventNormalizer.text(
+        raw.language?.is?.place,
+        raw.language?.en?.place
+      ),
+      address: (raw.formatted_address || legacyLocation || "").trim(),
+      street: (raw.street || "").trim(),
+      postal: String(raw.postal || "").trim(),
+      city: (raw.city || legacyLocation || "").trim(),
+      coordinates: EventNormalizer.normalizeCoordinates(raw.location),
+      start: occurrences[0].start,
+      end: occurrences[0].end,
+      occurrence: raw.occurrence === "multiple" ? "multiple" : "single",
+      occurrences,
+      parent: raw.parent || "",
+      categories: EventNormalizer.normalizeTerms(
+        raw.categories,
+        raw.category ?? raw.event_category
+      ),
+      types: EventNormalizer.normalizeTerms(raw.types),
+      tags: EventNormalizer.normalizeTags(raw.tags),
+      image: raw.event_image || raw.image || "",
+      thumbnail: raw.event_thumbnail || raw.event_image || raw.image || "",
+      price: PriceParser.parse(raw.price),
+      media: { ...(raw.media || {}) },
+      birthYearFrom: EventNormalizer.normalizeYear(raw.birth_year_from),
+      birthYearTo: EventNormalizer.normalizeYear(raw.birth_year_to),
+      accepted: raw.accepted !== false,
+      active: raw.active !== false,
+    };
+  }
+
+  /**
+   * Normalize a list of raw records, collecting the ones that fail
+   * instead of throwing. The feed repeats a record once per date, so
+   * records sharing an id are merged into one event with several
+   * occurrences.
+   */
+  static normalizeAll(raws: RawEvent[]): NormalizationResult {
+    const result: NormalizationResult = { events: [], issues: [] };
+    const byId = new Map<string, VenuuEvent>();
+
+    if (!Array.isArray(raws)) {
+      result.issues.push({
+        index: -1,
+        id: null,
+        reason: "Events payload is not an array",
+      });
+      return result;
+    }
+
+    raws.forEach((raw, index) => {
+      try {
+        const event = EventNormalizer.normalize(raw);
+        const existing = byId.get(event.id);
+
+        if (existing) {
+          EventNormalizer.mergeOccurrences(existing, event.occurrences);
+        } else {
+          byId.set(event.id, event);
+          result.events.push(event);
+        }
+      } catch (error) {
+        result.issues.push({
+          index,
+          id: EventNormalizer.normalizeId(raw && raw.id),
+          reason: error instanceof Error ? error.message : String(error),
+        });
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Pick the text for the requested language, falling back to the other one
+   */
+  static localize(text: LocalizedText, language: Language = "en"): string {
+    const fallback: Language = language === "en" ? "is" : "en";
+    return text[language] || text[fallback] || "";
+  }
+
+  /**
+   * Display name of a category or type in the requested language
+   */
+  static termName(term: EventTerm, language: Language = "en"): string {
+    return language === "en"
+      ? term.nameEn || term.name
+      : term.name || term.nameEn;
+  }
+
+  /**
+   * Short location label, e.g. "101 Reykjavík"
+   */
+  static locationLabel(event: VenuuEvent): string {
+    return [event.postal, event.city].filter(Boolean).join(" ");
+  }
+
+  /**
+   * Format a Date in the feed's local "YYYY-MM-DDTHH:mm" style
+   */
+  static formatLocalDate(date: Date): string {
+    const pad = (value: number): string => String(value).padStart(2, "0");
+    return (
+      `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+        date.getDate()
+      )}` + `T${pad(date.getHours())}:${pad(date.getMinutes())}`
+    );
+  }
+
+  private static normalizeId(id: unknown): string | null {
+    if (typeof id === "number" && Number.isFinite(id)) return String(id);
+    if (typeof id === "string" && id.trim()) return id.trim();
+    return null;
+  }
+
+  private static text(is?: string, en?: string): LocalizedText {
+    return { is: (is || "").trim(), en: (en || "").trim() };
+  }
+
+  private static normalizeDate(value: unknown): string {
+    if (typeof value !== "string" || !value.trim()) return "";
+    return isNaN(new Date(value).getTime()) ? "" : value.trim();
+  }
+
+  /**
+   * Build the sorted occurrence list from the primary start/end and any
+   * extra `dates`. A bare date string reuses the primary duration.
+   */
+  private static normalizeOccurrences(
+    primary: EventOccurrence,
+    dates: RawEvent["dates"]
+  ): EventOccurrence[] {
+    const duration =
+      new Date(primary.end).getTime() - new Date(primary.start).getTime();
+    const occurrences: EventOccurrence[] = [primary];
+
+    (dates || []).forEach((entry) => {
+      const start = EventNormalizer.normalizeDate(
+        typeof entry === "string" ? entry : entry && entry.start
+      );
+      if (!start) return;
+
+      const explicitEnd =
+        typeof entry === "string"
+          ? ""
+          : EventNormalizer.normalizeDate(entry && entry.end);
+      const end =
+        explicitEnd ||
+        EventNormalizer.formatLocalDate(
+          new Date(new Date(start).getTime() + Math.max(duration, 0))
+        );
+
+      occurrences.push({ start, end });
+    });
+
+    return EventNormalizer.sortOccurrences(occurrences);
+  }
+
+  private static mergeOccurrences(
+    event: VenuuEvent,
+    extra: EventOccurrence[]
+  ): void {
+    event.occurrences = EventNormalizer.sortOccurrences([
+      ...event.occurrences,
+      ...extra,
+    ]);
+    event.start = event.occurrences[0].start;
+    event.end = event.occurrences[0].end;
+  }
+
+  private static sortOccurrences(
+    occurrences: EventOccurrence[]
+  ): EventOccurrence[] {
+    const unique = new Map<string, EventOccurrence>();
+    occurrences.forEach((occurrence) => {
+      if (!unique.has(occurrence.start)) {
+        unique.set(occurrence.start, occurrence);
+      }
+    });
+
+    return Array.from(unique.values()).sort(
+      (a, b) => new Date(a.start).getTime() - new Date(b.start).getTime()
+    );
+  }
+
+  private static normalizeCoordinates(value: unknown): GeoPoint | null {
+    if (!Array.isArray(value) || value.length !== 2) return null;
+    const [lat, lng] = value.map(Number);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    return { lat, lng };
+  }
+
+  private static normalizeTerms(
+    terms?: RawEventTerm[],
+    legacy?: string[] | string
+  ): EventTerm[] {
+    const normalized = (terms || [])
+      .filter((term) => term && (term.name || term.name_en || term.tag))
+      .map((term) => ({
+        name: term.name || term.name_en || term.tag || "",
+        nameEn: term.name_en || term.name || term.tag || "",
+        tag: term.tag || term.name || term.name_en || "",
+      }));
+
+    const legacyNames = Array.isArray(legacy) ? legacy : legacy ? [legacy] : [];
+    legacyNames
+      .filter((name) => typeof name === "string" && name.trim())
+      .forEach((name) => {
+        normalized.push({ name, nameEn: name, tag: name });
+      });
+
+    return normalized;
+  }
+
+  /**
+   * Tags arrive as free text, sometimes several in one string separated
+   * by semicolons ("íþrótt; sport; sports;")
+   */
+  private static normalizeTags(tags?: string[]): string[] {
+    const result = new Set<string>();
+    (tags || []).forEach((tag) => {
+      if (typeof tag !== "string") return;
+      tag
+        .split(";")
+        .map((part) => part.trim())
+        .filter(Boolean)
+        .forEach((part) => result.add(part));
+    });
+    return Array.from(result);
+  }
+
+  private static normalizeYear(value: unknown): number | null {
+    const year = Number(value);
+    return value !== null && value !== "" && Number.isInteger(year)
+      ? year
+      : null;
+  }
+}
+
+// Make EventNormalizer available globally for non-module usage
+declare global {
+  interface Window {
+    EventNormalizer: typeof EventNormalizer;
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.EventNormalizer = EventNormalizer;
+}
@@ -0,0 +1,89 @@
+// User preferences for Venuu app
+import { Language } from "./types.js";
+
+// Favorite events are kept by FavoritesStore (favorites.ts)
+export interface UserPreferences {
+  theme: string;
+  language: Language;
+  notifications: boolean;
+  searchHistory: string[];
+}
+
+// User preferences API (local storage based)
+export class UserPreferencesApi {
+  private storageKey: string = "venuu-preferences";
+
+  /**
+   * Get user preferences
+   */
+  getPreferences(): UserPreferences {
+    const defaultPrefs: UserPreferences = {
+      theme: "light",
+      language: "en",
+      notifications: true,
+      searchHistory: [],
+    };
+
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      return stored ? { ...defaultPrefs, ...JSON.parse(stored) } : defaultPrefs;
+    } catch (error) {
+      console.error("Error loading preferences:", error);
+      return defaultPrefs;
+    }
+  }
+
+  /**
+   * Save user preferences
+   */
+  savePreferences(preferences: Partial<UserPreferences>): void {
+    try {
+      const currentPrefs = this.getPreferences();
+      const updatedPrefs = { ...currentPrefs, ...preferences };
+      localStorage.setItem(this.storageKey, JSON.stringify(updatedPrefs));
+    } catch (error) {
+      console.error("Error saving preferences:", error);
+    }
+  }
+
+  /**
+   * Add search to history
+   */
+  addSearchToHistory(query: string): void {
+    if (!query.trim()) return;
+
+    const prefs = this.getPreferences();
+    const history = prefs.searchHistory.filter((item) => item !== query);
+    history.unshift(query);
+    prefs.searchHistory = history.slice(0, 10); // Keep only last 10 searches
+    this.savePreferences(prefs);
+  }
+
+  /**
+   * Get search history
+   */
+  getSearchHistory(): string[] {
+    const prefs = this.getPreferences();
+    return prefs.searchHistory;
+  }
+
+  /**
+   * Clear search history
+   */
+  clearSearchHistory(): void {
+    const prefs = this.getPreferences();
+    prefs.searchHistory = [];
+    this.savePreferences(prefs);
+  }
+}
+
+// Make UserPreferencesApi available globally for non-module usage
+declare global {
+  interface Window {
+    UserPreferencesApi: typeof UserPreferencesApi;
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.UserPreferencesApi = UserPreferencesApi;
+}
@@ -0,0 +1,286 @@
+// Full-text event search for Venuu app
+import { VenuuEvent } from "./types.js";
+import { EventNormalizer } from "./normalize.js";
+import { fold } from "./fold.js";
+
+/**
+ * Fields that are indexed and how much a match in each counts
+ */
+const FIELD_WEIGHTS = {
+  title: 5,
+  category: 2.5,
+  tag: 2,
+  place: 1.5,
+  address: 1,
+  text: 1,
+  details: 0.5,
+};
+
+type Field = keyof typeof FIELD_WEIGHTS;
+
+// How much a query token counts when it only matches part of a term
+const PREFIX_MATCH = 0.7;
+const INFIX_MATCH = 0.35;
+const MIN_INFIX_LENGTH = 4;
+
+/**
+ * Common inflection endings, longest first. Icelandic endings are written
+ * folded (ð→d, accents removed) since stemming runs after folding.
+ */
+const SUFFIXES = [
+  // Icelandic
+  "arinnar",
+  "anna",
+  "innar",
+  "inum",
+  "unum",
+  "anum",
+  "inni",
+  "nna",
+  "num",
+  "ins",
+  "inn",
+  "ina",
+  "id",
+  "um",
+  "ar",
+  "ir",
+  "ur",
+  "an",
+  // English
+  "ings",
+  "ing",
+  "ies",
+  "es",
+  "ed",
+  "ly",
+  "s",
+  "a",
+  "i",
+];
+const MIN_STEM_LENGTH = 3;
+
+// Soft hyphens (U+00AD) appear inside words in the feed's titles
+const WORD_PATTERN = /[\p{L}\p{N}\u00ad]+/gu;
+
+export interface SearchHit {
+  event: VenuuEvent;
+  score: number;
+  /** Stemmed query terms that matched */
+  terms: string[];
+}
+
+interface Posting {
+  doc: number;
+  weight: number;
+}
+
+export class SearchIndex {
+  private events: VenuuEvent[] = [];
+  private postings = new Map<string, Posting[]>();
+  private vocabulary: string[] = [];
+
+  constructor(events: VenuuEvent[] = []) {
+    this.build(events);
+  }
+
+  /**
+   * (Re)build the index for a list of events
+   */
+  build(events: VenuuEvent[]): void {
+    this.events = events;
+    this.postings = new Map();
+
+    events.forEach((event, doc) => {
+      const weights = new Map<string, number>();
+
+      SearchIndex.fieldsOf(event).forEach(([field, value]) => {
+        SearchIndex.terms(value).forEach((term) => {
+          weights.set(term, (weights.get(term) || 0) + FIELD_WEIGHTS[field]);
+        });
+      });
+
+      weights.forEach((weight, term) => {
+        const list = this.postings.get(term) || [];
+        list.push({ doc, weight });
+        this.postings.set(term, list);
+      });
+    });
+
+    this.vocabulary = Array.from(this.postings.keys()).sort();
+  }
+
+  /**
+   * Events matching every word of the query, best match first
+   */
+  search(query: string): SearchHit[] {
+    const queryTerms = Array.from(new Set(SearchIndex.terms(query)));
+    if (queryTerms.length === 0) return [];
+
+    let scores: Map<number, { score: number; terms: string[] }> | null = null;
+
+    for (const queryTerm of queryTerms) {
+      const matches = this.matchTerm(queryTerm);
+      const next = new Map<number, { score: number; terms: string[] }>();
+
+      matches.forEach((score, doc) => {
+        const previous = scores ? scores.get(doc) : { score: 0, terms: [] };
+        if (!previous) return;
+        next.set(doc, {
+          score: previous.score + score,
+          terms: [...previous.terms, queryTerm],
+        });
+      });
+
+      scores = next;
+      if (scores.size === 0) break;
+    }
+
+    return Array.from((scores || new Map()).entries())
+      .map(([doc, { score, terms }]) => ({
+        event: this.events[doc],
+        score,
+        terms,
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Text as the index compares it, see fold.ts
+   */
+  static fold(text: string): string {
+    return fold(text);
+  }
+
+  /**
+   * Strip one common Icelandic or English ending from a folded word
+   */
+  static stem(word: string): string {
+    for (const suffix of SUFFIXES) {
+      if (
+        word.length - suffix.length >= MIN_STEM_LENGTH &&
+        word.endsWith(suffix)
+      ) {
+        return word.slice(0, -suffix.length);
+      }
+    }
+    return word;
+  }
+
+  /**
+   * Folded, stemmed search terms of a piece of text
+   */
+  static terms(text: string): string[] {
+    return (SearchIndex.fold(text || "").match(WORD_PATTERN) || []).map(
+      (word) => SearchIndex.stem(word)
+    );
+  }
+
+  /**
+   * Escape text for HTML and wrap the words matching the query in <mark>
+   */
+  static highlight(text: string, query: string): string {
+    const queryTerms = SearchIndex.terms(query);
+    const escape = (value: string): string =>
+      value
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+
+    if (!text || queryTerms.length === 0) return escape(text || "");
+
+    let html = "";
+    let last = 0;
+
+    for (const match of text.matchAll(WORD_PATTERN)) {
+      const index = match.index as number;
+      const term = SearchIndex.stem(SearchIndex.fold(match[0]));
+      const hit = queryTerms.some(
+        (queryTerm) =>
+          term === queryTerm ||
+          term.startsWith(queryTerm) ||
+          (queryTerm.length >= MIN_INFIX_LENGTH && term.includes(queryTerm))
+      );
+
+      if (hit) {
+        html += `${escape(text.slice(last, index))}<mark>${escape(
+          match[0]
+        )}</mark>`;
+        last = index + match[0].length;
+      }
+    }
+
+    return html + escape(text.slice(last));
+  }
+
+  /**
+   * Score per document for one query term: exact term matches count in
+   * full, prefix matches (typing in progress) and matches inside
+   * compound words count less
+   */
+  private matchTerm(queryTerm: string): Map<number, number> {
+    const scores = new Map<number, number>();
+    const total = this.events.length || 1;
+
+    const add = (term: string, factor: number): void => {
+      const list = this.postings.get(term) || [];
+      const idf = Math.log(1 + total / list.length);
+      list.forEach(({ doc, weight }) => {
+        const score = weight * factor * idf;
+        if (score > (scores.get(doc) || 0)) scores.set(doc, score);
+      });
+    };
+
+    this.vocabulary.forEach((term) => {
+      if (term === queryTerm) {
+        add(term, 1);
+      } else if (term.startsWith(queryTerm)) {
+        add(term, PREFIX_MATCH);
+      } else if (
+        queryTerm.length >= MIN_INFIX_LENGTH &&
+        term.includes(queryTerm)
+      ) {
+        add(term, INFIX_MATCH);
+      }
+    });
+
+    return scores;
+  }
+
+  private static fieldsOf(event: VenuuEvent): Array<[Field, string]> {
+    return [
+      ["title", event.title.is],
+      ["title", event.title.en],
+      ["text", event.text.is],
+      ["text", event.text.en],
+      ["details", event.details.is],
+      ["details", event.details.en],
+      ["place", event.place.is],
+      ["place", event.place.en],
+      ["address", event.address],
+      ["address", EventNormalizer.locationLabel(event)],
+      ...event.categories.flatMap((term): Array<[Field, string]> => [
+        ["category", term.name],
+        ["category", term.nameEn],
+      ]),
+      ...event.types.flatMap((term): Array<[Field, string]> => [
+        ["category", term.name],
+        ["category", term.nameEn],
+      ]),
+      ...event.tags.map((tag): [Field, string] => ["tag", tag]),
+    ];
+  }
+}
+
+// Make SearchIndex available globally for non-module usage
+declare global {
+  interface Window {
+    SearchIndex: typeof SearchIndex;
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.SearchIndex = SearchIndex;
+}
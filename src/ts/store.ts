@@ -0,0 +1,406 @@
+// Local event store for Venuu app
+import { RawEvent } from "./types.js";
+
+const CHANGE_EVENT = "venuu:eventschange";
+
+const DB_NAME = "venuu";
+const DB_VERSION = 2;
+const STORE_NAME = "events";
+
+// Copy of the event feed, and the validators it was fetched with
+const FEED_STORE = "feed";
+const META_STORE = "meta";
+const FEED_META_KEY = "feed";
+
+// Records were kept in localStorage before the IndexedDB store; it is
+// still used where IndexedDB is unavailable (e.g. some private modes)
+const FALLBACK_KEY = "venuu-local-events";
+
+/**
+ * Events created in this browser, kept in IndexedDB in the raw feed
+ * shape so they go through EventNormalizer like feed events
+ */
+export class LocalEventStore {
+  /**
+   * All stored records
+   */
+  async getAll(): Promise<RawEvent[]> {
+    const db = await openDatabase();
+    if (!db) return LocalEventStore.readFallback();
+
+    return requestResult<RawEvent[]>(
+      db.transaction(STORE_NAME).objectStore(STORE_NAME).getAll()
+    );
+  }
+
+  /**
+   * Add or replace records by id
+   */
+  async put(records: RawEvent[]): Promise<void> {
+    if (records.length === 0) return;
+
+    const db = await openDatabase();
+    if (db) {
+      const transaction = db.transaction(STORE_NAME, "readwrite");
+      const store = transaction.objectStore(STORE_NAME);
+      records.forEach((record) =>
+        store.put({ ...record, id: String(record.id) })
+      );
+      await transactionDone(transaction);
+    } else {
+      const ids = new Set(records.map((record) => String(record.id)));
+      LocalEventStore.writeFallback([
+        ...LocalEventStore.readFallback().filter(
+          (record) => !ids.has(String(record.id))
+        ),
+        ...records,
+      ]);
+    }
+
+    LocalEventStore.notify(records.length);
+  }
+
+  /**
+   * Delete a record
+   */
+  async remove(id: string): Promise<void> {
+    const db = await openDatabase();
+    if (db) {
+      const transaction = db.transaction(STORE_NAME, "readwrite");
+      transaction.objectStore(STORE_NAME).delete(id);
+      await transactionDone(transaction);
+    } else {
+      LocalEventStore.writeFallback(
+        LocalEventStore.readFallback().filter(
+          (record) => String(record.id) !== id
+        )
+      );
+    }
+
+    LocalEventStore.notify(1);
+  }
+
+  /**
+   * Run a callback whenever records are added or removed
+   */
+  static onChange(listener: () => void): void {
+    window.addEventListener(CHANGE_EVENT, () => listener());
+  }
+
+  private static notify(count: number): void {
+    window.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: { count } }));
+  }
+
+  /**
+   * Move records saved in localStorage into IndexedDB; run when the
+   * database is opened
+   */
+  static async migrate(db: IDBDatabase): Promise<void> {
+    const records = LocalEventStore.readFallback();
+    if (records.length === 0) return;
+
+    const transaction = db.transaction(STORE_NAME, "readwrite");
+    const store = transaction.objectStore(STORE_NAME);
+    records.forEach((record) =>
+      store.put({ ...record, id: String(record.id) })
+    );
+    await transactionDone(transaction);
+    localStorage.removeItem(FALLBACK_KEY);
+  }
+
+  private static readFallback(): RawEvent[] {
+    try {
+      const stored = localStorage.getItem(FALLBACK_KEY);
+      const records = stored ? JSON.parse(stored) : [];
+      return Array.isArray(records) ? records : [];
+    } catch (error) {
+      console.error("Error loading local events:", error);
+      return [];
+    }
+  }
+
+  private static writeFallback(records: RawEvent[]): void {
+    localStorage.setItem(FALLBACK_KEY, JSON.stringify(records));
+  }
+}
+
+/**
+ * Where a copy of the feed came from: /api/events or the bundled
+ * api-data.json
+ */
+export type FeedSource = "network" | "fallback";
+
+/**
+ * The event feed as last fetched, kept so the next visit can show it
+ * before the network answers
+ */
+export interface FeedSnapshot {
+  records: RawEvent[];
+  source: FeedSource;
+  /** Validators for conditional requests, from the response headers */
+  etag: string | null;
+  lastModified: string | null;
+  /** When the feed was last fetched or confirmed unchanged (ISO) */
+  fetchedAt: string;
+}
+
+/**
+ * The feed's details as kept in the meta store, with its event ids in
+ * feed order
+ */
+interface FeedMeta extends Omit<FeedSnapshot, "records"> {
+  key: string;
+  order: string[];
+}
+
+/**
+ * All records of one event as kept in the feed store. The feed lists an
+ * event once per occurrence, so an id can have several records.
+ */
+interface FeedEntry {
+  id: string;
+  records: RawEvent[];
+}
+
+/**
+ * How a new copy of the feed differs from the cached one, in events
+ */
+export interface FeedChanges {
+  added: number;
+  updated: number;
+  removed: number;
+}
+
+/**
+ * Persistent copy of the event feed in IndexedDB, one entry per event id.
+ * Updates only write the events that changed. Without IndexedDB nothing
+ * is kept.
+ */
+export class FeedCache {
+  /**
+   * The cached feed, or null when there is none
+   */
+  async read(): Promise<FeedSnapshot | null> {
+    const db = await openDatabase();
+    if (!db) return null;
+
+    const transaction = db.transaction([FEED_STORE, META_STORE]);
+    const [entries, meta] = await Promise.all([
+      requestResult<FeedEntry[]>(transaction.objectStore(FEED_STORE).getAll()),
+      requestResult<FeedMeta | undefined>(
+        transaction.objectStore(META_STORE).get(FEED_META_KEY)
+      ),
+    ]);
+    if (!meta) return null;
+
+    const byId = new Map(entries.map((entry) => [entry.id, entry.records]));
+    const { key, order, ...snapshot } = meta;
+    return {
+      ...snapshot,
+      records: order.flatMap((id) => byId.get(id) || []),
+    };
+  }
+
+  /**
+   * Replace the cached feed with `next`, writing only the events that
+   * were added or changed and deleting those that are gone
+   */
+  async write(
+    next: FeedSnapshot,
+    previous: RawEvent[] = []
+  ): Promise<FeedChanges> {
+    const { changed, removedIds, ...changes } = FeedCache.diff(
+      previous,
+      next.records
+    );
+    const db = await openDatabase();
+    if (!db) return changes;
+
+    const transaction = db.transaction([FEED_STORE, META_STORE], "readwrite");
+    const feed = transaction.objectStore(FEED_STORE);
+    changed.forEach((entry) => feed.put(entry));
+    removedIds.forEach((id) => feed.delete(id));
+    transaction.objectStore(META_STORE).put(FeedCache.meta(next));
+
+    await transactionDone(transaction);
+    return changes;
+  }
+
+  /**
+   * Delete the cached feed
+   */
+  async clear(): Promise<void> {
+    const db = await openDatabase();
+    if (!db) return;
+
+    const transaction = db.transaction([FEED_STORE, META_STORE], "readwrite");
+    transaction.objectStore(FEED_STORE).clear();
+    transaction.objectStore(META_STORE).delete(FEED_META_KEY);
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Record that the cached feed was confirmed unchanged
+   */
+  async touch(snapshot: FeedSnapshot): Promise<void> {
+    const db = await openDatabase();
+    if (!db) return;
+
+    const transaction = db.transaction(META_STORE, "readwrite");
+    transaction.objectStore(META_STORE).put(FeedCache.meta(snapshot));
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Events added or changed between two feeds, by id, and the ids that
+   * are gone
+   */
+  static diff(
+    previous: RawEvent[],
+    next: RawEvent[]
+  ): FeedChanges & { changed: FeedEntry[]; removedIds: string[] } {
+    const before = new Map(
+      FeedCache.group(previous).map((entry) => [
+        entry.id,
+        JSON.stringify(entry.records),
+      ])
+    );
+    const changed: FeedEntry[] = [];
+    let added = 0;
+
+    FeedCache.group(next).forEach((entry) => {
+      const old = before.get(entry.id);
+      if (old === undefined) added++;
+      if (old !== JSON.stringify(entry.records)) changed.push(entry);
+      before.delete(entry.id);
+    });
+
+    const removedIds = [...before.keys()];
+    return {
+      added,
+      updated: changed.length - added,
+      removed: removedIds.length,
+      changed,
+      removedIds,
+    };
+  }
+
+  /**
+   * Records grouped by event id, in order of first appearance
+   */
+  private static group(records: RawEvent[]): FeedEntry[] {
+    const byId = new Map<string, RawEvent[]>();
+    records.forEach((raw) => {
+      const id = String(raw.id);
+      const group = byId.get(id);
+      if (group) group.push(raw);
+      else byId.set(id, [raw]);
+    });
+    return [...byId].map(([id, grouped]) => ({ id, records: grouped }));
+  }
+
+  private static meta({ records, ...snapshot }: FeedSnapshot): FeedMeta {
+    return {
+      ...snapshot,
+      key: FEED_META_KEY,
+      order: [...new Set(records.map((raw) => String(raw.id)))],
+    };
+  }
+}
+
+// One connection per page, shared by all store instances
+let database: Promise<IDBDatabase | null> | null = null;
+
+/**
+ * Open (and on first use create or upgrade) the database. Resolves to null
+ * when IndexedDB can't be used, so callers fall back to localStorage.
+ */
+function openDatabase(): Promise<IDBDatabase | null> {
+  if (!database) {
+    database = new Promise<IDBDatabase | null>((resolve) => {
+      if (typeof indexedDB === "undefined") {
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      let settled = false;
+      const settle = (db: IDBDatabase | null) => {
+        settled = true;
+        resolve(db);
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          db.createObjectStore(STORE_NAME, { keyPath: "id" });
+        }
+        if (event.oldVersion < 2) {
+          db.createObjectStore(FEED_STORE, { keyPath: "id" });
+          db.createObjectStore(META_STORE, { keyPath: "key" });
+        }
+      };
+      // A tab still running code from before the upgrade holds the old
+      // version open and never lets go of it. Go on without the database
+      // for now; the next call tries again.
+      request.onblocked = () => {
+        console.warn("IndexedDB upgrade blocked by another tab");
+        database = null;
+        settle(null);
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Opened after being given up on
+        if (settled) {
+          db.close();
+          return;
+        }
+        // Another tab upgrading the database needs this one closed; the
+        // next call opens it again
+        db.onversionchange = () => {
+          db.close();
+          database = null;
+        };
+        settle(db);
+      };
+      request.onerror = () => {
+        console.warn(
+          "IndexedDB unavailable, using localStorage:",
+          request.error
+        );
+        settle(null);
+      };
+    }).then(async (db) => {
+      if (db) await LocalEventStore.migrate(db);
+      return db;
+    });
+  }
+
+  return database;
+}
+
+function requestResult<T>(request: IDBRequest): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result as T);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction: IDBTransaction): Promise<void> {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Make LocalEventStore available globally for non-module usage
+declare global {
+  interface Window {
+    LocalEventStore: typeof LocalEventStore;
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.LocalEventStore = LocalEventStore;
+}
@@ -1,32 +1,178 @@
 // Type definitions for Venuu Events App
 
-export interface VenuuEvent {
-  id: string;
-  title?: string;
-  title_en?: string;
+export type Language = "is" | "en";
+
+/**
+ * Text that exists in both Icelandic and English. Either side may be an
+ * empty string when the source only provides one language.
+ */
+export interface LocalizedText {
+  is: string;
+  en: string;
+}
+
+export interface GeoPoint {
+  lat: number;
+  lng: number;
+}
+
+export interface GeoBounds {
+  north: number;
+  south: number;
+  east: number;
+  west: number;
+}
+
+/**
+ * Approximate centre of a postal code area, derived from its events
+ */
+export interface PostalCentroid {
+  postal: string;
+  label: string;
+  center: GeoPoint;
+}
+
+/**
+ * Category or type entry as delivered by the events feed
+ */
+export interface EventTerm {
+  name: string;
+  nameEn: string;
+  tag: string;
+}
+
+/**
+ * Structured price parsed from the feed's free-form price string.
+ * `min`/`max` are null when the price is missing or unreadable.
+ */
+export interface PriceInfo {
+  min: number | null;
+  max: number | null;
+  currency: string;
+  isFree: boolean;
+  raw: string;
+}
+
+/**
+ * One concrete date of an event. Times are local Iceland time in the
+ * feed's "YYYY-MM-DDTHH:mm" format.
+ */
+export interface EventOccurrence {
+  start: string;
+  end: string;
+}
+
+export interface EventMedia {
+  website?: string;
+  facebook?: string;
+  tickets?: string;
+}
+
+/**
+ * Raw record as it appears in api-data.json and /api/events. Older sample
+ * data used a looser shape (string title, string location, `category`
+ * array), so those fields are accepted as well.
+ */
+export interface RawEvent {
+  id?: number | string;
+  event_id?: string;
   language?: {
-    en?: {
-      title?: string;
-      description?: string;
-      place?: string;
-    };
+    is?: RawEventText;
+    en?: RawEventText;
   };
+  title?: string;
+  title_en?: string;
+  description?: string;
+  detailed_description?: string;
+  detailed_description_en?: string;
   start?: string;
-  date?: string;
   end?: string;
-  location?: string;
+  date?: string;
+  occurrence?: string;
+  dates?: Array<string | { start?: string; end?: string }>;
+  parent?: string | null;
+  location?: [number, number] | number[] | string | null;
   formatted_address?: string;
+  street?: string;
+  postal?: string;
   city?: string;
-  category?: string[];
+  categories?: RawEventTerm[];
+  types?: RawEventTerm[];
+  category?: string[] | string;
   event_category?: string;
+  tags?: string[];
   event_image?: string;
   event_thumbnail?: string;
   image?: string;
-  description?: string;
-  detailed_description?: string;
-  detailed_description_en?: string;
-  price?: number | string;
-  organizer?: string;
+  price?: number | string | null;
+  media?: EventMedia | null;
+  birth_year_from?: number | null;
+  birth_year_to?: number | null;
+  accepted?: boolean;
+  active?: boolean;
+  [key: string]: unknown;
+}
+
+export interface RawEventText {
+  title?: string;
+  text?: string;
+  details?: string;
+  place?: string;
+}
+
+export interface RawEventTerm {
+  name?: string;
+  name_en?: string;
+  tag?: string;
+}
+
+/**
+ * Canonical event shape used throughout the app. Every record coming from
+ * the API or the bundled JSON goes through EventNormalizer before use.
+ * `start`/`end` are the earliest occurrence; `occurrences` lists them all.
+ */
+export interface VenuuEvent {
+  id: string;
+  uuid: string;
+  title: LocalizedText;
+  text: LocalizedText;
+  details: LocalizedText;
+  place: LocalizedText;
+  address: string;
+  street: string;
+  postal: string;
+  city: string;
+  coordinates: GeoPoint | null;
+  start: string;
+  end: string;
+  occurrence: "single" | "multiple";
+  occurrences: EventOccurrence[];
+  parent: string;
+  categories: EventTerm[];
+  types: EventTerm[];
+  tags: string[];
+  image: string;
+  thumbnail: string;
+  price: PriceInfo;
+  media: EventMedia;
+  birthYearFrom: number | null;
+  birthYearTo: number | null;
+  accepted: boolean;
+  active: boolean;
+}
+
+/**
+ * A raw record that could not be turned into a VenuuEvent
+ */
+export interface NormalizationIssue {
+  index: number;
+  id: string | null;
+  reason: string;
+}
+
+export interface NormalizationResult {
+  events: VenuuEvent[];
+  issues: NormalizationIssue[];
 }
 
 export interface Filters {
@@ -82,12 +82,23 @@ export class Utils {
   }
 
   /**
-   * Sanitize HTML string to prevent XSS
+   * Sanitize HTML string to prevent XSS; safe in element content and in
+   * quoted attributes
    */
   static sanitizeHTML(str: string): string {
     const temp = document.createElement("div");
     temp.textContent = str;
-    return temp.innerHTML;
+    return temp.innerHTML.replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+  }
+
+  /**
+   * The text of an HTML fragment, without its markup. Parsed into an
+   * inert document, so nothing in it runs or loads.
+   */
+  static textFromHTML(html: string): string {
+    return (
+      new DOMParser().parseFromString(html, "text/html").body.textContent || ""
+    );
   }
 
   /**
@@ -97,6 +108,28 @@ export class Utils {
     return `${prefix}-${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  /**
+   * Random RFC 4122 version 4 UUID. crypto.randomUUID only exists in
+   * secure contexts, so it is built from getRandomValues otherwise.
+   */
+  static uuid(): string {
+    if (typeof crypto.randomUUID === "function") return crypto.randomUUID();
+
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0"));
+    return [
+      hex.slice(0, 4),
+      hex.slice(4, 6),
+      hex.slice(6, 8),
+      hex.slice(8, 10),
+      hex.slice(10),
+    ]
+      .map((group) => group.join(""))
+      .join("-");
+  }
+
   /**
    * Check if element is in viewport
    */
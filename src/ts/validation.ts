@@ -0,0 +1,103 @@
+// Form validation for Venuu app
+
+export type FormValue = FormDataEntryValue | null;
+
+export type FormValues = Record<string, FormValue>;
+
+/**
+ * A failed rule, as an I18n key so it can be shown in either language
+ */
+export interface ValidationMessage {
+  key: string;
+  params?: Record<string, string | number>;
+}
+
+export interface Rule {
+  check(value: FormValue, values: FormValues): ValidationMessage | null;
+}
+
+/**
+ * Rules per field name, checked in order; the first failure is reported
+ */
+export type Schema = Record<string, Rule[]>;
+
+export type ValidationErrors = Record<string, ValidationMessage>;
+
+/**
+ * Building blocks for schemas. Apart from `required`, rules pass on empty
+ * values so optional fields are only checked when filled in.
+ */
+export class Rules {
+  static required(key: string = "validation.required"): Rule {
+    return {
+      check: (value) => (Rules.isEmpty(value) ? { key } : null),
+    };
+  }
+
+  static maxLength(max: number): Rule {
+    return {
+      check: (value) =>
+        typeof value === "string" && value.trim().length > max
+          ? { key: "validation.maxLength", params: { max } }
+          : null,
+    };
+  }
+
+  /**
+   * Custom check on a filled-in value, which may look at other fields
+   */
+  static test(
+    test: (value: FormValue, values: FormValues) => boolean,
+    key: string,
+    params?: Record<string, string | number>
+  ): Rule {
+    return {
+      check: (value, values) =>
+        Rules.isEmpty(value) || test(value, values) ? null : { key, params },
+    };
+  }
+
+  static isEmpty(value: FormValue): boolean {
+    if (value === null) return true;
+    if (typeof value === "string") return value.trim() === "";
+    return value.size === 0;
+  }
+}
+
+export class Validator {
+  /**
+   * Check every field in the schema and return the failures by field
+   */
+  static validate(schema: Schema, values: FormValues): ValidationErrors {
+    const errors: ValidationErrors = {};
+    Object.keys(schema).forEach((field) => {
+      const error = Validator.validateField(schema, field, values);
+      if (error) errors[field] = error;
+    });
+    return errors;
+  }
+
+  static validateField(
+    schema: Schema,
+    field: string,
+    values: FormValues
+  ): ValidationMessage | null {
+    const value = values[field] ?? null;
+    for (const rule of schema[field] || []) {
+      const error = rule.check(value, values);
+      if (error) return error;
+    }
+    return null;
+  }
+
+  /**
+   * Field values of a form, keyed by input name
+   */
+  static values(form: HTMLFormElement): FormValues {
+    const values: FormValues = {};
+    new FormData(form).forEach((value, name) => {
+      values[name] = value;
+    });
+    return values;
+  }
+}
@@ -0,0 +1,242 @@
+// Service worker for Venuu app. Keeps the site usable on poor or no
+// connection: the app shell is cached on install, event data is served
+// stale-while-revalidate, and images and CDN scripts are cached on first
+// use. Registered by src/ts/offline.ts.
+
+// Bump to drop the old shell cache once this list or the caching changes
+const VERSION = "v8";
+const SHELL_CACHE = `venuu-shell-${VERSION}`;
+const DATA_CACHE = "venuu-data";
+const RUNTIME_CACHE = "venuu-runtime";
+const CACHES = [SHELL_CACHE, DATA_CACHE, RUNTIME_CACHE];
+
+// Set on cached data, so the app can tell cached data from fresh and show
+// when it was fetched
+const CACHED_AT_HEADER = "X-Venuu-Cached-At";
+
+// Every compiled module is listed; add new ones from src/ts here
+const MODULES = [
+  "api",
+  "auth",
+  "autocomplete",
+  "calendar",
+  "draw-underline",
+  "event-form",
+  "facets",
+  "favorite-lists",
+  "favorites",
+  "fold",
+  "geo",
+  "i18n",
+  "iceland",
+  "image",
+  "import",
+  "import-panel",
+  "infinite-scroll",
+  "map",
+  "messages",
+  "normalize",
+  "occurrence",
+  "offline",
+  "permalinks",
+  "preferences",
+  "price",
+  "query",
+  "recommend",
+  "repository",
+  "search",
+  "shared",
+  "split-fade",
+  "store",
+  "types",
+  "utils",
+  "validation",
+  "virtual-grid",
+];
+
+const POSTERS = [
+  "068e9d4bef717cd1000843dc38c603ec.jpg",
+  "1d595e6dc1b6a3d963b932eb94de79d1.jpg",
+  "233986128f46951bf66a727cca1b3a18.jpg",
+  "24de6470d3365d85550c2c65ce8ddfca.jpg",
+  "3bd777f8c2760cbf585251808e738698.jpg",
+  "3f117cff666f231104f270edda727dab.jpg",
+  "53fe06b8e5fe6593f0f2a5de835609d2.jpg",
+  "542dfd6b879d676a823e611028e40984.jpg",
+  "783d478fde50b0f1d23ed5db8e9e2dee.jpg",
+  "90f82bfbdb111074fdfe5c1a6d813f5e.jpg",
+  "9303687a932a721b3a360633ade52260.jpg",
+  "96ec819f4ad7e5237c653c05baf5cd8c.jpg",
+  "b365df6222f9cce1e0ec0bf2ee881fb9.jpg",
+  "b3a1e66d241d956c3de527627d3c0a8a.jpg",
+  "d7ecf3fce251c523f3bb43ee6620e902.jpg",
+  "istockphoto-1478375497-612x612.jpg",
+  "istockphoto-494896581-612x612.jpg",
+  "pexels-jibarofoto-2774556.jpg",
+  "Poster.jpg",
+];
+
+const SHELL = [
+  "./",
+  "index.html",
+  "events.html",
+  "favorites.html",
+  "login.html",
+  "css/output.css",
+  "Images/Images_and_lottie/Logo.json",
+  ...MODULES.map((name) => `js/${name}.js`),
+  ...POSTERS.map((name) => `Images/posters/${name}`),
+];
+
+// Event data, served from the cache while a fresh copy is fetched, or
+// from the network when the page revalidates its own copy
+const DATA_FILE = "/api-data.json";
+const DATA_ENDPOINT = "/api/events";
+
+// Scripts, styles and fonts the pages load from CDNs
+const CDN_HOSTS = [
+  "cdnjs.cloudflare.com",
+  "cdn.jsdelivr.net",
+  "fonts.googleapis.com",
+  "fonts.gstatic.com",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith("venuu-") && !CACHES.includes(key))
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) {
+    if (CDN_HOSTS.includes(url.hostname)) {
+      event.respondWith(staleWhileRevalidate(request, RUNTIME_CACHE));
+    }
+    return;
+  }
+
+  if (url.pathname === DATA_ENDPOINT || url.pathname.endsWith(DATA_FILE)) {
+    // A signed-in user's feed has their own unpublished events; it is
+    // only kept by EventsApi, which drops it on sign-out
+    if (request.headers.has("Authorization")) return;
+    // Pages of a search are only asked for online, see EventsApi.getPage
+    if (url.pathname === DATA_ENDPOINT && url.search) return;
+
+    // EventsApi keeps its own copy of the feed and revalidates it with
+    // conditional requests; only the server can answer those with a 304
+    const conditional =
+      request.headers.has("If-None-Match") ||
+      request.headers.has("If-Modified-Since");
+    event.respondWith(
+      conditional
+        ? networkFirst(request, DATA_CACHE)
+        : staleWhileRevalidate(request, DATA_CACHE, { stamp: true })
+    );
+  } else if (url.pathname.startsWith("/api/")) {
+    // Accounts and favorites always go to the server
+    return;
+  } else if (request.mode === "navigate") {
+    // events.html?event=… is the cached events.html
+    event.respondWith(
+      staleWhileRevalidate(request, SHELL_CACHE, {
+        key: url.origin + url.pathname,
+      })
+    );
+  } else {
+    // Shell files are refreshed in the shell cache, so there is only ever
+    // one copy of each
+    const shell = SHELL.some(
+      (path) => new URL(path, self.registration.scope).href === url.href
+    );
+    event.respondWith(
+      staleWhileRevalidate(request, shell ? SHELL_CACHE : RUNTIME_CACHE)
+    );
+  }
+});
+
+/**
+ * Answer from the cache when possible and refresh the cached copy from
+ * the network meanwhile; without a cached copy, wait for the network
+ * @param {Request} request
+ * @param {string} cacheName cache answered from and refreshed
+ * @param {{ stamp?: boolean, key?: string }} [options] `stamp` marks
+ *   cached copies with CACHED_AT_HEADER; `key` stores them under another
+ *   URL than the request's
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request, cacheName, options = {}) {
+  const { stamp = false, key = request } = options;
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(key);
+  const fresh = fetch(request).then(async (response) => {
+    // Opaque CDN responses have status 0 but are usable
+    if (response.ok || response.type === "opaque") {
+      await cache.put(key, stamp ? await stamped(response) : response.clone());
+    }
+    return response;
+  });
+
+  if (cached) {
+    // The cached copy is answered; the refresh only updates the cache
+    fresh.catch(() => {});
+    return cached;
+  }
+  return fresh;
+}
+
+/**
+ * Answer from the network, keeping a marked copy of full responses, and
+ * from the cache only when the network can't be reached
+ * @param {Request} request
+ * @param {string} cacheName cache kept up to date and fallen back on
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, await stamped(response));
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Copy of a response marked with the time it was fetched
+ * @param {Response} response
+ * @returns {Promise<Response>}
+ */
+async function stamped(response) {
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT_HEADER, new Date().toISOString());
+  return new Response(await response.clone().blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+}
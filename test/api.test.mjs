@@ -0,0 +1,217 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { once } from "node:events";
+import "./helpers.mjs";
+import {
+  ApiError,
+  ApiService,
+  CanceledError,
+  EventsApi,
+  HttpError,
+  NetworkError,
+  PAGE_SIZE,
+  ParseError,
+  TimeoutError,
+} from "../js/api.js";
+
+// Answers keyed by path: each request takes the next one, the last one
+// repeats. An answer is [status, body] or "hang" to never respond; a
+// string body is sent as it is.
+const answers = new Map();
+const hits = new Map();
+let server;
+let api;
+
+before(async () => {
+  server = createServer((req, res) => {
+    const path = new URL(req.url, "http://localhost").pathname;
+    const queue = answers.get(path) || [[404, { error: "Not found" }]];
+    const count = hits.get(path) || 0;
+    hits.set(path, count + 1);
+
+    const answer = queue[Math.min(count, queue.length - 1)];
+    if (answer === "hang") return;
+    const [status, body] = answer;
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(typeof body === "string" ? body : JSON.stringify(body));
+  }).listen(0);
+  await once(server, "listening");
+  api = new ApiService(`http://localhost:${server.address().port}`);
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const reply = (path, ...queue) => {
+  answers.set(path, queue);
+  hits.set(path, 0);
+};
+
+// Retry at once and keep the expected failures out of the test output
+const quiet = (t) => {
+  t.mock.method(Math, "random", () => 0);
+  t.mock.method(console, "error", () => {});
+};
+
+test("ApiService parses JSON answers", async () => {
+  reply("/ok", [200, { ok: true }]);
+  assert.deepEqual(await api.get("/ok"), { ok: true });
+});
+
+test("ApiService retries GETs on server errors", async (t) => {
+  quiet(t);
+  reply("/flaky", [503, { error: "Busy" }], [502, ""], [200, { ok: true }]);
+
+  assert.deepEqual(await api.get("/flaky"), { ok: true });
+  assert.equal(hits.get("/flaky"), 3);
+});
+
+test("ApiService gives up after the last retry", async (t) => {
+  quiet(t);
+  reply("/down", [500, { error: "Broken" }]);
+
+  const error = await api.get("/down", {}, { retries: 1 }).catch((e) => e);
+  assert.ok(error instanceof HttpError);
+  assert.ok(error instanceof ApiError);
+  assert.equal(error.status, 500);
+  assert.deepEqual(error.body, { error: "Broken" });
+  assert.equal(error.method, "GET");
+  assert.match(error.url, /\/down$/);
+  assert.equal(hits.get("/down"), 2);
+});
+
+test("ApiService doesn't retry client errors or POSTs", async (t) => {
+  quiet(t);
+  reply("/missing", [404, { error: "Not found" }]);
+  reply("/create", [503, { error: "Busy" }]);
+
+  await assert.rejects(api.get("/missing"), { name: "HttpError", status: 404 });
+  assert.equal(hits.get("/missing"), 1);
+  await assert.rejects(api.post("/create", {}), { status: 503 });
+  assert.equal(hits.get("/create"), 1);
+});
+
+test("ApiService times out and retries slow requests", async (t) => {
+  quiet(t);
+  reply("/slow", "hang", [200, { ok: true }]);
+
+  assert.deepEqual(await api.get("/slow", {}, { timeout: 100 }), { ok: true });
+  assert.equal(hits.get("/slow"), 2);
+
+  reply("/stuck", "hang");
+  const error = await api
+    .get("/stuck", {}, { timeout: 50, retries: 0 })
+    .catch((e) => e);
+  assert.ok(error instanceof TimeoutError);
+  assert.equal(error.timeout, 50);
+});
+
+test("ApiService cancels through a signal or a newer request", async (t) => {
+  quiet(t);
+  reply("/search", "hang", [200, { results: [] }]);
+
+  const first = api.get("/search", {}, { cancelKey: "search" });
+  const second = api.get("/search", {}, { cancelKey: "search" });
+  await assert.rejects(first, CanceledError);
+  assert.deepEqual(await second, { results: [] });
+
+  reply("/wait", "hang");
+  const controller = new AbortController();
+  const request = api.get("/wait", {}, { signal: controller.signal });
+  setTimeout(() => controller.abort(), 20);
+  await assert.rejects(request, CanceledError);
+  // Canceling is not a failure worth logging
+  assert.equal(console.error.mock.calls.length, 0);
+});
+
+test("ApiService tells network and parse failures apart", async (t) => {
+  quiet(t);
+  reply("/garbled", [200, "{not json"]);
+  await assert.rejects(api.get("/garbled"), ParseError);
+
+  const closed = createServer().listen(0);
+  await once(closed, "listening");
+  const { port } = closed.address();
+  closed.close();
+  await once(closed, "close");
+
+  const error = await new ApiService(`http://localhost:${port}`)
+    .get("/", {}, { retries: 0 })
+    .catch((e) => e);
+  assert.ok(error instanceof NetworkError);
+  assert.ok(error.cause);
+});
+
+test("ApiService logs responses only while logging is on", async (t) => {
+  const debug = t.mock.method(console, "debug", () => {});
+  reply("/ok", [200, { ok: true }]);
+
+  await api.get("/ok");
+  assert.equal(debug.mock.calls.length, 0);
+
+  const stop = ApiService.enableLogging();
+  await api.get("/ok");
+  stop();
+  await api.get("/ok");
+  assert.equal(debug.mock.calls.length, 1);
+  assert.match(debug.mock.calls[0].arguments[0], /^GET .*\/ok → 200/);
+});
+
+const events = ["a", "b", "c", "d", "e"].map((id) => ({ id }));
+
+const ids = (page) => page.events.map((event) => event.id);
+
+test("EventsApi.page walks a list with each page's cursor", () => {
+  const pages = [];
+  let cursor = null;
+  do {
+    const page = EventsApi.page(events, { cursor, limit: 2 });
+    pages.push(ids(page));
+    assert.equal(page.total, 5);
+    cursor = page.nextCursor;
+  } while (cursor !== null);
+
+  assert.deepEqual(pages, [["a", "b"], ["c", "d"], ["e"]]);
+});
+
+test("EventsApi.page ends on a page that fills up exactly", () => {
+  assert.deepEqual(EventsApi.page(events, { cursor: "3", limit: 2 }), {
+    events: [{ id: "d" }, { id: "e" }],
+    nextCursor: null,
+    total: 5,
+  });
+});
+
+test("EventsApi.page defaults to the first page of PAGE_SIZE", () => {
+  const many = Array.from({ length: PAGE_SIZE + 1 }, (_, id) => ({ id }));
+  const page = EventsApi.page(many);
+
+  assert.equal(page.events.length, PAGE_SIZE);
+  assert.equal(page.nextCursor, String(PAGE_SIZE));
+  assert.deepEqual(ids(EventsApi.page(events, { cursor: "" })), [
+    "a",
+    "b",
+    "c",
+    "d",
+    "e",
+  ]);
+  assert.deepEqual(ids(EventsApi.page(events, { limit: 0 })), ["a"]);
+});
+
+test("EventsApi.page answers a bad cursor with an empty last page", () => {
+  for (const cursor of ["5", "50", "-1", "1.5", "abc"]) {
+    assert.deepEqual(
+      EventsApi.page(events, { cursor, limit: 2 }),
+      { events: [], nextCursor: null, total: 5 },
+      `cursor ${cursor}`
+    );
+  }
+  assert.deepEqual(EventsApi.page([], {}), {
+    events: [],
+    nextCursor: null,
+    total: 0,
+  });
+});
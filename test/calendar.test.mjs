@@ -0,0 +1,124 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { makeEvent } from "./helpers.mjs";
+import { CalendarExport } from "../js/calendar.js";
+
+const options = { now: new Date("2025-06-01T00:00:00Z") };
+
+const recurrence = (fields) =>
+  CalendarExport.eventLines(makeEvent(fields), options).filter((line) =>
+    /^(DTSTART|DTEND|RRULE|RDATE)/.test(line)
+  );
+
+test("CalendarExport writes a VCALENDAR with one VEVENT per event", () => {
+  const walk = makeEvent({
+    title: "Leiðsögn",
+    title_en: "Walk; tour, downtown",
+    description: "<p>Line one</p><p>Two &amp; three</p>",
+    formatted_address: "Lækjartorg, 101 Reykjavík",
+    location: [64.1, -21.9],
+    categories: [{ name: "Tónlist", name_en: "Music" }],
+  });
+  const ics = CalendarExport.toICS([walk], { ...options, name: "My list" });
+  const lines = ics.split("\r\n");
+
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  assert.equal(lines[0], "BEGIN:VCALENDAR");
+  assert.ok(lines.includes("X-WR-CALNAME:My list"));
+  assert.ok(lines.includes("TZID:Atlantic/Reykjavik"));
+
+  const event = lines.slice(lines.indexOf("BEGIN:VEVENT"));
+  assert.deepEqual(event.slice(0, event.indexOf("END:VEVENT") + 1), [
+    "BEGIN:VEVENT",
+    "UID:1@venuu.is",
+    "DTSTAMP:20250601T000000Z",
+    "DTSTART;TZID=Atlantic/Reykjavik:20250614T200000",
+    "DTEND;TZID=Atlantic/Reykjavik:20250614T220000",
+    "SUMMARY:Walk\\; tour\\, downtown",
+    "DESCRIPTION:Line one\\nTwo & three",
+    "LOCATION:Lækjartorg\\, 101 Reykjavík",
+    "GEO:64.1;-21.9",
+    "CATEGORIES:Music",
+    "END:VEVENT",
+  ]);
+});
+
+test("CalendarExport writes the title in the chosen language", () => {
+  const ics = CalendarExport.toICS([makeEvent({})], {
+    ...options,
+    language: "is",
+  });
+
+  assert.match(ics, /\r\nSUMMARY:Tónleikar\r\n/);
+});
+
+test("CalendarExport turns regular dates into an RRULE", () => {
+  assert.deepEqual(
+    recurrence({
+      start: "2025-06-13T14:00",
+      end: "2025-06-13T16:00",
+      dates: ["2025-06-20T14:00", "2025-06-27T14:00"],
+    }),
+    [
+      "DTSTART;TZID=Atlantic/Reykjavik:20250613T140000",
+      "DTEND;TZID=Atlantic/Reykjavik:20250613T160000",
+      "RRULE:FREQ=WEEKLY;COUNT=3",
+    ]
+  );
+  assert.deepEqual(
+    recurrence({
+      start: "2025-06-13T14:00",
+      end: "2025-06-13T16:00",
+      dates: ["2025-06-15T14:00", "2025-06-17T14:00"],
+    }).slice(2),
+    ["RRULE:FREQ=DAILY;INTERVAL=2;COUNT=3"]
+  );
+});
+
+test("CalendarExport lists irregular dates as RDATEs", () => {
+  assert.deepEqual(
+    recurrence({
+      start: "2025-06-13T14:00",
+      end: "2025-06-13T16:00",
+      dates: ["2025-06-15T14:00", "2025-06-30T14:00"],
+    }).slice(2),
+    ["RDATE;TZID=Atlantic/Reykjavik:20250615T140000,20250630T140000"]
+  );
+  // Dates of different lengths need periods
+  assert.deepEqual(
+    recurrence({
+      start: "2025-06-13T14:00",
+      end: "2025-06-13T16:00",
+      dates: [{ start: "2025-06-15T14:00", end: "2025-06-15T18:00" }],
+    }).slice(2),
+    [
+      "RDATE;VALUE=PERIOD;TZID=Atlantic/Reykjavik:20250615T140000/20250615T180000",
+    ]
+  );
+});
+
+test("CalendarExport leaves out DTEND for events without an end", () => {
+  assert.deepEqual(
+    recurrence({ start: "2025-06-13T14:00", end: "2025-06-13T14:00" }),
+    ["DTSTART;TZID=Atlantic/Reykjavik:20250613T140000"]
+  );
+});
+
+test("CalendarExport folds long lines without splitting characters", () => {
+  const folded = CalendarExport.fold(`DESCRIPTION:${"þ".repeat(60)}`);
+  const lines = folded.split("\r\n");
+
+  assert.equal(lines.length, 2);
+  assert.ok(lines[1].startsWith(" "));
+  lines.forEach((line) => assert.ok(Buffer.byteLength(line) <= 75));
+  assert.equal(lines.join("").replace(/ /g, "").length, 72);
+  assert.equal(CalendarExport.fold("SUMMARY:Short"), "SUMMARY:Short");
+});
+
+test("CalendarExport.fileName gives a plain .ics name", () => {
+  assert.equal(
+    CalendarExport.fileName("Viðburðir í Reykjavík.ics"),
+    "vidburdir-i-reykjavik.ics"
+  );
+  assert.equal(CalendarExport.fileName("!!!"), "venuu-events.ics");
+});
@@ -0,0 +1,121 @@
+import { after, before, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { JSDOM } from "jsdom";
+import { startMockServer } from "./helpers.mjs";
+
+// EventsApi fetches the feed and its pages from the page's own origin, so
+// the page is put on the mock server's and relative URLs resolved there.
+// There's no IndexedDB, so the feed isn't kept between loads.
+let dom;
+let server;
+let EventsApi;
+let api;
+
+// Paths and queries of the /api/events requests made
+const requested = [];
+
+before(async () => {
+  server = await startMockServer();
+  dom = new JSDOM("<!DOCTYPE html>", { url: `${server.base}/events.html` });
+  const fetch = globalThis.fetch;
+  Object.assign(globalThis, {
+    window: dom.window,
+    document: dom.window.document,
+    navigator: dom.window.navigator,
+    localStorage: dom.window.localStorage,
+    CustomEvent: dom.window.CustomEvent,
+    fetch: (input, init) => {
+      const url = new URL(input, server.base);
+      if (url.pathname === "/api/events") requested.push(url.search);
+      return fetch(url, init);
+    },
+  });
+  ({ EventsApi } = await import("../js/api.js"));
+  api = new EventsApi();
+});
+
+after(async () => {
+  await server.stop();
+  dom.window.close();
+});
+
+beforeEach((t) => {
+  requested.length = 0;
+  t.mock.method(console, "warn", () => {});
+  t.mock.method(console, "error", () => {});
+});
+
+const ids = (page) => page.events.map((event) => event.id);
+
+test("EventsApi.getPage follows the server's cursor", async () => {
+  const search = { sort: "date-asc" };
+  const pages = [];
+  const cursors = [];
+  let page = await api.getPage(search, { limit: 5 });
+  pages.push(ids(page));
+  while (page.nextCursor !== null) {
+    cursors.push(page.nextCursor);
+    page = await api.getPage(search, { cursor: page.nextCursor, limit: 5 });
+    pages.push(ids(page));
+  }
+
+  // Cursors are the server's, not offsets into a list
+  assert.ok(cursors.length > 0);
+  cursors.forEach((cursor) => assert.doesNotMatch(cursor, /^\d+$/));
+  assert.ok(
+    requested.includes(
+      `?sort=date-asc&limit=5&cursor=${encodeURIComponent(cursors[0])}`
+    )
+  );
+
+  const all = pages.flat();
+  assert.equal(new Set(all).size, all.length);
+  assert.equal(all.length, page.total);
+  assert.ok(pages.slice(0, -1).every((events) => events.length === 5));
+});
+
+test("EventsApi.getPage sends the filters the server runs", async () => {
+  const page = await api.getPage(
+    { sort: "price-asc", freeOnly: true, startDate: "2025-01-01" },
+    { limit: 3 }
+  );
+
+  assert.deepEqual(requested, [
+    "?sort=price-asc&from=2025-01-01&free=1&limit=3",
+  ]);
+  page.events.forEach((event) => assert.ok(event.price.isFree));
+});
+
+test("EventsApi.getPage pages searches the server can't run here", async () => {
+  const search = { query: "tónleikar", sort: "date-asc" };
+  const page = await api.getPage(search, { limit: 2 });
+
+  assert.deepEqual(
+    page,
+    EventsApi.page(await api.searchEvents(search), { limit: 2 })
+  );
+  // Only the feed was fetched, to search it
+  assert.ok(requested.every((query) => query === ""));
+
+  // A page's own results are paged as they are
+  const results = page.events;
+  assert.deepEqual(await api.getPage({}, { limit: 1 }, results), {
+    events: results.slice(0, 1),
+    nextCursor: "1",
+    total: 2,
+  });
+});
+
+test("EventsApi.getPage pages here when the server refuses the cursor", async () => {
+  // An offset from a page taken here, e.g. before the feed came from the
+  // server
+  const search = { sort: "date-asc" };
+  const page = await api.getPage(search, { cursor: "2", limit: 2 });
+
+  assert.equal(requested.at(-1), "?sort=date-asc&limit=2&cursor=2");
+  assert.equal(console.warn.mock.calls.length, 1);
+  assert.deepEqual(
+    page,
+    EventsApi.page(await api.searchEvents(search), { cursor: "2", limit: 2 })
+  );
+});
@@ -0,0 +1,134 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { makeEvent } from "./helpers.mjs";
+import { Facets } from "../js/facets.js";
+
+// A Wednesday
+const now = new Date("2025-06-11T12:00:00");
+const music = [{ name: "Tónlist", name_en: "Music" }];
+const art = [{ name: "Myndlist", name_en: "Art" }];
+
+const events = [
+  makeEvent({
+    id: 1,
+    categories: music,
+    postal: "101",
+    city: "Reykjavík",
+    price: "Frítt",
+    start: "2025-06-11T20:00",
+    end: "2025-06-11T22:00",
+  }),
+  makeEvent({
+    id: 2,
+    categories: music,
+    postal: "105",
+    city: "Reykjavík",
+    price: "6.000 kr",
+    start: "2025-06-14T20:00",
+    end: "2025-06-14T22:00",
+    // Born 2000 or later
+    birth_year_from: 2000,
+  }),
+  makeEvent({
+    id: 3,
+    categories: art,
+    postal: "101",
+    city: "Reykjavík",
+    price: "3.000 kr",
+    start: "2025-08-01T20:00",
+    end: "2025-08-01T22:00",
+    // Born 2005 or earlier
+    birth_year_to: 2005,
+  }),
+  makeEvent({
+    id: 4,
+    categories: art,
+    postal: "600",
+    city: "Akureyri",
+    start: "2025-05-01T20:00",
+    end: "2025-05-01T22:00",
+  }),
+];
+
+const tally = (values) =>
+  values.map(({ value, count, selected }) => [value, count, selected]);
+
+test("Facets.count counts every value with its label", () => {
+  const counts = Facets.count(events, {}, now);
+
+  assert.deepEqual(
+    counts.category.map(({ value, label, count }) => [value, label, count]),
+    [
+      ["Myndlist", "Art", 2],
+      ["Tónlist", "Music", 2],
+    ]
+  );
+  assert.deepEqual(
+    counts.postal.map(({ value, label }) => [value, label]),
+    [
+      ["101", "101 Reykjavík"],
+      ["105", "105 Reykjavík"],
+      ["600", "600 Akureyri"],
+    ]
+  );
+  assert.deepEqual(tally(counts.price), [
+    ["free", 1, false],
+    ["under-5000", 1, false],
+    ["5000-15000", 1, false],
+  ]);
+  assert.deepEqual(tally(counts.date), [
+    ["today", 1, false],
+    ["weekend", 1, false],
+    ["week", 2, false],
+    ["month", 2, false],
+    ["later", 1, false],
+    ["past", 1, false],
+  ]);
+  // Events without birth years are open to every age
+  assert.deepEqual(
+    counts.age.map(({ value, count }) => [value, count]),
+    [
+      ["children", 3],
+      ["teens", 3],
+      ["adults", 4],
+      ["seniors", 3],
+    ]
+  );
+});
+
+test("Facets.count applies the other facets' selections only", () => {
+  const counts = Facets.count(
+    events,
+    { category: ["Tónlist"], postal: ["600"] },
+    now
+  );
+
+  // Categories are counted in 600, postal codes among music events
+  assert.deepEqual(tally(counts.category), [
+    ["Myndlist", 1, false],
+    ["Tónlist", 0, true],
+  ]);
+  assert.deepEqual(tally(counts.postal), [
+    ["101", 1, false],
+    ["105", 1, false],
+    ["600", 0, true],
+  ]);
+  assert.deepEqual(counts.price, []);
+});
+
+test("Facets.filter needs any value of every selected facet", () => {
+  const ids = (selection) =>
+    Facets.filter(events, selection, now).map((event) => event.id);
+
+  assert.deepEqual(ids({}), ["1", "2", "3", "4"]);
+  assert.deepEqual(
+    ids({ category: ["Tónlist"], price: ["free", "under-5000"] }),
+    ["1"]
+  );
+  assert.deepEqual(ids({ postal: ["101", "600"], date: ["past", "later"] }), [
+    "3",
+    "4",
+  ]);
+  assert.equal(Facets.isEmpty({ category: [] }), true);
+  assert.equal(Facets.isEmpty({ postal: ["101"] }), false);
+});
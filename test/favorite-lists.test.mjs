@@ -0,0 +1,82 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { JSDOM } from "jsdom";
+
+// The stores start with the page, so they are loaded once the DOM globals
+// and a signed-out device whose favorites were last synced with account
+// "u1" are in place
+let dom;
+let FavoriteLists;
+let FavoritesStore;
+
+const set = (key, value) =>
+  dom.window.localStorage.setItem(key, JSON.stringify(value));
+
+// Another tab signing in as `owner`, or out with no owner, leaving these
+// favorites
+const syncedElsewhere = (owner, favorites) => {
+  if (owner) set("venuu-favorites-owner", owner);
+  else dom.window.localStorage.removeItem("venuu-favorites-owner");
+  set("venuu-favorites", favorites);
+  dom.window.dispatchEvent(new dom.window.StorageEvent("storage"));
+};
+
+before(async () => {
+  dom = new JSDOM("<!DOCTYPE html>", { url: "http://localhost/" });
+  Object.assign(globalThis, {
+    window: dom.window,
+    document: dom.window.document,
+    navigator: dom.window.navigator,
+    localStorage: dom.window.localStorage,
+    CustomEvent: dom.window.CustomEvent,
+    // Node's channel would keep the test running; the storage event
+    // stands in for it
+    BroadcastChannel: undefined,
+  });
+
+  set("venuu-favorites-owner", "u1");
+  set("venuu-favorites", ["1", "2"]);
+  set("venuu-favorite-lists:u1", {
+    lists: [{ id: "list-1", name: "Sumar", eventIds: ["1", "2"] }],
+    notes: { 1: "Taka með teppi" },
+  });
+  ({ FavoritesStore } = await import("../js/favorites.js"));
+  ({ FavoriteLists } = await import("../js/favorite-lists.js"));
+});
+
+after(() => dom.window.close());
+
+test("FavoriteLists keeps an account's lists when signing out clears the favorites", () => {
+  assert.deepEqual(FavoritesStore.getAll(), []);
+  assert.deepEqual(FavoriteLists.getAll(), []);
+  assert.equal(FavoriteLists.getNote("1"), "");
+
+  syncedElsewhere("u1", ["1", "2"]);
+  assert.deepEqual(FavoriteLists.getAll(), [
+    { id: "list-1", name: "Sumar", eventIds: ["1", "2"] },
+  ]);
+  assert.equal(FavoriteLists.getNote("1"), "Taka með teppi");
+});
+
+test("FavoriteLists gives lists made while signed out to the next account", () => {
+  syncedElsewhere(null, []);
+  FavoriteLists.create("Sumar", ["3"]);
+  FavoriteLists.create("Helgin", ["4"]);
+  FavoriteLists.setNote("4", "Kaupa miða");
+  assert.deepEqual(FavoritesStore.getAll(), ["3", "4"]);
+
+  // The first sync adds the signed-out favorites to the account
+  syncedElsewhere("u1", ["1", "2", "3", "4"]);
+  assert.deepEqual(
+    FavoriteLists.getAll().map((list) => [list.name, list.eventIds]),
+    [
+      ["Sumar", ["1", "2", "3"]],
+      ["Helgin", ["4"]],
+    ]
+  );
+  assert.equal(FavoriteLists.getNote("1"), "Taka með teppi");
+  assert.equal(FavoriteLists.getNote("4"), "Kaupa miða");
+
+  syncedElsewhere(null, []);
+  assert.deepEqual(FavoriteLists.getAll(), []);
+});
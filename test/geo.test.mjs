@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { makeEvent } from "./helpers.mjs";
+import { Geo } from "../js/geo.js";
+import { EventsApi } from "../js/api.js";
+
+const reykjavik = { lat: 64.1466, lng: -21.9426 };
+const akureyri = { lat: 65.6885, lng: -18.1262 };
+
+test("Geo.distanceKm gives the great-circle distance", () => {
+  // About 249 km as the crow flies
+  assert.ok(Math.abs(Geo.distanceKm(reykjavik, akureyri) - 248.4) < 0.1);
+  assert.equal(
+    Geo.distanceKm(reykjavik, akureyri),
+    Geo.distanceKm(akureyri, reykjavik)
+  );
+  assert.equal(Geo.distanceKm(reykjavik, reykjavik), 0);
+});
+
+test("Geo.withinRadius checks the exact distance", () => {
+  assert.equal(Geo.withinRadius(akureyri, reykjavik, 200), false);
+  assert.equal(Geo.withinRadius(akureyri, reykjavik, 250), true);
+
+  const bounds = Geo.boundsAround(reykjavik, 250);
+  assert.ok(Geo.inBounds(akureyri, bounds));
+  assert.ok(!Geo.inBounds({ lat: 0, lng: 0 }, bounds));
+});
+
+test("Geo.centroid averages points", () => {
+  assert.equal(Geo.centroid([]), null);
+  const { lat, lng } = Geo.centroid([reykjavik, akureyri]);
+  assert.ok(Math.abs(lat - 64.91755) < 1e-9);
+  assert.ok(Math.abs(lng - -20.0344) < 1e-9);
+});
+
+test("Geo.formatDistance rounds to metres or tenths of kilometres", () => {
+  assert.equal(Geo.formatDistance(0.347), "350 m");
+  assert.equal(Geo.formatDistance(0.001), "10 m");
+  assert.equal(Geo.formatDistance(2.44), "2.4 km");
+  assert.equal(Geo.formatDistance(2.44, "is-IS"), "2,4 km");
+  assert.equal(Geo.formatDistance(12.6), "13 km");
+});
+
+test("EventsApi sorts by distance with unplaced events last", () => {
+  const events = [
+    makeEvent({ id: "far", location: [akureyri.lat, akureyri.lng] }),
+    makeEvent({ id: "unknown" }),
+    makeEvent({ id: "near", location: [64.15, -21.95] }),
+  ];
+  const sorted = (sort) =>
+    EventsApi.sortEvents(events, sort, reykjavik).map((event) => event.id);
+
+  assert.deepEqual(sorted("distance-asc"), ["near", "far", "unknown"]);
+  assert.deepEqual(sorted("distance-desc"), ["far", "near", "unknown"]);
+});
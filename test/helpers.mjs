@@ -0,0 +1,147 @@
+// Shared setup for the Venuu tests. The tests run the compiled modules in
+// js/, so `npm test` builds the TypeScript first.
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { readFileSync } from "node:fs";
+import { mkdtemp, rm } from "node:fs/promises";
+import { createServer } from "node:net";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { EventNormalizer } from "../js/normalize.js";
+
+// Browser globals the modules read that Node doesn't have
+if (typeof globalThis.localStorage === "undefined") {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    clear: () => items.clear(),
+  };
+}
+if (typeof globalThis.navigator === "undefined") {
+  globalThis.navigator = { onLine: true };
+}
+
+/**
+ * The bundled feed, normalized
+ * @returns {import("../src/ts/types").VenuuEvent[]}
+ */
+export function feedEvents() {
+  const raw = JSON.parse(
+    readFileSync(new URL("../api-data.json", import.meta.url), "utf8")
+  );
+  return EventNormalizer.normalizeAll(raw).events;
+}
+
+/**
+ * A normalized event from a few raw fields
+ * @param {import("../src/ts/types").RawEvent} fields
+ */
+export function makeEvent(fields) {
+  return EventNormalizer.normalize({
+    id: 1,
+    title: "Tónleikar",
+    title_en: "Concert",
+    start: "2025-06-14T20:00",
+    end: "2025-06-14T22:00",
+    ...fields,
+  });
+}
+
+export const DEMO = { email: "demo@venuu.is", password: "venuu1234" };
+
+/**
+ * A port nothing is listening on
+ * @returns {Promise<number>}
+ */
+async function freePort() {
+  const probe = createServer().listen(0);
+  await once(probe, "listening");
+  const { port } = probe.address();
+  probe.close();
+  await once(probe, "close");
+  return port;
+}
+
+/**
+ * Start the mock backend on a free port with an empty data file. The
+ * returned `call` sends a request to it, with `body` as JSON and `token`
+ * as a bearer token, and resolves with the status, headers and parsed
+ * body. Call `stop` when done.
+ */
+export async function startMockServer() {
+  const dataDir = await mkdtemp(join(tmpdir(), "venuu-test-"));
+  const port = await freePort();
+  const base = `http://localhost:${port}`;
+  let output = "";
+
+  const server = spawn(process.execPath, ["server/index.mjs"], {
+    cwd: new URL("..", import.meta.url),
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_FILE: join(dataDir, "mock-data.json"),
+    },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  server.stdout.setEncoding("utf8");
+  server.stdout.on("data", (chunk) => (output += chunk));
+
+  // What the server printed from the first line containing `text`, once
+  // it has been printed
+  const logged = async (text) => {
+    while (!output.includes(text)) {
+      await Promise.race([
+        once(server.stdout, "data"),
+        once(server, "exit").then(() => {
+          throw new Error("The mock server exited");
+        }),
+      ]);
+    }
+    return output.slice(output.indexOf(text));
+  };
+
+  const call = async (method, path, { body, token, headers = {} } = {}) => {
+    const response = await fetch(base + path, {
+      method,
+      headers: {
+        ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: text && response.status !== 304 ? JSON.parse(text) : null,
+    };
+  };
+
+  // Resolves with the session of a user who signed in
+  const signIn = async ({ email, password } = DEMO) => {
+    const { status, body } = await call("POST", "/api/auth/login", {
+      body: { email, password },
+    });
+    if (status !== 200) throw new Error(`Sign-in failed with ${status}`);
+    return body;
+  };
+
+  const stop = async () => {
+    if (server.exitCode === null) {
+      server.kill();
+      await once(server, "exit");
+    }
+    await rm(dataDir, { recursive: true, force: true });
+  };
+
+  try {
+    await logged("running at");
+  } catch (error) {
+    await stop();
+    throw error;
+  }
+  return { base, call, signIn, logged, stop };
+}
@@ -0,0 +1,212 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import "./helpers.mjs";
+import { EventImport, ImportError } from "../js/import.js";
+
+const calendar = (...lines) =>
+  ["BEGIN:VCALENDAR", "VERSION:2.0", ...lines, "END:VCALENDAR"].join("\r\n");
+const vevent = (...lines) => [
+  "BEGIN:VEVENT",
+  "SUMMARY:Tónleikar",
+  ...lines,
+  "END:VEVENT",
+];
+const column = (table, name) =>
+  table.rows.map((row) => row[table.columns.indexOf(name)]);
+
+test("EventImport.parseCSV reads quoted cells across lines", () => {
+  const table = EventImport.parseCSV(
+    [
+      "title,description,start",
+      'Jazz,"Two sets,\nwith ""guests""",2026-03-28',
+      "",
+      "Opera,Tosca,2026-04-02",
+    ].join("\r\n")
+  );
+
+  assert.deepEqual(table.columns, ["title", "description", "start"]);
+  assert.deepEqual(table.rows, [
+    ["Jazz", 'Two sets,\nwith "guests"', "2026-03-28"],
+    ["Opera", "Tosca", "2026-04-02"],
+  ]);
+  // The quoted newline moves the next record down a line, and the blank
+  // line is skipped
+  assert.deepEqual(table.lines, [2, 5]);
+});
+
+test("EventImport.parseCSV detects semicolons and tabs", () => {
+  const semicolons = EventImport.parseCSV(
+    "titill;verð;dagsetning\nTónleikar;2.500,00 kr;28.3.2026"
+  );
+  assert.deepEqual(semicolons.rows, [
+    ["Tónleikar", "2.500,00 kr", "28.3.2026"],
+  ]);
+
+  const tabs = EventImport.parseCSV("title\tstart\nJazz, live\t2026-03-28");
+  assert.deepEqual(tabs.rows, [["Jazz, live", "2026-03-28"]]);
+});
+
+test("EventImport.parseCSV needs a header and a row", () => {
+  assert.throws(() => EventImport.parseCSV("title,start\n"), ImportError);
+  assert.throws(() => EventImport.parse("  \n"), ImportError);
+});
+
+test("EventImport.parseDateTime reads common formats", () => {
+  assert.equal(EventImport.parseDateTime("2026-03-28"), "2026-03-28T00:00");
+  assert.equal(
+    EventImport.parseDateTime("2026-03-28 20.30"),
+    "2026-03-28T20:30"
+  );
+  assert.equal(
+    EventImport.parseDateTime("28.3.2026", "kl. 20"),
+    "2026-03-28T20:00"
+  );
+  assert.equal(
+    EventImport.parseDateTime("28/03/2026", "8:30 PM"),
+    "2026-03-28T20:30"
+  );
+  assert.equal(
+    EventImport.parseDateTime("20260328T200000"),
+    "2026-03-28T20:00"
+  );
+  assert.equal(
+    EventImport.parseDateTime("28.3.2026", "", "23:59"),
+    "2026-03-28T23:59"
+  );
+});
+
+test("EventImport.parseDateTime rejects dates that don't exist", () => {
+  for (const [date, time] of [
+    ["31.2.2026", ""],
+    ["2026-02-29", ""],
+    ["2026-13-01", ""],
+    ["28.3.2026", "25:00"],
+    ["2026-03-28 20:75", ""],
+    ["next friday", ""],
+  ]) {
+    assert.equal(EventImport.parseDateTime(date, time), "", `${date} ${time}`);
+  }
+  assert.equal(EventImport.parseDateTime("29.2.2028"), "2028-02-29T00:00");
+});
+
+test("EventImport.parseICS expands RRULE COUNT and UNTIL", () => {
+  const table = EventImport.parseICS(
+    calendar(
+      ...vevent("DTSTART:20260301T200000", "RRULE:FREQ=WEEKLY;COUNT=3"),
+      ...vevent(
+        "DTSTART:20260301T200000",
+        "RRULE:FREQ=DAILY;INTERVAL=2;UNTIL=20260305"
+      ),
+      ...vevent("DTSTART:20260131T200000", "RRULE:FREQ=MONTHLY;COUNT=2"),
+      // Without COUNT or UNTIL the rule is not expanded
+      ...vevent("DTSTART:20260301T200000", "RRULE:FREQ=DAILY")
+    )
+  );
+
+  assert.deepEqual(column(table, "DATES"), [
+    "2026-03-08T20:00, 2026-03-15T20:00",
+    "2026-03-03T20:00, 2026-03-05T20:00",
+    "2026-03-03T20:00",
+    "",
+  ]);
+  assert.deepEqual(table.lines, [1, 2, 3, 4]);
+});
+
+test("EventImport.parseICS adds RDATEs and leaves out EXDATEs", () => {
+  const table = EventImport.parseICS(
+    calendar(
+      ...vevent(
+        "DTSTART:20260301T200000",
+        "RRULE:FREQ=DAILY;COUNT=4",
+        "EXDATE:20260302T200000,20260304T200000",
+        "RDATE;VALUE=PERIOD:20260310T180000/20260310T230000"
+      )
+    )
+  );
+
+  assert.deepEqual(column(table, "DATES"), [
+    "2026-03-03T20:00, 2026-03-10T18:00/2026-03-10T23:00",
+  ]);
+});
+
+test("EventImport.parseICS converts TZID times to Reykjavik time", () => {
+  const table = EventImport.parseICS(
+    calendar(
+      ...vevent(
+        "DTSTART;TZID=Europe/London:20260705T200000",
+        "DTEND;TZID=Europe/London:20260705T220000"
+      ),
+      ...vevent(
+        "DTSTART;TZID=Atlantic/Reykjavik:20260705T200000",
+        "DTEND:20260705T220000Z"
+      ),
+      ...vevent("DTSTART;VALUE=DATE:20260705", "DTEND;VALUE=DATE:20260707")
+    )
+  );
+
+  // London is an hour ahead in the summer
+  assert.deepEqual(column(table, "DTSTART"), [
+    "2026-07-05T19:00",
+    "2026-07-05T20:00",
+    "2026-07-05T00:00",
+  ]);
+  // An all-day DTEND is the day after the last day
+  assert.deepEqual(column(table, "DTEND"), [
+    "2026-07-05T21:00",
+    "2026-07-05T22:00",
+    "2026-07-06T23:59",
+  ]);
+});
+
+test("EventImport.parseICS unfolds lines and unescapes text", () => {
+  const table = EventImport.parseICS(
+    calendar(
+      ...vevent(
+        "DTSTART:20260301T200000",
+        "DESCRIPTION:Fyrri hluti\\, og\\nsei",
+        " nni hluti",
+        "LOCATION:Harpa\\; Eldborg",
+        "GEO:64.150;-21.932",
+        "CATEGORIES:Tónlist,Jazz"
+      )
+    )
+  );
+  const [row] = table.rows;
+  const cell = (name) => row[table.columns.indexOf(name)];
+
+  assert.equal(cell("DESCRIPTION"), "Fyrri hluti, og\nseinni hluti");
+  assert.equal(cell("LOCATION"), "Harpa; Eldborg");
+  assert.equal(cell("LATITUDE"), "64.150");
+  assert.equal(cell("LONGITUDE"), "-21.932");
+  assert.equal(cell("CATEGORIES"), "Tónlist,Jazz");
+});
+
+test("EventImport.toRows reports issues by line and field", () => {
+  const table = EventImport.parseCSV(
+    [
+      "title,start,end,price,website",
+      "Jazz,28.3.2026 20:00,28.3.2026 22:00,2.500 kr,https://venuu.is",
+      ",31.2.2026,,,",
+      "Opera,2026-04-02T20:00,2026-04-01,Sjá vef,venuu.is",
+    ].join("\n")
+  );
+  const rows = EventImport.toRows(table, EventImport.guessMapping(table), {
+    batch: "test",
+  });
+
+  assert.equal(rows[0].raw.id, "import-test-1");
+  assert.equal(rows[0].event.start, "2026-03-28T20:00");
+  assert.equal(rows[0].event.price.min, 2500);
+  assert.deepEqual(rows[0].issues, []);
+
+  assert.equal(rows[1].line, 3);
+  assert.equal(rows[1].event, null);
+  assert.deepEqual(
+    rows[1].issues.map((issue) => issue.field),
+    [null, "start"]
+  );
+  assert.deepEqual(
+    rows[2].issues.map((issue) => issue.field),
+    ["end", "price", "website"]
+  );
+});
@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventNormalizer, NormalizationError } from "../js/normalize.js";
+
+const show = { id: 7, title: "Sýning", title_en: "Exhibition" };
+
+test("EventNormalizer merges records sharing an id into one event", () => {
+  const { events, issues } = EventNormalizer.normalizeAll([
+    { ...show, start: "2025-06-20T14:00", end: "2025-06-20T16:00" },
+    {
+      ...show,
+      start: "2025-06-13T14:00",
+      end: "2025-06-13T16:00",
+      dates: ["2025-06-27T14:00"],
+    },
+    { id: 9, title: "Annað", start: "2025-06-01T10:00" },
+  ]);
+
+  assert.deepEqual(issues, []);
+  assert.deepEqual(
+    events.map((event) => event.id),
+    ["7", "9"]
+  );
+
+  const [merged] = events;
+  assert.deepEqual(merged.occurrences, [
+    { start: "2025-06-13T14:00", end: "2025-06-13T16:00" },
+    { start: "2025-06-20T14:00", end: "2025-06-20T16:00" },
+    // A bare date reuses the record's duration
+    { start: "2025-06-27T14:00", end: "2025-06-27T16:00" },
+  ]);
+  // start and end follow the earliest occurrence
+  assert.equal(merged.start, "2025-06-13T14:00");
+  assert.equal(merged.end, "2025-06-13T16:00");
+});
+
+test("EventNormalizer keeps one occurrence per start time", () => {
+  const { events } = EventNormalizer.normalizeAll([
+    { ...show, start: "2025-06-20T14:00", end: "2025-06-20T16:00" },
+    { ...show, start: "2025-06-20T14:00", end: "2025-06-20T18:00" },
+    {
+      ...show,
+      start: "2025-06-13T14:00",
+      dates: [{ start: "2025-06-20T14:00", end: "2025-06-20T17:00" }],
+    },
+  ]);
+
+  assert.deepEqual(events[0].occurrences, [
+    { start: "2025-06-13T14:00", end: "2025-06-13T14:00" },
+    { start: "2025-06-20T14:00", end: "2025-06-20T16:00" },
+  ]);
+});
+
+test("EventNormalizer collects unusable records as issues", () => {
+  const { events, issues } = EventNormalizer.normalizeAll([
+    { id: 1, title: "", start: "2025-06-20T14:00" },
+    { id: 2, title: "Dagsetningarlaust" },
+    { title: "Án auðkennis", start: "2025-06-20T14:00" },
+    { ...show, start: "2025-06-20T14:00" },
+  ]);
+
+  assert.deepEqual(
+    events.map((event) => event.id),
+    ["7"]
+  );
+  assert.deepEqual(issues, [
+    { index: 0, id: "1", reason: "Missing title" },
+    { index: 1, id: "2", reason: "Missing or invalid start date" },
+    { index: 2, id: null, reason: "Missing id" },
+  ]);
+  assert.throws(() => EventNormalizer.normalize(null), NormalizationError);
+  assert.deepEqual(EventNormalizer.normalizeAll({}).events, []);
+});
@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { makeEvent } from "./helpers.mjs";
+import { Occurrences } from "../js/occurrence.js";
+
+// Every Saturday afternoon for three weeks
+const weekly = makeEvent({
+  id: 1,
+  start: "2025-06-14T14:00",
+  end: "2025-06-14T16:00",
+  dates: ["2025-06-21T14:00", "2025-06-28T14:00"],
+});
+const once = makeEvent({
+  id: 2,
+  start: "2025-06-18T20:00",
+  end: "2025-06-18T22:00",
+});
+
+const starts = (instances) =>
+  instances.map(({ event, start }) => [event.id, start.getDate()]);
+
+test("Occurrences.expand lists the dates overlapping a range", () => {
+  assert.deepEqual(starts(Occurrences.expand(weekly)), [
+    ["1", 14],
+    ["1", 21],
+    ["1", 28],
+  ]);
+  assert.deepEqual(
+    starts(
+      Occurrences.expand(weekly, {
+        from: "2025-06-20T00:00",
+        to: "2025-06-25T00:00",
+      })
+    ),
+    [["1", 21]]
+  );
+  // An occurrence in progress overlaps
+  assert.equal(
+    Occurrences.expand(weekly, { from: "2025-06-14T15:00" }).length,
+    3
+  );
+});
+
+test("Occurrences.expandAll merges events in date order", () => {
+  assert.deepEqual(starts(Occurrences.expandAll([weekly, once])), [
+    ["1", 14],
+    ["2", 18],
+    ["1", 21],
+    ["1", 28],
+  ]);
+});
+
+test("Occurrences.nextOccurrence skips dates that have ended", () => {
+  assert.deepEqual(Occurrences.nextOccurrence(weekly, "2025-06-15T10:00"), {
+    start: "2025-06-21T14:00",
+    end: "2025-06-21T16:00",
+  });
+  assert.equal(
+    Occurrences.nextOccurrence(weekly, "2025-06-21T15:00").start,
+    "2025-06-21T14:00"
+  );
+  assert.equal(Occurrences.nextOccurrence(weekly, "2025-07-01T00:00"), null);
+  assert.equal(Occurrences.remaining(weekly, "2025-06-22T00:00").length, 1);
+});
+
+test("Occurrences.displayOccurrence falls back to the last date", () => {
+  assert.equal(
+    Occurrences.displayOccurrence(weekly, "2025-06-15T10:00").start,
+    "2025-06-21T14:00"
+  );
+  assert.equal(
+    Occurrences.displayOccurrence(weekly, "2025-07-01T00:00").start,
+    "2025-06-28T14:00"
+  );
+});
+
+test("Occurrences.compare sorts by the next upcoming date", () => {
+  const from = "2025-06-16T00:00";
+  const sorted = (order) =>
+    [once, weekly]
+      .sort((a, b) => Occurrences.compare(a, b, order, from))
+      .map((event) => event.id);
+
+  // On the 16th the weekly event's first date has passed; its next one,
+  // the 21st, comes after the one-off event on the 18th
+  assert.deepEqual(sorted("asc"), ["2", "1"]);
+  assert.deepEqual(sorted("desc"), ["1", "2"]);
+  assert.equal(
+    Occurrences.occursBetween(once, "2025-06-18T00:00", "2025-06-18T23:59"),
+    true
+  );
+  assert.equal(Occurrences.occursBetween(once, "2025-06-19T00:00"), false);
+});
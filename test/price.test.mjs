@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PriceParser } from "../js/price.js";
+
+const parse = (value) => {
+  const { min, max, currency, isFree } = PriceParser.parse(value);
+  return { min, max, currency, isFree };
+};
+
+test("PriceParser reads free prices in both languages", () => {
+  for (const value of ["Free", "Frítt", "Ókeypis aðgangur"]) {
+    assert.deepEqual(
+      parse(value),
+      { min: 0, max: 0, currency: "ISK", isFree: true },
+      value
+    );
+  }
+});
+
+test("PriceParser reads Icelandic and English amounts", () => {
+  assert.deepEqual(parse("35.000 kr"), {
+    min: 35000,
+    max: 35000,
+    currency: "ISK",
+    isFree: false,
+  });
+  assert.equal(parse("3,000 ISK").min, 3000);
+  assert.equal(parse(3000).min, 3000);
+  assert.deepEqual(parse("12,50 €"), {
+    min: 12.5,
+    max: 12.5,
+    currency: "EUR",
+    isFree: false,
+  });
+  assert.equal(parse("$20").currency, "USD");
+});
+
+test("PriceParser reads ranges, counting a free option as the minimum", () => {
+  assert.deepEqual(parse("2.500 - 4.000 kr"), {
+    min: 2500,
+    max: 4000,
+    currency: "ISK",
+    isFree: false,
+  });
+  assert.deepEqual(parse("Aðgangur ókeypis, kaffi 500 kr"), {
+    min: 0,
+    max: 500,
+    currency: "ISK",
+    isFree: false,
+  });
+});
+
+test("PriceParser leaves unknown prices empty but keeps the text", () => {
+  assert.deepEqual(PriceParser.parse("Sjá vef"), {
+    min: null,
+    max: null,
+    currency: "ISK",
+    isFree: false,
+    raw: "Sjá vef",
+  });
+  assert.equal(PriceParser.parse(null).raw, "");
+  assert.equal(PriceParser.parse("").min, null);
+});
+
+test("PriceParser.inRange matches a range event on any of its prices", () => {
+  const range = PriceParser.parse("2.500 - 4.000 kr");
+  const unknown = PriceParser.parse("Sjá vef");
+
+  assert.equal(PriceParser.inRange(range, 3000, 3500), true);
+  assert.equal(PriceParser.inRange(range, 4500), false);
+  assert.equal(PriceParser.inRange(range, undefined, 2000), false);
+  assert.equal(PriceParser.inRange(unknown, 0, 100), false);
+  assert.equal(PriceParser.inRange(unknown), true);
+});
+
+test("PriceParser.compare sorts unknown prices last both ways", () => {
+  const prices = ["4.000 kr", "Sjá vef", "Frítt", "2.500 kr"].map((value) =>
+    PriceParser.parse(value)
+  );
+  const sorted = (order) =>
+    [...prices]
+      .sort((a, b) => PriceParser.compare(a, b, order))
+      .map((price) => price.raw);
+
+  assert.deepEqual(sorted("asc"), ["Frítt", "2.500 kr", "4.000 kr", "Sjá vef"]);
+  assert.deepEqual(sorted("desc"), [
+    "4.000 kr",
+    "2.500 kr",
+    "Frítt",
+    "Sjá vef",
+  ]);
+});
@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { feedEvents, makeEvent } from "./helpers.mjs";
+import { QueryParser } from "../js/query.js";
+
+const parser = new QueryParser(feedEvents());
+// A Wednesday
+const now = new Date("2025-06-11T12:00:00");
+
+const music = [{ name: "Tónlist", name_en: "Music" }];
+
+test("QueryParser reads filters and leaves the rest as text", () => {
+  const { text, filters } = parser.parse("jazz in 101 this weekend", now);
+
+  assert.equal(text, "jazz");
+  assert.deepEqual(
+    filters.map(({ kind, value, source }) => ({ kind, value, source })),
+    [
+      { kind: "postal", value: "101", source: "in 101" },
+      { kind: "date", value: "weekend", source: "this weekend" },
+    ]
+  );
+  assert.equal(filters[1].from, "2025-06-14T00:00");
+  assert.equal(filters[1].to, "2025-06-15T23:59");
+});
+
+test("QueryParser understands Icelandic and English words", () => {
+  const { text, filters } = parser.parse("tónleikar á laugardag", now);
+
+  assert.equal(text, "");
+  assert.deepEqual(
+    filters.map(({ kind, value, label }) => ({ kind, value, label })),
+    [
+      { kind: "category", value: "Tónlist", label: "Music" },
+      { kind: "date", value: "saturday", label: "Saturday" },
+    ]
+  );
+  assert.equal(parser.parse("concerts", now).filters[0].value, "Tónlist");
+});
+
+test("QueryParser reads prices", () => {
+  assert.deepEqual(parser.parse("under 3000 kr", now).filters, [
+    {
+      kind: "maxPrice",
+      value: "3000",
+      label: "Under 3,000 kr",
+      source: "under 3000 kr",
+    },
+  ]);
+  assert.equal(parser.parse("over 2000 kr", now).filters[0].kind, "minPrice");
+  assert.equal(parser.parse("free", now).filters[0].kind, "free");
+});
+
+test("QueryParser keeps quoted words as text", () => {
+  const { text, filters } = parser.parse('"free" concerts', now);
+
+  assert.equal(text, "free");
+  assert.deepEqual(
+    filters.map((filter) => filter.kind),
+    ["category"]
+  );
+});
+
+test("QueryParser.matches needs every kind and any filter of a kind", () => {
+  const { filters } = parser.parse("free music this weekend", now);
+  const free = makeEvent({ price: "Frítt", categories: music });
+  const paid = makeEvent({ id: 2, price: "3.500 kr", categories: music });
+  const nextWeek = makeEvent({
+    id: 3,
+    price: "Frítt",
+    categories: music,
+    start: "2025-06-21T20:00",
+    end: "2025-06-21T22:00",
+  });
+
+  assert.equal(QueryParser.matches(free, filters, now), true);
+  assert.equal(QueryParser.matches(paid, filters, now), false);
+  assert.equal(QueryParser.matches(nextWeek, filters, now), false);
+
+  const either = parser.parse("music and art", now).filters;
+  const art = makeEvent({
+    id: 4,
+    categories: [{ name: "Myndlist", name_en: "Art" }],
+  });
+  assert.equal(QueryParser.matches(art, either, now), true);
+  assert.equal(QueryParser.matches(paid, either, now), true);
+});
+
+test("QueryParser.remove takes a filter's words out of the query", () => {
+  const query = "free music this weekend";
+  const { filters } = parser.parse(query, now);
+
+  assert.equal(QueryParser.remove(query, filters[2]), "free music");
+  assert.equal(QueryParser.remove(query, filters[0]), "music this weekend");
+});
@@ -0,0 +1,146 @@
+import { afterEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { makeEvent } from "./helpers.mjs";
+import { Recommender } from "../js/recommend.js";
+
+const now = new Date("2025-06-01T12:00");
+
+const music = [{ name: "Tónlist", name_en: "Music" }];
+const theatre = [{ name: "Leiklist", name_en: "Theatre" }];
+
+const concert = (id, day) =>
+  makeEvent({
+    id,
+    title: `Tónleikar ${id}`,
+    title_en: `Concert ${id}`,
+    start: `2025-06-${day}T20:00`,
+    end: `2025-06-${day}T22:00`,
+    street: "Harpa",
+    categories: music,
+    price: "4.900 kr",
+  });
+
+const play = (id, day) =>
+  makeEvent({
+    id,
+    title: `Sýning ${id}`,
+    title_en: `Play ${id}`,
+    start: `2025-06-${day}T19:30`,
+    end: `2025-06-${day}T22:00`,
+    street: "Borgarleikhúsið",
+    categories: theatre,
+    price: "6.500 kr",
+  });
+
+const events = [
+  concert("c1", 10),
+  concert("c2", 11),
+  concert("c3", 12),
+  concert("c4", 13),
+  play("p1", "05"),
+  play("p2", 20),
+  makeEvent({
+    id: "walk",
+    title: "Leiðsögn",
+    title_en: "Guided walk",
+    start: "2025-06-03T17:00",
+    end: "2025-06-03T18:00",
+    street: "Lækjartorg",
+    price: "Frítt",
+  }),
+  makeEvent({ id: "past", start: "2025-05-20T20:00", end: "2025-05-20T22:00" }),
+  makeEvent({ id: "hidden", start: "2025-06-04T20:00", accepted: false }),
+];
+
+const recommend = (options) =>
+  Recommender.recommend(events, {
+    favorites: [],
+    viewed: [],
+    searches: [],
+    now,
+    ...options,
+  });
+
+const ids = (picks) => picks.map((pick) => pick.event.id);
+
+afterEach(() => Recommender.clearViewed());
+
+test("Recommender falls back to the soonest events with nothing to go on", () => {
+  const picks = recommend();
+
+  assert.equal(ids(picks)[0], "walk");
+  assert.ok(picks.every((pick) => pick.reason.source === "upcoming"));
+  assert.equal(Recommender.explain(picks[0].reason), "Coming up soon");
+  // Past and unpublished events are never picked
+  assert.ok(!ids(picks).includes("past"));
+  assert.ok(!ids(picks).includes("hidden"));
+});
+
+test("Recommender takes at most two events from one venue", () => {
+  const picks = recommend({ favorites: ["c1"] });
+  const harpa = ids(picks).filter((id) => id.startsWith("c"));
+
+  assert.equal(harpa.length, 2);
+  assert.deepEqual(ids(picks).slice(0, 2), harpa);
+  assert.equal(picks.length, 5);
+});
+
+test("Recommender explains a pick by the saved events it is like", () => {
+  const [pick] = recommend({ favorites: ["c1"] });
+
+  assert.notEqual(pick.event.id, "c1");
+  assert.equal(pick.reason.source, "saved");
+  assert.deepEqual(pick.reason.topic, { is: "Tónlist", en: "Music" });
+  assert.deepEqual(pick.reason.venue, { is: "Harpa", en: "Harpa" });
+  assert.equal(
+    Recommender.explain(pick.reason),
+    "Because you saved Music events at Harpa"
+  );
+});
+
+test("Recommender weighs saved events over viewed ones", () => {
+  // Opened events may still be picked, unlike saved ones
+  const viewedOnly = recommend({ viewed: ["p1"] });
+  assert.deepEqual(ids(viewedOnly).slice(0, 2), ["p1", "p2"]);
+  assert.equal(viewedOnly[0].reason.source, "viewed");
+  assert.equal(
+    Recommender.explain(viewedOnly[0].reason),
+    "Because you looked at Theatre events at Borgarleikhúsið"
+  );
+
+  const both = recommend({ favorites: ["c1"], viewed: ["p1"] });
+  assert.ok(both[0].event.id.startsWith("c"));
+  assert.equal(both[0].reason.source, "saved");
+});
+
+test("Recommender picks events matching recent searches", () => {
+  const [pick] = recommend({ searches: ["theatre"] });
+  assert.equal(pick.event.id, "p1");
+  assert.deepEqual(pick.reason, { source: "search", query: "theatre" });
+  assert.equal(
+    Recommender.explain(pick.reason),
+    'Matches your search for "theatre"'
+  );
+
+  // The latest search counts the most
+  const picks = recommend({ searches: ["walk", "theatre"] });
+  assert.deepEqual(ids(picks).slice(0, 2), ["walk", "p1"]);
+  assert.equal(picks[1].reason.query, "theatre");
+});
+
+test("Recommender remembers viewed events, newest first", () => {
+  Recommender.recordView("p1");
+  Recommender.recordView("c2");
+  Recommender.recordView("p1");
+  assert.deepEqual(Recommender.getViewed(), ["p1", "c2"]);
+
+  const [pick] = Recommender.recommend(events, {
+    favorites: [],
+    searches: [],
+    now,
+  });
+  assert.equal(pick.reason.source, "viewed");
+
+  Recommender.clearViewed();
+  assert.deepEqual(Recommender.getViewed(), []);
+});
@@ -0,0 +1,155 @@
+import { after, before, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { once } from "node:events";
+import { JSDOM } from "jsdom";
+
+// The store and the offline queue announce changes on the page's window,
+// so the modules are loaded once the DOM globals are in place
+let dom;
+let server;
+let base;
+let ApiService;
+let EventRepository;
+let EventRefusedError;
+let Offline;
+
+// Titles of the events the server was sent; "invalid" is refused and
+// "busy" fails on the server
+const sent = [];
+
+before(async () => {
+  dom = new JSDOM("<!DOCTYPE html>", { url: "http://localhost/" });
+  Object.assign(globalThis, {
+    window: dom.window,
+    document: dom.window.document,
+    navigator: dom.window.navigator,
+    localStorage: dom.window.localStorage,
+    CustomEvent: dom.window.CustomEvent,
+  });
+  ({ ApiService } = await import("../js/api.js"));
+  ({ EventRepository, EventRefusedError } =
+    await import("../js/repository.js"));
+  ({ Offline } = await import("../js/offline.js"));
+
+  server = createServer(async (req, res) => {
+    if (req.method !== "POST" || req.url !== "/api/events") {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "Not found" }));
+      return;
+    }
+
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const record = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+    sent.push(record.title);
+
+    const [status, body] =
+      record.title === "invalid"
+        ? [400, { error: "start must be a date" }]
+        : record.title === "busy"
+          ? [503, { error: "Busy" }]
+          : [201, { ...record, id: `server-${sent.length}` }];
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  }).listen(0);
+  await once(server, "listening");
+  base = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  dom.window.close();
+});
+
+beforeEach((t) => {
+  sent.length = 0;
+  dom.window.localStorage.clear();
+  t.mock.method(console, "warn", () => {});
+  t.mock.method(console, "error", () => {});
+});
+
+const events = (...titles) =>
+  titles.map((title) => ({ title, start: "2030-05-01T20:00" }));
+
+const queued = () => Offline.pending().map((change) => change.key);
+
+test("EventRepository publishes each event and keeps the server's copy", async () => {
+  const repository = new EventRepository(new ApiService(base));
+  const saved = await repository.createAll(events("a", "b"));
+
+  assert.deepEqual(sent, ["a", "b"]);
+  assert.deepEqual(
+    saved.map((record) => [record.id, record.accepted]),
+    [
+      ["server-1", false],
+      ["server-2", false],
+    ]
+  );
+  assert.deepEqual(
+    (await repository.getAll()).map((record) => record.id),
+    ["server-1", "server-2"]
+  );
+});
+
+test("EventRepository queues an event the server fails on and goes on", async () => {
+  const repository = new EventRepository(new ApiService(base));
+  const saved = await repository.createAll(events("a", "busy", "c"));
+
+  assert.deepEqual(sent, ["a", "busy", "c"]);
+  assert.equal(saved[0].id, "server-1");
+  assert.match(saved[1].id, /^local-/);
+  assert.equal(saved[2].id, "server-3");
+  assert.deepEqual(queued(), [saved[1].id]);
+});
+
+test("EventRepository rejects when the server refuses an event", async () => {
+  const repository = new EventRepository(new ApiService(base));
+  const error = await repository
+    .createAll(events("a", "invalid", "c"))
+    .catch((e) => e);
+
+  assert.ok(error instanceof EventRefusedError);
+  assert.equal(error.status, 400);
+  assert.equal(error.message, "start must be a date");
+  assert.deepEqual(
+    error.saved.map((record) => record.id),
+    ["server-1"]
+  );
+  // The events before it are kept, the ones after aren't sent
+  assert.deepEqual(sent, ["a", "invalid"]);
+  assert.deepEqual(
+    (await repository.getAll()).map((record) => record.id),
+    ["server-1"]
+  );
+  assert.deepEqual(queued(), []);
+});
+
+test("EventRepository keeps events local without a backend", async () => {
+  const repository = new EventRepository(new ApiService(`${base}/static`));
+  const saved = await repository.createAll(events("a", "b"));
+
+  assert.equal(saved.length, 2);
+  saved.forEach((record) => assert.match(record.id, /^local-/));
+  assert.deepEqual(queued(), []);
+  assert.equal((await repository.getAll()).length, 2);
+});
+
+test("EventRepository queues every event without a connection", async () => {
+  const closed = createServer().listen(0);
+  await once(closed, "listening");
+  const { port } = closed.address();
+  closed.close();
+  await once(closed, "close");
+
+  const repository = new EventRepository(
+    new ApiService(`http://localhost:${port}`)
+  );
+  const saved = await repository.createAll(events("a", "b"));
+
+  assert.deepEqual(
+    queued(),
+    saved.map((record) => record.id)
+  );
+  assert.equal((await repository.getAll()).length, 2);
+});
@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { makeEvent } from "./helpers.mjs";
+import { SearchIndex } from "../js/search.js";
+import { fold } from "../js/fold.js";
+
+const marathon = makeEvent({
+  id: 1,
+  title: "Reykjavíkurmaraþon",
+  title_en: "Reykjavik Marathon",
+});
+const markets = makeEvent({
+  id: 2,
+  title: "Markaðir í miðbænum",
+  title_en: "Markets downtown",
+});
+const concerts = makeEvent({
+  id: 3,
+  title: "Tónleikar í Hörpu",
+  title_en: "Concerts in Harpa",
+  description: "Markets are nearby",
+});
+const index = new SearchIndex([marathon, markets, concerts]);
+
+const ids = (query) => index.search(query).map((hit) => hit.event.id);
+
+test("SearchIndex.fold spells out Icelandic letters and drops accents", () => {
+  assert.deepEqual(
+    ["Þórsmörk", "Ægisíða", "Straße", "Reykjavíkurmaraþon"].map(
+      SearchIndex.fold
+    ),
+    ["thorsmork", "aegisida", "strasse", "reykjavikurmarathon"]
+  );
+  // Soft hyphens in feed titles don't split words
+  assert.equal(SearchIndex.fold("Tón\u00adleikar"), "tonleikar");
+  // The mock server folds with the same function
+  assert.equal(fold("Miðbær"), SearchIndex.fold("Miðbær"));
+});
+
+test("SearchIndex.stem strips one ending and keeps short stems", () => {
+  assert.deepEqual(
+    ["concerts", "running", "markets", "markadir", "tonleikar"].map(
+      SearchIndex.stem
+    ),
+    ["concert", "runn", "market", "markad", "tonleik"]
+  );
+  assert.equal(SearchIndex.stem("bus"), "bus");
+  assert.deepEqual(SearchIndex.terms("Söfnin í Reykjavík"), [
+    "sofnin",
+    "i",
+    "reykjavik",
+  ]);
+});
+
+test("SearchIndex finds events with or without Icelandic letters", () => {
+  assert.deepEqual(ids("reykjavikurmarathon"), ["1"]);
+  assert.deepEqual(ids("Reykjavíkurmaraþon"), ["1"]);
+  assert.deepEqual(ids("markaðir"), ["2"]);
+  assert.deepEqual(ids("concert"), ["3"]);
+});
+
+test("SearchIndex needs every word and ranks title matches first", () => {
+  assert.deepEqual(ids("market"), ["2", "3"]);
+  assert.deepEqual(ids("harpa market"), ["3"]);
+  assert.deepEqual(ids("markets downtown"), ["2"]);
+  assert.deepEqual(ids("nothing"), []);
+  assert.deepEqual(ids(""), []);
+});
+
+test("SearchIndex matches the start of a word", () => {
+  const [hit] = index.search("marath");
+  const [exact] = index.search("reykjavikurmarathon");
+
+  assert.equal(hit.event.id, "1");
+  assert.ok(hit.score < exact.score);
+});
+
+test("SearchIndex.highlight escapes the text and marks matches", () => {
+  assert.equal(
+    SearchIndex.highlight("Tónleikar <b>í</b> Hörpu", "horpu"),
+    "Tónleikar &lt;b&gt;í&lt;/b&gt; <mark>Hörpu</mark>"
+  );
+});
@@ -0,0 +1,158 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { DEMO, startMockServer } from "./helpers.mjs";
+
+let server;
+let call;
+let signIn;
+
+before(async () => {
+  server = await startMockServer();
+  ({ call, signIn } = server);
+});
+
+after(() => server.stop());
+
+describe("auth endpoints", () => {
+  test("register signs a new account in", async () => {
+    const account = {
+      name: "Anna",
+      email: "anna@example.com",
+      password: "langtlykilord",
+    };
+    const { status, body } = await call("POST", "/api/auth/register", {
+      body: account,
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.user.email, "anna@example.com");
+    assert.ok(body.token && body.refreshToken);
+
+    const again = await call("POST", "/api/auth/register", { body: account });
+    assert.equal(again.status, 409);
+
+    const weak = await call("POST", "/api/auth/register", {
+      body: { ...account, email: "other@example.com", password: "short" },
+    });
+    assert.equal(weak.status, 400);
+  });
+
+  test("login checks the password", async () => {
+    const session = await signIn();
+    assert.equal(session.user.email, DEMO.email);
+
+    const wrong = await call("POST", "/api/auth/login", {
+      body: { ...DEMO, password: "wrong-password" },
+    });
+    assert.equal(wrong.status, 401);
+  });
+
+  test("bodies that are not JSON objects are refused", async () => {
+    for (const body of [null, [DEMO], "demo"]) {
+      const { status } = await call("POST", "/api/auth/login", { body });
+      assert.equal(status, 400, JSON.stringify(body));
+    }
+  });
+
+  test("me needs a valid token", async () => {
+    const { token } = await signIn();
+
+    const me = await call("GET", "/api/auth/me", { token });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.email, DEMO.email);
+
+    assert.equal((await call("GET", "/api/auth/me")).status, 401);
+    assert.equal(
+      (await call("GET", "/api/auth/me", { token: "nope" })).status,
+      401
+    );
+  });
+
+  test("refresh tokens work once and logout ends the session", async () => {
+    const { refreshToken } = await signIn();
+
+    const refreshed = await call("POST", "/api/auth/refresh", {
+      body: { refreshToken },
+    });
+    assert.equal(refreshed.status, 200);
+    const reused = await call("POST", "/api/auth/refresh", {
+      body: { refreshToken },
+    });
+    assert.equal(reused.status, 401);
+
+    const { token } = refreshed.body;
+    const logout = await call("POST", "/api/auth/logout", {
+      body: { refreshToken: refreshed.body.refreshToken },
+    });
+    assert.equal(logout.status, 204);
+    assert.equal((await call("GET", "/api/auth/me", { token })).status, 401);
+  });
+
+  test("a password reset changes the password", async () => {
+    const email = "reset@example.com";
+    await call("POST", "/api/auth/register", {
+      body: { name: "Reset", email, password: "gamalt-lykilord" },
+    });
+
+    const request = await call("POST", "/api/auth/password-reset", {
+      body: { email },
+    });
+    assert.equal(request.status, 202);
+    const unknown = await call("POST", "/api/auth/password-reset", {
+      body: { email: "nobody@example.com" },
+    });
+    assert.equal(unknown.status, 202);
+
+    // There is no mail in the mock; the link is logged
+    const [, token] = /reset=([0-9a-f]+)/.exec(
+      await server.logged(`Password reset link for ${email}`)
+    );
+
+    const confirm = await call("POST", "/api/auth/password-reset/confirm", {
+      body: { token, password: "nytt-lykilord" },
+    });
+    assert.equal(confirm.status, 204);
+    await signIn({ email, password: "nytt-lykilord" });
+
+    const old = await call("POST", "/api/auth/login", {
+      body: { email, password: "gamalt-lykilord" },
+    });
+    assert.equal(old.status, 401);
+  });
+});
+
+describe("favorites endpoints", () => {
+  test("each user keeps a list of favorite ids", async () => {
+    const { token } = await signIn();
+    assert.equal((await call("GET", "/api/favorites")).status, 401);
+
+    await call("PUT", "/api/favorites", { token, body: { ids: ["1", "2"] } });
+    await call("POST", "/api/favorites", { token, body: { id: "a/b" } });
+    const removed = await call("DELETE", "/api/favorites/2", { token });
+    assert.deepEqual(removed.body.ids, ["1", "a/b"]);
+
+    const encoded = await call("DELETE", "/api/favorites/a%2Fb", { token });
+    assert.deepEqual(encoded.body.ids, ["1"]);
+    const malformed = await call("DELETE", "/api/favorites/%E0%A4", { token });
+    assert.equal(malformed.status, 400);
+  });
+});
+
+describe("static files", () => {
+  test("only the public site is served", async () => {
+    assert.equal((await fetch(`${server.base}/`)).status, 200);
+    assert.equal((await fetch(`${server.base}/js/api.js`)).status, 200);
+
+    for (const path of [
+      "/package.json",
+      "/server/auth.mjs",
+      "/.git/HEAD",
+      "/js/../requests.jsonl",
+      "/%2e%2e/etc/passwd",
+    ]) {
+      const response = await fetch(server.base + path);
+      assert.equal(response.status, 404, path);
+    }
+    assert.equal((await fetch(`${server.base}/%E0%A4%A`)).status, 400);
+  });
+});
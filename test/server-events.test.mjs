@@ -0,0 +1,225 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { startMockServer } from "./helpers.mjs";
+import { Geo } from "../js/geo.js";
+import { PriceParser } from "../js/price.js";
+
+const FEED = JSON.parse(
+  readFileSync(new URL("../api-data.json", import.meta.url), "utf8")
+);
+
+let server;
+let call;
+let signIn;
+
+before(async () => {
+  server = await startMockServer();
+  ({ call, signIn } = server);
+});
+
+after(() => server.stop());
+
+describe("events endpoints", () => {
+  const draft = {
+    title: "Prófunarviðburður",
+    start: "2030-05-01T20:00",
+    end: "2030-05-01T22:00",
+    price: "Frítt",
+  };
+
+  test("the feed is listed without a token", async () => {
+    const { status, headers, body } = await call("GET", "/api/events");
+
+    assert.equal(status, 200);
+    assert.equal(body.length, FEED.length);
+    assert.equal(
+      headers.get("x-total-count"),
+      String(new Set(FEED.map((raw) => raw.id)).size)
+    );
+
+    const fresh = await call("GET", "/api/events", {
+      headers: { "If-None-Match": headers.get("etag") },
+    });
+    assert.equal(fresh.status, 304);
+  });
+
+  test("search folds Icelandic letters", async () => {
+    const folded = await call("GET", "/api/events?q=reykjavikurmarathon");
+    const spelled = await call(
+      "GET",
+      `/api/events?q=${encodeURIComponent("Reykjavíkurmaraþon")}`
+    );
+
+    assert.ok(folded.body.length > 0);
+    assert.deepEqual(spelled.body, folded.body);
+  });
+
+  test("price and distance filters read the feed like the app", async () => {
+    const free = await call("GET", "/api/events?free=1");
+    assert.ok(free.body.length > 0);
+    free.body.forEach((raw) =>
+      assert.ok(PriceParser.parse(raw.price).isFree, raw.price)
+    );
+
+    const ranged = await call("GET", "/api/events?minPrice=2000&maxPrice=4000");
+    assert.ok(ranged.body.length > 0);
+    ranged.body.forEach((raw) =>
+      assert.ok(PriceParser.inRange(PriceParser.parse(raw.price), 2000, 4000))
+    );
+
+    const center = { lat: 64.1466, lng: -21.9426 };
+    const near = await call(
+      "GET",
+      `/api/events?near=${center.lat},${center.lng}&radius=2&sort=distance-asc`
+    );
+    const distances = near.body.map((raw) =>
+      Geo.distanceKm({ lat: raw.location[0], lng: raw.location[1] }, center)
+    );
+    assert.ok(distances.length > 0);
+    distances.forEach((km) => assert.ok(km <= 2));
+  });
+
+  test("pages follow the next cursor to the end", async () => {
+    const seen = [];
+    let path = "/api/events?limit=100";
+    while (path) {
+      const { status, headers, body } = await call("GET", path);
+      assert.equal(status, 200);
+      seen.push(...body.map((raw) => String(raw.id)));
+      const next = headers.get("x-next-cursor");
+      path = next
+        ? `/api/events?limit=100&cursor=${encodeURIComponent(next)}`
+        : "";
+    }
+
+    assert.equal(seen.length, FEED.length);
+    assert.equal(new Set(seen).size, new Set(FEED.map((raw) => raw.id)).size);
+
+    const bad = await call("GET", "/api/events?limit=0");
+    assert.equal(bad.status, 400);
+  });
+
+  test("creating an event needs a signed-in user and a valid event", async () => {
+    assert.equal(
+      (await call("POST", "/api/events", { body: draft })).status,
+      401
+    );
+
+    const { token } = await signIn();
+    const untitled = await call("POST", "/api/events", {
+      token,
+      body: { ...draft, title: "" },
+    });
+    assert.equal(untitled.status, 400);
+    const undated = await call("POST", "/api/events", {
+      token,
+      body: { ...draft, start: "someday" },
+    });
+    assert.equal(undated.status, 400);
+  });
+
+  test("new events are only shown to their creator until accepted", async () => {
+    const owner = await signIn();
+    const created = await call("POST", "/api/events", {
+      token: owner.token,
+      body: { ...draft, accepted: true },
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.accepted, false);
+    const { id } = created.body;
+
+    const other = (
+      await call("POST", "/api/auth/register", {
+        body: {
+          name: "Other",
+          email: "other@example.com",
+          password: "annad-lykilord",
+        },
+      })
+    ).body;
+    const query = `/api/events?q=${encodeURIComponent(draft.title)}`;
+
+    assert.deepEqual((await call("GET", query)).body, []);
+    assert.deepEqual(
+      (await call("GET", query, { token: other.token })).body,
+      []
+    );
+    assert.equal((await call("GET", `/api/events/${id}`)).status, 404);
+
+    const own = await call("GET", query, { token: owner.token });
+    assert.deepEqual(
+      own.body.map((raw) => raw.id),
+      [id]
+    );
+    const byId = await call("GET", `/api/events/${id}`, {
+      token: owner.token,
+    });
+    assert.equal(byId.status, 200);
+  });
+
+  test("only the creator can change or delete an event", async () => {
+    const owner = await signIn();
+    const other = await signIn({
+      email: "other@example.com",
+      password: "annad-lykilord",
+    });
+    const { id } = (
+      await call("POST", "/api/events", { token: owner.token, body: draft })
+    ).body;
+
+    const changed = { ...draft, title: "Breyttur viðburður" };
+    assert.equal(
+      (
+        await call("PUT", `/api/events/${id}`, {
+          token: other.token,
+          body: changed,
+        })
+      ).status,
+      403
+    );
+    const updated = await call("PUT", `/api/events/${id}`, {
+      token: owner.token,
+      body: changed,
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.title, "Breyttur viðburður");
+    assert.equal(updated.body.id, id);
+
+    assert.equal(
+      (
+        await call("PUT", `/api/events/${FEED[0].id}`, {
+          token: owner.token,
+          body: changed,
+        })
+      ).status,
+      403
+    );
+
+    assert.equal(
+      (await call("DELETE", `/api/events/${id}`, { token: other.token }))
+        .status,
+      403
+    );
+    assert.equal(
+      (await call("DELETE", `/api/events/${id}`, { token: owner.token }))
+        .status,
+      204
+    );
+    assert.equal(
+      (await call("GET", `/api/events/${id}`, { token: owner.token })).status,
+      404
+    );
+  });
+
+  test("malformed ids are refused", async () => {
+    const { token } = await signIn();
+    for (const method of ["GET", "PUT", "DELETE"]) {
+      const { status } = await call(method, "/api/events/%E0%A4", {
+        token,
+        body: method === "PUT" ? draft : undefined,
+      });
+      assert.equal(status, 400, method);
+    }
+  });
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FeedCache } from "../js/store.js";
+
+const record = (id, title, start = "2026-03-28T20:00") => ({
+  id,
+  title,
+  start,
+});
+
+test("FeedCache.diff counts added, updated and removed events", () => {
+  const previous = [record(1, "Jazz"), record(2, "Opera"), record(3, "Ballet")];
+  const next = [
+    record(1, "Jazz"),
+    record(2, "Opera, new cast"),
+    record(4, "Circus"),
+  ];
+  const { added, updated, removed, changed, removedIds } = FeedCache.diff(
+    previous,
+    next
+  );
+
+  assert.deepEqual(
+    { added, updated, removed },
+    {
+      added: 1,
+      updated: 1,
+      removed: 1,
+    }
+  );
+  assert.deepEqual(
+    changed.map((entry) => entry.id),
+    ["2", "4"]
+  );
+  assert.deepEqual(removedIds, ["3"]);
+});
+
+test("FeedCache.diff compares all records of an event together", () => {
+  // The feed repeats a record once per date
+  const previous = [
+    record(1, "Jazz", "2026-03-28T20:00"),
+    record(1, "Jazz", "2026-04-04T20:00"),
+  ];
+  const moreDates = [...previous, record(1, "Jazz", "2026-04-11T20:00")];
+
+  const { changed, ...counts } = FeedCache.diff(previous, moreDates);
+  assert.deepEqual(counts, {
+    added: 0,
+    updated: 1,
+    removed: 0,
+    removedIds: [],
+  });
+  assert.deepEqual(changed, [{ id: "1", records: moreDates }]);
+
+  // An id sent as a string instead of a number is still the same event
+  const { added, updated } = FeedCache.diff(
+    previous,
+    previous.map((raw) => ({ ...raw, id: "1" }))
+  );
+  assert.deepEqual({ added, updated }, { added: 0, updated: 1 });
+});
+
+test("FeedCache.diff finds nothing between equal feeds", () => {
+  const feed = [record(1, "Jazz"), record(2, "Opera")];
+
+  assert.deepEqual(FeedCache.diff(feed, structuredClone(feed)), {
+    added: 0,
+    updated: 0,
+    removed: 0,
+    changed: [],
+    removedIds: [],
+  });
+  assert.equal(FeedCache.diff([], feed).added, 2);
+  assert.equal(FeedCache.diff(feed, []).removed, 2);
+});
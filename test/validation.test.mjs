@@ -0,0 +1,102 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Rules, Validator } from "../js/validation.js";
+import { EVENT_FORM_SCHEMA } from "../js/event-form.js";
+
+const valid = {
+  title: "Tónleikar",
+  titleEn: "Concert",
+  date: "24.12.2099",
+  time: "20:00",
+  endDate: "",
+  endTime: "",
+  location: "Harpa",
+  fee: "2.500 kr",
+  image: null,
+  description: "Jólatónleikar",
+};
+
+const errors = (values) =>
+  Object.fromEntries(
+    Object.entries(
+      Validator.validate(EVENT_FORM_SCHEMA, { ...valid, ...values })
+    ).map(([field, { key }]) => [field, key])
+  );
+
+test("Validator reports the first failing rule per field", () => {
+  const schema = {
+    name: [Rules.required(), Rules.maxLength(3)],
+    nickname: [Rules.maxLength(3)],
+  };
+
+  assert.deepEqual(Validator.validate(schema, {}), {
+    name: { key: "validation.required" },
+  });
+  assert.deepEqual(Validator.validate(schema, { name: "  " }), {
+    name: { key: "validation.required" },
+  });
+  assert.deepEqual(Validator.validate(schema, { name: "Anna", nickname: "" }), {
+    name: { key: "validation.maxLength", params: { max: 3 } },
+  });
+  assert.deepEqual(Validator.validate(schema, { name: "Ása" }), {});
+});
+
+test("Rules.test skips empty values and sees the other fields", () => {
+  const schema = {
+    confirm: [
+      Rules.test((value, values) => value === values.password, "mismatch"),
+    ],
+  };
+
+  assert.deepEqual(
+    Validator.validate(schema, { password: "a", confirm: "" }),
+    {}
+  );
+  assert.deepEqual(
+    Validator.validate(schema, { password: "a", confirm: "b" }),
+    { confirm: { key: "mismatch", params: undefined } }
+  );
+});
+
+test("The event form accepts a complete event", () => {
+  assert.deepEqual(errors({}), {});
+  assert.deepEqual(errors({ fee: "", endDate: "26.12.2099" }), {});
+});
+
+test("The event form checks dates, times and prices", () => {
+  assert.deepEqual(errors({ date: "31.2.2099" }), { date: "validation.date" });
+  assert.deepEqual(errors({ date: "24.12.2000" }), {
+    date: "validation.future",
+  });
+  assert.deepEqual(errors({ time: "25:00" }), { time: "validation.time" });
+  assert.deepEqual(errors({ endTime: "19:00" }), {
+    endTime: "validation.endAfterStart",
+  });
+  assert.deepEqual(errors({ endDate: "23.12.2099" }), {
+    endTime: "validation.endAfterStart",
+  });
+  assert.deepEqual(errors({ fee: "Sjá vef" }), { fee: "validation.price" });
+  assert.deepEqual(
+    errors({ title: "", titleEn: "x".repeat(121), description: " " }),
+    {
+      title: "validation.required",
+      titleEn: "validation.maxLength",
+      description: "validation.required",
+    }
+  );
+});
+
+test("The event form accepts only images up to 10 MB", () => {
+  const image = (size, type) =>
+    new File([new Uint8Array(size)], "cover", { type });
+
+  assert.deepEqual(errors({ image: image(1000, "image/jpeg") }), {});
+  assert.deepEqual(errors({ image: image(1000, "application/pdf") }), {
+    image: "validation.imageType",
+  });
+  assert.deepEqual(errors({ image: image(10e6 + 1, "image/png") }), {
+    image: "validation.imageSize",
+  });
+  // An empty file input means no image
+  assert.deepEqual(errors({ image: image(0, "") }), {});
+});
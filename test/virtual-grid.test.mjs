@@ -0,0 +1,129 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { JSDOM } from "jsdom";
+
+// VirtualGrid works on the page's window, so it is loaded once the DOM
+// globals are in place
+let dom;
+let VirtualGrid;
+
+before(async () => {
+  dom = new JSDOM("<!DOCTYPE html><div id='grid'></div>", {
+    pretendToBeVisual: true,
+  });
+  Object.assign(globalThis, {
+    window: dom.window,
+    document: dom.window.document,
+    getComputedStyle: dom.window.getComputedStyle.bind(dom.window),
+    requestAnimationFrame: dom.window.requestAnimationFrame.bind(dom.window),
+    cancelAnimationFrame: dom.window.cancelAnimationFrame.bind(dom.window),
+  });
+  ({ VirtualGrid } = await import("../js/virtual-grid.js"));
+});
+
+after(() => dom.window.close());
+
+const items = Array.from({ length: 300 }, (_, index) => ({
+  id: String(index),
+}));
+
+/**
+ * A three-column grid with rows 100px tall, scrolled so its top is at
+ * `top` in a 768px window (jsdom lays nothing out, so the position is
+ * given)
+ */
+function makeGrid(top = 0, options = {}) {
+  const container = document.createElement("div");
+  container.style.gridTemplateColumns = "100px 100px 100px";
+  container.getBoundingClientRect = () => ({ top });
+  document.body.append(container);
+
+  let renders = 0;
+  const grid = new VirtualGrid(container, {
+    key: (item) => item.id,
+    renderCard: (card, item) => {
+      renders++;
+      card.textContent = item.id;
+    },
+    estimatedRowHeight: 100,
+    overscan: 1,
+    ...options,
+  });
+  return {
+    container,
+    grid,
+    scrollTo: (next) =>
+      (container.getBoundingClientRect = () => ({ top: next })),
+    renders: () => renders,
+    shown: () => [...container.children].map((card) => card.textContent),
+  };
+}
+
+test("VirtualGrid renders only the rows in and near the viewport", () => {
+  const { container, grid, shown } = makeGrid();
+  grid.setItems(items);
+
+  // 768px shows 8 rows, plus one row of overscan
+  assert.equal(shown().length, 9 * 3);
+  assert.deepEqual(shown().slice(0, 3), ["0", "1", "2"]);
+  assert.equal(container.style.paddingTop, "0px");
+  assert.equal(container.style.paddingBottom, `${(100 - 9) * 100}px`);
+  grid.destroy();
+});
+
+test("VirtualGrid stands in for the rows above with padding", () => {
+  const { container, grid, shown } = makeGrid(-5000);
+  grid.setItems(items);
+
+  // Row 50 is at the top of the viewport; rows 49 to 58 are rendered
+  assert.equal(shown()[0], String(49 * 3));
+  assert.equal(shown().length, 10 * 3);
+  assert.equal(container.style.paddingTop, `${49 * 100}px`);
+  assert.equal(container.style.paddingBottom, `${(100 - 59) * 100}px`);
+  grid.destroy();
+});
+
+test("VirtualGrid reuses cards that scroll away", async () => {
+  const { container, grid, scrollTo, renders, shown } = makeGrid(-1000);
+  grid.setItems(items);
+  const before = new Set(container.children);
+  const rendered = renders();
+
+  scrollTo(-1200);
+  window.dispatchEvent(new window.Event("scroll"));
+  await new Promise((resolve) => requestAnimationFrame(resolve));
+
+  assert.equal(shown()[0], String(11 * 3));
+  // The cards for rows 9 and 10 were refilled for rows 19 and 20, and
+  // the rows still on screen were left alone
+  assert.ok([...container.children].every((card) => before.has(card)));
+  assert.equal(renders() - rendered, 2 * 3);
+  grid.destroy();
+});
+
+test("VirtualGrid keeps unchanged cards and refills on rerender", () => {
+  const { grid, renders } = makeGrid();
+  grid.setItems(items);
+  const rendered = renders();
+
+  grid.setItems([...items]);
+  assert.equal(renders(), rendered);
+
+  grid.refresh();
+  assert.equal(renders(), rendered * 2);
+  grid.destroy();
+});
+
+test("VirtualGrid shows the empty message without items", () => {
+  const { container, grid } = makeGrid(0, {
+    empty: () => "<p>No events</p>",
+  });
+  grid.setItems(items.slice(0, 5));
+  assert.equal(container.children.length, 5);
+  assert.equal(container.style.paddingBottom, "0px");
+
+  grid.setItems([]);
+  assert.equal(container.innerHTML, "<p>No events</p>");
+  assert.equal(container.style.paddingTop, "");
+  grid.destroy();
+});